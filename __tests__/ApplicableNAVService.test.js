@@ -0,0 +1,86 @@
+const ApplicableNAVService = require('../src/services/ApplicableNAVService');
+const SimulationClock = require('../src/services/SimulationClock');
+
+const equity = { category: 'EQUITY', subCategory: 'LARGE_CAP' };
+const liquid = { category: 'DEBT', subCategory: 'LIQUID' };
+
+// An order placed at an IST wall-clock time, paid for when placed
+const order = (transactionType, date, hours, minutes, extra = {}) => ({
+  transactionType,
+  transactionDate: SimulationClock.atIST(new Date(date), hours, minutes),
+  ...extra
+});
+const navDate = (scheme, transaction) => ApplicableNAVService.getApplicableNavDate(scheme, transaction);
+
+describe('ApplicableNAVService.getApplicableNavDate', () => {
+  describe('equity purchases', () => {
+    test('take the same day NAV before the 3 PM cut-off', () => {
+      expect(navDate(equity, order('PURCHASE', '2025-01-08', 14, 59))).toBe('2025-01-08');
+    });
+
+    test('take the next business day NAV from the cut-off on', () => {
+      expect(navDate(equity, order('PURCHASE', '2025-01-08', 15, 0))).toBe('2025-01-09');
+    });
+
+    test('roll over a weekend after a Friday cut-off', () => {
+      expect(navDate(equity, order('PURCHASE', '2025-01-10', 15, 30))).toBe('2025-01-13');
+    });
+
+    test('roll over a market holiday and the weekend after it', () => {
+      // Holi falls on Friday 14 March 2025
+      expect(navDate(equity, order('PURCHASE', '2025-03-13', 16, 0))).toBe('2025-03-17');
+    });
+
+    test('placed on a holiday before the cut-off wait for the next business day', () => {
+      expect(navDate(equity, order('PURCHASE', '2025-03-14', 10, 0))).toBe('2025-03-17');
+    });
+
+    test('take a NAV on a bank holiday the exchanges trade through', () => {
+      // Id-Ul-Fitr on Monday 31 March 2025; banks alone close on 1 April
+      expect(navDate(equity, order('PURCHASE', '2025-03-28', 16, 0))).toBe('2025-04-01');
+    });
+
+    test('count from when the funds are realised', () => {
+      const transaction = order('PURCHASE', '2025-01-08', 10, 0, {
+        fundsRealisedAt: SimulationClock.atIST(new Date('2025-01-08'), 16, 0)
+      });
+      expect(navDate(equity, transaction)).toBe('2025-01-09');
+    });
+
+    test('held for KYC count from their release', () => {
+      const transaction = order('PURCHASE', '2025-01-08', 10, 0, {
+        releasedAt: SimulationClock.atIST(new Date('2025-01-09'), 11, 0)
+      });
+      expect(navDate(equity, transaction)).toBe('2025-01-09');
+    });
+  });
+
+  describe('liquid purchases', () => {
+    test('take the previous calendar day NAV before the 1:30 PM cut-off', () => {
+      expect(navDate(liquid, order('PURCHASE', '2025-01-08', 13, 29))).toBe('2025-01-07');
+    });
+
+    test('count for the next day from the cut-off on', () => {
+      expect(navDate(liquid, order('PURCHASE', '2025-01-08', 13, 30))).toBe('2025-01-08');
+    });
+
+    test('take the last business day NAV when T-1 is not one', () => {
+      // Counts for Monday, whose previous day is a Sunday
+      expect(navDate(liquid, order('PURCHASE', '2025-01-10', 14, 0))).toBe('2025-01-10');
+    });
+  });
+
+  describe('redemptions', () => {
+    test('use the 3 PM cut-off and same day NAV even from liquid funds', () => {
+      expect(navDate(liquid, order('REDEMPTION', '2025-01-08', 14, 0))).toBe('2025-01-08');
+      expect(navDate(liquid, order('REDEMPTION', '2025-01-08', 15, 0))).toBe('2025-01-09');
+    });
+
+    test('are not delayed by a later realisation date', () => {
+      const transaction = order('SWITCH_OUT', '2025-01-08', 10, 0, {
+        fundsRealisedAt: SimulationClock.atIST(new Date('2025-01-09'), 10, 0)
+      });
+      expect(navDate(equity, transaction)).toBe('2025-01-08');
+    });
+  });
+});
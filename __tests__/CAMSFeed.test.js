@@ -0,0 +1,163 @@
+const CAMSFeed = require('../src/cams/CAMSFeed');
+const CAMSEmulator = require('../src/cams/CAMSEmulator');
+const config = require('../src/config');
+
+const fileDate = new Date('2025-01-08T10:30:00.000Z');
+
+const purchase = {
+  transactionId: 'TXN202501080000000001',
+  folioNumber: 'F0000000123',
+  panNumber: 'ABCDE1234F',
+  schemeCode: 'EQ0001',
+  transactionType: 'PURCHASE',
+  transactionMode: 'LUMPSUM',
+  amount: 5000,
+  units: 0,
+  transactionDate: new Date('2025-01-08T05:00:00.000Z'),
+  remarks: null,
+  fundsRealisedAt: new Date('2025-01-08T05:00:00.000Z'),
+  arnCode: 'ARN-12345',
+  euin: 'E123456',
+  releasedAt: null
+};
+
+describe('CAMSFeed', () => {
+  describe('encode', () => {
+    test('writes a header, pipe-delimited details and a reconciling trailer', () => {
+      const lines = CAMSFeed.encode('R2', 'B1', fileDate, [purchase, { ...purchase, amount: 2500.5 }]).split('\n');
+
+      expect(lines[0]).toBe(`H|R2|${config.amc.code}|2025-01-08T10:30:00.000Z|B1`);
+      expect(lines[1].split('|')).toHaveLength(CAMSFeed.getFields('R2').length + 1);
+      expect(lines[1]).toMatch(/^D\|TXN202501080000000001\|F0000000123\|/);
+      expect(lines[3]).toBe('T|2|7500.50');
+      expect(lines[4]).toBe('');
+    });
+
+    test('keeps delimiters and line breaks out of values', () => {
+      const content = CAMSFeed.encode('R2', 'B1', fileDate, [{ ...purchase, remarks: 'Paid|by\ncheque' }]);
+
+      expect(CAMSFeed.decode(content).records[0].remarks).toBe('Paid by cheque');
+    });
+
+    test('refuses an unknown feed type', () => {
+      expect(() => CAMSFeed.encode('R9', 'B1', fileDate, [])).toThrow('Unknown feed type: R9');
+    });
+  });
+
+  describe('decode', () => {
+    test('reads back what was encoded', () => {
+      const feed = CAMSFeed.decode(CAMSFeed.encode('R2', 'B1', fileDate, [purchase]));
+
+      expect(feed).toMatchObject({ type: 'R2', amcCode: config.amc.code, batchId: 'B1' });
+      expect(feed.fileDate).toEqual(fileDate);
+      expect(feed.records).toEqual([{
+        ...purchase,
+        transactionDate: '2025-01-08T05:00:00.000Z',
+        fundsRealisedAt: '2025-01-08T05:00:00.000Z'
+      }]);
+    });
+
+    test('parses reverse feed amounts, units and NAVs as numbers', () => {
+      const outcome = {
+        transactionId: purchase.transactionId,
+        status: CAMSFeed.OUTCOMES.PROCESSED,
+        camsReference: 'CAMS1736330000000123',
+        navDate: '2025-01-08',
+        nav: 25.1234,
+        units: 198.9,
+        amount: 5000,
+        processedAt: '2025-01-08T10:30:00.000Z',
+        reason: null
+      };
+      const feed = CAMSFeed.decode(CAMSFeed.encode('WBR2', 'B2', fileDate, [outcome]));
+
+      expect(feed.records).toEqual([outcome]);
+    });
+
+    test('parses scheme master flags and minimums, and NAVs', () => {
+      const scheme = { schemeCode: 'EQ0001', subCategory: 'Large Cap', isActive: false, minimumInvestment: 5000, minimumSip: 500 };
+      const nav = { schemeCode: 'EQ0001', navDate: '2025-01-08', nav: 25.1234 };
+
+      expect(CAMSFeed.decode(CAMSFeed.encode('SM', 'B4', fileDate, [scheme])).records).toEqual([scheme]);
+      expect(CAMSFeed.decode(CAMSFeed.encode('NAV', 'B5', fileDate, [nav])).records).toEqual([nav]);
+    });
+
+    test('reads an empty feed', () => {
+      expect(CAMSFeed.decode(CAMSFeed.encode('WBR2', 'B3', fileDate, [])).records).toEqual([]);
+    });
+
+    test('accepts CRLF line endings', () => {
+      const content = CAMSFeed.encode('R2', 'B1', fileDate, [purchase]).replace(/\n/g, '\r\n');
+
+      expect(CAMSFeed.decode(content).records).toHaveLength(1);
+    });
+
+    test('rejects a file without a header and trailer', () => {
+      const details = CAMSFeed.encode('R2', 'B1', fileDate, [purchase]).split('\n')[1];
+
+      expect(() => CAMSFeed.decode(details)).toThrow('Feed file must start with a header and end with a trailer');
+    });
+
+    test('rejects a detail record with the wrong number of fields', () => {
+      const lines = CAMSFeed.encode('R2', 'B1', fileDate, [purchase]).split('\n');
+      lines[1] = `${lines[1]}|extra`;
+
+      expect(() => CAMSFeed.decode(lines.join('\n'))).toThrow('Malformed detail record at line 2');
+    });
+
+    test('rejects a trailer that does not reconcile', () => {
+      const content = CAMSFeed.encode('R2', 'B1', fileDate, [purchase]);
+
+      expect(() => CAMSFeed.decode(content.replace('T|1|5000.00', 'T|2|5000.00'))).toThrow('Trailer mismatch in batch B1');
+      expect(() => CAMSFeed.decode(content.replace('T|1|5000.00', 'T|1|5000.50'))).toThrow('Trailer mismatch in batch B1');
+    });
+  });
+});
+
+describe('CAMSEmulator', () => {
+  const asOf = new Date('2025-01-08T12:00:00.000Z');
+  const options = { failureRate: 0, rejectionRate: 0 };
+  const masterData = () => {
+    const data = { schemes: {}, investors: {}, navs: {} };
+    CAMSEmulator.applyMasterFeed(data, { type: 'SM', records: [{ schemeCode: 'EQ0001', subCategory: 'Large Cap', isActive: true, minimumInvestment: 1000, minimumSip: 500 }] });
+    CAMSEmulator.applyMasterFeed(data, { type: 'IM', records: [{ panNumber: 'ABCDE1234F', kycStatus: config.statuses.kyc.VERIFIED }] });
+    CAMSEmulator.applyMasterFeed(data, { type: 'NAV', records: [{ schemeCode: 'EQ0001', navDate: '2025-01-08', nav: 25 }] });
+    return data;
+  };
+
+  test('allots a record at the NAV received in the NAV feed', () => {
+    expect(CAMSEmulator.evaluate(purchase, masterData(), asOf, options)).toMatchObject({
+      status: CAMSFeed.OUTCOMES.PROCESSED,
+      navDate: '2025-01-08',
+      nav: 25,
+      units: 200
+    });
+  });
+
+  test('holds a record whose NAV has not been received', () => {
+    const data = masterData();
+    data.navs.EQ0001 = {};
+
+    expect(CAMSEmulator.evaluate(purchase, data, asOf, options)).toBeNull();
+  });
+
+  test('rejects against the scheme and investor master', () => {
+    const inactive = masterData();
+    inactive.schemes.EQ0001.isActive = false;
+    const unverified = masterData();
+    unverified.investors.ABCDE1234F.kycStatus = config.statuses.kyc.PENDING;
+
+    expect(CAMSEmulator.evaluate(purchase, inactive, asOf, options).reason).toBe('Scheme not active');
+    expect(CAMSEmulator.evaluate({ ...purchase, panNumber: 'ZZZZZ9999Z' }, masterData(), asOf, options).reason).toBe('Invalid PAN');
+    expect(CAMSEmulator.evaluate(purchase, unverified, asOf, options).reason).toBe('KYC not verified');
+    expect(CAMSEmulator.evaluate({ ...purchase, amount: 999 }, masterData(), asOf, options).reason).toBe('Minimum investment not met');
+  });
+
+  test('keeps only the NAVs a held record could still need', () => {
+    const data = masterData();
+    CAMSEmulator.applyMasterFeed(data, { type: 'NAV', records: [{ schemeCode: 'EQ0001', navDate: '2024-11-01', nav: 20 }] });
+    CAMSEmulator.pruneNAVs(data, asOf);
+
+    expect(data.navs.EQ0001).toEqual({ '2025-01-08': 25 });
+  });
+});
@@ -0,0 +1,78 @@
+const Customer = require('../src/models/Customer');
+const Folio = require('../src/models/Folio');
+const Scheme = require('../src/models/Scheme');
+const Transaction = require('../src/models/Transaction');
+const StatementService = require('../src/services/StatementService');
+const CASService = require('../src/services/CASService');
+
+const cas = {
+  statementPeriod: { from: '2024-04-01', to: '2025-01-08' },
+  investor: { name: 'Asha <Rao>', panNumber: 'ABCDE1234F', email: 'asha@example.com', phone: '9876543210', address: 'Pune', kycStatus: 'VERIFIED' },
+  summary: {
+    costValue: 10000, marketValue: 12000,
+    holdings: [{ folioNumber: '12345678/05', schemeName: 'Bluechip Fund, Regular', closingUnits: 500, costValue: 10000, marketValue: 12000 }]
+  },
+  folios: [{
+    folioNumber: '12345678/05', schemeCode: 'EQU001RG', schemeName: 'Bluechip Fund, Regular', dividendOption: 'GROWTH',
+    nominationRegistered: true, jointHolders: [], openingUnits: 0, closingUnits: 500, navDate: '2025-01-08', nav: 24, costValue: 10000, marketValue: 12000,
+    entries: [{ date: '2024-06-03', description: 'Purchase', amount: 10000, units: 500, nav: 19.999, balanceUnits: 500, stampDuty: 0.5, exitLoadAmount: 0, sttAmount: 0, tdsAmount: 0 }]
+  }]
+};
+
+describe('CASService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes a CSV row per balance, transaction and charge', () => {
+    const rows = CASService.toCSV(cas).trim().split('\n');
+
+    expect(rows).toEqual([
+      'Folio No,Scheme Code,Scheme Name,Date,Transaction,Amount (INR),Units,Price (INR),Unit Balance',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",01-Apr-2024,Opening Unit Balance,,,,0.000',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",03-Jun-2024,Purchase,10000.00,500.000,19.9990,500.000',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",03-Jun-2024,*** Stamp Duty ***,0.50,,,',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",08-Jan-2025,Closing Unit Balance,,,,500.000',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",08-Jan-2025,Total Cost Value,10000.00,,,',
+      '12345678/05,EQU001RG,"Bluechip Fund, Regular",08-Jan-2025,Market Value,12000.00,500.000,24.0000,'
+    ]);
+  });
+
+  test('escapes investor details in the printable page', () => {
+    const html = CASService.toHTML(cas);
+
+    expect(html).toContain('Asha &lt;Rao&gt;');
+    expect(html).not.toContain('<Rao>');
+    expect(html).toContain('01-Apr-2024 To 08-Jan-2025');
+    expect(html).toContain('*** Stamp Duty ***');
+  });
+
+  describe('getStatement', () => {
+    const asOf = new Date('2025-01-08T06:00:00.000Z');
+
+    test('gives null for an unknown PAN', async () => {
+      jest.spyOn(Customer, 'findByPAN').mockResolvedValue(null);
+
+      expect(await CASService.getStatement('ZZZZZ9999Z', {}, asOf)).toBeNull();
+    });
+
+    test('covers the financial year to date and leaves out folios with nothing held or done', async () => {
+      jest.spyOn(Customer, 'findByPAN').mockResolvedValue(new Customer({ id: 5, first_name: 'Asha', last_name: 'Rao', pan_number: 'ABCDE1234F' }));
+      jest.spyOn(Folio, 'findByCustomer').mockResolvedValue([
+        { folio: { id: 10, folioNumber: '2', schemeId: 2 } },
+        { folio: { id: 11, folioNumber: '1', schemeId: 2 } }
+      ]);
+      jest.spyOn(Scheme, 'findById').mockResolvedValue({ schemeCode: 'EQU001RG', schemeName: 'Bluechip Fund' });
+      jest.spyOn(Transaction, 'findProcessedByFolio').mockResolvedValue([]);
+      jest.spyOn(Scheme, 'findNAVOnOrBefore').mockResolvedValue(null);
+      jest.spyOn(StatementService, 'buildFolioStatement')
+        .mockReturnValueOnce({ entries: [], openingUnits: 0, closingUnits: 0, costValue: 0, marketValue: 0 })
+        .mockReturnValueOnce({ entries: [], openingUnits: 10, closingUnits: 10, costValue: 100, marketValue: 120 });
+
+      const statement = await CASService.getStatement('ABCDE1234F', {}, asOf);
+      expect(statement.statementPeriod).toEqual({ from: '2024-04-01', to: '2025-01-08' });
+      expect(statement.folios.map(folio => folio.folioNumber)).toEqual(['1']);
+      expect(statement.summary).toMatchObject({ costValue: 100, marketValue: 120 });
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const CapitalGainsService = require('../src/services/CapitalGainsService');
+
+const term = (taxClass, acquisitionDate, redemptionDate) =>
+  CapitalGainsService.getTerm(taxClass, acquisitionDate, redemptionDate);
+
+describe('CapitalGainsService.getTerm', () => {
+  describe('equity-oriented units', () => {
+    test('are long-term only after more than 12 months', () => {
+      expect(term('EQUITY', '2024-01-15', '2025-01-15')).toBe('SHORT_TERM');
+      expect(term('EQUITY', '2024-01-15', '2025-01-16')).toBe('LONG_TERM');
+    });
+
+    test('count a month-end acquisition to the month end a year on', () => {
+      expect(term('EQUITY', '2024-02-29', '2025-02-28')).toBe('SHORT_TERM');
+      expect(term('EQUITY', '2024-02-29', '2025-03-01')).toBe('LONG_TERM');
+    });
+  });
+
+  describe('debt units', () => {
+    test('bought before April 2023 need more than 36 months before 23 July 2024', () => {
+      expect(term('DEBT', '2021-01-10', '2024-01-10')).toBe('SHORT_TERM');
+      expect(term('DEBT', '2021-01-10', '2024-01-11')).toBe('LONG_TERM');
+      expect(term('DEBT', '2022-03-01', '2024-07-22')).toBe('SHORT_TERM');
+    });
+
+    test('bought before April 2023 need more than 24 months from 23 July 2024', () => {
+      expect(term('DEBT', '2022-03-01', '2024-07-23')).toBe('LONG_TERM');
+      expect(term('DEBT', '2022-08-01', '2024-08-01')).toBe('SHORT_TERM');
+      expect(term('DEBT', '2022-08-01', '2024-08-02')).toBe('LONG_TERM');
+    });
+
+    test('bought from April 2023 are always short-term', () => {
+      expect(term('DEBT', '2023-04-01', '2027-01-01')).toBe('SHORT_TERM');
+    });
+  });
+});
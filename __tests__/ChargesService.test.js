@@ -0,0 +1,41 @@
+const ChargesService = require('../src/services/ChargesService');
+
+const nri = { isNRI: () => true };
+const resident = { isNRI: () => false };
+
+describe('ChargesService', () => {
+  test('takes stamp duty of 0.005% of a purchase', () => {
+    expect(ChargesService.getStampDuty(100000)).toBe(5);
+    expect(ChargesService.getStampDuty(999)).toBe(0.05);
+  });
+
+  test('charges STT only on equity-oriented redemptions', () => {
+    expect(ChargesService.getSTT({ category: 'EQUITY' }, 100000)).toBe(1);
+    expect(ChargesService.getSTT({ category: 'HYBRID', subCategory: 'AGGRESSIVE' }, 100000)).toBe(1);
+    expect(ChargesService.getSTT({ category: 'HYBRID', subCategory: 'CONSERVATIVE' }, 100000)).toBe(0);
+    expect(ChargesService.getSTT({ category: 'DEBT' }, 100000)).toBe(0);
+  });
+
+  describe('getTDS', () => {
+    test('deducts nothing for resident investors', () => {
+      expect(ChargesService.getTDS(resident, [{ taxClass: 'EQUITY', term: 'SHORT_TERM', gain: 10000 }])).toBe(0);
+      expect(ChargesService.getTDS(null, [{ taxClass: 'EQUITY', term: 'SHORT_TERM', gain: 10000 }])).toBe(0);
+    });
+
+    test('deducts from NRI gains at the rate for their tax class and term', () => {
+      expect(ChargesService.getTDS(nri, [
+        { taxClass: 'EQUITY', term: 'SHORT_TERM', gain: 10000 },
+        { taxClass: 'EQUITY', term: 'LONG_TERM', gain: 10000 },
+        { taxClass: 'DEBT', term: 'SHORT_TERM', gain: 1000 }
+      ])).toBe(3550);
+    });
+
+    test('nets gains and losses within a tax class and term, never below nothing', () => {
+      expect(ChargesService.getTDS(nri, [
+        { taxClass: 'EQUITY', term: 'SHORT_TERM', gain: 10000 },
+        { taxClass: 'EQUITY', term: 'SHORT_TERM', gain: -4000 },
+        { taxClass: 'DEBT', term: 'SHORT_TERM', gain: -5000 }
+      ])).toBe(1200);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const database = require('../src/config/database');
+const Scheme = require('../src/models/Scheme');
+const Distributor = require('../src/models/Distributor');
+const CommissionStructure = require('../src/models/CommissionStructure');
+const CommissionAccrual = require('../src/models/CommissionAccrual');
+const BrokerageStatement = require('../src/models/BrokerageStatement');
+const CommissionService = require('../src/services/CommissionService');
+
+const asOf = new Date('2025-02-10T17:00:00.000Z');
+
+describe('CommissionService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('structures', () => {
+    test('take effect from today or later at percentage rates', () => {
+      expect(CommissionService.validateStructure({ effectiveFrom: '2025-02-10', trailRate: '0.85' }, '2025-02-10'))
+        .toEqual({ effectiveFrom: '2025-02-10', trailRate: 0.85, upfrontRate: 0 });
+      expect(() => CommissionService.validateStructure({ effectiveFrom: '2025-02-09', trailRate: 1 }, '2025-02-10'))
+        .toThrow('effectiveFrom cannot be before 2025-02-10');
+      expect(() => CommissionService.validateStructure({ effectiveFrom: '2025-02-10', trailRate: 1, upfrontRate: 101 }, '2025-02-10'))
+        .toThrow('upfrontRate must be a percentage');
+    });
+
+    test('added on a plan-option apply to its scheme from today', async () => {
+      jest.spyOn(Scheme, 'findById').mockResolvedValue({ id: 4, parentSchemeId: 1 });
+      jest.spyOn(CommissionStructure, 'create').mockImplementation(async data => data);
+
+      expect(await CommissionService.addStructure(4, { trailRate: 0.5 }, asOf))
+        .toEqual({ schemeId: 1, effectiveFrom: '2025-02-10', trailRate: 0.5, upfrontRate: 0 });
+    });
+  });
+
+  describe('accrueCommissions', () => {
+    test('accrues every calendar day from the last accrual, restating the last week', async () => {
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback({}));
+      jest.spyOn(CommissionAccrual, 'findNextDate').mockResolvedValue('2025-02-09');
+      const replace = jest.spyOn(CommissionAccrual, 'replaceForDate').mockResolvedValue(2);
+
+      expect(await CommissionService.accrueCommissions(asOf)).toEqual({ from: '2025-02-03', to: '2025-02-10', days: 8, accruals: 16 });
+      expect(replace.mock.calls[0][0]).toBe('2025-02-03');
+      expect(replace.mock.calls[7][0]).toBe('2025-02-10');
+    });
+  });
+
+  describe('generateStatements', () => {
+    test('covers the last completed month by default', async () => {
+      const generate = jest.spyOn(BrokerageStatement, 'generate').mockResolvedValue([]);
+
+      expect(await CommissionService.generateStatements(null, asOf)).toEqual({ month: '2025-01', statements: [] });
+      expect(generate).toHaveBeenCalledWith('2025-01-01', '2025-01-31', asOf);
+    });
+
+    test('refuses the current month', async () => {
+      await expect(CommissionService.generateStatements('2025-02', asOf))
+        .rejects.toThrow('Statements can only be generated for a completed month');
+    });
+  });
+
+  test('totals a distributor\'s trail and upfront over the period', async () => {
+    jest.spyOn(Distributor, 'findById').mockResolvedValue({ id: 3, arnCode: 'ARN-12345', name: 'Wealth Co' });
+    jest.spyOn(CommissionAccrual, 'findDailyTotals').mockResolvedValue([
+      { date: '2025-02-08', trail: 1.105, upfront: 25, total: 26.105 },
+      { date: '2025-02-09', trail: 1.1, upfront: 0, total: 1.1 }
+    ]);
+
+    const commissions = await CommissionService.getCommissions(3, {}, asOf);
+    expect(CommissionAccrual.findDailyTotals).toHaveBeenCalledWith(3, '2025-01-11', '2025-02-10');
+    expect(commissions).toMatchObject({ trail: 2.21, upfront: 25, total: 27.21 });
+  });
+});
@@ -0,0 +1,75 @@
+const database = require('../src/config/database');
+const config = require('../src/config');
+const Scheme = require('../src/models/Scheme');
+const Folio = require('../src/models/Folio');
+const Transaction = require('../src/models/Transaction');
+const DividendDeclaration = require('../src/models/DividendDeclaration');
+const DividendService = require('../src/services/DividendService');
+
+const asOf = new Date('2025-01-08T06:00:00.000Z');
+const idcw = { id: 4, nav: 20, parentSchemeId: 1, planOption: config.planOptions.IDCW };
+
+describe('DividendService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('declare', () => {
+    beforeEach(() => {
+      jest.spyOn(Scheme, 'findById').mockResolvedValue(idcw);
+      jest.spyOn(DividendDeclaration, 'findBySchemeAndDate').mockResolvedValue(null);
+      jest.spyOn(DividendDeclaration, 'create').mockImplementation(async data => data);
+    });
+
+    test('declares an amount per unit for a later trading day', async () => {
+      expect(await DividendService.declare(4, { recordDate: '2025-01-10', ratePerUnit: '1.5' }, asOf))
+        .toEqual({ schemeId: 4, recordDate: '2025-01-10', ratePerUnit: 1.5 });
+    });
+
+    test('refuses growth plan-options, past or non-trading record dates and rates at the NAV', async () => {
+      const declare = (terms, scheme = idcw) => {
+        Scheme.findById.mockResolvedValue(scheme);
+        return DividendService.declare(4, { recordDate: '2025-01-10', ratePerUnit: 1, ...terms }, asOf);
+      };
+
+      await expect(declare({}, { ...idcw, planOption: config.planOptions.GROWTH })).rejects.toThrow('Growth plan-options do not pay IDCW');
+      await expect(declare({ recordDate: '2025-01-08' })).rejects.toThrow('recordDate must be after today');
+      // Holi, 14 March 2025
+      await expect(declare({ recordDate: '2025-03-14' })).rejects.toThrow('recordDate must be a trading day');
+      await expect(declare({ ratePerUnit: 20 })).rejects.toThrow('ratePerUnit must be positive and below the NAV of 20');
+      expect(DividendDeclaration.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('distribute', () => {
+    const client = { query: jest.fn() };
+    const exNAV = { navDate: '2025-01-10', nav: 18.5 };
+
+    test('pays out or reinvests each IDCW folio by its option, in one database transaction', async () => {
+      jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+      jest.spyOn(Folio, 'findIDCWHolders').mockResolvedValue([
+        { folio: { id: 10, schemeId: 4, customerId: 5, dividendOption: config.dividendOptions.IDCW_PAYOUT }, units: 100 },
+        { folio: { id: 11, schemeId: 4, customerId: 6, dividendOption: config.dividendOptions.IDCW_REINVEST }, units: 200 }
+      ]);
+      jest.spyOn(Transaction, 'create').mockImplementation(async data => Object.assign(new Transaction({}), data));
+      const allot = jest.spyOn(Transaction.prototype, 'allot').mockResolvedValue(null);
+      const declaration = new DividendDeclaration({ id: 1, scheme_id: 4, record_date: '2025-01-10', rate_per_unit: '1.5' });
+      const markDistributed = jest.spyOn(declaration, 'markDistributed').mockResolvedValue(declaration);
+
+      await DividendService.distribute(declaration, exNAV, asOf);
+
+      expect(Transaction.create.mock.calls.map(([data]) => [data.transactionType, data.transactionMode, data.amount])).toEqual([
+        ['DIVIDEND', 'DIVIDEND', 150],
+        ['PURCHASE', 'DIVIDEND', 300]
+      ]);
+      expect(allot.mock.calls.map(([, charges]) => charges)).toEqual([
+        { amount: 150, units: 0 },
+        // Reinvested at the ex-NAV, net of stamp duty
+        { amount: 300, units: 16.215676, stampDuty: 0.01 }
+      ]);
+      expect(markDistributed).toHaveBeenCalledWith(
+        { exNav: 18.5, eligibleUnits: 300, payoutAmount: 150, reinvestedAmount: 300, folioCount: 2 }, asOf, client
+      );
+    });
+  });
+});
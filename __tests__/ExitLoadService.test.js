@@ -0,0 +1,65 @@
+const ExitLoadService = require('../src/services/ExitLoadService');
+
+const scheme = { id: 1, exitLoad: 1 };
+
+// The scheme's exit load structures as read back from exit_load_structures
+const db = {
+  query: async () => ({
+    rows: [{
+      id: 1,
+      scheme_id: 1,
+      effective_from: '2024-01-01',
+      tiers: [{ withinDays: 730, rate: 0.5 }, { withinDays: 365, rate: 1 }],
+      free_units_percent: 10
+    }]
+  })
+};
+
+const lot = (id, allotmentDate, freeUnitsUsed = 0) => ({ id, allotmentDate, units: 100, freeUnitsUsed });
+
+describe('ExitLoadService.evaluate', () => {
+  test('charges the first-year rate on units beyond the free allowance', async () => {
+    const result = await ExitLoadService.evaluate(scheme, [{ lot: lot(1, '2024-06-01'), units: 50 }], 20, '2025-01-01', db);
+
+    expect(result.lots).toEqual([
+      { lotId: 1, units: 50, holdingDays: 214, rate: 1, freeUnits: 10, exitLoad: 8 }
+    ]);
+    expect(result.exitLoadAmount).toBe(8);
+  });
+
+  test('grows the allowance each year held, less what was used', async () => {
+    const result = await ExitLoadService.evaluate(scheme, [{ lot: lot(1, '2024-02-01', 5), units: 30 }], 20, '2025-03-01', db);
+
+    expect(result.lots[0]).toMatchObject({ holdingDays: 394, rate: 0.5, freeUnits: 15, exitLoad: 1.5 });
+  });
+
+  test('charges nothing once past every tier and leaves the allowance untouched', async () => {
+    const result = await ExitLoadService.evaluate(scheme, [{ lot: lot(1, '2024-01-01'), units: 50 }], 20, '2026-02-01', db);
+
+    expect(result.lots[0]).toMatchObject({ rate: 0, freeUnits: 0, exitLoad: 0 });
+    expect(result.exitLoadAmount).toBe(0);
+  });
+
+  test('falls back to the flat exit load for a year on lots older than every structure', async () => {
+    const result = await ExitLoadService.evaluate(scheme, [
+      { lot: lot(1, '2023-06-01'), units: 10 },
+      { lot: lot(2, '2023-12-01'), units: 10 }
+    ], 20, '2024-07-01', db);
+
+    expect(result.lots.map(({ rate, freeUnits, exitLoad }) => ({ rate, freeUnits, exitLoad }))).toEqual([
+      { rate: 0, freeUnits: 0, exitLoad: 0 },
+      { rate: 1, freeUnits: 0, exitLoad: 2 }
+    ]);
+    expect(result.exitLoadAmount).toBe(2);
+  });
+
+  test('totals the load over every lot drawn on', async () => {
+    const result = await ExitLoadService.evaluate(scheme, [
+      { lot: lot(1, '2024-06-01'), units: 50 },
+      { lot: lot(2, '2024-02-01', 5), units: 30 }
+    ], 20, '2025-01-01', db);
+
+    expect(result.lots.map(lot => lot.exitLoad)).toEqual([8, 5]);
+    expect(result.exitLoadAmount).toBe(13);
+  });
+});
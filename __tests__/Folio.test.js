@@ -0,0 +1,46 @@
+const Folio = require('../src/models/Folio');
+const Scheme = require('../src/models/Scheme');
+
+const scheme = new Scheme({ id: 1, scheme_code: 'EQU001', nav: '10' });
+const option = (id, plan, planOption) => new Scheme({
+  id, scheme_code: `EQU001${plan[0]}${planOption[0]}`, nav: '10', parent_scheme_id: 1, plan, plan_option: planOption
+});
+const options = [
+  option(2, 'DIRECT', 'GROWTH'), option(3, 'DIRECT', 'IDCW'), option(4, 'REGULAR', 'GROWTH'), option(5, 'REGULAR', 'IDCW')
+];
+
+describe('Folio.create plan-options', () => {
+  let db;
+
+  beforeEach(() => {
+    db = { query: jest.fn(async (query, values) => ({ rows: [{ id: 10, scheme_id: values[2], plan: values[8], dividend_option: values[7], distributor_id: values[9] }] })) };
+    jest.spyOn(Scheme, 'findById').mockImplementation(async id => [scheme, ...options].find(found => found.id === id) || null);
+    jest.spyOn(Scheme, 'findPlanOption').mockImplementation(async (id, plan, planOption) =>
+      options.find(found => found.plan === plan && found.planOption === planOption) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const create = data => Folio.create({ folioNumber: '12345678/05', customerId: 5, schemeId: 1, ...data }, db);
+
+  test('holds direct investments in the direct plan', async () => {
+    expect(await create({})).toMatchObject({ schemeId: 2, plan: 'DIRECT', distributorId: null });
+    expect(await create({ dividendOption: 'IDCW_PAYOUT' })).toMatchObject({ schemeId: 3, dividendOption: 'IDCW_PAYOUT' });
+  });
+
+  test('holds folios sold by a distributor in the regular plan', async () => {
+    expect(await create({ distributorId: 3, dividendOption: 'IDCW_REINVEST' })).toMatchObject({ schemeId: 5, plan: 'REGULAR', distributorId: 3 });
+  });
+
+  test('refuses a regular plan-option without a distributor and an option the plan-option does not offer', async () => {
+    await expect(create({ schemeId: 4 })).rejects.toThrow('EQU001RG is a regular plan and needs a distributorId');
+    await expect(create({ schemeId: 2, dividendOption: 'IDCW_PAYOUT' })).rejects.toThrow('EQU001DG cannot be held under dividend option IDCW_PAYOUT');
+    expect(db.query).not.toHaveBeenCalled();
+  });
+
+  test('drops the distributor from a direct plan-option', async () => {
+    expect(await create({ schemeId: 2, distributorId: 3 })).toMatchObject({ schemeId: 2, plan: 'DIRECT', distributorId: null });
+  });
+});
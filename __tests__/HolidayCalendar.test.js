@@ -0,0 +1,67 @@
+const HolidayCalendar = require('../src/services/HolidayCalendar');
+
+const sipDate = (frequency, startDate, instalment) =>
+  HolidayCalendar.getSipExecutionDate(frequency, startDate, instalment).toISOString().split('T')[0];
+
+describe('HolidayCalendar.getSipExecutionDate', () => {
+  test('keeps the start day of month when the month has it', () => {
+    expect(sipDate('MONTHLY', '2025-01-10', 1)).toBe('2025-02-10');
+  });
+
+  test('clamps the 31st to the end of a shorter month', () => {
+    expect(sipDate('MONTHLY', '2025-01-31', 1)).toBe('2025-02-28');
+    expect(sipDate('MONTHLY', '2025-08-31', 1)).toBe('2025-09-30');
+  });
+
+  test('clamps to 29 February in a leap year', () => {
+    expect(sipDate('MONTHLY', '2024-01-31', 1)).toBe('2024-02-29');
+    expect(sipDate('YEARLY', '2024-02-29', 1)).toBe('2025-02-28');
+  });
+
+  test('rolls a debit falling on a holiday to the next business day', () => {
+    // 31 March 2025 is Id-Ul-Fitr and banks close on 1 April
+    expect(sipDate('MONTHLY', '2025-01-31', 2)).toBe('2025-04-02');
+  });
+
+  test('rolls a debit falling on a weekend to Monday', () => {
+    expect(sipDate('MONTHLY', '2025-05-31', 0)).toBe('2025-06-02');
+  });
+
+  test('counts from the start date so a rolled debit does not shift later ones', () => {
+    expect(sipDate('MONTHLY', '2025-05-31', 1)).toBe('2025-06-30');
+    expect(sipDate('MONTHLY', '2025-05-31', 2)).toBe('2025-07-31');
+  });
+
+  test('steps quarterly across a year end', () => {
+    // 28 February 2026 is a Saturday
+    expect(sipDate('QUARTERLY', '2025-11-30', 1)).toBe('2026-03-02');
+  });
+
+  test('treats an unknown frequency as monthly', () => {
+    expect(sipDate('WEEKLY', '2025-01-10', 1)).toBe('2025-02-10');
+  });
+});
+
+describe('HolidayCalendar calendars', () => {
+  const { EXCHANGE, BANK } = HolidayCalendar.CALENDARS;
+  const dateKey = date => HolidayCalendar.toDateKey(date);
+
+  test('keep bank holidays off the exchange calendar and trading holidays off the bank calendar', () => {
+    // Banks close for their annual accounts on 1 April 2025; the exchanges trade
+    expect(HolidayCalendar.isBusinessDay('2025-04-01', EXCHANGE)).toBe(true);
+    expect(HolidayCalendar.isBusinessDay('2025-04-01', BANK)).toBe(false);
+    expect(HolidayCalendar.isBusinessDay('2025-04-01')).toBe(false);
+    expect(HolidayCalendar.isBusinessDay('2025-03-14', EXCHANGE)).toBe(false);
+  });
+
+  test('close every calendar at the weekend', () => {
+    expect(HolidayCalendar.isBusinessDay('2025-04-05', EXCHANGE)).toBe(false);
+    expect(HolidayCalendar.isBusinessDay('2025-04-05', BANK)).toBe(false);
+  });
+
+  test('step over the closed days of the calendar given', () => {
+    expect(dateKey(HolidayCalendar.nextBusinessDay('2025-03-28', EXCHANGE))).toBe('2025-04-01');
+    expect(dateKey(HolidayCalendar.nextBusinessDay('2025-03-28', BANK))).toBe('2025-04-02');
+    expect(dateKey(HolidayCalendar.addBusinessDays('2025-03-28', 2, BANK))).toBe('2025-04-03');
+  });
+});
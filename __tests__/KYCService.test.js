@@ -0,0 +1,79 @@
+const Customer = require('../src/models/Customer');
+const Transaction = require('../src/models/Transaction');
+const KYCEvent = require('../src/models/KYCEvent');
+const KYCService = require('../src/services/KYCService');
+
+const asOf = new Date('2025-01-08T12:00:00.000Z');
+const client = { query: jest.fn() };
+const customer = (kycStatus) => ({ id: 5, kycStatus });
+
+describe('KYCService.canTransition', () => {
+  test.each([
+    ['PENDING', 'SUBMITTED'],
+    ['PENDING', 'VERIFIED'],
+    ['SUBMITTED', 'VERIFIED'],
+    ['SUBMITTED', 'REJECTED'],
+    ['SUBMITTED', 'ON_HOLD'],
+    ['ON_HOLD', 'SUBMITTED'],
+    ['REJECTED', 'SUBMITTED'],
+    ['VERIFIED', 'EXPIRED'],
+    ['EXPIRED', 'SUBMITTED']
+  ])('allows %s to %s', (from, to) => {
+    expect(KYCService.canTransition(from, to)).toBe(true);
+  });
+
+  test.each([
+    ['PENDING', 'REJECTED'],
+    ['VERIFIED', 'SUBMITTED'],
+    ['REJECTED', 'VERIFIED'],
+    ['EXPIRED', 'VERIFIED'],
+    ['UNKNOWN', 'SUBMITTED']
+  ])('refuses %s to %s', (from, to) => {
+    expect(KYCService.canTransition(from, to)).toBe(false);
+  });
+});
+
+describe('KYCService.transition', () => {
+  beforeEach(() => {
+    jest.spyOn(Customer, 'updateKYC').mockImplementation(async (id, { status }) => ({ id, kycStatus: status }));
+    jest.spyOn(KYCEvent, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('releases held purchases when KYC is verified', async () => {
+    const release = jest.spyOn(Transaction, 'releaseHeld').mockResolvedValue(2);
+    const reject = jest.spyOn(Transaction, 'rejectHeld');
+
+    const result = await KYCService.transition(customer('SUBMITTED'), 'VERIFIED', {}, asOf, client);
+    expect(result).toEqual({ customer: { id: 5, kycStatus: 'VERIFIED' }, released: 2, rejected: 0 });
+    expect(release).toHaveBeenCalledWith(5, asOf, client);
+    expect(reject).not.toHaveBeenCalled();
+    expect(Customer.updateKYC.mock.calls[0][1]).toMatchObject({ verifiedAt: asOf, expiresOn: '2030-01-08' });
+  });
+
+  test('rejects held purchases with the KYC rejection', async () => {
+    const reject = jest.spyOn(Transaction, 'rejectHeld').mockResolvedValue(1);
+
+    const result = await KYCService.transition(customer('SUBMITTED'), 'REJECTED', { remarks: 'PAN mismatch' }, asOf, client);
+    expect(result.rejected).toBe(1);
+    expect(reject).toHaveBeenCalledWith(5, 'KYC rejected: PAN mismatch', asOf, client);
+  });
+
+  test('keeps held purchases held when KYC goes on hold', async () => {
+    const release = jest.spyOn(Transaction, 'releaseHeld');
+    const reject = jest.spyOn(Transaction, 'rejectHeld');
+
+    await KYCService.transition(customer('SUBMITTED'), 'ON_HOLD', {}, asOf, client);
+    expect(release).not.toHaveBeenCalled();
+    expect(reject).not.toHaveBeenCalled();
+  });
+
+  test('refuses a move the state machine does not allow', async () => {
+    await expect(KYCService.transition(customer('VERIFIED'), 'SUBMITTED', {}, asOf, client))
+      .rejects.toThrow('KYC cannot move from VERIFIED to SUBMITTED');
+    expect(Customer.updateKYC).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+const database = require('../src/config/database');
+const Scheme = require('../src/models/Scheme');
+const ExitLoadStructure = require('../src/models/ExitLoadStructure');
+
+const schemeData = {
+  schemeCode: 'EQU001', schemeName: 'Bluechip Fund', amcCode: 'SIMAMC', category: 'EQUITY',
+  subCategory: 'Large Cap', expenseRatio: 1.5, launchDate: '2025-01-08'
+};
+
+describe('Scheme.create', () => {
+  let client;
+
+  beforeEach(() => {
+    client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ id: 1, scheme_code: 'EQU001', nav: '10' }] })
+        .mockResolvedValueOnce({ rows: [] })
+    };
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+    jest.spyOn(ExitLoadStructure, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes the scheme, its launch exit load and its plan-options on one client', async () => {
+    await Scheme.create(schemeData);
+
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(ExitLoadStructure.create).toHaveBeenCalledWith(expect.objectContaining({ schemeId: 1, effectiveFrom: '2025-01-08' }), client);
+    expect(client.query).toHaveBeenCalledTimes(2);
+  });
+
+  test('launches direct and regular plans in growth and IDCW options', async () => {
+    await Scheme.create(schemeData);
+
+    const [parentId, codes, names, expenseRatios, plans, options] = client.query.mock.calls[1][1];
+    expect(parentId).toBe(1);
+    expect(codes).toEqual(['EQU001DG', 'EQU001DI', 'EQU001RG', 'EQU001RI']);
+    expect(names[0]).toBe('Bluechip Fund - Direct Plan - Growth');
+    // Direct plans drop the trail commission from the expense ratio
+    expect(expenseRatios).toEqual([0.75, 0.75, 1.5, 1.5]);
+    expect(plans).toEqual(['DIRECT', 'DIRECT', 'REGULAR', 'REGULAR']);
+    expect(options).toEqual(['GROWTH', 'IDCW', 'GROWTH', 'IDCW']);
+  });
+
+  test('fails inside the transaction, so it rolls back, when a later write fails', async () => {
+    ExitLoadStructure.create.mockRejectedValue(new Error('invalid tiers'));
+
+    await expect(Scheme.create(schemeData)).rejects.toThrow('invalid tiers');
+    expect(client.query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,109 @@
+const database = require('../src/config/database');
+const config = require('../src/config');
+const Transaction = require('../src/models/Transaction');
+const Folio = require('../src/models/Folio');
+const Scheme = require('../src/models/Scheme');
+const SwitchService = require('../src/services/SwitchService');
+const ApplicableNAVService = require('../src/services/ApplicableNAVService');
+const ExitLoadService = require('../src/services/ExitLoadService');
+
+const now = new Date('2025-01-08T06:00:00.000Z');
+const client = { query: jest.fn() };
+const source = { id: 2, schemeCode: 'EQU001RG', category: 'EQUITY', nav: 20, isActive: true, parentSchemeId: 1 };
+const target = { id: 6, schemeCode: 'DEB001RG', category: 'DEBT', nav: 10, isActive: true, parentSchemeId: 5 };
+
+const leg = (extra) => new Transaction({
+  id: 1, folio_id: 10, scheme_id: 2, customer_id: 5, transaction_mode: config.transactionModes.SWITCH,
+  amount: '1000', status: config.statuses.transaction.SUBMITTED, transaction_date: now, ...extra
+});
+
+describe('SwitchService', () => {
+  beforeEach(() => {
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+    jest.spyOn(Scheme, 'findById').mockImplementation(async id => [source, target].find(scheme => scheme.id === id) || null);
+    jest.spyOn(ExitLoadService, 'calculate').mockResolvedValue({ exitLoadAmount: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createSwitch', () => {
+    beforeEach(() => {
+      jest.spyOn(Folio, 'getFolioWithHoldings').mockResolvedValue({
+        folio: { id: 10, customerId: 5, schemeId: 2, plan: 'REGULAR', dividendOption: 'GROWTH', isActive: () => true }
+      });
+      jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue({ totalUnits: 100, freeUnits: 100, lockedUnits: 0, pledgedUnits: 0 });
+      jest.spyOn(Folio, 'findActiveByCustomerAndScheme').mockResolvedValue({ id: 11 });
+      jest.spyOn(Transaction, 'create').mockImplementation(async data => data);
+    });
+
+    test('writes both legs on one client, each linked to the other', async () => {
+      const { switchOut, switchIn } = await SwitchService.createSwitch({ folioId: 10, targetSchemeId: 6, amount: 1000 }, now);
+
+      expect(Transaction.create).toHaveBeenCalledTimes(2);
+      expect(Transaction.create.mock.calls.every(([, db]) => db === client)).toBe(true);
+      expect(switchOut).toMatchObject({ transactionType: 'SWITCH_OUT', folioId: 10, schemeId: 2, linkedTransactionId: switchIn.transactionId });
+      expect(switchIn).toMatchObject({ transactionType: 'SWITCH_IN', folioId: 11, schemeId: 6, sourceSchemeId: 2, linkedTransactionId: switchOut.transactionId });
+      // The switch-in is estimated at the proceeds net of STT
+      expect(switchIn.amount).toBe(999.99);
+    });
+
+    test('refuses a switch the free units do not cover, or into the same scheme', async () => {
+      await expect(SwitchService.createSwitch({ folioId: 10, targetSchemeId: 6, units: 101 }, now))
+        .rejects.toThrow('Insufficient free units in the source folio');
+      await expect(SwitchService.createSwitch({ folioId: 10, targetSchemeId: 2, amount: 1000 }, now))
+        .rejects.toThrow('Target scheme must differ from the source scheme');
+      await expect(SwitchService.createSwitch({ folioId: 10, targetSchemeId: 6, amount: 1000, units: 5 }, now))
+        .rejects.toThrow('Specify exactly one of amount, units or allUnits');
+      expect(Transaction.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('allot and reject', () => {
+    const switchOut = () => leg({ transaction_id: 'TXN1', transaction_type: 'SWITCH_OUT', linked_transaction_id: 'TXN2' });
+    const switchIn = () => leg({ id: 2, transaction_id: 'TXN2', transaction_type: 'SWITCH_IN', scheme_id: 6, folio_id: 11, linked_transaction_id: 'TXN1' });
+
+    beforeEach(() => {
+      jest.spyOn(ApplicableNAVService, 'getApplicableNAV')
+        .mockImplementation(async scheme => ({ navDate: '2025-01-08', nav: scheme.nav }));
+      jest.spyOn(Transaction.prototype, 'reject').mockResolvedValue(null);
+    });
+
+    test('buys the switch-in with the switch-out proceeds on the same client', async () => {
+      jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue({ totalUnits: 100, freeUnits: 100, lockedUnits: 0, pledgedUnits: 0 });
+      const allot = jest.spyOn(Transaction.prototype, 'allot').mockImplementation(async function (nav, charges) {
+        Object.assign(this, charges);
+        return this;
+      });
+
+      expect(await SwitchService.allot(switchIn(), switchOut(), now)).toBe('processed');
+      const [[, outCharges, , outClient], [, inCharges, , inClient]] = allot.mock.calls;
+      expect(outCharges).toMatchObject({ amount: 1000, units: 50, sttAmount: 0.01 });
+      expect(inCharges).toMatchObject({ amount: 999.99, stampDuty: 0.05 });
+      expect([outClient, inClient]).toEqual([client, client]);
+    });
+
+    test('rejects both legs when the free units no longer cover the switch-out', async () => {
+      jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue({ totalUnits: 100, freeUnits: 10, lockedUnits: 90, pledgedUnits: 0 });
+      const allot = jest.spyOn(Transaction.prototype, 'allot');
+
+      expect(await SwitchService.allot(switchOut(), switchIn(), now)).toBe('rejected');
+      expect(allot).not.toHaveBeenCalled();
+      expect(Transaction.prototype.reject.mock.calls.map(([reason]) => reason)).toEqual([
+        'Insufficient free units: 50 requested, 10 free (90 locked in, 0 pledged)',
+        'Linked switch leg rejected: Insufficient free units: 50 requested, 10 free (90 locked in, 0 pledged)'
+      ]);
+    });
+
+    test('rejects the linked leg with the registrar rejection', async () => {
+      jest.spyOn(Transaction, 'findByTransactionId').mockResolvedValue(switchIn());
+
+      await SwitchService.reject(switchOut(), 'Signature mismatch', 'CAMS1', now);
+      expect(Transaction.prototype.reject.mock.calls).toEqual([
+        ['Signature mismatch', 'CAMS1', now, client],
+        ['Linked switch leg rejected: Signature mismatch', undefined, now, client]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const database = require('../src/config/database');
+const Utils = require('../src/utils/helpers');
+const config = require('../src/config');
+const Folio = require('../src/models/Folio');
+const SIP = require('../src/models/SIP');
+const STP = require('../src/models/STP');
+const SWP = require('../src/models/SWP');
+const SWPController = require('../src/controllers/SWPController');
+const SwitchService = require('../src/services/SwitchService');
+
+const { FIXED_AMOUNT, FIXED_UNITS, CAPITAL_APPRECIATION } = config.planTypes;
+
+describe('Utils.getPlanInstalment', () => {
+  const holdings = { totalUnits: 100, freeUnits: 60, investedAmount: 1000 };
+
+  test('draws a fixed amount only while the free units cover it', () => {
+    expect(Utils.getPlanInstalment({ planType: FIXED_AMOUNT, amount: 500 }, holdings, 10)).toEqual({ amount: 500 });
+    expect(Utils.getPlanInstalment({ planType: FIXED_AMOUNT, amount: 700 }, holdings, 10)).toBeNull();
+  });
+
+  test('draws fixed units only while enough are free', () => {
+    expect(Utils.getPlanInstalment({ planType: FIXED_UNITS, units: 60 }, holdings, 10)).toEqual({ units: 60 });
+    expect(Utils.getPlanInstalment({ planType: FIXED_UNITS, units: 61 }, holdings, 10)).toBeNull();
+  });
+
+  test('draws the gain over the amount invested, and nothing at a loss', () => {
+    expect(Utils.getPlanInstalment({ planType: CAPITAL_APPRECIATION }, holdings, 12.5)).toEqual({ amount: 250 });
+    expect(Utils.getPlanInstalment({ planType: CAPITAL_APPRECIATION }, holdings, 9)).toBeNull();
+  });
+});
+
+describe('plans due for execution', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // 20:00 UTC on the 9th is already 01:30 IST on the 10th
+  test('are those due on the IST date', async () => {
+    const query = jest.spyOn(database, 'query').mockResolvedValue({ rows: [] });
+    const asOf = new Date('2025-01-09T20:00:00.000Z');
+
+    await SIP.findDueForExecution(asOf);
+    await SWP.findDueForExecution(asOf);
+    expect(query.mock.calls.map(([, values]) => values[1])).toEqual(['2025-01-10', '2025-01-10']);
+  });
+});
+
+describe('SystematicPlan', () => {
+  const row = (extra = {}) => ({
+    id: 7, folio_id: 10, scheme_id: 2, customer_id: 5, plan_type: FIXED_AMOUNT, amount: '1000',
+    frequency: 'MONTHLY', start_date: '2025-01-10', status: 'ACTIVE', execution_count: '2', skipped_count: '0', ...extra
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Folio, 'getFolioWithHoldings').mockResolvedValue({
+      folio: { id: 10 }, scheme: { nav: 20 }, holdings: { totalUnits: 100, investedAmount: 1500 }
+    });
+    jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue({ freeUnits: 100 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reads each plan its own ID and columns', () => {
+    const stp = new STP(row({ stp_id: 'STP1', target_scheme_id: 4 }));
+    const swp = new SWP(row({ swp_id: 'SWP1' }));
+
+    expect(stp.toJSON()).toMatchObject({ stpId: 'STP1', targetSchemeId: 4, amount: 1000, executionCount: 2 });
+    expect(swp.toJSON()).toMatchObject({ swpId: 'SWP1', amount: 1000 });
+    expect(swp.toJSON()).not.toHaveProperty('targetSchemeId');
+  });
+
+  test('places a covered instalment and counts it executed', async () => {
+    const swp = new SWP(row({ swp_id: 'SWP1' }));
+    jest.spyOn(swp, 'placeInstalment').mockResolvedValue({ transactionId: 'TXN1' });
+    const update = jest.spyOn(swp, 'updateAfterExecution').mockResolvedValue(swp);
+
+    expect(await swp.execute(new Date('2025-03-10T06:00:00Z'))).toEqual({ transactionId: 'TXN1' });
+    expect(swp.placeInstalment).toHaveBeenCalledWith({ amount: 1000 }, expect.anything(), expect.any(Date));
+    expect(update).toHaveBeenCalledWith(true);
+  });
+
+  test('skips an instalment the holding cannot cover and ends the plan once the folio is empty', async () => {
+    Folio.getFolioWithHoldings.mockResolvedValue({ folio: { id: 10 }, scheme: { nav: 20 }, holdings: { totalUnits: 0 } });
+    Folio.getUnitBalance.mockResolvedValue({ freeUnits: 0 });
+    const swp = new SWP(row({ swp_id: 'SWP1' }));
+    const place = jest.spyOn(swp, 'placeInstalment');
+    const update = jest.spyOn(swp, 'updateAfterExecution').mockResolvedValue(swp);
+
+    expect(await swp.execute(new Date('2025-03-10T06:00:00Z'))).toBeNull();
+    expect(place).not.toHaveBeenCalled();
+    expect(update).toHaveBeenCalledWith(false, true);
+  });
+
+  test('skips an STP instalment whose switch is refused, but not on other errors', async () => {
+    const stp = new STP(row({ stp_id: 'STP1', target_scheme_id: 4 }));
+    const update = jest.spyOn(stp, 'updateAfterExecution').mockResolvedValue(stp);
+    jest.spyOn(SwitchService, 'createSwitch').mockRejectedValueOnce(Utils.validationError('Target scheme is closed'));
+
+    expect(await stp.execute(new Date('2025-03-10T06:00:00Z'))).toBeNull();
+    expect(update).toHaveBeenCalledWith(false);
+
+    SwitchService.createSwitch.mockRejectedValueOnce(new Error('connection lost'));
+    await expect(stp.execute(new Date('2025-03-10T06:00:00Z'))).rejects.toThrow('connection lost');
+  });
+
+  test('switches STP instalments in STP mode into the target scheme', async () => {
+    const stp = new STP(row({ stp_id: 'STP1', target_scheme_id: 4 }));
+    jest.spyOn(stp, 'updateAfterExecution').mockResolvedValue(stp);
+    jest.spyOn(SwitchService, 'createSwitch').mockResolvedValue({ switchOut: { transactionId: 'TXN2' } });
+
+    expect(await stp.execute(new Date('2025-03-10T06:00:00Z'))).toEqual({ transactionId: 'TXN2' });
+    expect(SwitchService.createSwitch).toHaveBeenCalledWith(
+      { folioId: 10, targetSchemeId: 4, amount: 1000, transactionMode: config.transactionModes.STP },
+      expect.any(Date)
+    );
+  });
+});
+
+describe('SystematicPlanController', () => {
+  const respond = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = code => { res.statusCode = code; return res; };
+    res.json = body => { res.body = body; return res; };
+    return res;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses a lifecycle move the status does not allow', async () => {
+    const swp = new SWP({ id: 1, swp_id: 'SWP1', status: 'CANCELLED' });
+    jest.spyOn(SWP, 'findById').mockResolvedValue(swp);
+    const res = respond();
+
+    await SWPController.resume({ params: { id: 1 } }, res, error => { throw error; });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.error).toBe('Cannot resume an SWP that is CANCELLED');
+  });
+
+  test('gives 404 for an unknown plan', async () => {
+    jest.spyOn(SWP, 'findById').mockResolvedValue(null);
+    const res = respond();
+
+    await SWPController.get({ params: { id: 99 } }, res, error => { throw error; });
+    expect(res.statusCode).toBe(404);
+    expect(res.body.error).toBe('SWP not found');
+  });
+});
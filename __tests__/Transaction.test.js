@@ -0,0 +1,200 @@
+const database = require('../src/config/database');
+const config = require('../src/config');
+const Transaction = require('../src/models/Transaction');
+const Scheme = require('../src/models/Scheme');
+const Folio = require('../src/models/Folio');
+const ApplicableNAVService = require('../src/services/ApplicableNAVService');
+const ExitLoadService = require('../src/services/ExitLoadService');
+
+const processDate = new Date('2025-01-08T12:00:00.000Z');
+const client = { query: jest.fn() };
+
+const transaction = (extra = {}) => new Transaction({
+  id: 1, transaction_id: 'TXN1', folio_id: 10, scheme_id: 2, customer_id: 5,
+  transaction_type: config.transactionTypes.PURCHASE, transaction_mode: config.transactionModes.LUMPSUM,
+  amount: '10000', transaction_date: '2025-01-08T05:00:00.000Z', status: config.statuses.transaction.SUBMITTED, ...extra
+});
+
+describe('Transaction.process', () => {
+  beforeEach(() => {
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+    jest.spyOn(Scheme, 'findById').mockResolvedValue({ id: 2, category: 'Equity', subCategory: 'Large Cap' });
+    jest.spyOn(ApplicableNAVService, 'getApplicableNAV').mockResolvedValue({ navDate: '2025-01-08', nav: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('waits while the applicable NAV is unpublished', async () => {
+    ApplicableNAVService.getApplicableNAV.mockResolvedValue(null);
+    const allot = jest.spyOn(Transaction.prototype, 'allot');
+
+    expect(await transaction().process(processDate)).toBeNull();
+    expect(allot).not.toHaveBeenCalled();
+    expect(database.transaction).not.toHaveBeenCalled();
+  });
+
+  test('allots a purchase and its lot in one database transaction', async () => {
+    const allot = jest.spyOn(Transaction.prototype, 'allot').mockResolvedValue('allotted');
+
+    expect(await transaction().process(processDate)).toBe('allotted');
+    expect(database.transaction).toHaveBeenCalledTimes(1);
+    expect(allot).toHaveBeenCalledWith({ navDate: '2025-01-08', nav: 20 }, expect.any(Object), processDate, client);
+  });
+
+  test('allots purchase units on the amount net of stamp duty', async () => {
+    const allot = jest.spyOn(Transaction.prototype, 'allot').mockResolvedValue('allotted');
+
+    await transaction().process(processDate);
+    expect(allot.mock.calls[0][1]).toEqual({ amount: 10000, units: 499.975, stampDuty: 0.5 });
+  });
+
+  test('reads the balance and allots a redemption on the same client', async () => {
+    const balance = jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue({ totalUnits: 100, freeUnits: 100, lockedUnits: 0, pledgedUnits: 0 });
+    jest.spyOn(ExitLoadService, 'calculate').mockResolvedValue({ exitLoadAmount: 0 });
+    const allot = jest.spyOn(Transaction.prototype, 'allot').mockResolvedValue('allotted');
+
+    await transaction({ transaction_type: config.transactionTypes.REDEMPTION, amount: '0', units: '50' }).process(processDate);
+    expect(balance).toHaveBeenCalledWith(10, 2, processDate, client);
+    expect(allot).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ units: 50, amount: 1000 }), processDate, client);
+  });
+});
+
+describe('Transaction redemptions', () => {
+  const redemption = extra => transaction({ transaction_type: config.transactionTypes.REDEMPTION, amount: '0', ...extra });
+  const balance = { totalUnits: 100, freeUnits: 60, lockedUnits: 30, pledgedUnits: 10 };
+
+  beforeEach(() => {
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+    jest.spyOn(Scheme, 'findById').mockResolvedValue({ id: 2, category: 'Equity', subCategory: 'Large Cap' });
+    jest.spyOn(ApplicableNAVService, 'getApplicableNAV').mockResolvedValue({ navDate: '2025-01-08', nav: 20 });
+    jest.spyOn(Folio, 'getUnitBalance').mockResolvedValue(balance);
+    jest.spyOn(ExitLoadService, 'calculate').mockResolvedValue({ exitLoadAmount: 0 });
+    jest.spyOn(Transaction.prototype, 'allot').mockResolvedValue('allotted');
+    jest.spyOn(Transaction.prototype, 'reject').mockResolvedValue('rejected');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('describe what keeps units from being redeemed', () => {
+    expect(Transaction.describeShortfall(10, { ...balance, totalUnits: 0 })).toBe('Insufficient units: no units held');
+    expect(Transaction.describeShortfall(61, balance)).toBe('Insufficient free units: 61 requested, 60 free (30 locked in, 10 pledged)');
+    expect(Transaction.describeShortfall(60, balance)).toBeNull();
+  });
+
+  test('are rejected when the free units fall short', async () => {
+    await redemption({ units: '61' }).process(processDate);
+
+    expect(Transaction.prototype.reject).toHaveBeenCalledWith(
+      'Insufficient free units: 61 requested, 60 free (30 locked in, 10 pledged)', null, processDate, client
+    );
+    expect(Transaction.prototype.allot).not.toHaveBeenCalled();
+  });
+
+  test('by amount count the units at the applicable NAV', async () => {
+    await redemption({ amount: '1300' }).process(processDate);
+
+    expect(Transaction.prototype.reject).toHaveBeenCalledWith(expect.stringMatching(/^Insufficient free units: 65 requested/), null, processDate, client);
+  });
+
+  test('of all units take every free unit at the NAV', async () => {
+    await redemption({ all_units: true }).process(processDate);
+
+    expect(Transaction.prototype.allot).toHaveBeenCalledWith(
+      expect.any(Object), expect.objectContaining({ units: 60, amount: 1200 }), processDate, client
+    );
+  });
+});
+
+describe('Transaction.getTransactionHistory', () => {
+  const asOf = new Date('2025-01-08T12:00:00.000Z');
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts switches and dividends as flows when bucketing transactions', async () => {
+    const query = jest.spyOn(database, 'query').mockResolvedValue({
+      rows: [{ bucket: '2025-01-08', transactions: '3', inflow_transactions: '2', outflow_transactions: '1', gross_inflows: '1500', gross_outflows: '400.5' }]
+    });
+
+    const history = await Transaction.getTransactionHistory({ schemeId: 2 }, asOf);
+    const values = query.mock.calls[0][1];
+    expect(values).toContainEqual(['PURCHASE', 'SWITCH_IN']);
+    expect(values).toContainEqual(['REDEMPTION', 'SWITCH_OUT', 'DIVIDEND']);
+    expect(history.source).toBe('transactions');
+    expect(history.totals).toEqual({ transactions: 3, grossInflows: 1500, grossOutflows: 400.5, netFlows: 1099.5 });
+  });
+
+  test('reads unfiltered day buckets from the daily aggregate', async () => {
+    const query = jest.spyOn(database, 'query').mockResolvedValue({ rows: [] });
+
+    expect((await Transaction.getTransactionHistory({}, asOf)).source).toBe('daily_metrics');
+    expect(query.mock.calls[0][0]).toContain('FROM daily_metrics');
+  });
+});
+
+describe('Transaction.create KYC gating', () => {
+  const kycClient = { query: jest.fn() };
+  const purchase = (extra = {}) => ({
+    transactionId: 'TXN2', folioId: 10, schemeId: 2, customerId: 5,
+    transactionType: config.transactionTypes.PURCHASE, transactionMode: config.transactionModes.LUMPSUM,
+    amount: 5000, transactionDate: processDate, ...extra
+  });
+  // The INSERT's status, cams_status and remarks values
+  const inserted = () => {
+    const values = kycClient.query.mock.calls[kycClient.query.mock.calls.length - 1][1];
+    return { status: values[11], camsStatus: values[12], remarks: values[16] };
+  };
+
+  beforeEach(() => {
+    kycClient.query.mockReset();
+  });
+
+  const withKYC = (kycStatus) => {
+    kycClient.query
+      .mockResolvedValueOnce({ rows: kycStatus ? [{ kyc_status: kycStatus }] : [] })
+      .mockResolvedValueOnce({ rows: [{ transaction_id: 'TXN2', amount: '5000' }] });
+  };
+
+  test('places a purchase by a verified investor as submitted', async () => {
+    withKYC(config.statuses.kyc.VERIFIED);
+
+    await Transaction.create(purchase(), kycClient);
+    expect(inserted()).toEqual({ status: 'SUBMITTED', camsStatus: config.statuses.cams.PENDING, remarks: null });
+  });
+
+  test.each(['PENDING', 'SUBMITTED', 'ON_HOLD'])('holds a purchase while KYC is %s', async (kycStatus) => {
+    withKYC(kycStatus);
+
+    await Transaction.create(purchase({ remarks: 'Lumpsum' }), kycClient);
+    expect(inserted()).toEqual({
+      status: 'SUBMITTED',
+      camsStatus: config.statuses.cams.HELD,
+      remarks: `Lumpsum; Held until KYC is verified (KYC ${kycStatus})`
+    });
+  });
+
+  test.each([
+    ['REJECTED', 'KYC rejected'],
+    ['EXPIRED', 'KYC expired'],
+    [null, 'KYC not found']
+  ])('rejects a purchase when KYC is %s', async (kycStatus, reason) => {
+    withKYC(kycStatus);
+
+    await Transaction.create(purchase(), kycClient);
+    expect(inserted()).toEqual({ status: 'REJECTED', camsStatus: config.statuses.cams.REJECTED, remarks: reason });
+  });
+
+  test('does not check KYC for dividend reinvestments or redemptions', async () => {
+    kycClient.query.mockResolvedValue({ rows: [{ transaction_id: 'TXN2', amount: '5000' }] });
+
+    await Transaction.create(purchase({ transactionMode: config.transactionModes.DIVIDEND }), kycClient);
+    await Transaction.create(purchase({ transactionType: config.transactionTypes.REDEMPTION, units: 10 }), kycClient);
+    expect(kycClient.query).toHaveBeenCalledTimes(2);
+    expect(kycClient.query.mock.calls.every(([sql]) => sql.includes('INSERT INTO transactions'))).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+const database = require('../src/config/database');
+const Customer = require('../src/models/Customer');
+const HoldingValuation = require('../src/models/HoldingValuation');
+const ValuationService = require('../src/services/ValuationService');
+
+const asOf = new Date('2025-01-20T17:00:00.000Z');
+const client = { query: jest.fn() };
+
+describe('ValuationService', () => {
+  beforeEach(() => {
+    jest.spyOn(database, 'transaction').mockImplementation(callback => callback(client));
+    jest.spyOn(HoldingValuation, 'replaceForDate').mockResolvedValue(3);
+    jest.spyOn(HoldingValuation, 'refreshAggregates').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('recordValuations', () => {
+    test('does nothing before the first allotment', async () => {
+      jest.spyOn(HoldingValuation, 'findNextDate').mockResolvedValue(null);
+
+      expect(await ValuationService.recordValuations(asOf)).toEqual({ from: null, to: '2025-01-20', days: 0, valuations: 0 });
+      expect(HoldingValuation.replaceForDate).not.toHaveBeenCalled();
+    });
+
+    test('values the last week again when it is up to date', async () => {
+      jest.spyOn(HoldingValuation, 'findNextDate').mockResolvedValue('2025-01-20');
+      jest.spyOn(HoldingValuation, 'findNAVDates').mockResolvedValue(['2025-01-14', '2025-01-17']);
+
+      expect(await ValuationService.recordValuations(asOf)).toEqual({ from: '2025-01-13', to: '2025-01-20', days: 2, valuations: 6 });
+      expect(HoldingValuation.findNAVDates).toHaveBeenCalledWith('2025-01-13', '2025-01-20');
+      expect(HoldingValuation.replaceForDate.mock.calls).toEqual([['2025-01-14', client], ['2025-01-17', client]]);
+      expect(HoldingValuation.refreshAggregates).toHaveBeenCalledWith('2025-01-14', '2025-01-17');
+    });
+
+    test('backfills from the day after the last snapshot', async () => {
+      jest.spyOn(HoldingValuation, 'findNextDate').mockResolvedValue('2025-01-02');
+      jest.spyOn(HoldingValuation, 'findNAVDates').mockResolvedValue([]);
+
+      expect(await ValuationService.recordValuations(asOf)).toMatchObject({ from: '2025-01-02', days: 0 });
+      expect(HoldingValuation.refreshAggregates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getCustomerValuations', () => {
+    test('gives the last 30 days with the holdings on the latest date', async () => {
+      jest.spyOn(Customer, 'findById').mockResolvedValue(new Customer({ id: 5, first_name: 'Asha', last_name: 'Rao', pan_number: 'ABCDE1234F' }));
+      jest.spyOn(HoldingValuation, 'findCustomerSeries').mockResolvedValue([
+        { date: '2025-01-16', marketValue: 1000 },
+        { date: '2025-01-17', marketValue: 1010 }
+      ]);
+      jest.spyOn(HoldingValuation, 'findByCustomerAndDate').mockResolvedValue([{ folioId: 10 }]);
+
+      const valuations = await ValuationService.getCustomerValuations(5, {}, asOf);
+      expect(HoldingValuation.findCustomerSeries).toHaveBeenCalledWith(5, '2024-12-21', '2025-01-20');
+      expect(valuations.latest).toEqual({ date: '2025-01-17', marketValue: 1010, holdings: [{ folioId: 10 }] });
+    });
+
+    test('refuses a period that ends before it starts', async () => {
+      await expect(ValuationService.getCustomerValuations(5, { from: '2025-01-10', to: '2025-01-01' }, asOf))
+        .rejects.toThrow('from must not be after to');
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const Analytics = require('../src/utils/analytics');
+
+// Net present value of dated flows at an annual rate, on the same 365-day year
+const npv = (flows, rate) => flows.reduce((sum, flow) =>
+  sum + flow.amount / Math.pow(1 + rate, Analytics.yearsBetween(flows[0].date, flow.date)), 0);
+
+describe('Analytics.xirr', () => {
+  test('returns the annual rate of a single investment held a year', () => {
+    expect(Analytics.xirr([
+      { date: '2023-01-01', amount: -10000 },
+      { date: '2024-01-01', amount: 11000 }
+    ])).toBeCloseTo(0.1, 6);
+  });
+
+  test('annualises over the days actually held', () => {
+    // 2024 is a leap year, so the gain took 366 days
+    expect(Analytics.xirr([
+      { date: '2024-01-01', amount: -10000 },
+      { date: '2025-01-01', amount: 11000 }
+    ])).toBeCloseTo(Math.pow(1.1, 365 / 366) - 1, 6);
+  });
+
+  test('returns a negative rate for a loss', () => {
+    expect(Analytics.xirr([
+      { date: '2023-01-01', amount: -10000 },
+      { date: '2024-01-01', amount: 8000 }
+    ])).toBeCloseTo(-0.2, 6);
+  });
+
+  test('finds the rate that discounts a SIP and its redemption to nothing', () => {
+    const flows = [
+      { date: '2024-01-10', amount: -5000 },
+      { date: '2024-02-12', amount: -5000 },
+      { date: '2024-03-11', amount: -5000 },
+      { date: '2024-04-10', amount: -5000 },
+      { date: '2024-12-31', amount: 22000 }
+    ];
+    const rate = Analytics.xirr(flows);
+
+    expect(rate).toBeGreaterThan(0);
+    expect(npv(flows, rate)).toBeCloseTo(0, 4);
+  });
+
+  test('does not depend on the order of the flows', () => {
+    const flows = [
+      { date: '2024-01-10', amount: -5000 },
+      { date: '2024-06-10', amount: -5000 },
+      { date: '2025-01-10', amount: 11500 }
+    ];
+
+    expect(Analytics.xirr([...flows].reverse())).toBeCloseTo(Analytics.xirr(flows), 9);
+  });
+
+  test('ignores zero flows', () => {
+    expect(Analytics.xirr([
+      { date: '2023-01-01', amount: -10000 },
+      { date: '2023-06-01', amount: 0 },
+      { date: '2024-01-01', amount: 11000 }
+    ])).toBeCloseTo(0.1, 6);
+  });
+
+  test('returns null without money both paid in and received', () => {
+    expect(Analytics.xirr([])).toBeNull();
+    expect(Analytics.xirr([
+      { date: '2023-01-01', amount: -10000 },
+      { date: '2023-06-01', amount: -5000 }
+    ])).toBeNull();
+    expect(Analytics.xirr([
+      { date: '2023-01-01', amount: 0 },
+      { date: '2024-01-01', amount: 11000 }
+    ])).toBeNull();
+  });
+});
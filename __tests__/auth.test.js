@@ -0,0 +1,127 @@
+const config = require('../src/config');
+const { authorize, hasPermission, owns, owners } = require('../src/middleware/auth');
+const Folio = require('../src/models/Folio');
+const Transaction = require('../src/models/Transaction');
+
+const { ADMIN, OPERATIONS, DISTRIBUTOR, INVESTOR, READONLY } = config.userRoles;
+
+const user = (role, claims = {}) => ({
+  id: 1, username: `${role.toLowerCase()}1`, role, customerId: null, distributorId: null, ...claims
+});
+
+// Runs a request through authorize() and gives the status it was refused
+// with, or null if it was let through
+const check = async (middleware, req) => {
+  let status = null;
+  const res = { status: code => { status = code; return { json: () => {} }; } };
+  let error = null;
+  await middleware(req, res, err => { error = err || null; });
+  if (error) throw error;
+  return status;
+};
+
+// Folio 10 belongs to customer 5, sold by distributor 3; folio 11 to customer 6, direct
+const folios = {
+  10: { id: 10, customerId: 5, distributorId: 3 },
+  11: { id: 11, customerId: 6, distributorId: null }
+};
+
+beforeEach(() => {
+  jest.spyOn(Folio, 'findById').mockImplementation(async id => folios[id] || null);
+  jest.spyOn(Folio, 'findDistributorIds').mockImplementation(async customerId => (String(customerId) === '5' ? [3] : []));
+  jest.spyOn(Transaction, 'findById').mockImplementation(async id => (String(id) === '100' ? { id: 100, folioId: 10 } : null));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hasPermission', () => {
+  test('grants admins everything', () => {
+    expect(hasPermission(ADMIN, 'users:manage')).toBe(true);
+  });
+
+  test('keeps processing from distributors and writes from read-only users', () => {
+    expect(hasPermission(OPERATIONS, 'transactions:process')).toBe(true);
+    expect(hasPermission(DISTRIBUTOR, 'transactions:process')).toBe(false);
+    expect(hasPermission(READONLY, 'customers:update')).toBe(false);
+  });
+
+  test('gives distributors and investors no lists across customers', () => {
+    for (const role of [DISTRIBUTOR, INVESTOR]) {
+      for (const permission of ['customers:list', 'folios:list', 'transactions:list', 'plans:list', 'customers:create']) {
+        expect(hasPermission(role, permission)).toBe(false);
+      }
+    }
+  });
+
+  test('refuses unknown roles', () => {
+    expect(hasPermission('NOBODY', 'schemes:read')).toBe(false);
+  });
+});
+
+describe('owns', () => {
+  test('matches one ID or any of several', () => {
+    expect(owns({ distributorId: 3 }, user(DISTRIBUTOR, { distributorId: 3 }), 'distributorId')).toBe(true);
+    expect(owns({ distributorId: [2, '3'] }, user(DISTRIBUTOR, { distributorId: 3 }), 'distributorId')).toBe(true);
+    expect(owns({ distributorId: [2] }, user(DISTRIBUTOR, { distributorId: 3 }), 'distributorId')).toBe(false);
+  });
+
+  test('never matches a missing owner or an unset claim', () => {
+    expect(owns(null, user(INVESTOR, { customerId: 5 }), 'customerId')).toBe(false);
+    expect(owns({ distributorId: null }, user(DISTRIBUTOR), 'distributorId')).toBe(false);
+  });
+});
+
+describe('authorize', () => {
+  test('refuses a permission the role lacks', async () => {
+    const status = await check(authorize('transactions:process'), { user: user(INVESTOR, { customerId: 5 }), params: { id: 100 } });
+    expect(status).toBe(403);
+  });
+
+  test('lets unscoped roles through without resolving an owner', async () => {
+    expect(await check(authorize('folios:read', owners.folio()), { user: user(OPERATIONS), params: { id: 11 } })).toBeNull();
+    expect(Folio.findById).not.toHaveBeenCalled();
+  });
+
+  test('lets investors reach only their own folios', async () => {
+    const investor = user(INVESTOR, { customerId: 5 });
+    expect(await check(authorize('folios:read', owners.folio()), { user: investor, params: { id: 10 } })).toBeNull();
+    expect(await check(authorize('folios:read', owners.folio()), { user: investor, params: { id: 11 } })).toBe(403);
+  });
+
+  test('lets distributors reach folios sold under their ARN and nothing else', async () => {
+    const distributor = user(DISTRIBUTOR, { distributorId: 3 });
+    expect(await check(authorize('folios:read', owners.folio()), { user: distributor, params: { id: 10 } })).toBeNull();
+    expect(await check(authorize('folios:update', owners.folio()), { user: distributor, params: { id: 11 } })).toBe(403);
+    expect(await check(authorize('folios:read', owners.folio()), { user: distributor, params: { id: 99 } })).toBe(403);
+  });
+
+  test('resolves transactions to their folio', async () => {
+    const distributor = user(DISTRIBUTOR, { distributorId: 3 });
+    expect(await check(authorize('transactions:read', owners.transaction), { user: distributor, params: { id: 100 } })).toBeNull();
+    expect(await check(authorize('transactions:read', owners.transaction), { user: user(DISTRIBUTOR, { distributorId: 4 }), params: { id: 100 } })).toBe(403);
+  });
+
+  test('lets distributors reach customers holding one of their folios', async () => {
+    const distributor = user(DISTRIBUTOR, { distributorId: 3 });
+    expect(await check(authorize('customers:read', owners.customer()), { user: distributor, params: { id: '5' } })).toBeNull();
+    expect(await check(authorize('customers:update', owners.customer()), { user: distributor, params: { id: '6' } })).toBe(403);
+  });
+
+  test('lets distributors open folios only under their own ARN', async () => {
+    const distributor = user(DISTRIBUTOR, { distributorId: 3 });
+    expect(await check(authorize('folios:create', owners.newFolio), { user: distributor, body: { customerId: 6 } })).toBeNull();
+    expect(await check(authorize('folios:create', owners.newFolio), { user: distributor, body: { customerId: 6, distributorId: 4 } })).toBe(403);
+  });
+
+  test('closes routes without an owner to scoped roles', async () => {
+    expect(await check(authorize('customers:read'), { user: user(INVESTOR, { customerId: 5 }), params: {} })).toBe(403);
+  });
+
+  test('keeps distributors to their own distributor record', async () => {
+    const distributor = user(DISTRIBUTOR, { distributorId: 3 });
+    expect(await check(authorize('distributors:read', owners.distributor()), { user: distributor, params: { id: '3' } })).toBeNull();
+    expect(await check(authorize('distributors:read', owners.distributor()), { user: distributor, params: { id: '4' } })).toBe(403);
+  });
+});
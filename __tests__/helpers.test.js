@@ -0,0 +1,53 @@
+const Utils = require('../src/utils/helpers');
+
+describe('Utils.round', () => {
+  test('rounds to the given decimal places', () => {
+    expect(Utils.round(1234.5678, 2)).toBe(1234.57);
+    expect(Utils.round(0.1234567, 6)).toBe(0.123457);
+  });
+});
+
+describe('Utils.validationError', () => {
+  test('is an error the error handler answers with 400', () => {
+    const error = Utils.validationError('Folio is not active');
+    expect(error).toBeInstanceOf(Error);
+    expect(error.name).toBe('ValidationError');
+    expect(error.message).toBe('Folio is not active');
+  });
+});
+
+describe('Utils.redactBody', () => {
+  test('masks a password and leaves the rest', () => {
+    expect(Utils.redactBody({ username: 'admin', password: 'secret' }))
+      .toEqual({ username: 'admin', password: '[REDACTED]' });
+    expect(Utils.redactBody({ folioId: 1 })).toEqual({ folioId: 1 });
+  });
+});
+
+describe('identifiers', () => {
+  test('do not draw from the seeded stream', () => {
+    Utils.setSeed(42);
+    const expected = [Utils.random(), Utils.random()];
+
+    Utils.setSeed(42);
+    const date = new Date(2025, 0, 8);
+    const ids = [
+      Utils.generateTransactionId(date), Utils.generateSipId(date), Utils.generateStpId(date),
+      Utils.generateSwpId(date), Utils.generateCamsReference(date), Utils.generateFolioNumber(7)
+    ];
+    expect([Utils.random(), Utils.random()]).toEqual(expected);
+
+    expect(ids[0]).toMatch(/^TXN20250108\d{10}$/);
+    expect(ids[1]).toMatch(/^SIP20250108\d{7}$/);
+    expect(ids[4]).toMatch(/^CAMS\d+\d{3}$/);
+    expect(ids[5]).toMatch(/^\d{8}\/07$/);
+  });
+
+  test('differ when a seed is replayed', () => {
+    Utils.setSeed(42);
+    const first = Utils.generateTransactionId();
+    Utils.setSeed(42);
+
+    expect(Utils.generateTransactionId()).not.toBe(first);
+  });
+});
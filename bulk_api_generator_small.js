@@ -14,6 +14,23 @@ class BulkAPIGeneratorSmall {
       transactions: 0
     };
     this.startTime = null;
+    this.token = null;
+  }
+
+  // Sign in as the admin user for an API access token
+  async login() {
+    if (!process.env.ADMIN_PASSWORD) {
+      throw new Error('Set ADMIN_PASSWORD to the admin user\'s password');
+    }
+    const response = await axios.post(`${this.baseURL}/auth/login`, {
+      username: process.env.ADMIN_USERNAME || 'admin',
+      password: process.env.ADMIN_PASSWORD
+    });
+    this.token = response.data.data.token;
+  }
+
+  authHeaders() {
+    return this.token ? { Authorization: `Bearer ${this.token}` } : {};
   }
 
   async makeRequest(endpoint, data) {
@@ -21,7 +38,8 @@ class BulkAPIGeneratorSmall {
       const response = await axios.post(`${this.baseURL}${endpoint}`, data, {
         timeout: 30000, // 30 second timeout
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          ...this.authHeaders()
         }
       });
       return response.data;
@@ -51,7 +69,7 @@ class BulkAPIGeneratorSmall {
 
   async getSimulationStatus() {
     try {
-      const response = await axios.get(`${this.baseURL}/simulation/status`);
+      const response = await axios.get(`${this.baseURL}/simulation/status`, { headers: this.authHeaders() });
       const stats = response.data.data.stats;
       return {
         customersCreated: stats.sessionStats.customersCreated,
@@ -171,6 +189,8 @@ class BulkAPIGeneratorSmall {
     this.startTime = Date.now();
     
     try {
+      await this.login();
+
       // Check initial status
       console.log('\n📊 Checking initial simulation status...');
       const initialStatus = await this.getSimulationStatus();
@@ -21,8 +21,12 @@ CREATE TABLE customers (
     phone VARCHAR(15),
     date_of_birth DATE,
     address TEXT,
-    kyc_status VARCHAR(20) DEFAULT 'PENDING',
+    kyc_status VARCHAR(20) DEFAULT 'PENDING', -- PENDING, SUBMITTED, VERIFIED, REJECTED, ON_HOLD, EXPIRED
+    kra_code VARCHAR(10), -- KRA holding the investor's KYC record
+    kyc_verified_at TIMESTAMP,
+    kyc_expires_on DATE, -- re-KYC due from this date
     risk_profile VARCHAR(20) DEFAULT 'MODERATE',
+    residential_status VARCHAR(10) DEFAULT 'RESIDENT', -- RESIDENT, NRI (TDS on redemption gains)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -30,7 +34,7 @@ CREATE TABLE customers (
 -- Schemes table
 CREATE TABLE schemes (
     id SERIAL PRIMARY KEY,
-    scheme_code VARCHAR(10) UNIQUE NOT NULL,
+    scheme_code VARCHAR(12) UNIQUE NOT NULL,
     scheme_name VARCHAR(255) NOT NULL,
     amc_code VARCHAR(10) NOT NULL,
     category VARCHAR(50) NOT NULL,
@@ -38,10 +42,31 @@ CREATE TABLE schemes (
     nav DECIMAL(10,4) DEFAULT 10.0000,
     minimum_investment DECIMAL(12,2) DEFAULT 1000.00,
     minimum_sip DECIMAL(12,2) DEFAULT 500.00,
-    exit_load DECIMAL(5,2) DEFAULT 0.00,
+    exit_load DECIMAL(7,4) DEFAULT 0.00,
     expense_ratio DECIMAL(5,2) DEFAULT 1.50,
     is_active BOOLEAN DEFAULT true,
     launch_date DATE DEFAULT CURRENT_DATE,
+    nav_model JSONB, -- Stochastic NAV model override (GBM, GARCH, JUMP_DIFFUSION, FACTOR)
+    -- Plan-options (Direct/Regular x Growth/IDCW) are schemes of their own under the
+    -- parent scheme, the portfolio, with their own TER and NAV series
+    parent_scheme_id INTEGER REFERENCES schemes(id),
+    plan VARCHAR(10), -- DIRECT, REGULAR
+    plan_option VARCHAR(10), -- GROWTH, IDCW
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (parent_scheme_id, plan, plan_option)
+);
+
+-- Distributors (AMFI-registered ARN holders) who sell regular plans and earn commission
+CREATE TABLE distributors (
+    id SERIAL PRIMARY KEY,
+    arn_code VARCHAR(15) UNIQUE NOT NULL, -- AMFI Registration Number, e.g. ARN-104521
+    name VARCHAR(255) NOT NULL,
+    category VARCHAR(20) NOT NULL DEFAULT 'IFA', -- BANK, NATIONAL, BROKER, ONLINE, IFA
+    euin VARCHAR(10), -- Employee Unique Identification Number of the default sales person
+    email VARCHAR(255),
+    phone VARCHAR(15),
+    is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -56,6 +81,10 @@ CREATE TABLE folios (
     nomination_registered BOOLEAN DEFAULT false,
     joint_holder_1 VARCHAR(100),
     joint_holder_2 VARCHAR(100),
+    dividend_option VARCHAR(20) DEFAULT 'GROWTH', -- GROWTH, IDCW_PAYOUT, IDCW_REINVEST
+    plan VARCHAR(10) DEFAULT 'DIRECT', -- DIRECT, or REGULAR when sold through a distributor
+    distributor_id INTEGER REFERENCES distributors(id), -- broker of record, earns the trail
+    euin VARCHAR(10),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -76,14 +105,25 @@ CREATE TABLE transactions (
     amount DECIMAL(15,2) NOT NULL,
     units DECIMAL(15,6) DEFAULT 0,
     nav DECIMAL(10,4),
+    nav_date DATE, -- applicable NAV date under the SEBI cut-off rules
     transaction_date TIMESTAMP NOT NULL,
+    funds_realised_at TIMESTAMP, -- purchases: when the payment was realised
     process_date TIMESTAMP,
     settlement_date TIMESTAMP,
     status VARCHAR(20) DEFAULT 'SUBMITTED', -- SUBMITTED, PROCESSED, REJECTED, CANCELLED
-    cams_status VARCHAR(20) DEFAULT 'PENDING', -- PENDING, PROCESSED, REJECTED, FAILED
+    cams_status VARCHAR(20) DEFAULT 'PENDING', -- PENDING, SENT, PROCESSED, REJECTED, FAILED, HELD
+    released_at TIMESTAMP, -- purchases held for KYC: when it was verified
     cams_processed_date TIMESTAMP,
     cams_reference_number VARCHAR(50),
     source_scheme_id INTEGER REFERENCES schemes(id), -- For STP/Switch transactions
+    linked_transaction_id VARCHAR(30), -- the other leg of a switch
+    exit_load_amount DECIMAL(15,2) DEFAULT 0, -- deducted from the redemption value
+    stamp_duty DECIMAL(15,2) DEFAULT 0, -- deducted from the purchase amount before allotment
+    stt_amount DECIMAL(15,2) DEFAULT 0, -- securities transaction tax on equity-oriented outflows
+    tds_amount DECIMAL(15,2) DEFAULT 0, -- tax deducted at source on NRI capital gains
+    all_units BOOLEAN DEFAULT false, -- redeem every free unit, counted at allotment
+    distributor_id INTEGER REFERENCES distributors(id), -- ARN quoted on the order, from the folio
+    euin VARCHAR(10),
     remarks TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -108,6 +148,22 @@ CREATE TABLE nav_history (
 -- Convert nav_history to hypertable
 SELECT create_hypertable('nav_history', 'nav_date');
 
+-- Daily valuation of every holding at the day's published NAV (TimescaleDB hypertable)
+CREATE TABLE holdings_valuation (
+    valuation_date DATE NOT NULL,
+    folio_id INTEGER NOT NULL REFERENCES folios(id),
+    scheme_id INTEGER NOT NULL REFERENCES schemes(id),
+    customer_id INTEGER NOT NULL REFERENCES customers(id),
+    units DECIMAL(15,6) NOT NULL, -- processed units allotted on or before the valuation date
+    nav DECIMAL(10,4) NOT NULL,
+    market_value DECIMAL(15,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (folio_id, valuation_date)
+);
+
+-- Convert holdings_valuation to hypertable
+SELECT create_hypertable('holdings_valuation', 'valuation_date');
+
 -- SIP registrations table
 CREATE TABLE sip_registrations (
     id SERIAL PRIMARY KEY,
@@ -127,6 +183,51 @@ CREATE TABLE sip_registrations (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Systematic transfer plans (periodic switches from one scheme to another)
+CREATE TABLE stp_registrations (
+    id SERIAL PRIMARY KEY,
+    stp_id VARCHAR(20) UNIQUE NOT NULL,
+    customer_id INTEGER REFERENCES customers(id),
+    folio_id INTEGER REFERENCES folios(id), -- source folio
+    scheme_id INTEGER REFERENCES schemes(id), -- source scheme
+    target_scheme_id INTEGER REFERENCES schemes(id),
+    plan_type VARCHAR(30) NOT NULL DEFAULT 'FIXED_AMOUNT', -- FIXED_AMOUNT, FIXED_UNITS, CAPITAL_APPRECIATION
+    amount DECIMAL(12,2), -- FIXED_AMOUNT
+    units DECIMAL(15,6), -- FIXED_UNITS
+    frequency VARCHAR(20) NOT NULL, -- MONTHLY, QUARTERLY, YEARLY
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_execution_date DATE,
+    status VARCHAR(20) DEFAULT 'ACTIVE', -- ACTIVE, PAUSED, CANCELLED, COMPLETED
+    execution_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0, -- instalments with nothing to transfer
+    max_executions INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Systematic withdrawal plans (periodic redemptions)
+CREATE TABLE swp_registrations (
+    id SERIAL PRIMARY KEY,
+    swp_id VARCHAR(20) UNIQUE NOT NULL,
+    customer_id INTEGER REFERENCES customers(id),
+    folio_id INTEGER REFERENCES folios(id),
+    scheme_id INTEGER REFERENCES schemes(id),
+    plan_type VARCHAR(30) NOT NULL DEFAULT 'FIXED_AMOUNT', -- FIXED_AMOUNT, FIXED_UNITS, CAPITAL_APPRECIATION
+    amount DECIMAL(12,2), -- FIXED_AMOUNT
+    units DECIMAL(15,6), -- FIXED_UNITS
+    frequency VARCHAR(20) NOT NULL, -- MONTHLY, QUARTERLY, YEARLY
+    start_date DATE NOT NULL,
+    end_date DATE,
+    next_execution_date DATE,
+    status VARCHAR(20) DEFAULT 'ACTIVE', -- ACTIVE, PAUSED, CANCELLED, COMPLETED
+    execution_count INTEGER DEFAULT 0,
+    skipped_count INTEGER DEFAULT 0, -- instalments with nothing to withdraw
+    max_executions INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Holdings table
 CREATE TABLE holdings (
     id SERIAL PRIMARY KEY,
@@ -134,6 +235,7 @@ CREATE TABLE holdings (
     scheme_id INTEGER REFERENCES schemes(id),
     customer_id INTEGER REFERENCES customers(id),
     total_units DECIMAL(15,6) DEFAULT 0,
+    pledged_units DECIMAL(15,6) DEFAULT 0, -- marked as lien, e.g. against a loan
     current_value DECIMAL(15,2) DEFAULT 0,
     invested_amount DECIMAL(15,2) DEFAULT 0,
     last_transaction_date TIMESTAMP,
@@ -142,6 +244,203 @@ CREATE TABLE holdings (
     UNIQUE(folio_id, scheme_id)
 );
 
+-- Exit load structures. A lot is charged under the structure in effect on its
+-- allotment date, so a change only applies to units bought from effective_from.
+CREATE TABLE exit_load_structures (
+    id SERIAL PRIMARY KEY,
+    scheme_id INTEGER REFERENCES schemes(id),
+    effective_from DATE NOT NULL,
+    tiers JSONB NOT NULL DEFAULT '[]', -- [{ "withinDays": 365, "rate": 1.0 }, ...] by days since allotment
+    free_units_percent DECIMAL(5,2) DEFAULT 0, -- load-free share of each lot's units per year held
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme_id, effective_from)
+);
+
+-- Distributor commission rates by scheme from an effective date, in percent:
+-- trail a year on the market value held, upfront once on each purchase
+CREATE TABLE commission_structures (
+    id SERIAL PRIMARY KEY,
+    scheme_id INTEGER REFERENCES schemes(id),
+    effective_from DATE NOT NULL,
+    trail_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    upfront_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme_id, effective_from)
+);
+
+-- Daily commission accrued to distributors (TimescaleDB hypertable): trail on
+-- each regular-plan holding every calendar day, upfront on each purchase
+CREATE TABLE commission_accruals (
+    accrual_date DATE NOT NULL,
+    distributor_id INTEGER NOT NULL REFERENCES distributors(id),
+    folio_id INTEGER NOT NULL REFERENCES folios(id),
+    scheme_id INTEGER NOT NULL REFERENCES schemes(id),
+    commission_type VARCHAR(10) NOT NULL, -- TRAIL, UPFRONT
+    transaction_id VARCHAR(30), -- the purchase an upfront commission is paid on
+    base_amount DECIMAL(15,2) NOT NULL, -- market value held (trail) or purchase amount (upfront)
+    rate DECIMAL(5,2) NOT NULL,
+    amount DECIMAL(15,4) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Convert commission_accruals to hypertable
+SELECT create_hypertable('commission_accruals', 'accrual_date');
+
+-- Monthly brokerage statements per distributor, totalled from the accruals
+CREATE TABLE brokerage_statements (
+    id SERIAL PRIMARY KEY,
+    distributor_id INTEGER NOT NULL REFERENCES distributors(id),
+    statement_month DATE NOT NULL, -- first day of the month
+    trail_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    upfront_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    gross_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    tds_amount DECIMAL(15,2) NOT NULL DEFAULT 0, -- section 194H
+    net_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    folio_count INTEGER DEFAULT 0,
+    generated_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(distributor_id, statement_month)
+);
+
+-- Purchase lots: one per processed purchase or switch-in, consumed FIFO by outflows
+CREATE TABLE purchase_lots (
+    id SERIAL PRIMARY KEY,
+    folio_id INTEGER REFERENCES folios(id),
+    scheme_id INTEGER REFERENCES schemes(id),
+    customer_id INTEGER REFERENCES customers(id),
+    transaction_id VARCHAR(30) NOT NULL, -- the purchase that created the lot
+    allotment_date DATE NOT NULL, -- NAV date of the purchase; holding periods run from here
+    units DECIMAL(15,6) NOT NULL,
+    remaining_units DECIMAL(15,6) NOT NULL,
+    cost_amount DECIMAL(15,2) NOT NULL, -- cost of all the lot's units
+    free_units_used DECIMAL(15,6) DEFAULT 0, -- units taken out under the exit load free-units allowance
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Realised capital gains: one row per lot consumed by a redemption or switch-out
+CREATE TABLE realised_gains (
+    id SERIAL PRIMARY KEY,
+    transaction_id VARCHAR(30) NOT NULL, -- the redemption or switch-out
+    lot_id INTEGER REFERENCES purchase_lots(id),
+    folio_id INTEGER REFERENCES folios(id),
+    scheme_id INTEGER REFERENCES schemes(id),
+    customer_id INTEGER REFERENCES customers(id),
+    acquisition_date DATE NOT NULL,
+    redemption_date DATE NOT NULL,
+    units DECIMAL(15,6) NOT NULL,
+    cost_amount DECIMAL(15,2) NOT NULL,
+    sale_value DECIMAL(15,2) NOT NULL, -- redemption value net of exit load
+    exit_load_amount DECIMAL(15,2) DEFAULT 0, -- exit load charged on this lot's units
+    gain DECIMAL(15,2) NOT NULL,
+    holding_days INTEGER NOT NULL,
+    tax_class VARCHAR(10) NOT NULL, -- EQUITY, DEBT
+    term VARCHAR(10) NOT NULL, -- SHORT_TERM, LONG_TERM
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- IDCW declarations. The scheme's NAV for the record date is published ex-dividend,
+-- and IDCW folios holding units before it are paid out or reinvested at that NAV.
+CREATE TABLE dividend_declarations (
+    id SERIAL PRIMARY KEY,
+    scheme_id INTEGER REFERENCES schemes(id),
+    record_date DATE NOT NULL,
+    rate_per_unit DECIMAL(10,4) NOT NULL,
+    status VARCHAR(20) DEFAULT 'DECLARED', -- DECLARED, DISTRIBUTED
+    ex_nav DECIMAL(10,4),
+    eligible_units DECIMAL(15,6) DEFAULT 0,
+    payout_amount DECIMAL(15,2) DEFAULT 0,
+    reinvested_amount DECIMAL(15,2) DEFAULT 0,
+    folio_count INTEGER DEFAULT 0,
+    distributed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(scheme_id, record_date)
+);
+
+-- Simulation runs (seed and configuration recorded so a run can be replayed)
+CREATE TABLE simulation_runs (
+    id SERIAL PRIMARY KEY,
+    seed BIGINT NOT NULL,
+    config JSONB NOT NULL DEFAULT '{}',
+    start_date TIMESTAMP NOT NULL, -- Start of the run's simulated timeline
+    status VARCHAR(20) DEFAULT 'RUNNING', -- RUNNING, STOPPED, COMPLETED, FAILED
+    replay_of INTEGER REFERENCES simulation_runs(id),
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    stopped_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Simulation scenarios uploaded through the API (built-ins live in scenarios/)
+CREATE TABLE simulation_scenarios (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description TEXT,
+    definition JSONB NOT NULL, -- parameters and scheduled phases
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Market holiday calendar (NSE/BSE trading holidays and Mumbai bank holidays)
+CREATE TABLE market_holidays (
+    id SERIAL PRIMARY KEY,
+    holiday_date DATE UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    type VARCHAR(20) NOT NULL, -- TRADING, BANK, BOTH
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- API users (passwords stored as bcrypt hashes). Investors are tied to the
+-- customer record they may see, distributor users to their ARN.
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    password_hash VARCHAR(100) NOT NULL,
+    role VARCHAR(20) NOT NULL, -- ADMIN, OPERATIONS, DISTRIBUTOR, INVESTOR, READONLY
+    customer_id INTEGER REFERENCES customers(id) ON DELETE CASCADE,
+    distributor_id INTEGER REFERENCES distributors(id), -- the ARN a distributor user acts for
+    is_active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- KYC documents an investor has submitted, reviewed by the KRA
+CREATE TABLE kyc_documents (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    document_type VARCHAR(20) NOT NULL, -- PAN, PHOTO, AADHAAR, PASSPORT, DRIVING_LICENCE, VOTER_ID
+    document_number VARCHAR(30),
+    status VARCHAR(20) DEFAULT 'SUBMITTED', -- SUBMITTED, ACCEPTED, REJECTED
+    remarks TEXT,
+    submitted_at TIMESTAMP NOT NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Requests sent to the KRA, answered after a delay
+CREATE TABLE kra_requests (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    request_type VARCHAR(20) NOT NULL, -- LOOKUP (by PAN), VERIFICATION (of submitted documents)
+    kra_code VARCHAR(10) NOT NULL,
+    kra_reference VARCHAR(30) UNIQUE NOT NULL,
+    status VARCHAR(20) DEFAULT 'SENT', -- SENT, ANSWERED
+    outcome VARCHAR(20), -- LOOKUP: FOUND, NOT_FOUND; VERIFICATION: VERIFIED, REJECTED, ON_HOLD
+    reason TEXT,
+    sent_at TIMESTAMP NOT NULL,
+    respond_after TIMESTAMP NOT NULL,
+    answered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Audit log table
 CREATE TABLE audit.transaction_audit (
     id SERIAL PRIMARY KEY,
@@ -153,17 +452,45 @@ CREATE TABLE audit.transaction_audit (
     changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Every KYC status change and KRA exchange of an investor
+CREATE TABLE audit.kyc_history (
+    id SERIAL PRIMARY KEY,
+    customer_id INTEGER NOT NULL REFERENCES customers(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL, -- STATUS_CHANGE, DOCUMENT_ADDED, KRA_REQUEST, KRA_RESPONSE
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    remarks TEXT,
+    actor VARCHAR(50), -- API user, KRA code or SYSTEM
+    kra_request_id INTEGER REFERENCES kra_requests(id),
+    occurred_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for performance
 CREATE INDEX idx_customers_pan ON customers(pan_number);
+CREATE INDEX idx_customers_kyc ON customers(kyc_status, kyc_expires_on);
+CREATE INDEX idx_kyc_documents_customer ON kyc_documents(customer_id, document_type);
+CREATE INDEX idx_kra_requests_due ON kra_requests(status, respond_after);
+CREATE INDEX idx_kra_requests_customer ON kra_requests(customer_id);
+CREATE INDEX idx_kyc_history_customer ON audit.kyc_history(customer_id, occurred_at);
 CREATE INDEX idx_folios_customer ON folios(customer_id);
+CREATE INDEX idx_schemes_parent ON schemes(parent_scheme_id);
 CREATE INDEX idx_folios_scheme ON folios(scheme_id);
+CREATE INDEX idx_folios_distributor ON folios(distributor_id);
 CREATE INDEX idx_transactions_folio ON transactions(folio_id);
 CREATE INDEX idx_transactions_customer ON transactions(customer_id);
 CREATE INDEX idx_transactions_scheme ON transactions(scheme_id);
 CREATE INDEX idx_transactions_status ON transactions(status);
 CREATE INDEX idx_transactions_date ON transactions(transaction_date);
+CREATE INDEX idx_transactions_cams_status ON transactions(customer_id, cams_status);
 CREATE INDEX idx_holdings_folio ON holdings(folio_id);
+CREATE INDEX idx_purchase_lots_folio ON purchase_lots(folio_id, scheme_id, allotment_date);
+CREATE INDEX idx_realised_gains_folio ON realised_gains(folio_id, redemption_date);
+CREATE INDEX idx_realised_gains_customer ON realised_gains(customer_id, redemption_date);
+CREATE INDEX idx_dividend_declarations_record_date ON dividend_declarations(record_date, status);
 CREATE INDEX idx_sip_next_execution ON sip_registrations(next_execution_date);
+CREATE INDEX idx_stp_next_execution ON stp_registrations(next_execution_date);
+CREATE INDEX idx_swp_next_execution ON swp_registrations(next_execution_date);
 CREATE INDEX idx_nav_history_scheme_date ON nav_history(scheme_id, nav_date);
 
 -- Create triggers for updated_at columns
@@ -181,6 +508,20 @@ CREATE TRIGGER update_folios_updated_at BEFORE UPDATE ON folios FOR EACH ROW EXE
 CREATE TRIGGER update_transactions_updated_at BEFORE UPDATE ON transactions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_holdings_updated_at BEFORE UPDATE ON holdings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_sip_updated_at BEFORE UPDATE ON sip_registrations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_stp_updated_at BEFORE UPDATE ON stp_registrations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_swp_updated_at BEFORE UPDATE ON swp_registrations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_simulation_runs_updated_at BEFORE UPDATE ON simulation_runs FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_simulation_scenarios_updated_at BEFORE UPDATE ON simulation_scenarios FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_market_holidays_updated_at BEFORE UPDATE ON market_holidays FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_exit_load_structures_updated_at BEFORE UPDATE ON exit_load_structures FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_purchase_lots_updated_at BEFORE UPDATE ON purchase_lots FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_dividend_declarations_updated_at BEFORE UPDATE ON dividend_declarations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_distributors_updated_at BEFORE UPDATE ON distributors FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_commission_structures_updated_at BEFORE UPDATE ON commission_structures FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_brokerage_statements_updated_at BEFORE UPDATE ON brokerage_statements FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_kyc_documents_updated_at BEFORE UPDATE ON kyc_documents FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_kra_requests_updated_at BEFORE UPDATE ON kra_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 -- =============================================================================
 -- TIMESCALEDB PERFORMANCE OPTIMIZATIONS
@@ -200,6 +541,14 @@ SELECT add_compression_policy('transactions', INTERVAL '30 days');
 ALTER TABLE nav_history SET (timescaledb.compress = true);
 SELECT add_compression_policy('nav_history', INTERVAL '30 days');
 
+-- Compress holding valuations older than 30 days
+ALTER TABLE holdings_valuation SET (timescaledb.compress = true);
+SELECT add_compression_policy('holdings_valuation', INTERVAL '30 days');
+
+-- Compress commission accruals older than 30 days
+ALTER TABLE commission_accruals SET (timescaledb.compress = true);
+SELECT add_compression_policy('commission_accruals', INTERVAL '30 days');
+
 -- 3. CREATE COMPOSITE INDEXES FOR OPTIMAL QUERY PERFORMANCE
 -- Customer-centric queries (portfolio dashboards)
 CREATE INDEX idx_txn_customer_date ON transactions (customer_id, transaction_date);
@@ -216,10 +565,18 @@ CREATE INDEX idx_txn_mode_date ON transactions (transaction_mode, transaction_da
 -- CAMS processing optimization
 CREATE INDEX idx_txn_cams_status_date ON transactions (cams_status, transaction_date);
 
+-- Valuation time series per customer and per scheme
+CREATE INDEX idx_valuation_customer_date ON holdings_valuation (customer_id, valuation_date);
+CREATE INDEX idx_valuation_scheme_date ON holdings_valuation (scheme_id, valuation_date);
+
+-- Brokerage queries (accruals per distributor and month)
+CREATE INDEX idx_commission_distributor_date ON commission_accruals (distributor_id, accrual_date);
+
 -- 4. CREATE CONTINUOUS AGGREGATES FOR REAL-TIME DASHBOARDS
--- Daily metrics for management dashboards (sub-millisecond queries)
+-- Daily metrics for management dashboards (sub-millisecond queries). Real-time,
+-- so the transaction history reads buckets not yet materialised from the hypertable.
 CREATE MATERIALIZED VIEW daily_metrics
-WITH (timescaledb.continuous) AS
+WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
 SELECT 
     time_bucket('1 day', transaction_date) as day,
     COUNT(*) as total_transactions,
@@ -227,23 +584,32 @@ SELECT
     COUNT(DISTINCT customer_id) as active_customers,
     COUNT(DISTINCT scheme_id) as active_schemes,
     AVG(amount) as avg_transaction_size,
-    COUNT(CASE WHEN transaction_type = 'SIP' THEN 1 END) as sip_transactions,
-    COUNT(CASE WHEN transaction_type = 'LUMPSUM' THEN 1 END) as lumpsum_transactions,
+    COUNT(CASE WHEN transaction_mode = 'SIP' THEN 1 END) as sip_transactions,
+    COUNT(CASE WHEN transaction_mode = 'LUMPSUM' THEN 1 END) as lumpsum_transactions,
     COUNT(CASE WHEN transaction_mode = 'REDEMPTION' THEN 1 END) as redemption_transactions,
-    COUNT(CASE WHEN cams_status = 'PROCESSED' THEN 1 END) as processed_transactions
+    COUNT(CASE WHEN cams_status = 'PROCESSED' THEN 1 END) as processed_transactions,
+    -- Fund flows, switches and IDCW included (rejected and cancelled orders move no money)
+    COUNT(CASE WHEN transaction_type IN ('PURCHASE', 'SWITCH_IN') AND status NOT IN ('REJECTED', 'CANCELLED') THEN 1 END) as inflow_transactions,
+    COUNT(CASE WHEN transaction_type IN ('REDEMPTION', 'SWITCH_OUT', 'DIVIDEND') AND status NOT IN ('REJECTED', 'CANCELLED') THEN 1 END) as outflow_transactions,
+    SUM(CASE WHEN transaction_type IN ('PURCHASE', 'SWITCH_IN') AND status NOT IN ('REJECTED', 'CANCELLED') THEN amount ELSE 0 END) as gross_inflows,
+    SUM(CASE WHEN transaction_type IN ('REDEMPTION', 'SWITCH_OUT', 'DIVIDEND') AND status NOT IN ('REJECTED', 'CANCELLED') THEN amount ELSE 0 END) as gross_outflows
 FROM transactions 
 GROUP BY day;
 
 -- Hourly metrics for operational monitoring
 CREATE MATERIALIZED VIEW hourly_metrics
-WITH (timescaledb.continuous) AS
+WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
 SELECT 
     time_bucket('1 hour', transaction_date) as hour,
     COUNT(*) as hourly_transactions,
     SUM(amount) as hourly_volume,
     COUNT(DISTINCT customer_id) as hourly_customers,
     MAX(amount) as max_transaction,
-    MIN(amount) as min_transaction
+    MIN(amount) as min_transaction,
+    COUNT(CASE WHEN transaction_type IN ('PURCHASE', 'SWITCH_IN') AND status NOT IN ('REJECTED', 'CANCELLED') THEN 1 END) as inflow_transactions,
+    COUNT(CASE WHEN transaction_type IN ('REDEMPTION', 'SWITCH_OUT', 'DIVIDEND') AND status NOT IN ('REJECTED', 'CANCELLED') THEN 1 END) as outflow_transactions,
+    SUM(CASE WHEN transaction_type IN ('PURCHASE', 'SWITCH_IN') AND status NOT IN ('REJECTED', 'CANCELLED') THEN amount ELSE 0 END) as gross_inflows,
+    SUM(CASE WHEN transaction_type IN ('REDEMPTION', 'SWITCH_OUT', 'DIVIDEND') AND status NOT IN ('REJECTED', 'CANCELLED') THEN amount ELSE 0 END) as gross_outflows
 FROM transactions 
 GROUP BY hour;
 
@@ -277,6 +643,30 @@ FROM transactions
 WHERE cams_status = 'PROCESSED'
 GROUP BY day, scheme_id;
 
+-- Customer portfolio value at each day's NAVs (for valuation time series).
+-- Real-time, so days not yet materialised are still read from the hypertable.
+CREATE MATERIALIZED VIEW customer_daily_valuation
+WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
+SELECT 
+    time_bucket('1 day', valuation_date) as day,
+    customer_id,
+    COUNT(*) as holdings,
+    SUM(market_value) as market_value
+FROM holdings_valuation
+GROUP BY day, customer_id;
+
+-- Scheme assets under management at each day's NAV
+CREATE MATERIALIZED VIEW scheme_daily_valuation
+WITH (timescaledb.continuous, timescaledb.materialized_only = false) AS
+SELECT 
+    time_bucket('1 day', valuation_date) as day,
+    scheme_id,
+    COUNT(*) as holdings,
+    SUM(units) as units,
+    SUM(market_value) as market_value
+FROM holdings_valuation
+GROUP BY day, scheme_id;
+
 -- 5. SET UP AUTOMATIC REFRESH POLICIES FOR CONTINUOUS AGGREGATES
 -- Refresh daily metrics every hour
 SELECT add_continuous_aggregate_policy('daily_metrics',
@@ -302,6 +692,17 @@ SELECT add_continuous_aggregate_policy('scheme_daily_metrics',
     end_offset => INTERVAL '1 hour',
     schedule_interval => INTERVAL '2 hours');
 
+-- Refresh valuations hourly; backfills refresh the days they write
+SELECT add_continuous_aggregate_policy('customer_daily_valuation',
+    start_offset => INTERVAL '7 days',
+    end_offset => INTERVAL '1 hour',
+    schedule_interval => INTERVAL '1 hour');
+
+SELECT add_continuous_aggregate_policy('scheme_daily_valuation',
+    start_offset => INTERVAL '7 days',
+    end_offset => INTERVAL '1 hour',
+    schedule_interval => INTERVAL '1 hour');
+
 -- 6. DATA RETENTION POLICIES (REGULATORY COMPLIANCE)
 -- Keep transaction data for 7 years (regulatory requirement for financial data)
 SELECT add_retention_policy('transactions', INTERVAL '7 years');
@@ -335,6 +736,20 @@ SELECT
 FROM scheme_daily_metrics
 GROUP BY scheme_id;
 
+-- Statutory charges by allotment date, for the stamp duty, STT and TDS returns
+CREATE VIEW daily_charges AS
+SELECT 
+    nav_date as day,
+    COUNT(CASE WHEN stamp_duty > 0 THEN 1 END) as stamp_duty_transactions,
+    SUM(stamp_duty) as stamp_duty,
+    COUNT(CASE WHEN stt_amount > 0 THEN 1 END) as stt_transactions,
+    SUM(stt_amount) as stt,
+    COUNT(CASE WHEN tds_amount > 0 THEN 1 END) as tds_transactions,
+    SUM(tds_amount) as tds
+FROM transactions
+WHERE status = 'PROCESSED'
+GROUP BY nav_date;
+
 -- Dashboard metrics (real-time business KPIs)
 CREATE VIEW dashboard_kpis AS
 SELECT 
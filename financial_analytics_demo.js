@@ -205,17 +205,24 @@ class FinancialAnalyticsDemo {
     console.log('💼 Customer Portfolio Summary (Instant Query):');
     const portfolioStart = performance.now();
     
+    // Current value from the latest daily valuation snapshot
     const portfolioSummary = await this.client.query(`
+      WITH latest AS (
+        SELECT MAX(valuation_date) as valuation_date FROM holdings_valuation
+      )
       SELECT 
-        customer_id,
-        scheme_id,
-        total_investment,
-        total_units,
-        total_transactions,
-        last_transaction_date
-      FROM portfolio_summary
-      WHERE total_investment > 1000
-      ORDER BY total_investment DESC
+        ps.customer_id,
+        ps.scheme_id,
+        ps.total_investment,
+        ps.total_units,
+        ps.total_transactions,
+        ps.last_transaction_date,
+        (SELECT SUM(v.market_value) FROM holdings_valuation v, latest
+         WHERE v.customer_id = ps.customer_id AND v.scheme_id = ps.scheme_id
+         AND v.valuation_date = latest.valuation_date) as current_value
+      FROM portfolio_summary ps
+      WHERE ps.total_investment > 1000
+      ORDER BY ps.total_investment DESC
       LIMIT 10
     `);
     
@@ -225,7 +232,7 @@ class FinancialAnalyticsDemo {
     portfolioSummary.rows.forEach(row => {
       const investment = parseFloat(row.total_investment);
       const units = parseFloat(row.total_units);
-      const currentValue = units * 16.5; // Assuming current NAV
+      const currentValue = parseFloat(row.current_value) || 0;
       const gain = currentValue - investment;
       const gainPct = investment > 0 ? (gain / investment * 100) : 0;
       
@@ -243,17 +250,18 @@ class FinancialAnalyticsDemo {
     
     const portfolioEvolution = await this.client.query(`
       SELECT 
-        day,
-        customer_id,
-        SUM(net_investment) OVER (PARTITION BY customer_id ORDER BY day) as cumulative_investment,
-        SUM(net_units) OVER (PARTITION BY customer_id ORDER BY day) as cumulative_units,
-        SUM(transaction_count) OVER (PARTITION BY customer_id ORDER BY day) as cumulative_transactions
-      FROM customer_daily_portfolio
-      WHERE customer_id IN (
+        v.day,
+        v.customer_id,
+        v.holdings,
+        v.market_value,
+        (SELECT SUM(p.net_investment) FROM customer_daily_portfolio p
+         WHERE p.customer_id = v.customer_id AND p.day <= v.day) as cumulative_investment
+      FROM customer_daily_valuation v
+      WHERE v.customer_id IN (
         SELECT customer_id FROM portfolio_summary 
         ORDER BY total_investment DESC LIMIT 3
       )
-      ORDER BY customer_id, day DESC
+      ORDER BY v.customer_id, v.day DESC
       LIMIT 15
     `);
     
@@ -261,12 +269,11 @@ class FinancialAnalyticsDemo {
     console.log(`   ⚡ Query Time: ${(evolutionEnd - evolutionStart).toFixed(2)}ms`);
     
     portfolioEvolution.rows.forEach(row => {
-      const cumInvestment = parseFloat(row.cumulative_investment);
-      const cumUnits = parseFloat(row.cumulative_units);
-      const currentValue = cumUnits * 16.5;
+      const cumInvestment = parseFloat(row.cumulative_investment) || 0;
+      const marketValue = parseFloat(row.market_value);
       
       console.log(`   👤 Customer ${row.customer_id} on ${row.day}:`);
-      console.log(`      📈 Cumulative: ₹${cumInvestment.toLocaleString('en-IN', {maximumFractionDigits: 0})} invested, ${cumUnits.toFixed(3)} units, ₹${currentValue.toLocaleString('en-IN', {maximumFractionDigits: 0})} value`);
+      console.log(`      📈 Cumulative: ₹${cumInvestment.toLocaleString('en-IN', {maximumFractionDigits: 0})} invested, ${row.holdings} holdings, ₹${marketValue.toLocaleString('en-IN', {maximumFractionDigits: 0})} value`);
     });
     console.log('');
   }
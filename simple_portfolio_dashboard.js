@@ -210,14 +210,15 @@ class PortfolioDashboard {
     const evolutionStart = performance.now();
     const portfolioEvolution = await this.client.query(`
       SELECT 
-        day,
-        SUM(net_investment) OVER (ORDER BY day) as cumulative_investment,
-        SUM(net_units) OVER (ORDER BY day) as cumulative_units,
-        SUM(transaction_count) OVER (ORDER BY day) as cumulative_transactions
-      FROM customer_daily_portfolio
-      WHERE customer_id = $1
-        AND day >= CURRENT_DATE - INTERVAL '30 days'
-      ORDER BY day DESC
+        v.day,
+        v.holdings,
+        v.market_value,
+        (SELECT SUM(p.net_investment) FROM customer_daily_portfolio p
+         WHERE p.customer_id = v.customer_id AND p.day <= v.day) as cumulative_investment
+      FROM customer_daily_valuation v
+      WHERE v.customer_id = $1
+        AND v.day >= CURRENT_DATE - INTERVAL '30 days'
+      ORDER BY v.day DESC
       LIMIT 10
     `, [customerId]);
     const evolutionEnd = performance.now();
@@ -225,11 +226,10 @@ class PortfolioDashboard {
     console.log(`📈 Recent Portfolio Evolution (${(evolutionEnd - evolutionStart).toFixed(2)}ms):`);
     if (portfolioEvolution.rows.length > 0) {
       portfolioEvolution.rows.forEach(row => {
-        const cumInvestment = parseFloat(row.cumulative_investment);
-        const cumUnits = parseFloat(row.cumulative_units);
-        const currentValue = cumUnits * 16.5; // Assuming average NAV
+        const cumInvestment = parseFloat(row.cumulative_investment) || 0;
+        const marketValue = parseFloat(row.market_value);
         
-        console.log(`   📅 ${row.day}: ₹${cumInvestment.toLocaleString('en-IN', {maximumFractionDigits: 0})} invested, ${cumUnits.toFixed(3)} units, ₹${currentValue.toLocaleString('en-IN', {maximumFractionDigits: 0})} value`);
+        console.log(`   📅 ${row.day}: ₹${cumInvestment.toLocaleString('en-IN', {maximumFractionDigits: 0})} invested, ${row.holdings} holdings, ₹${marketValue.toLocaleString('en-IN', {maximumFractionDigits: 0})} value`);
       });
     } else {
       console.log('   ℹ️  Limited historical data available');
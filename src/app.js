@@ -7,6 +7,7 @@ const path = require('path');
 
 const config = require('./config');
 const logger = require('./utils/logger');
+const Utils = require('./utils/helpers');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 const routes = require('./routes');
 
@@ -14,6 +15,9 @@ const routes = require('./routes');
 const SimulationService = require('./services/SimulationService');
 const ScheduledJobs = require('./jobs/ScheduledJobs');
 const Scheme = require('./models/Scheme');
+const Distributor = require('./models/Distributor');
+const HolidayCalendar = require('./services/HolidayCalendar');
+const User = require('./models/User');
 
 // Create Express app
 const app = express();
@@ -36,12 +40,18 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Request body as logged, with any password masked
+function loggedBody(req) {
+  if (req.method === 'GET') return undefined;
+  return Utils.redactBody(req.body);
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
   logger.info(`${req.method} ${req.path}`, {
     ip: req.ip,
     userAgent: req.get('User-Agent'),
-    body: req.method !== 'GET' ? req.body : undefined
+    body: loggedBody(req)
   });
   next();
 });
@@ -57,11 +67,16 @@ app.get('/', (req, res) => {
     description: 'Comprehensive simulation of Indian Mutual Fund operations with CAMS integration',
     endpoints: {
       health: '/api/health',
+      auth: '/api/auth',
       customers: '/api/customers',
       folios: '/api/folios',
       transactions: '/api/transactions',
       sips: '/api/sips',
+      stps: '/api/stps',
+      swps: '/api/swps',
       schemes: '/api/schemes',
+      holidays: '/api/holidays',
+      distributors: '/api/distributors',
       simulation: '/api/simulation'
     },
     documentation: 'https://github.com/your-repo/amc-simulation'
@@ -117,11 +132,20 @@ async function initialize() {
     await redis.ping();
     logger.info('Redis connection established');
     
+    // Create the default admin user on a fresh database
+    await User.ensureDefaultAdmin();
+    
+    // Load the market holiday calendar
+    await HolidayCalendar.load();
+    
     // Load initial scheme data
     logger.info('Loading initial scheme data...');
     await Scheme.loadInitialData();
     logger.info('Initial scheme data loaded');
     
+    // Seed the distributor channel
+    await Distributor.loadInitialData();
+    
     // Start scheduled jobs
     logger.info('Starting scheduled jobs...');
     ScheduledJobs.start();
@@ -142,6 +166,12 @@ async function initialize() {
   }
 }
 
+// Anyone could sign tokens for any user without a secret of our own
+if (config.auth.enabled && !config.jwt.secret) {
+  logger.error('JWT_SECRET must be set when authentication is enabled (AUTH_ENABLED=false disables it)');
+  process.exit(1);
+}
+
 // Start server
 const PORT = config.app.port;
 const server = app.listen(PORT, async () => {
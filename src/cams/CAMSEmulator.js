@@ -0,0 +1,245 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CAMSFeed = require('./CAMSFeed');
+const SimulationClock = require('../services/SimulationClock');
+const ApplicableNAVService = require('../services/ApplicableNAVService');
+const HolidayCalendar = require('../services/HolidayCalendar');
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const HELD_FILE = 'held.json';
+const MASTER_FILE = 'master.json';
+
+// Master and NAV feeds are applied before the transactions that rely on them
+const MASTER_FEEDS = ['SM', 'IM', 'NAV'];
+
+// Days of NAVs the registrar keeps for records held waiting on theirs
+const NAV_RETENTION_DAYS = 31;
+
+const DISCRETIONARY_REJECTIONS = [
+  'Payment not realised',
+  'Bank mandate rejected',
+  'Signature mismatch',
+  'Bank account not verified'
+];
+
+// Stand-alone registrar emulator. It only talks to the AMC through feed files:
+// it keeps its own scheme and investor master and NAVs from the AMC's SM, IM
+// and NAV feeds, picks up R2 transaction feeds from the inbox, validates each
+// record against that master data (KYC, scheme minimums), allots it at the
+// applicable NAV under the SEBI cut-off rules and writes WBR2 reverse feeds
+// to the outbox. Records whose applicable NAV has not been received yet are
+// held and retried on the next cycle.
+class CAMSEmulator {
+  constructor() {
+    this.sequence = 0;
+    this.timer = null;
+  }
+
+  async readMasterData(directory) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(directory, MASTER_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { schemes: {}, investors: {}, navs: {} };
+      throw error;
+    }
+  }
+
+  // Applies one master or NAV feed to the registrar's records
+  applyMasterFeed(masterData, feed) {
+    for (const record of feed.records) {
+      if (feed.type === 'SM') {
+        masterData.schemes[record.schemeCode] = record;
+      } else if (feed.type === 'IM') {
+        masterData.investors[record.panNumber] = record;
+      } else {
+        masterData.navs[record.schemeCode] = { ...masterData.navs[record.schemeCode], [record.navDate]: record.nav };
+      }
+    }
+  }
+
+  // Drops NAVs older than any record should still be waiting on
+  pruneNAVs(masterData, asOf) {
+    const oldest = HolidayCalendar.toDateKey(new Date(asOf.getTime() - NAV_RETENTION_DAYS * 24 * 60 * 60 * 1000));
+    for (const navs of Object.values(masterData.navs)) {
+      for (const navDate of Object.keys(navs)) {
+        if (navDate < oldest) delete navs[navDate];
+      }
+    }
+  }
+
+  // Returns the reverse-feed record for a transaction, or null to hold it
+  evaluate(record, masterData, asOf, options) {
+    const outcome = (status, reason, extra = {}) => ({
+      transactionId: record.transactionId,
+      status,
+      camsReference: Utils.generateCamsReference(asOf),
+      navDate: null,
+      nav: null,
+      units: null,
+      amount: record.amount,
+      processedAt: asOf,
+      reason,
+      ...extra
+    });
+
+    const scheme = masterData.schemes[record.schemeCode];
+    const investor = masterData.investors[record.panNumber];
+    const isPurchase = record.transactionType === config.transactionTypes.PURCHASE ||
+      record.transactionType === config.transactionTypes.SWITCH_IN;
+
+    if (!scheme || !scheme.isActive) {
+      return outcome(CAMSFeed.OUTCOMES.REJECTED, 'Scheme not active');
+    }
+    if (!investor) {
+      return outcome(CAMSFeed.OUTCOMES.REJECTED, 'Invalid PAN');
+    }
+    if (isPurchase && investor.kycStatus !== config.statuses.kyc.VERIFIED) {
+      return outcome(CAMSFeed.OUTCOMES.REJECTED, 'KYC not verified');
+    }
+
+    const minimum = record.transactionMode === config.transactionModes.SIP ? scheme.minimumSip : scheme.minimumInvestment;
+    if (isPurchase && record.amount < minimum) {
+      return outcome(CAMSFeed.OUTCOMES.REJECTED, 'Minimum investment not met');
+    }
+
+    const navDate = ApplicableNAVService.getApplicableNavDate(scheme, record);
+    const nav = (masterData.navs[record.schemeCode] || {})[navDate];
+    if (nav === undefined) {
+      return null;
+    }
+
+    // Operational outcomes the rules above cannot see
+    const random = Utils.random();
+    if (random < options.failureRate) {
+      return outcome(CAMSFeed.OUTCOMES.FAILED, 'Technical failure - will retry');
+    }
+    if (random < options.failureRate + options.rejectionRate) {
+      return outcome(CAMSFeed.OUTCOMES.REJECTED, Utils.getRandomElement(DISCRETIONARY_REJECTIONS));
+    }
+
+    // Orders placed in units are valued at the NAV; the rest buy or sell units for the amount
+    const byUnits = record.units > 0;
+    return outcome(CAMSFeed.OUTCOMES.PROCESSED, null, {
+      navDate,
+      nav,
+      units: byUnits ? record.units : Utils.calculateUnits(record.amount, nav),
+      amount: byUnits ? Utils.calculateCurrentValue(record.units, nav) : record.amount
+    });
+  }
+
+  async readHeld(directory) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(directory, HELD_FILE), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // One registrar cycle: ingest R2 feeds, decide every record, emit one WBR2 feed
+  async processFeeds(asOf = SimulationClock.now(), options = {}) {
+    try {
+      const rates = {
+        rejectionRate: options.rejectionRate !== undefined ? options.rejectionRate : config.simulation.scenarioDefaults.camsRejectionRate,
+        failureRate: options.failureRate !== undefined ? options.failureRate : config.simulation.scenarioDefaults.camsFailureRate
+      };
+      const directories = await CAMSFeed.ensureDirectories();
+
+      const masterData = await this.readMasterData(directories.registrar);
+      for (const type of MASTER_FEEDS) {
+        for (const file of await CAMSFeed.list(directories.inbox, type)) {
+          try {
+            this.applyMasterFeed(masterData, await CAMSFeed.read(directories.inbox, file));
+          } catch (error) {
+            logger.error(`Rejected malformed ${type} feed ${file}`, { error: error.message });
+          }
+          await CAMSFeed.archive(directories.inbox, file);
+        }
+      }
+      this.pruneNAVs(masterData, asOf);
+      await fs.writeFile(path.join(directories.registrar, MASTER_FILE), JSON.stringify(masterData));
+
+      const pending = await this.readHeld(directories.held);
+      const files = await CAMSFeed.list(directories.inbox, 'R2');
+      for (const file of files) {
+        try {
+          const feed = await CAMSFeed.read(directories.inbox, file);
+          pending.push(...feed.records.map(record => ({ batchId: feed.batchId, record })));
+        } catch (error) {
+          logger.error(`Rejected malformed R2 feed ${file}`, { error: error.message });
+        }
+        await CAMSFeed.archive(directories.inbox, file);
+      }
+
+      const summary = { feedsReceived: files.length, processed: 0, rejected: 0, failed: 0, held: 0 };
+      if (pending.length === 0) {
+        return summary;
+      }
+
+      const decisions = [];
+      const stillHeld = [];
+
+      for (const entry of pending) {
+        const decision = this.evaluate(entry.record, masterData, asOf, rates);
+        if (!decision) {
+          stillHeld.push(entry);
+          continue;
+        }
+
+        decisions.push(decision);
+        if (decision.status === CAMSFeed.OUTCOMES.PROCESSED) summary.processed++;
+        if (decision.status === CAMSFeed.OUTCOMES.REJECTED) summary.rejected++;
+        if (decision.status === CAMSFeed.OUTCOMES.FAILED) summary.failed++;
+      }
+      summary.held = stillHeld.length;
+
+      await fs.writeFile(path.join(directories.held, HELD_FILE), JSON.stringify(stillHeld));
+
+      if (decisions.length > 0) {
+        this.sequence++;
+        const batchId = `WB${String(this.sequence).padStart(6, '0')}`;
+        const fileName = await CAMSFeed.write(directories.outbox, 'WBR2', batchId, asOf, this.sequence, decisions);
+        summary.reverseFeed = fileName;
+      }
+
+      logger.info('CAMS emulator cycle completed', summary);
+      return summary;
+    } catch (error) {
+      logger.error('Error in CAMS emulator cycle', error);
+      throw error;
+    }
+  }
+
+  // Stand-alone mode: poll the inbox on the wall clock
+  start() {
+    if (this.timer) return;
+    logger.info('Starting CAMS emulator', { feedDirectory: CAMSFeed.getDirectories().root });
+    this.timer = setInterval(() => {
+      this.processFeeds().catch(() => {});
+    }, config.cams.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      logger.info('CAMS emulator stopped');
+    }
+  }
+}
+
+const emulator = new CAMSEmulator();
+
+if (require.main === module) {
+  // The registrar keeps the market calendar from the bundled holiday files
+  HolidayCalendar.loadFiles();
+  emulator.start();
+  process.on('SIGINT', () => {
+    emulator.stop();
+    process.exit(0);
+  });
+}
+
+module.exports = emulator;
@@ -0,0 +1,162 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../config');
+
+// Registrar feed files are pipe-delimited: one header (H), detail records (D)
+// and a trailer (T) carrying the record count and amount total for reconciliation.
+//
+//   SM   - AMC -> registrar scheme master (status and minimum amounts)
+//   IM   - AMC -> registrar investor master (KYC status by PAN)
+//   NAV  - AMC -> registrar published NAVs
+//   R2   - AMC -> registrar transaction feed
+//   WBR2 - registrar -> AMC reverse feed with the outcome of each transaction
+
+const R2_FIELDS = [
+  'transactionId', 'folioNumber', 'panNumber', 'schemeCode', 'transactionType',
+  'transactionMode', 'amount', 'units', 'transactionDate', 'remarks', 'fundsRealisedAt',
+  'arnCode', 'euin', 'releasedAt'
+];
+
+const SM_FIELDS = ['schemeCode', 'subCategory', 'isActive', 'minimumInvestment', 'minimumSip'];
+
+const IM_FIELDS = ['panNumber', 'kycStatus'];
+
+const NAV_FIELDS = ['schemeCode', 'navDate', 'nav'];
+
+const WBR2_FIELDS = [
+  'transactionId', 'status', 'camsReference', 'navDate', 'nav',
+  'units', 'amount', 'processedAt', 'reason'
+];
+
+// Reverse feed outcome codes
+const OUTCOMES = {
+  PROCESSED: 'P',
+  REJECTED: 'R',
+  FAILED: 'F'
+};
+
+const FIELDS = { SM: SM_FIELDS, IM: IM_FIELDS, NAV: NAV_FIELDS, R2: R2_FIELDS, WBR2: WBR2_FIELDS };
+
+const NUMERIC_FIELDS = ['amount', 'units', 'nav', 'minimumInvestment', 'minimumSip'];
+const BOOLEAN_FIELDS = ['isActive'];
+
+class CAMSFeed {
+  static get OUTCOMES() {
+    return OUTCOMES;
+  }
+
+  static getFields(type) {
+    if (FIELDS[type]) return FIELDS[type];
+    throw new Error(`Unknown feed type: ${type}`);
+  }
+
+  static getDirectories() {
+    const root = path.resolve(__dirname, '../..', config.cams.feedDirectory);
+    return {
+      root,
+      inbox: path.join(root, 'inbox'), // master, NAV and R2 feeds waiting for the registrar
+      outbox: path.join(root, 'outbox'), // WBR2 feeds waiting for the AMC
+      held: path.join(root, 'held'), // registrar records waiting for their NAV
+      registrar: path.join(root, 'registrar'), // the registrar's master data and NAVs
+      archive: path.join(root, 'archive')
+    };
+  }
+
+  static async ensureDirectories() {
+    const directories = this.getDirectories();
+    for (const directory of Object.values(directories)) {
+      await fs.mkdir(directory, { recursive: true });
+    }
+    return directories;
+  }
+
+  // e.g. R2_SIMAMC_20240105T160000_0003.txt (simulated time of the batch)
+  static fileName(type, date, sequence) {
+    const stamp = date.toISOString().replace(/[-:]/g, '').split('.')[0];
+    return `${type}_${config.amc.code}_${stamp}_${String(sequence).padStart(4, '0')}.txt`;
+  }
+
+  static formatValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    return String(value).replace(/[|\r\n]/g, ' ');
+  }
+
+  static encode(type, batchId, fileDate, records) {
+    const fields = this.getFields(type);
+    const totalAmount = records.reduce((sum, record) => sum + (parseFloat(record.amount) || 0), 0);
+
+    const lines = [
+      ['H', type, config.amc.code, fileDate.toISOString(), batchId].join('|'),
+      ...records.map(record => ['D', ...fields.map(field => this.formatValue(record[field]))].join('|')),
+      ['T', records.length, totalAmount.toFixed(2)].join('|')
+    ];
+
+    return lines.join('\n') + '\n';
+  }
+
+  static decode(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.length > 0);
+    const header = lines[0] ? lines[0].split('|') : [];
+    const trailer = lines.length > 1 ? lines[lines.length - 1].split('|') : [];
+
+    if (header[0] !== 'H' || trailer[0] !== 'T') {
+      throw new Error('Feed file must start with a header and end with a trailer');
+    }
+
+    const [, type, amcCode, fileDate, batchId] = header;
+    const fields = this.getFields(type);
+
+    const records = lines.slice(1, -1).map((line, index) => {
+      const values = line.split('|');
+      if (values[0] !== 'D' || values.length !== fields.length + 1) {
+        throw new Error(`Malformed detail record at line ${index + 2}`);
+      }
+
+      return fields.reduce((record, field, position) => {
+        const value = values[position + 1];
+        if (value === '') {
+          record[field] = null;
+        } else if (NUMERIC_FIELDS.includes(field)) {
+          record[field] = parseFloat(value);
+        } else {
+          record[field] = BOOLEAN_FIELDS.includes(field) ? value === 'true' : value;
+        }
+        return record;
+      }, {});
+    });
+
+    // Trailer reconciliation
+    const totalAmount = records.reduce((sum, record) => sum + (record.amount || 0), 0);
+    if (parseInt(trailer[1]) !== records.length || Math.abs(parseFloat(trailer[2]) - totalAmount) > 0.005) {
+      throw new Error(`Trailer mismatch in batch ${batchId}`);
+    }
+
+    return { type, amcCode, fileDate: new Date(fileDate), batchId, records };
+  }
+
+  static async write(directory, type, batchId, fileDate, sequence, records) {
+    const fileName = this.fileName(type, fileDate, sequence);
+    const filePath = path.join(directory, fileName);
+    // Write then rename so a reader never sees a partial file
+    await fs.writeFile(`${filePath}.tmp`, this.encode(type, batchId, fileDate, records));
+    await fs.rename(`${filePath}.tmp`, filePath);
+    return fileName;
+  }
+
+  static async list(directory, type) {
+    const files = await fs.readdir(directory);
+    return files.filter(file => file.startsWith(`${type}_`) && file.endsWith('.txt')).sort();
+  }
+
+  static async read(directory, fileName) {
+    return this.decode(await fs.readFile(path.join(directory, fileName), 'utf8'));
+  }
+
+  static async archive(directory, fileName) {
+    const { archive } = this.getDirectories();
+    await fs.rename(path.join(directory, fileName), path.join(archive, fileName));
+  }
+}
+
+module.exports = CAMSFeed;
@@ -29,12 +29,59 @@ module.exports = {
     logLevel: process.env.LOG_LEVEL || 'info',
   },
 
-  // JWT configuration
+  // JWT configuration. There is no default secret: the server will not start
+  // with authentication enabled and JWT_SECRET unset.
   jwt: {
-    secret: process.env.JWT_SECRET || 'fallback_secret_key',
+    secret: process.env.JWT_SECRET || null,
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
   },
 
+  // API authentication. The admin user is created on first start if no user
+  // exists, with a random password printed once unless ADMIN_PASSWORD is set;
+  // AUTH_ENABLED=false lets every request through as an admin.
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== 'false',
+    bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS) || 10,
+    adminUsername: process.env.ADMIN_USERNAME || 'admin',
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+    // Permissions granted to each role ('*' grants all). Investors are further
+    // limited to their own customer record and its folios, distributor users
+    // to their own distributor record and the folios opened under it, so
+    // neither can list or create customers.
+    permissions: {
+      ADMIN: ['*'],
+      OPERATIONS: [
+        'customers:create', 'customers:list', 'customers:read', 'customers:update',
+        'folios:create', 'folios:list', 'folios:read', 'folios:update', 'folios:pledge',
+        'transactions:create', 'transactions:list', 'transactions:read', 'transactions:process',
+        'plans:create', 'plans:list', 'plans:read', 'plans:update', 'plans:execute',
+        'schemes:read', 'navs:publish', 'holidays:read', 'holidays:manage',
+        'distributors:list', 'distributors:read', 'distributors:manage',
+        'reports:read', 'simulation:read', 'simulation:control',
+      ],
+      DISTRIBUTOR: [
+        'customers:read', 'customers:update',
+        'folios:create', 'folios:read', 'folios:update',
+        'transactions:create', 'transactions:read',
+        'plans:create', 'plans:read', 'plans:update',
+        'schemes:read', 'holidays:read', 'distributors:read',
+      ],
+      INVESTOR: [
+        'customers:read', 'customers:update',
+        'folios:create', 'folios:read', 'folios:update',
+        'transactions:create', 'transactions:read',
+        'plans:create', 'plans:read', 'plans:update',
+        'schemes:read', 'holidays:read',
+      ],
+      READONLY: [
+        'customers:list', 'customers:read', 'folios:list', 'folios:read',
+        'transactions:list', 'transactions:read', 'plans:list', 'plans:read',
+        'schemes:read', 'holidays:read', 'distributors:list', 'distributors:read',
+        'reports:read', 'simulation:read',
+      ],
+    },
+  },
+
   // Simulation configuration
   simulation: {
     customerCreationInterval: parseInt(process.env.CUSTOMER_CREATION_INTERVAL) || 5000,
@@ -43,6 +90,53 @@ module.exports = {
     transactionSimulationInterval: parseInt(process.env.TRANSACTION_SIMULATION_INTERVAL) || 30000,
     camsProcessingDelay: parseInt(process.env.CAMS_PROCESSING_DELAY) || 300000,
     navUpdateInterval: parseInt(process.env.NAV_UPDATE_INTERVAL) || 86400000,
+    camsProcessingInterval: parseInt(process.env.CAMS_PROCESSING_INTERVAL) || 60000,
+    sipExecutionInterval: parseInt(process.env.SIP_EXECUTION_INTERVAL) || 300000,
+    kycProcessingInterval: parseInt(process.env.KYC_PROCESSING_INTERVAL) || 3600000,
+    // Work done per generator run; overridable at runtime through PUT /api/simulation/config
+    batchSizes: {
+      customerCreation: 1, // customers per run (scaled by customerArrivalRate)
+      folioCreation: 1, // folio creation attempts per run
+      transactionCreation: 5, // folios sampled per run
+      camsProcessing: 20, // pending transactions per registrar batch
+      sipExecution: 500, // due SIPs, STPs and SWPs per run (each)
+      kycProcessing: 50, // KRA answers per run, and applicants submitting documents
+    },
+    seed: process.env.SIMULATION_SEED || null,
+    clockSpeed: parseFloat(process.env.SIMULATION_SPEED) || 1,
+    // Per-day activity when backfilling a historical date range
+    backfill: {
+      customersPerDay: parseInt(process.env.BACKFILL_CUSTOMERS_PER_DAY) || 20,
+      folioRunsPerDay: parseInt(process.env.BACKFILL_FOLIO_RUNS_PER_DAY) || 10,
+      transactionRunsPerDay: parseInt(process.env.BACKFILL_TRANSACTION_RUNS_PER_DAY) || 20,
+    },
+    // Built-in scenario definitions (JSON or YAML files)
+    scenarioDirectory: process.env.SCENARIO_DIR || 'scenarios',
+    // Baseline behaviour; scenarios and their phases override any of these
+    scenarioDefaults: {
+      nav: {
+        marketDrift: null, // null keeps navModels.market
+        marketVolatility: null,
+        driftAdjustment: 0, // added to every scheme's annual drift
+        volatilityMultiplier: 1,
+      },
+      customerArrivalRate: 1, // customers per customer-creation run
+      newCustomerFolioProbability: 0.7,
+      existingCustomerFolioProbability: 0.3,
+      sipAttachProbability: 0.6,
+      transactionProbability: 0.7, // per folio picked in a transaction run
+      redemptionRatio: 0.1 / 0.9, // redemptions per purchase
+      sipCancellationRate: 0, // chance a due SIP instalment is cancelled instead
+      stpRegistrationProbability: 0.01, // per folio picked in a transaction run
+      swpRegistrationProbability: 0.005,
+      camsRejectionRate: 0.10,
+      camsFailureRate: 0.05,
+      distributorFolioShare: 0.6, // new folios sold through a distributor (regular plan)
+      kycSubmissionProbability: 0.5, // per applicant owing documents, per KYC run
+      kraExistingRecordRate: 0.8, // new investors the KRA already holds a KYC record for
+      kraHoldRate: 0.1, // verifications put on hold for a document
+      kraRejectionRate: 0.03,
+    },
   },
 
   // AMC configuration
@@ -51,6 +145,140 @@ module.exports = {
     name: process.env.AMC_NAME || 'Simulation AMC',
   },
 
+  // CAMS registrar emulator and feed exchange directories
+  cams: {
+    feedDirectory: process.env.CAMS_FEED_DIR || 'cams_feeds',
+    pollInterval: parseInt(process.env.CAMS_POLL_INTERVAL) || 10000, // stand-alone emulator only
+    externalEmulator: process.env.CAMS_EXTERNAL_EMULATOR === 'true', // emulator runs as its own process
+  },
+
+  // Market holiday calendar: <year>.json files loaded on startup
+  holidays: {
+    directory: process.env.HOLIDAY_DIR || 'holidays',
+  },
+
+  // SEBI applicable-NAV rules (cut-off times are IST)
+  navRules: {
+    cutoffTime: process.env.NAV_CUTOFF_TIME || '15:00',
+    liquidCutoffTime: process.env.LIQUID_NAV_CUTOFF_TIME || '13:30', // liquid/overnight purchases
+    liquidSubCategories: ['LIQUID', 'OVERNIGHT'],
+    // Lump sums paid by cheque or NEFT realise after the order is placed
+    instantRealisationProbability: 0.8,
+    maxRealisationDelayHours: 48,
+  },
+
+  // Lock-in periods in years from allotment; locked units cannot be redeemed or switched
+  lockIn: {
+    bySubCategory: {
+      ELSS: 3,
+    },
+  },
+
+  // Capital gains on mutual fund units. Equity-oriented schemes (65%+ in
+  // domestic equity) are taxed as EQUITY, everything else as DEBT.
+  capitalGains: {
+    taxClassByCategory: { EQUITY: 'EQUITY', HYBRID: 'EQUITY', DEBT: 'DEBT' },
+    taxClassBySubCategory: { CONSERVATIVE: 'DEBT', INTERNATIONAL: 'DEBT' },
+    // Holding period in months after which a gain is long-term
+    longTermMonths: { EQUITY: 12, DEBT: 36 },
+    // Finance (No. 2) Act 2024: DEBT units redeemed from this date are long-term after 24 months
+    revisedDebtLongTerm: { from: '2024-07-23', months: 24 },
+    // Finance Act 2023: DEBT units bought from this date are always short-term
+    debtShortTermOnlyFrom: '2023-04-01',
+  },
+
+  // Distributor (ARN holder) commission. Trail accrues daily on the market
+  // value of regular-plan holdings, upfront on purchases, at the scheme's
+  // commission structure or else these annual/flat rates by category, in
+  // percent. Brokerage statements deduct TDS under section 194H.
+  commission: {
+    defaultRates: {
+      EQUITY: { trailRate: 0.85, upfrontRate: 0.5 },
+      HYBRID: { trailRate: 0.7, upfrontRate: 0.25 },
+      DEBT: { trailRate: 0.3, upfrontRate: 0 },
+    },
+    tdsRate: 2,
+  },
+
+  // KYC through the KYC Registration Agencies (KRAs). New investors are
+  // looked up by PAN; those without a KRA record submit documents, which the
+  // KRA verifies. KRAs answer after a delay in hours, drawn from the range for
+  // the request type. Verified KYC is renewed (re-KYC) after validityYears.
+  kyc: {
+    kraCodes: ['CVLKRA', 'NDMLKRA', 'CAMSKRA', 'KARVYKRA', 'DOTEXKRA'],
+    responseHours: {
+      LOOKUP: [0, 1],
+      VERIFICATION: [24, 72],
+    },
+    validityYears: parseInt(process.env.KYC_VALIDITY_YEARS) || 5,
+    // An application needs every required document and one proof of address
+    requiredDocuments: ['PAN', 'PHOTO'],
+    addressProofs: ['AADHAAR', 'PASSPORT', 'DRIVING_LICENCE', 'VOTER_ID'],
+    // Purchases by investors in these statuses are held until their KYC is
+    // verified; other unverified investors cannot buy
+    holdStatuses: ['PENDING', 'SUBMITTED', 'ON_HOLD'],
+  },
+
+  // Statutory charges on allotments, in percent
+  charges: {
+    // Indian Stamp Act: on purchases, switch-ins and STP instalments
+    stampDutyRate: 0.005,
+    // Securities transaction tax paid by the seller on redemptions, by tax class
+    sttRate: { EQUITY: 0.001, DEBT: 0 },
+    // TDS on NRI capital gains by tax class and term, before surcharge and cess
+    nriTdsRate: {
+      EQUITY: { SHORT_TERM: 20, LONG_TERM: 12.5 },
+      DEBT: { SHORT_TERM: 30, LONG_TERM: 12.5 },
+    },
+  },
+
+  // Performance analytics configuration
+  analytics: {
+    riskFreeRate: parseFloat(process.env.RISK_FREE_RATE) || 0.065,
+    tradingDaysPerYear: parseInt(process.env.TRADING_DAYS_PER_YEAR) || 252,
+  },
+
+  // Stochastic NAV models (annualised parameters). A scheme's own nav_model
+  // overrides its sub-category, which overrides its category, then the default.
+  navModels: {
+    market: { drift: 0.11, volatility: 0.15 },
+    default: { model: 'GBM', drift: 0.08, volatility: 0.10 },
+    byCategory: {
+      EQUITY: { model: 'FACTOR', alpha: 0.01, beta: 1.0, idiosyncraticVolatility: 0.08 },
+      DEBT: { model: 'GBM', drift: 0.07, volatility: 0.015 },
+      HYBRID: { model: 'FACTOR', alpha: 0.03, beta: 0.55, idiosyncraticVolatility: 0.04 },
+    },
+    bySubCategory: {
+      LARGE_CAP: { model: 'FACTOR', alpha: 0.005, beta: 0.95, idiosyncraticVolatility: 0.05 },
+      MID_CAP: { model: 'FACTOR', alpha: 0.02, beta: 1.15, idiosyncraticVolatility: 0.10 },
+      SMALL_CAP: { model: 'JUMP_DIFFUSION', drift: 0.15, volatility: 0.22, jumpIntensity: 3, jumpMean: -0.03, jumpVolatility: 0.05 },
+      SECTORAL: { model: 'GARCH', drift: 0.13, volatility: 0.22, alpha: 0.08, beta: 0.9 },
+      INTERNATIONAL: { model: 'GARCH', drift: 0.10, volatility: 0.17, alpha: 0.06, beta: 0.92 },
+      LONG_TERM: { model: 'GARCH', drift: 0.075, volatility: 0.04, alpha: 0.05, beta: 0.9 },
+      LIQUID: { model: 'GBM', drift: 0.065, volatility: 0.004 },
+      OVERNIGHT: { model: 'GBM', drift: 0.06, volatility: 0.001 },
+    },
+  },
+
+  // Scheme plans: bought direct from the AMC, or through a distributor
+  schemePlans: {
+    DIRECT: 'DIRECT',
+    REGULAR: 'REGULAR',
+  },
+
+  // Plan options: growth reinvests all income, IDCW pays out or reinvests
+  // declared dividends (see dividendOptions)
+  planOptions: {
+    GROWTH: 'GROWTH',
+    IDCW: 'IDCW',
+  },
+
+  // Commission accrued to distributors
+  commissionTypes: {
+    TRAIL: 'TRAIL',
+    UPFRONT: 'UPFRONT',
+  },
+
   // Transaction types
   transactionTypes: {
     PURCHASE: 'PURCHASE',
@@ -68,6 +296,39 @@ module.exports = {
     SWP: 'SWP',
     REDEMPTION: 'REDEMPTION',
     DIVIDEND: 'DIVIDEND',
+    SWITCH: 'SWITCH',
+  },
+
+  // STP and SWP variants: a fixed amount, fixed units, or only the gains
+  // over the invested amount
+  planTypes: {
+    FIXED_AMOUNT: 'FIXED_AMOUNT',
+    FIXED_UNITS: 'FIXED_UNITS',
+    CAPITAL_APPRECIATION: 'CAPITAL_APPRECIATION',
+  },
+
+  // Folio options for income distributions (IDCW): none, paid out, or
+  // reinvested in units
+  dividendOptions: {
+    GROWTH: 'GROWTH',
+    IDCW_PAYOUT: 'IDCW_PAYOUT',
+    IDCW_REINVEST: 'IDCW_REINVEST',
+  },
+
+  // API user roles
+  userRoles: {
+    ADMIN: 'ADMIN',
+    OPERATIONS: 'OPERATIONS',
+    DISTRIBUTOR: 'DISTRIBUTOR',
+    INVESTOR: 'INVESTOR',
+    READONLY: 'READONLY',
+  },
+
+  // Holiday types: exchanges closed, banks closed, or both
+  holidayTypes: {
+    TRADING: 'TRADING',
+    BANK: 'BANK',
+    BOTH: 'BOTH',
   },
 
   // Status types
@@ -80,14 +341,29 @@ module.exports = {
     },
     cams: {
       PENDING: 'PENDING',
+      SENT: 'SENT', // included in an R2 feed, awaiting the reverse feed
       PROCESSED: 'PROCESSED',
       REJECTED: 'REJECTED',
       FAILED: 'FAILED',
+      HELD: 'HELD', // purchase waiting for the investor's KYC to be verified
     },
-    customer: {
-      KYC_PENDING: 'PENDING',
-      KYC_COMPLETED: 'COMPLETED',
-      KYC_REJECTED: 'REJECTED',
+    // KYC lifecycle of an investor (see KYCService)
+    kyc: {
+      PENDING: 'PENDING', // awaiting the KRA lookup or documents
+      SUBMITTED: 'SUBMITTED', // documents with the KRA for verification
+      VERIFIED: 'VERIFIED',
+      REJECTED: 'REJECTED',
+      ON_HOLD: 'ON_HOLD', // the KRA wants a document again
+      EXPIRED: 'EXPIRED', // due for re-KYC
+    },
+    kycDocument: {
+      SUBMITTED: 'SUBMITTED',
+      ACCEPTED: 'ACCEPTED',
+      REJECTED: 'REJECTED',
+    },
+    kraRequest: {
+      SENT: 'SENT',
+      ANSWERED: 'ANSWERED',
     },
     folio: {
       ACTIVE: 'ACTIVE',
@@ -100,5 +376,21 @@ module.exports = {
       CANCELLED: 'CANCELLED',
       COMPLETED: 'COMPLETED',
     },
+    stp: {
+      ACTIVE: 'ACTIVE',
+      PAUSED: 'PAUSED',
+      CANCELLED: 'CANCELLED',
+      COMPLETED: 'COMPLETED',
+    },
+    swp: {
+      ACTIVE: 'ACTIVE',
+      PAUSED: 'PAUSED',
+      CANCELLED: 'CANCELLED',
+      COMPLETED: 'COMPLETED',
+    },
+    dividend: {
+      DECLARED: 'DECLARED',
+      DISTRIBUTED: 'DISTRIBUTED',
+    },
   },
 };
@@ -0,0 +1,133 @@
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Distributor = require('../models/Distributor');
+const { generateToken } = require('../middleware/auth');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+class AuthController {
+  // Exchange a username and password for an access token
+  async login(req, res, next) {
+    try {
+      const { username, password } = req.body;
+      const user = await User.findByUsername(username);
+      if (!user || !user.isActive || !(await user.verifyPassword(password))) {
+        logger.warn(`Failed login for ${username}`);
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid username or password'
+        });
+      }
+
+      await user.recordLogin();
+      logger.info(`User logged in: ${user.username}`);
+      res.json({
+        success: true,
+        data: {
+          token: generateToken(user.toTokenPayload()),
+          expiresIn: config.jwt.expiresIn,
+          user
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCurrentUser(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: {
+          ...req.user,
+          permissions: config.auth.permissions[req.user.role] || []
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getUsers(req, res, next) {
+    try {
+      const users = await User.findAll();
+      res.json({
+        success: true,
+        data: users
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createUser(req, res, next) {
+    try {
+      const { username, password, role, customerId, distributorId } = req.body;
+
+      if (await User.findByUsername(username)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Username already taken'
+        });
+      }
+      if (role === config.userRoles.INVESTOR && !(await Customer.findById(customerId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Investor users need an existing customerId'
+        });
+      }
+      if (distributorId && !(await Distributor.findById(distributorId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+
+      const user = await User.create({ username, password, role, customerId, distributorId });
+      res.status(201).json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateUser(req, res, next) {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
+
+      const { password, role, customerId, distributorId, isActive } = req.body;
+      const nextRole = role || user.role;
+      const nextCustomerId = customerId !== undefined ? customerId : user.customerId;
+      if (nextRole === config.userRoles.INVESTOR && !(nextCustomerId && await Customer.findById(nextCustomerId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Investor users need an existing customerId'
+        });
+      }
+      if (distributorId && !(await Distributor.findById(distributorId))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+
+      await user.update({ password, role, customerId, distributorId, isActive });
+      res.json({
+        success: true,
+        data: user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new AuthController();
@@ -1,10 +1,16 @@
 const Customer = require('../models/Customer');
+const CapitalGainsService = require('../services/CapitalGainsService');
+const CASService = require('../services/CASService');
+const KYCService = require('../services/KYCService');
+const ReturnsService = require('../services/ReturnsService');
+const ValuationService = require('../services/ValuationService');
 const logger = require('../utils/logger');
 
 class CustomerController {
   async createCustomer(req, res, next) {
     try {
       const customer = await Customer.create(req.body);
+      await KYCService.startOnboarding(customer, req.user.username);
       logger.info(`Customer created: ${customer.id}`);
       res.status(201).json({
         success: true,
@@ -33,6 +39,172 @@ class CustomerController {
     }
   }
 
+  // Realised capital gains across the customer's folios for a financial year
+  async getCapitalGains(req, res, next) {
+    try {
+      const customer = await Customer.findById(req.params.id);
+      if (!customer) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+
+      const gains = await CapitalGainsService.getRealisedGains({ customerId: customer.id }, req.query.fy);
+      res.json({
+        success: true,
+        data: gains
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Portfolio XIRR, absolute return, CAGR and time-weighted return, overall,
+  // per scheme and per folio
+  async getReturns(req, res, next) {
+    try {
+      const returns = await ReturnsService.getCustomerReturns(req.params.id);
+      if (!returns) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: returns
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Daily portfolio value from the holdings_valuation snapshots (?from=&to=)
+  async getValuations(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const valuations = await ValuationService.getCustomerValuations(req.params.id, { from, to });
+      if (!valuations) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: valuations
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Consolidated Account Statement by PAN (?from=&to=&format=json|csv|html)
+  async getCAS(req, res, next) {
+    try {
+      const cas = await CASService.getStatement(req.params.pan, {
+        from: req.query.from,
+        to: req.query.to
+      });
+      if (!cas) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+
+      const { from, to } = cas.statementPeriod;
+      switch (req.query.format) {
+        case 'csv':
+          res.type('text/csv');
+          res.attachment(`CAS_${req.params.pan}_${from}_${to}.csv`);
+          return res.send(CASService.toCSV(cas));
+        case 'html':
+          res.type('html');
+          return res.send(CASService.toHTML(cas));
+        default:
+          res.json({
+            success: true,
+            data: cas
+          });
+      }
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // KYC status, documents, KRA requests and history
+  async getKYC(req, res, next) {
+    try {
+      const kyc = await KYCService.getKYC(req.params.id);
+      if (!kyc) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: kyc
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addKYCDocument(req, res, next) {
+    try {
+      const { documentType, documentNumber } = req.body;
+      const document = await KYCService.addDocument(req.params.id, { documentType, documentNumber }, req.user.username);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+      res.status(201).json({
+        success: true,
+        data: document
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Sends the documents added to the KRA for verification
+  async submitKYC(req, res, next) {
+    try {
+      const submission = await KYCService.submit(req.params.id, req.user.username);
+      if (!submission) {
+        return res.status(404).json({
+          success: false,
+          error: 'Customer not found'
+        });
+      }
+      logger.info(`KYC submitted for customer: ${req.params.id}`);
+      res.status(202).json({
+        success: true,
+        data: submission
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Customers by KYC status
+  async getKYCSummary(req, res, next) {
+    try {
+      const summary = await Customer.getKYCSummary();
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getAllCustomers(req, res, next) {
     try {
       const page = parseInt(req.query.page) || 1;
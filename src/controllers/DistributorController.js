@@ -0,0 +1,162 @@
+const Distributor = require('../models/Distributor');
+const CommissionService = require('../services/CommissionService');
+const logger = require('../utils/logger');
+
+class DistributorController {
+  async getDistributors(req, res, next) {
+    try {
+      const distributors = await Distributor.findAllWithSummary();
+      res.json({
+        success: true,
+        data: distributors
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Direct against regular business, by distributor category
+  async getChannelAnalytics(req, res, next) {
+    try {
+      const channels = await Distributor.getChannelSummary();
+      res.json({
+        success: true,
+        data: channels
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createDistributor(req, res, next) {
+    try {
+      if (await Distributor.findByARN(req.body.arnCode)) {
+        return res.status(409).json({
+          success: false,
+          error: 'ARN code already registered'
+        });
+      }
+
+      const distributor = await Distributor.create(req.body);
+      logger.info(`Distributor created: ${distributor.arnCode}`);
+      res.status(201).json({
+        success: true,
+        data: distributor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDistributor(req, res, next) {
+    try {
+      const distributor = await Distributor.findById(req.params.id);
+      if (!distributor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: {
+          ...distributor.toJSON(),
+          schemes: await distributor.getSchemeSummary()
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateDistributor(req, res, next) {
+    try {
+      const distributor = await Distributor.findById(req.params.id);
+      if (!distributor) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+
+      await distributor.update(req.body);
+      res.json({
+        success: true,
+        data: distributor
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Daily trail and upfront commission accrued over a period
+  async getCommissions(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const commissions = await CommissionService.getCommissions(req.params.id, { from, to });
+      if (!commissions) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: commissions
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStatements(req, res, next) {
+    try {
+      const statements = await CommissionService.listStatements(req.params.id);
+      if (!statements) {
+        return res.status(404).json({
+          success: false,
+          error: 'Distributor not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: statements
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStatement(req, res, next) {
+    try {
+      const statement = await CommissionService.getStatement(req.params.id, req.params.month);
+      if (!statement) {
+        return res.status(404).json({
+          success: false,
+          error: 'Statement not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Brokerage statements for every ARN for a month, the last one by default
+  async generateStatements(req, res, next) {
+    try {
+      const result = await CommissionService.generateStatements(req.body.month || null);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new DistributorController();
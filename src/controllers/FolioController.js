@@ -1,10 +1,55 @@
 const Folio = require('../models/Folio');
+const PurchaseLot = require('../models/PurchaseLot');
+const Scheme = require('../models/Scheme');
+const Distributor = require('../models/Distributor');
+const CapitalGainsService = require('../services/CapitalGainsService');
+const StatementService = require('../services/StatementService');
+const ReturnsService = require('../services/ReturnsService');
 const logger = require('../utils/logger');
 
+// Pledges units, or releases pledged ones when units is negative
+async function changePledge(req, res, next, units) {
+  try {
+    const balance = await Folio.pledgeUnits(parseInt(req.params.id), units);
+    if (!balance) {
+      return res.status(404).json({
+        success: false,
+        error: 'No holding found for folio'
+      });
+    }
+
+    logger.info(`Pledge changed on folio ${req.params.id} by ${units} units`);
+    res.json({
+      success: true,
+      data: balance
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 class FolioController {
+  // Folios opened through a distributor are regular plan, tagged with the
+  // ARN and EUIN. Distributor users open them under their own ARN.
   async createFolio(req, res, next) {
     try {
-      const folio = await Folio.create(req.body);
+      const folioData = { ...req.body };
+      if (!folioData.distributorId && req.user.distributorId) {
+        folioData.distributorId = req.user.distributorId;
+      }
+
+      if (folioData.distributorId) {
+        const distributor = await Distributor.findById(folioData.distributorId);
+        if (!distributor || !distributor.isActive) {
+          return res.status(400).json({
+            success: false,
+            error: 'Distributor not found or inactive'
+          });
+        }
+        folioData.euin = folioData.euin || distributor.euin;
+      }
+
+      const folio = await Folio.create(folioData);
       logger.info(`Folio created: ${folio.id} for customer: ${req.body.customerId}`);
       res.status(201).json({
         success: true,
@@ -97,6 +142,141 @@ class FolioController {
     }
   }
 
+  async getUnitBalance(req, res, next) {
+    try {
+      const folio = await Folio.findById(req.params.id);
+      if (!folio) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+
+      const balance = await Folio.getUnitBalance(folio.id, folio.schemeId);
+      res.json({
+        success: true,
+        data: { folioId: folio.id, schemeId: folio.schemeId, ...balance }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async pledgeUnits(req, res, next) {
+    await changePledge(req, res, next, parseFloat(req.body.units));
+  }
+
+  async releaseUnits(req, res, next) {
+    await changePledge(req, res, next, -parseFloat(req.body.units));
+  }
+
+  async getPurchaseLots(req, res, next) {
+    try {
+      const folio = await Folio.findById(req.params.id);
+      if (!folio) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+
+      const lots = await PurchaseLot.findByFolio(folio.id, req.query.open === 'true');
+      res.json({
+        success: true,
+        data: lots
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCapitalGains(req, res, next) {
+    try {
+      const folio = await Folio.findById(req.params.id);
+      if (!folio) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+
+      const gains = await CapitalGainsService.getRealisedGains({ folioId: folio.id }, req.query.fy);
+      res.json({
+        success: true,
+        data: gains
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setDividendOption(req, res, next) {
+    try {
+      const folio = await Folio.findById(req.params.id);
+      if (!folio) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+
+      // Moving between growth and IDCW plan-options is a switch
+      const scheme = await Scheme.findById(folio.schemeId);
+      if (!scheme.getDividendOptions().includes(req.body.dividendOption)) {
+        return res.status(400).json({
+          success: false,
+          error: `${scheme.schemeCode} cannot be held under dividend option ${req.body.dividendOption}`
+        });
+      }
+
+      await folio.update({ dividendOption: req.body.dividendOption });
+      res.json({
+        success: true,
+        data: folio
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStatement(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const statement = await StatementService.getFolioStatement(req.params.id, { from, to });
+      if (!statement) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // XIRR, absolute return, CAGR and time-weighted return as of today
+  async getReturns(req, res, next) {
+    try {
+      const returns = await ReturnsService.getFolioReturns(req.params.id);
+      if (!returns) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: returns
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getFolioTransactions(req, res, next) {
     try {
       const page = parseInt(req.query.page) || 1;
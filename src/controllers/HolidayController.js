@@ -0,0 +1,99 @@
+const HolidayCalendar = require('../services/HolidayCalendar');
+const logger = require('../utils/logger');
+
+class HolidayController {
+  async getHolidays(req, res, next) {
+    try {
+      const year = req.query.year ? parseInt(req.query.year) : null;
+      const holidays = await HolidayCalendar.listHolidays(year);
+      res.json({
+        success: true,
+        data: holidays
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async checkDate(req, res, next) {
+    try {
+      const { date } = req.params;
+      const { EXCHANGE, BANK } = HolidayCalendar.CALENDARS;
+      res.json({
+        success: true,
+        data: {
+          date,
+          businessDay: HolidayCalendar.isBusinessDay(date),
+          tradingDay: HolidayCalendar.isBusinessDay(date, EXCHANGE),
+          bankDay: HolidayCalendar.isBusinessDay(date, BANK),
+          holiday: HolidayCalendar.getHoliday(date),
+          nextBusinessDay: HolidayCalendar.toDateKey(HolidayCalendar.nextBusinessDay(date))
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addHoliday(req, res, next) {
+    try {
+      const holiday = await HolidayCalendar.addHoliday(req.body);
+      logger.info(`Market holiday added: ${holiday.date} ${holiday.name}`);
+      res.status(201).json({
+        success: true,
+        data: holiday
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteHoliday(req, res, next) {
+    try {
+      const deleted = await HolidayCalendar.removeHoliday(req.params.date);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Holiday not found'
+        });
+      }
+      logger.info(`Market holiday removed: ${req.params.date}`);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async importYear(req, res, next) {
+    try {
+      const year = parseInt(req.params.year);
+      const holidays = await HolidayCalendar.importYear({ ...req.body, year });
+      res.json({
+        success: true,
+        data: holidays
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async loadYear(req, res, next) {
+    try {
+      const holidays = await HolidayCalendar.loadFile(parseInt(req.params.year));
+      if (!holidays) {
+        return res.status(404).json({
+          success: false,
+          error: 'Holiday file not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: holidays
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new HolidayController();
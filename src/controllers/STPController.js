@@ -0,0 +1,20 @@
+const STP = require('../models/STP');
+const Scheme = require('../models/Scheme');
+const SystematicPlanController = require('./SystematicPlanController');
+
+class STPController extends SystematicPlanController {
+  constructor() {
+    super(STP);
+  }
+
+  // A folio's own scheme would switch back into its plan-option
+  async validate(folio, body) {
+    const scheme = await Scheme.findById(folio.schemeId);
+    if ([scheme.id, scheme.parentSchemeId].includes(parseInt(body.targetSchemeId))) {
+      return 'Target scheme must differ from the source scheme';
+    }
+    return null;
+  }
+}
+
+module.exports = new STPController();
@@ -0,0 +1,4 @@
+const SWP = require('../models/SWP');
+const SystematicPlanController = require('./SystematicPlanController');
+
+module.exports = new SystematicPlanController(SWP);
@@ -0,0 +1,87 @@
+const ScenarioService = require('../services/ScenarioService');
+const logger = require('../utils/logger');
+
+// Scenario bodies arrive either as parsed JSON or as raw YAML/JSON text
+const readDefinition = (req) => (typeof req.body === 'string' ? ScenarioService.parse(req.body) : req.body);
+
+class ScenarioController {
+  async listScenarios(req, res, next) {
+    try {
+      const scenarios = await ScenarioService.listScenarios();
+      res.json({
+        success: true,
+        data: scenarios
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getScenario(req, res, next) {
+    try {
+      const scenario = await ScenarioService.getScenario(req.params.name);
+      if (!scenario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scenario not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: scenario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async createScenario(req, res, next) {
+    try {
+      const scenario = await ScenarioService.createScenario(readDefinition(req));
+      logger.info(`Scenario created: ${scenario.name}`);
+      res.status(201).json({
+        success: true,
+        data: scenario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async updateScenario(req, res, next) {
+    try {
+      const scenario = await ScenarioService.updateScenario(req.params.name, readDefinition(req));
+      if (!scenario) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scenario not found'
+        });
+      }
+      logger.info(`Scenario updated: ${scenario.name}`);
+      res.json({
+        success: true,
+        data: scenario
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async deleteScenario(req, res, next) {
+    try {
+      const deleted = await ScenarioService.deleteScenario(req.params.name);
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scenario not found'
+        });
+      }
+      logger.info(`Scenario deleted: ${req.params.name}`);
+      res.status(204).send();
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new ScenarioController();
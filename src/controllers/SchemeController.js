@@ -1,4 +1,8 @@
 const Scheme = require('../models/Scheme');
+const ExitLoadService = require('../services/ExitLoadService');
+const CommissionService = require('../services/CommissionService');
+const DividendService = require('../services/DividendService');
+const SchemePlanService = require('../services/SchemePlanService');
 const logger = require('../utils/logger');
 
 class SchemeController {
@@ -149,6 +153,7 @@ class SchemeController {
   async updateAllNAVs(req, res, next) {
     try {
       const result = await Scheme.updateAllNAVs();
+      result.dividendsDistributed = await DividendService.distributeDue();
       logger.info(`NAV update completed for ${result.updated} schemes`);
       res.json({
         success: true,
@@ -189,6 +194,185 @@ class SchemeController {
       next(error);
     }
   }
+
+  // Direct and regular plan-options of a scheme
+  async getPlans(req, res, next) {
+    try {
+      const plans = await SchemePlanService.getPlans(req.params.id);
+      if (!plans) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: plans
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getPlanNAVHistory(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const history = await SchemePlanService.getNAVHistory(req.params.id, { from, to });
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Each plan-option's performance and the direct plans' edge over regular
+  async comparePlanPerformance(req, res, next) {
+    try {
+      const { period = '1y' } = req.query;
+      const comparison = await SchemePlanService.comparePerformance(req.params.id, period);
+      if (!comparison) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: comparison
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getExitLoads(req, res, next) {
+    try {
+      const scheme = await Scheme.findById(req.params.id);
+      if (!scheme) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      const structures = await ExitLoadService.getStructures(scheme.id);
+      res.json({
+        success: true,
+        data: structures
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addExitLoad(req, res, next) {
+    try {
+      const { effectiveFrom, tiers, freeUnitsPercent } = req.body;
+      const structure = await ExitLoadService.addStructure(req.params.id, {
+        ...(effectiveFrom && { effectiveFrom }),
+        tiers,
+        freeUnitsPercent
+      });
+      if (!structure) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.status(201).json({
+        success: true,
+        data: structure
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCommissions(req, res, next) {
+    try {
+      const structures = await CommissionService.getStructures(req.params.id);
+      if (!structures) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: structures
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async addCommission(req, res, next) {
+    try {
+      const { effectiveFrom, trailRate, upfrontRate } = req.body;
+      const structure = await CommissionService.addStructure(req.params.id, {
+        ...(effectiveFrom && { effectiveFrom }),
+        trailRate,
+        upfrontRate
+      });
+      if (!structure) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.status(201).json({
+        success: true,
+        data: structure
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getDividends(req, res, next) {
+    try {
+      const scheme = await Scheme.findById(req.params.id);
+      if (!scheme) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      const declarations = await DividendService.getDeclarations(scheme.id);
+      res.json({
+        success: true,
+        data: declarations
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async declareDividend(req, res, next) {
+    try {
+      const { recordDate, ratePerUnit } = req.body;
+      const declaration = await DividendService.declare(req.params.id, { recordDate, ratePerUnit });
+      if (!declaration) {
+        return res.status(404).json({
+          success: false,
+          error: 'Scheme not found'
+        });
+      }
+      res.status(201).json({
+        success: true,
+        data: declaration
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new SchemeController();
@@ -1,4 +1,8 @@
 const SimulationService = require('../services/SimulationService');
+const SimulationRun = require('../models/SimulationRun');
+const CAMSFeedService = require('../services/CAMSFeedService');
+const ValuationService = require('../services/ValuationService');
+const CommissionService = require('../services/CommissionService');
 const logger = require('../utils/logger');
 
 class SimulationController {
@@ -17,11 +21,12 @@ class SimulationController {
   async startSimulation(req, res, next) {
     try {
       const { config } = req.body;
-      await SimulationService.start(config);
+      const run = await SimulationService.start(config);
       logger.info('Simulation started');
       res.json({
         success: true,
-        message: 'Simulation started successfully'
+        message: 'Simulation started successfully',
+        data: run
       });
     } catch (error) {
       next(error);
@@ -82,11 +87,12 @@ class SimulationController {
   async updateConfig(req, res, next) {
     try {
       const { config } = req.body;
-      await SimulationService.updateConfig(config);
-      logger.info('Simulation configuration updated');
+      const result = await SimulationService.updateConfig(config);
+      logger.info('Simulation configuration updated', { changed: result.changed });
       res.json({
         success: true,
-        message: 'Configuration updated successfully'
+        message: 'Configuration updated successfully',
+        data: result
       });
     } catch (error) {
       next(error);
@@ -135,6 +141,179 @@ class SimulationController {
     }
   }
 
+  async triggerCAMSProcessing(req, res, next) {
+    try {
+      const cycle = await SimulationService.processCAMSFeeds();
+      logger.info(`Exchanged CAMS feeds manually: ${cycle.exported.records} transactions exported`);
+      res.json({
+        success: true,
+        data: cycle
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async triggerValuations(req, res, next) {
+    try {
+      const result = await ValuationService.recordValuations();
+      logger.info(`Recorded holding valuations manually: ${result.valuations} for ${result.days} days`);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // Collects due KRA answers and submits simulated applicants' documents
+  async triggerKYCProcessing(req, res, next) {
+    try {
+      const result = await SimulationService.processKYC();
+      logger.info(`Processed KYC manually: ${result.responses.answered} KRA answers, ${result.submitted} submissions`);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async triggerCommissions(req, res, next) {
+    try {
+      const result = await CommissionService.accrueCommissions();
+      logger.info(`Accrued distributor commission manually: ${result.accruals} for ${result.days} days`);
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCAMSFeeds(req, res, next) {
+    try {
+      const feeds = await CAMSFeedService.listFeeds();
+      res.json({
+        success: true,
+        data: feeds
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getCAMSFeed(req, res, next) {
+    try {
+      const feed = await CAMSFeedService.readFeed(req.params.fileName);
+      if (!feed) {
+        return res.status(404).json({
+          success: false,
+          error: 'Feed file not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: feed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRuns(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const runs = await SimulationRun.findAll(limit, (page - 1) * limit);
+      res.json({
+        success: true,
+        data: runs
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getRun(req, res, next) {
+    try {
+      const run = await SimulationRun.findById(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Simulation run not found'
+        });
+      }
+      res.json({
+        success: true,
+        data: run
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async replayRun(req, res, next) {
+    try {
+      const run = await SimulationService.replay(req.params.id);
+      if (!run) {
+        return res.status(404).json({
+          success: false,
+          error: 'Simulation run not found'
+        });
+      }
+      logger.info(`Simulation run ${req.params.id} replayed as run ${run.id}`);
+      res.json({
+        success: true,
+        message: 'Simulation replay started successfully',
+        data: run
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getClock(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: SimulationService.getClock()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async setClockSpeed(req, res, next) {
+    try {
+      const clock = SimulationService.setClockSpeed(parseFloat(req.body.speed));
+      logger.info(`Simulation clock speed set to ${clock.speed}x`);
+      res.json({
+        success: true,
+        data: clock
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async startBackfill(req, res, next) {
+    try {
+      const run = await SimulationService.backfill(req.body);
+      logger.info('Simulation backfill started');
+      res.status(202).json({
+        success: true,
+        message: 'Simulation backfill started successfully',
+        data: run
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async resetSimulation(req, res, next) {
     try {
       await SimulationService.reset();
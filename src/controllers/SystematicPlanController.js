@@ -0,0 +1,160 @@
+const Folio = require('../models/Folio');
+const SimulationClock = require('../services/SimulationClock');
+const logger = require('../utils/logger');
+
+// Handlers for an STP or SWP model (see SystematicPlan). Subclasses may refuse
+// a registration on a folio in validate(). Handlers are bound so routes can
+// pass them directly.
+class SystematicPlanController {
+  constructor(Plan) {
+    this.Plan = Plan;
+    const { statuses } = Plan.PLAN;
+    // Lifecycle moves allowed from each plan status
+    this.transitions = {
+      pause: [statuses.ACTIVE],
+      resume: [statuses.PAUSED],
+      cancel: [statuses.ACTIVE, statuses.PAUSED]
+    };
+    for (const handler of ['create', 'get', 'getAll', 'pause', 'resume', 'cancel', 'getStats']) {
+      this[handler] = this[handler].bind(this);
+    }
+  }
+
+  // Error message refusing the registration on the folio, or null
+  async validate() {
+    return null;
+  }
+
+  async create(req, res, next) {
+    const { name, idKey, generateId } = this.Plan.PLAN;
+    try {
+      const folio = await Folio.findById(req.body.folioId);
+      if (!folio) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+      const refusal = await this.validate(folio, req.body);
+      if (refusal) {
+        return res.status(400).json({
+          success: false,
+          error: refusal
+        });
+      }
+
+      const plan = await this.Plan.create({
+        ...req.body,
+        [idKey]: generateId(SimulationClock.now()),
+        customerId: folio.customerId,
+        schemeId: folio.schemeId
+      });
+      logger.info(`${name} created: ${plan[idKey]} for folio: ${folio.id}`);
+      res.status(201).json({
+        success: true,
+        data: plan
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async get(req, res, next) {
+    try {
+      const plan = await this.Plan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: `${this.Plan.PLAN.name} not found`
+        });
+      }
+      res.json({
+        success: true,
+        data: plan
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getAll(req, res, next) {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const { folioId, status, planType } = req.query;
+
+      const filters = {};
+      if (folioId) filters.folioId = parseInt(folioId);
+      if (status) filters.status = status;
+      if (planType) filters.planType = planType;
+
+      const { plans, total } = await this.Plan.findAll(filters, { page, limit });
+      res.json({
+        success: true,
+        data: plans,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async pause(req, res, next) {
+    return this.changeStatus(req, res, next, 'pause');
+  }
+
+  async resume(req, res, next) {
+    return this.changeStatus(req, res, next, 'resume');
+  }
+
+  async cancel(req, res, next) {
+    return this.changeStatus(req, res, next, 'cancel');
+  }
+
+  // Applies a pause, resume or cancel if the plan's status allows it
+  async changeStatus(req, res, next, action) {
+    const { name } = this.Plan.PLAN;
+    try {
+      const plan = await this.Plan.findById(req.params.id);
+      if (!plan) {
+        return res.status(404).json({
+          success: false,
+          error: `${name} not found`
+        });
+      }
+      if (!this.transitions[action].includes(plan.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Cannot ${action} an ${name} that is ${plan.status}`
+        });
+      }
+
+      await plan[action]();
+      res.json({
+        success: true,
+        data: plan
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  async getStats(req, res, next) {
+    try {
+      const stats = await this.Plan.getStats();
+      res.json({
+        success: true,
+        data: stats
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = SystematicPlanController;
@@ -1,10 +1,54 @@
 const Transaction = require('../models/Transaction');
+const SwitchService = require('../services/SwitchService');
+const ChargesService = require('../services/ChargesService');
 const logger = require('../utils/logger');
+const config = require('../config');
+
+// A SIP instalment paid by hand is a purchase in the SIP mode
+function parsePurchase({ folioId, type, amount, remarks }) {
+  return {
+    folioId: parseInt(folioId),
+    amount: parseFloat(amount),
+    transactionMode: type === config.transactionModes.SIP ? config.transactionModes.SIP : config.transactionModes.LUMPSUM,
+    remarks
+  };
+}
+
+function parseRedemption({ folioId, amount, units, allUnits, remarks }) {
+  return {
+    folioId: parseInt(folioId),
+    amount: amount !== undefined ? parseFloat(amount) : null,
+    units: units !== undefined ? parseFloat(units) : null,
+    allUnits: allUnits === true || allUnits === 'true',
+    remarks
+  };
+}
 
 class TransactionController {
   async createTransaction(req, res, next) {
     try {
-      const transaction = await Transaction.create(req.body);
+      // Purchases wait for KYC in progress but cannot be placed without it
+      if (req.body.type !== config.transactionTypes.REDEMPTION) {
+        const kyc = await Transaction.checkKYC(req.body);
+        if (kyc && !kyc.held) {
+          return res.status(400).json({
+            success: false,
+            error: `Purchase not allowed: ${kyc.reason}`
+          });
+        }
+      }
+
+      // Redemptions give one of amount, units or allUnits and need an existing folio
+      const transaction = req.body.type === config.transactionTypes.REDEMPTION
+        ? await Transaction.createRedemption(parseRedemption(req.body))
+        : await Transaction.createPurchase(parsePurchase(req.body));
+      if (!transaction) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+
       logger.info(`Transaction created: ${transaction.id} for folio: ${req.body.folioId}`);
       res.status(201).json({
         success: true,
@@ -15,6 +59,32 @@ class TransactionController {
     }
   }
 
+  async createSwitch(req, res, next) {
+    try {
+      const { folioId, targetSchemeId, amount, units, allUnits } = req.body;
+      const result = await SwitchService.createSwitch({
+        folioId: parseInt(folioId),
+        targetSchemeId: parseInt(targetSchemeId),
+        amount: amount !== undefined ? parseFloat(amount) : null,
+        units: units !== undefined ? parseFloat(units) : null,
+        allUnits: allUnits === true || allUnits === 'true'
+      });
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          error: 'Folio not found'
+        });
+      }
+      logger.info(`Switch created: ${result.switchOut.transactionId} -> ${result.switchIn.transactionId}`);
+      res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   async getTransaction(req, res, next) {
     try {
       const transaction = await Transaction.findById(req.params.id);
@@ -140,8 +210,14 @@ class TransactionController {
 
   async getTransactionHistory(req, res, next) {
     try {
-      const { period = '7d' } = req.query;
-      const history = await Transaction.getTransactionHistory(period);
+      const { period = '7d', bucket = 'day', schemeId, category, mode } = req.query;
+      const history = await Transaction.getTransactionHistory({
+        period,
+        bucket,
+        schemeId: schemeId ? parseInt(schemeId) : null,
+        category: category || null,
+        mode: mode || null
+      });
       res.json({
         success: true,
         data: history
@@ -150,6 +226,19 @@ class TransactionController {
       next(error);
     }
   }
+
+  async getDailyCharges(req, res, next) {
+    try {
+      const { from, to } = req.query;
+      const charges = await ChargesService.getDailyTotals({ from, to });
+      res.json({
+        success: true,
+        data: charges
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
 }
 
 module.exports = new TransactionController();
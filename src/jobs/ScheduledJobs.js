@@ -2,46 +2,81 @@ const cron = require('node-cron');
 const logger = require('../utils/logger');
 const Scheme = require('../models/Scheme');
 const database = require('../config/database');
+const SimulationClock = require('../services/SimulationClock');
+const ValuationService = require('../services/ValuationService');
+const CommissionService = require('../services/CommissionService');
+const KYCService = require('../services/KYCService');
+
+// Minimal matcher for the 5-field cron expressions used below ("*", numbers,
+// lists, ranges and steps), evaluated against India Standard Time fields
+function fieldMatches(field, value) {
+  return field.split(',').some(part => {
+    const [range, step] = part.split('/');
+    const stepValue = step ? parseInt(step) : 1;
+    let low;
+    let high;
+
+    if (range === '*') {
+      low = 0;
+      high = Infinity;
+    } else if (range.includes('-')) {
+      [low, high] = range.split('-').map(Number);
+    } else {
+      low = Number(range);
+      high = step ? Infinity : low;
+    }
+
+    return value >= low && value <= high && (value - low) % stepValue === 0;
+  });
+}
+
+function cronMatches(expression, date) {
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = expression.trim().split(/\s+/);
+  const ist = SimulationClock.toIST(date);
+
+  return fieldMatches(minute, ist.minute) &&
+    fieldMatches(hour, ist.hour) &&
+    fieldMatches(dayOfMonth, ist.dayOfMonth) &&
+    fieldMatches(month, ist.month) &&
+    fieldMatches(dayOfWeek, ist.dayOfWeek);
+}
 
 class ScheduledJobs {
   constructor() {
     this.jobs = {};
+    this.definitions = {
+      // Daily NAV history cleanup (keep last 5 years)
+      navCleanup: { schedule: '0 2 * * *', run: asOf => this.cleanupOldNAVHistory(asOf) },
+      // Weekly transaction audit
+      transactionAudit: { schedule: '0 3 * * 0', run: asOf => this.performTransactionAudit(asOf) },
+      // Monthly portfolio reconciliation
+      portfolioReconciliation: { schedule: '0 4 1 * *', run: () => this.performPortfolioReconciliation() },
+      // Daily holding valuations after the 21:00 NAV publication
+      holdingsValuation: { schedule: '30 22 * * *', run: asOf => this.recordHoldingValuations(asOf) },
+      // Daily distributor commission on the day's valuations
+      commissionAccrual: { schedule: '45 22 * * *', run: asOf => this.accrueCommissions(asOf) },
+      // Daily re-KYC: verified KYC past its validity expires
+      kycExpiry: { schedule: '15 0 * * *', run: asOf => this.expireKYC(asOf) },
+      // Monthly brokerage statements for the month just ended
+      brokerageStatements: { schedule: '0 6 1 * *', run: asOf => this.generateBrokerageStatements(asOf) },
+      // Daily statistics generation
+      dailyStats: { schedule: '0 23 * * *', run: asOf => this.generateDailyStatistics(asOf) }
+    };
   }
 
   start() {
     logger.info('Starting scheduled jobs...');
 
-    // Daily NAV history cleanup (keep last 5 years)
-    this.jobs.navCleanup = cron.schedule('0 2 * * *', async () => {
-      await this.cleanupOldNAVHistory();
-    }, {
-      scheduled: false,
-      timezone: "Asia/Kolkata"
-    });
-
-    // Weekly transaction audit
-    this.jobs.transactionAudit = cron.schedule('0 3 * * 0', async () => {
-      await this.performTransactionAudit();
-    }, {
-      scheduled: false,
-      timezone: "Asia/Kolkata"
-    });
-
-    // Monthly portfolio reconciliation
-    this.jobs.portfolioReconciliation = cron.schedule('0 4 1 * *', async () => {
-      await this.performPortfolioReconciliation();
-    }, {
-      scheduled: false,
-      timezone: "Asia/Kolkata"
-    });
-
-    // Daily statistics generation
-    this.jobs.dailyStats = cron.schedule('0 23 * * *', async () => {
-      await this.generateDailyStatistics();
-    }, {
-      scheduled: false,
-      timezone: "Asia/Kolkata"
-    });
+    for (const [name, definition] of Object.entries(this.definitions)) {
+      this.jobs[name] = cron.schedule(definition.schedule, async () => {
+        // While the simulation clock is virtual the simulation drives jobs through runDueJobs
+        if (SimulationClock.isVirtual()) return;
+        await definition.run(SimulationClock.now());
+      }, {
+        scheduled: false,
+        timezone: "Asia/Kolkata"
+      });
+    }
 
     // Start all jobs
     Object.values(this.jobs).forEach(job => job.start());
@@ -58,11 +93,33 @@ class ScheduledJobs {
     logger.info('All scheduled jobs stopped');
   }
 
-  async cleanupOldNAVHistory() {
+  // Run every job whose schedule falls in the simulated interval (from, to], in
+  // time order, stamping each run with its scheduled simulated time
+  async runDueJobs(from, to) {
+    const minuteMs = 60000;
+    let minute = Math.floor(new Date(from).getTime() / minuteMs) * minuteMs + minuteMs;
+    const end = new Date(to).getTime();
+    let executed = 0;
+
+    for (; minute <= end; minute += minuteMs) {
+      const scheduledAt = new Date(minute);
+      for (const [name, definition] of Object.entries(this.definitions)) {
+        if (cronMatches(definition.schedule, scheduledAt)) {
+          logger.info(`Running scheduled job on simulated time: ${name}`, { scheduledAt: scheduledAt.toISOString() });
+          await definition.run(scheduledAt);
+          executed++;
+        }
+      }
+    }
+
+    return executed;
+  }
+
+  async cleanupOldNAVHistory(asOf = SimulationClock.now()) {
     try {
       logger.info('Starting NAV history cleanup...');
       
-      const fiveYearsAgo = new Date();
+      const fiveYearsAgo = new Date(asOf);
       fiveYearsAgo.setFullYear(fiveYearsAgo.getFullYear() - 5);
       
       const query = `
@@ -81,7 +138,7 @@ class ScheduledJobs {
     }
   }
 
-  async performTransactionAudit() {
+  async performTransactionAudit(asOf = SimulationClock.now()) {
     try {
       logger.info('Starting weekly transaction audit...');
       
@@ -101,10 +158,10 @@ class ScheduledJobs {
         SELECT COUNT(*) as count
         FROM transactions 
         WHERE status = 'SUBMITTED' 
-        AND transaction_date < NOW() - INTERVAL '1 day'
+        AND transaction_date < $1::timestamp - INTERVAL '1 day'
       `;
       
-      const staleResult = await database.query(staleTransactionsQuery);
+      const staleResult = await database.query(staleTransactionsQuery, [asOf]);
       const staleCount = parseInt(staleResult.rows[0].count);
       
       // Check for holdings inconsistencies
@@ -200,12 +257,49 @@ class ScheduledJobs {
     }
   }
 
-  async generateDailyStatistics() {
+  // Values every holding at the day's NAVs, catching up any NAV dates missed
+  async recordHoldingValuations(asOf = SimulationClock.now()) {
+    try {
+      logger.info('Recording holding valuations...');
+      await ValuationService.recordValuations(asOf);
+    } catch (error) {
+      logger.error('Error recording holding valuations', error);
+    }
+  }
+
+  async accrueCommissions(asOf = SimulationClock.now()) {
+    try {
+      logger.info('Accruing distributor commission...');
+      await CommissionService.accrueCommissions(asOf);
+    } catch (error) {
+      logger.error('Error accruing distributor commission', error);
+    }
+  }
+
+  async expireKYC(asOf = SimulationClock.now()) {
+    try {
+      logger.info('Expiring KYC due for renewal...');
+      await KYCService.expireDue(asOf);
+    } catch (error) {
+      logger.error('Error expiring KYC', error);
+    }
+  }
+
+  async generateBrokerageStatements(asOf = SimulationClock.now()) {
+    try {
+      logger.info('Generating brokerage statements...');
+      await CommissionService.generateStatements(null, asOf);
+    } catch (error) {
+      logger.error('Error generating brokerage statements', error);
+    }
+  }
+
+  async generateDailyStatistics(asOf = SimulationClock.now()) {
     try {
       logger.info('Generating daily statistics...');
       
-      const today = new Date().toISOString().split('T')[0];
-      const yesterday = new Date();
+      const today = asOf.toISOString().split('T')[0];
+      const yesterday = new Date(asOf);
       yesterday.setDate(yesterday.getDate() - 1);
       const yesterdayStr = yesterday.toISOString().split('T')[0];
       
@@ -279,22 +373,12 @@ class ScheduledJobs {
   // Method to manually trigger any job
   async runJob(jobName) {
     try {
-      switch (jobName) {
-        case 'navCleanup':
-          await this.cleanupOldNAVHistory();
-          break;
-        case 'transactionAudit':
-          await this.performTransactionAudit();
-          break;
-        case 'portfolioReconciliation':
-          await this.performPortfolioReconciliation();
-          break;
-        case 'dailyStats':
-          await this.generateDailyStatistics();
-          break;
-        default:
-          throw new Error(`Unknown job: ${jobName}`);
+      const definition = this.definitions[jobName];
+      if (!definition) {
+        throw new Error(`Unknown job: ${jobName}`);
       }
+
+      await definition.run(SimulationClock.now());
       
       logger.info(`Manually executed job: ${jobName}`);
     } catch (error) {
@@ -0,0 +1,98 @@
+const KRARequest = require('../models/KRARequest');
+const Utils = require('../utils/helpers');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Why a KRA puts a verification on hold, by the document it wants again
+const HOLD_REASONS = {
+  PHOTO: 'Photograph not clear',
+  AADHAAR: 'Aadhaar not masked',
+  PASSPORT: 'Passport copy incomplete',
+  DRIVING_LICENCE: 'Driving licence expired',
+  VOTER_ID: 'Voter ID address not legible'
+};
+
+const DISCRETIONARY_REJECTIONS = [
+  'Signature mismatch',
+  'Name mismatch with PAN',
+  'In-person verification not done',
+  'Applicant not traceable at address'
+];
+
+// Emulated KYC Registration Agency. Requests are acknowledged with a
+// reference and a time after which the KRA answers; KYCService asks for the
+// answer once that time has passed. Lookups find an existing KYC record by
+// PAN; verifications check the documents under review, reject a PAN that is
+// not the applicant's, and otherwise verify, hold or reject at the scenario's
+// rates.
+class KRAEmulator {
+  getRates(options = {}) {
+    const defaults = config.simulation.scenarioDefaults;
+    return {
+      existingRecordRate: options.existingRecordRate !== undefined ? options.existingRecordRate : defaults.kraExistingRecordRate,
+      holdRate: options.holdRate !== undefined ? options.holdRate : defaults.kraHoldRate,
+      rejectionRate: options.rejectionRate !== undefined ? options.rejectionRate : defaults.kraRejectionRate
+    };
+  }
+
+  // KRA and reference for a new request, and when it will be answered. A
+  // customer's requests go to the KRA holding their record, if any.
+  acknowledge(requestType, customer, asOf) {
+    const [minHours, maxHours] = config.kyc.responseHours[requestType];
+    const hours = minHours + Utils.random() * (maxHours - minHours);
+    return {
+      kraCode: customer.kraCode || Utils.getRandomElement(config.kyc.kraCodes),
+      kraReference: Utils.generateKraReference(asOf),
+      respondAfter: new Date(asOf.getTime() + hours * 60 * 60 * 1000)
+    };
+  }
+
+  // A found record was verified some time within its validity, so some come
+  // up for re-KYC soon after the investor arrives
+  lookup(request, customer, rates, asOf) {
+    if (!Utils.randomBoolean(rates.existingRecordRate)) {
+      return { outcome: KRARequest.OUTCOMES.NOT_FOUND, reason: 'No KYC record for PAN' };
+    }
+
+    const age = Math.floor(Utils.random() * config.kyc.validityYears * 365);
+    return {
+      outcome: KRARequest.OUTCOMES.FOUND,
+      reason: null,
+      kraCode: Utils.getRandomElement(config.kyc.kraCodes),
+      verifiedAt: new Date(asOf.getTime() - age * DAY_MS)
+    };
+  }
+
+  // documents are those under review
+  verify(request, customer, documents, rates, asOf) {
+    const pan = documents.find(document => document.documentType === 'PAN');
+    if (!pan || pan.documentNumber !== customer.panNumber) {
+      return { outcome: KRARequest.OUTCOMES.REJECTED, reason: 'PAN does not match the applicant' };
+    }
+
+    const random = Utils.random();
+    const holdable = documents.filter(document => HOLD_REASONS[document.documentType]);
+    if (random < rates.holdRate && holdable.length > 0) {
+      const { documentType } = Utils.getRandomElement(holdable);
+      return { outcome: KRARequest.OUTCOMES.ON_HOLD, reason: HOLD_REASONS[documentType], documentType };
+    }
+    if (random < rates.holdRate + rates.rejectionRate) {
+      return { outcome: KRARequest.OUTCOMES.REJECTED, reason: Utils.getRandomElement(DISCRETIONARY_REJECTIONS) };
+    }
+
+    return { outcome: KRARequest.OUTCOMES.VERIFIED, reason: null, kraCode: request.kraCode, verifiedAt: asOf };
+  }
+
+  // The KRA's answer to a due request: { outcome, reason } with the KRA and
+  // verification time of a found or verified record, and the document wanted
+  // again for a hold
+  respond(request, customer, documents, asOf, options = {}) {
+    const rates = this.getRates(options);
+    return request.requestType === KRARequest.TYPES.LOOKUP
+      ? this.lookup(request, customer, rates, asOf)
+      : this.verify(request, customer, documents, rates, asOf);
+  }
+}
+
+module.exports = new KRAEmulator();
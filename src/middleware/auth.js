@@ -1,30 +1,143 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const logger = require('../utils/logger');
+const User = require('../models/User');
+const Customer = require('../models/Customer');
+const Folio = require('../models/Folio');
+const Transaction = require('../models/Transaction');
+const SIP = require('../models/SIP');
+const STP = require('../models/STP');
+const SWP = require('../models/SWP');
+
+// Stands in for a signed-in user when authentication is switched off
+const ANONYMOUS_ADMIN = {
+  id: null, username: 'anonymous', role: config.userRoles.ADMIN, customerId: null, distributorId: null
+};
+
+// Roles limited to their own records: the resources concerned and the token
+// claim the record's owner must match. Investors reach only their customer
+// records; distributor users reach their distributor record and the investors,
+// folios, transactions and plans sold under it (folios.distributor_id).
+const OWNER_SCOPES = {
+  [config.userRoles.INVESTOR]: { resources: ['customers', 'folios', 'transactions', 'plans'], claim: 'customerId' },
+  [config.userRoles.DISTRIBUTOR]: {
+    resources: ['customers', 'folios', 'transactions', 'plans', 'distributors'], claim: 'distributorId'
+  }
+};
+
+// Whether an owner from a resolver matches the user's claim. Owners give one
+// ID per claim, or several where a customer holds folios through more than one
+// distributor.
+const owns = (owner, user, claim) => {
+  const ids = owner ? [].concat(owner[claim] ?? []) : [];
+  return ids.some(id => id !== null && String(id) === String(user[claim]));
+};
+
+const authenticateToken = async (req, res, next) => {
+  if (!config.auth.enabled) {
+    req.user = ANONYMOUS_ADMIN;
+    return next();
+  }
 
-const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return res.status(401).json({ success: false, error: 'Access token required' });
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(token, config.jwt.secret);
+  } catch (err) {
+    logger.warn(`Authentication failed: ${err.message}`);
+    return res.status(401).json({ success: false, error: 'Invalid or expired token' });
   }
 
-  jwt.verify(token, config.jwtSecret, (err, user) => {
-    if (err) {
-      logger.warn(`Authentication failed: ${err.message}`);
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  // Roles and deactivation take effect without waiting for the token to expire
+  try {
+    const user = await User.findById(claims.id);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ success: false, error: 'Invalid or expired token' });
     }
-    req.user = user;
+    req.user = user.toTokenPayload();
     next();
-  });
+  } catch (error) {
+    next(error);
+  }
 };
 
 const generateToken = (payload) => {
-  return jwt.sign(payload, config.jwtSecret, { expiresIn: '24h' });
+  return jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+};
+
+const hasPermission = (role, permission) => {
+  const granted = config.auth.permissions[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
+
+// Lets a request through if the user's role grants the permission. Roles in
+// OWNER_SCOPES must also own the record: resolveOwner finds the customer and
+// distributor IDs a request concerns, and routes without one are closed to them.
+const authorize = (permission, resolveOwner = null) => async (req, res, next) => {
+  try {
+    if (!hasPermission(req.user.role, permission)) {
+      logger.warn(`Permission ${permission} denied to ${req.user.username}`);
+      return res.status(403).json({ success: false, error: 'Not permitted' });
+    }
+
+    const scope = OWNER_SCOPES[req.user.role];
+    if (scope && scope.resources.includes(permission.split(':')[0])) {
+      const owner = resolveOwner ? await resolveOwner(req) : null;
+      if (!owns(owner, req.user, scope.claim)) {
+        logger.warn(`${req.user.username} denied access to records they do not own`);
+        return res.status(403).json({ success: false, error: 'Not permitted' });
+      }
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Owner of a customer: the customer and every distributor they hold folios through
+const customerOwner = async customerId => (customerId
+  ? { customerId, distributorId: await Folio.findDistributorIds(customerId) }
+  : null);
+
+// Owner of a folio, or of a record held in one
+const folioOwner = folio => (folio ? { customerId: folio.customerId, distributorId: folio.distributorId } : null);
+const heldIn = async record => (record ? folioOwner(await Folio.findById(record.folioId)) : null);
+
+// Owner resolvers for authorize(), each giving the customer and distributor
+// IDs a request concerns
+const owners = {
+  customer: (name = 'id') => async req => customerOwner(req.params[name]),
+  customerByPAN: async req => {
+    const customer = await Customer.findByPAN(req.params.pan);
+    return customer ? customerOwner(customer.id) : null;
+  },
+  // A new folio belongs to its customer and to the distributor it is opened
+  // under, which for distributor users defaults to their own
+  newFolio: async req => ({
+    customerId: req.body.customerId,
+    distributorId: req.body.distributorId || req.user.distributorId || null
+  }),
+  folio: (name = 'id') => async req => folioOwner(await Folio.findById(req.params[name])),
+  folioInBody: async req => folioOwner(await Folio.findById(req.body.folioId)),
+  transaction: async req => heldIn(await Transaction.findById(req.params.id)),
+  sip: async req => heldIn(await SIP.findById(req.params.id)),
+  stp: async req => heldIn(await STP.findById(req.params.id)),
+  swp: async req => heldIn(await SWP.findById(req.params.id)),
+  distributor: (name = 'id') => async req => ({ distributorId: req.params[name] })
 };
 
 module.exports = {
   authenticateToken,
-  generateToken
+  generateToken,
+  hasPermission,
+  authorize,
+  owns,
+  owners
 };
@@ -1,10 +1,11 @@
 const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
 
 const errorHandler = (err, req, res, next) => {
   logger.error(`Error in ${req.method} ${req.path}:`, {
     error: err.message,
     stack: err.stack,
-    body: req.body,
+    body: Utils.redactBody(req.body),
     query: req.query,
     params: req.params
   });
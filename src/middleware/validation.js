@@ -1,4 +1,5 @@
 const { body, param, query, validationResult } = require('express-validator');
+const NAVModelService = require('../services/NAVModelService');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -21,37 +22,92 @@ const validateCustomerCreation = [
 ];
 
 const validateCustomerUpdate = [
-  param('id').isUUID().withMessage('Valid customer ID required'),
+  param('id').isInt({ min: 1 }).withMessage('Valid customer ID required'),
   body('name').optional().notEmpty().withMessage('Name cannot be empty'),
   body('email').optional().isEmail().withMessage('Valid email required'),
   body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Valid Indian mobile number required'),
   handleValidationErrors
 ];
 
+const validateKYCDocument = [
+  param('id').isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  body('documentType').isIn(['PAN', 'PHOTO', 'AADHAAR', 'PASSPORT', 'DRIVING_LICENCE', 'VOTER_ID'])
+    .withMessage('documentType must be PAN, PHOTO, AADHAAR, PASSPORT, DRIVING_LICENCE or VOTER_ID'),
+  body('documentNumber').if(body('documentType').equals('PAN'))
+    .matches(/^[A-Z]{5}[0-9]{4}[A-Z]$/).withMessage('Valid PAN required'),
+  body('documentNumber').optional().isLength({ min: 4, max: 30 }).withMessage('documentNumber must be 4 to 30 characters'),
+  handleValidationErrors
+];
+
 // Folio validation rules
 const validateFolioCreation = [
-  body('customerId').isUUID().withMessage('Valid customer ID required'),
-  body('schemeId').isUUID().withMessage('Valid scheme ID required'),
+  body('customerId').isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  body('schemeId').isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  body('dividendOption').optional().isIn(['GROWTH', 'IDCW_PAYOUT', 'IDCW_REINVEST']).withMessage('dividendOption must be GROWTH, IDCW_PAYOUT or IDCW_REINVEST'),
+  body('distributorId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  body('euin').optional().matches(/^E\d{6}$/).withMessage('EUIN must be E followed by 6 digits'),
   handleValidationErrors
 ];
 
 // Transaction validation rules
 const validateTransactionCreation = [
-  body('folioId').isUUID().withMessage('Valid folio ID required'),
-  body('type').isIn(['PURCHASE', 'REDEMPTION', 'SWITCH_IN', 'SWITCH_OUT', 'SIP', 'STP']).withMessage('Valid transaction type required'),
-  body('amount').isFloat({ min: 500 }).withMessage('Minimum amount is ₹500'),
+  body('folioId').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  body('type').isIn(['PURCHASE', 'SIP', 'REDEMPTION']).withMessage('Type must be PURCHASE, SIP or REDEMPTION'),
+  body('amount').if(body('type').not().equals('REDEMPTION'))
+    .isFloat({ min: 500 }).withMessage('Minimum amount is ₹500'),
+  // Redemptions give one of amount, units or allUnits
+  body('amount').if(body('type').equals('REDEMPTION'))
+    .optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+  body('units').optional().isFloat({ gt: 0 }).withMessage('Units must be positive'),
+  body('allUnits').optional().isBoolean().withMessage('allUnits must be a boolean'),
+  handleValidationErrors
+];
+
+// Switch validation rules
+const validateSwitch = [
+  body('folioId').isInt({ min: 1 }).withMessage('Valid source folio ID required'),
+  body('targetSchemeId').isInt({ min: 1 }).withMessage('Valid target scheme ID required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be positive'),
+  body('units').optional().isFloat({ gt: 0 }).withMessage('Units must be positive'),
+  body('allUnits').optional().isBoolean().withMessage('allUnits must be a boolean'),
   handleValidationErrors
 ];
 
 // SIP validation rules
 const validateSIPCreation = [
-  body('folioId').isUUID().withMessage('Valid folio ID required'),
+  body('folioId').isInt({ min: 1 }).withMessage('Valid folio ID required'),
   body('amount').isFloat({ min: 500 }).withMessage('Minimum SIP amount is ₹500'),
   body('frequency').isIn(['MONTHLY', 'QUARTERLY', 'YEARLY']).withMessage('Valid frequency required'),
   body('startDate').isISO8601().withMessage('Valid start date required'),
   handleValidationErrors
 ];
 
+// STP and SWP validation rules
+const validateSTPCreation = [
+  body('folioId').isInt({ min: 1 }).withMessage('Valid source folio ID required'),
+  body('targetSchemeId').isInt({ min: 1 }).withMessage('Valid target scheme ID required'),
+  body('planType').optional().isIn(['FIXED_AMOUNT', 'FIXED_UNITS', 'CAPITAL_APPRECIATION']).withMessage('Plan type must be FIXED_AMOUNT, FIXED_UNITS or CAPITAL_APPRECIATION'),
+  body('amount').if(body('planType').not().isIn(['FIXED_UNITS', 'CAPITAL_APPRECIATION'])).isFloat({ min: 500 }).withMessage('Minimum STP amount is ₹500'),
+  body('units').if(body('planType').equals('FIXED_UNITS')).isFloat({ gt: 0 }).withMessage('Units must be positive'),
+  body('frequency').isIn(['MONTHLY', 'QUARTERLY', 'YEARLY']).withMessage('Valid frequency required'),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  body('maxExecutions').optional().isInt({ min: 1 }).withMessage('Max executions must be a positive integer'),
+  handleValidationErrors
+];
+
+const validateSWPCreation = [
+  body('folioId').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  body('planType').optional().isIn(['FIXED_AMOUNT', 'FIXED_UNITS', 'CAPITAL_APPRECIATION']).withMessage('Plan type must be FIXED_AMOUNT, FIXED_UNITS or CAPITAL_APPRECIATION'),
+  body('amount').if(body('planType').not().isIn(['FIXED_UNITS', 'CAPITAL_APPRECIATION'])).isFloat({ min: 500 }).withMessage('Minimum SWP amount is ₹500'),
+  body('units').if(body('planType').equals('FIXED_UNITS')).isFloat({ gt: 0 }).withMessage('Units must be positive'),
+  body('frequency').isIn(['MONTHLY', 'QUARTERLY', 'YEARLY']).withMessage('Valid frequency required'),
+  body('startDate').isISO8601().withMessage('Valid start date required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date required'),
+  body('maxExecutions').optional().isInt({ min: 1 }).withMessage('Max executions must be a positive integer'),
+  handleValidationErrors
+];
+
 // Query validation
 const validatePagination = [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
@@ -59,18 +115,239 @@ const validatePagination = [
   handleValidationErrors
 ];
 
-const validateUUID = [
-  param('id').isUUID().withMessage('Valid ID required'),
+// Scheme performance validation
+const validatePerformanceQuery = [
+  query('period').optional().isIn(['1m', '3m', '6m', '1y', '3y', '5y', 'since_launch']).withMessage('Period must be one of 1m, 3m, 6m, 1y, 3y, 5y, since_launch'),
+  handleValidationErrors
+];
+
+const validateTransactionHistory = [
+  query('period').optional().matches(/^\d+[hdwmy]$/).withMessage('Period must look like 24h, 7d, 4w, 3m or 1y'),
+  query('bucket').optional().isIn(['hour', 'day', 'week', 'month']).withMessage('Bucket must be hour, day, week or month'),
+  query('schemeId').optional().isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  query('category').optional().isIn(['EQUITY', 'DEBT', 'HYBRID']).withMessage('Category must be EQUITY, DEBT or HYBRID'),
+  query('mode').optional().isIn(['SIP', 'LUMPSUM', 'STP', 'SWP', 'REDEMPTION', 'DIVIDEND', 'SWITCH']).withMessage('Valid transaction mode required'),
+  handleValidationErrors
+];
+
+const validatePledge = [
+  param('id').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  body('units').isFloat({ gt: 0 }).withMessage('Units must be positive'),
+  handleValidationErrors
+];
+
+const validateCapitalGainsQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID required'),
+  query('fy').optional().matches(/^\d{4}-\d{2}$/).withMessage('Financial year must look like 2024-25'),
+  handleValidationErrors
+];
+
+const validateStatementQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+const validateValuationQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+const validatePlanNAVQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+const validateCASQuery = [
+  param('pan').matches(/^[A-Z]{5}[0-9]{4}[A-Z]$/).withMessage('Valid PAN required'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  query('format').optional().isIn(['json', 'csv', 'html']).withMessage('format must be json, csv or html'),
+  handleValidationErrors
+];
+
+const validateDividendDeclaration = [
+  param('id').isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  body('recordDate').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('recordDate must be YYYY-MM-DD'),
+  body('ratePerUnit').isFloat({ gt: 0 }).withMessage('ratePerUnit must be positive'),
+  handleValidationErrors
+];
+
+const validateDividendOption = [
+  param('id').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  body('dividendOption').isIn(['GROWTH', 'IDCW_PAYOUT', 'IDCW_REINVEST']).withMessage('dividendOption must be GROWTH, IDCW_PAYOUT or IDCW_REINVEST'),
+  handleValidationErrors
+];
+
+const validateChargesQuery = [
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+// Scheme validation rules
+const validateSchemeCreation = [
+  body('navModel').optional({ values: 'null' }).isObject().withMessage('navModel must be an object')
+    .bail().custom(navModel => NAVModelService.validateModelConfig(navModel)),
+  handleValidationErrors
+];
+
+const validateExitLoadStructure = [
+  param('id').isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  body('effectiveFrom').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('effectiveFrom must be YYYY-MM-DD'),
+  body('tiers').isArray().withMessage('Tiers must be a list'),
+  body('tiers.*.withinDays').isInt({ min: 1 }).withMessage('Tier withinDays must be a whole number of days'),
+  body('tiers.*.rate').isFloat({ min: 0, max: 100 }).withMessage('Tier rate must be a percentage'),
+  body('freeUnitsPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('freeUnitsPercent must be a percentage'),
+  handleValidationErrors
+];
+
+const validateId = [
+  param('id').isInt({ min: 1 }).withMessage('Valid ID required'),
+  handleValidationErrors
+];
+
+const validateFolioParam = [
+  param('folioId').isInt({ min: 1 }).withMessage('Valid folio ID required'),
+  handleValidationErrors
+];
+
+const validateCustomerParam = [
+  param('customerId').isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  handleValidationErrors
+];
+
+const validateCommissionStructure = [
+  param('id').isInt({ min: 1 }).withMessage('Valid scheme ID required'),
+  body('effectiveFrom').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('effectiveFrom must be YYYY-MM-DD'),
+  body('trailRate').isFloat({ min: 0, max: 100 }).withMessage('trailRate must be a percentage'),
+  body('upfrontRate').optional().isFloat({ min: 0, max: 100 }).withMessage('upfrontRate must be a percentage'),
+  handleValidationErrors
+];
+
+// Distributor validation rules
+const validateDistributorCreation = [
+  body('arnCode').matches(/^ARN-\d{1,6}$/).withMessage('ARN code must be ARN- followed by up to 6 digits'),
+  body('name').isString().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('category').optional().isIn(['BANK', 'NATIONAL', 'BROKER', 'ONLINE', 'IFA']).withMessage('Category must be BANK, NATIONAL, BROKER, ONLINE or IFA'),
+  body('euin').optional().matches(/^E\d{6}$/).withMessage('EUIN must be E followed by 6 digits'),
+  body('email').optional().isEmail().withMessage('Valid email required'),
+  body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Valid Indian mobile number required'),
+  handleValidationErrors
+];
+
+const validateDistributorUpdate = [
+  param('id').isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  body('name').optional().isString().isLength({ min: 1, max: 255 }).withMessage('Name must be 1-255 characters'),
+  body('category').optional().isIn(['BANK', 'NATIONAL', 'BROKER', 'ONLINE', 'IFA']).withMessage('Category must be BANK, NATIONAL, BROKER, ONLINE or IFA'),
+  body('euin').optional().matches(/^E\d{6}$/).withMessage('EUIN must be E followed by 6 digits'),
+  body('email').optional().isEmail().withMessage('Valid email required'),
+  body('phone').optional().matches(/^[6-9]\d{9}$/).withMessage('Valid Indian mobile number required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  handleValidationErrors
+];
+
+const validateCommissionQuery = [
+  param('id').isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  query('from').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('from must be YYYY-MM-DD'),
+  query('to').optional().isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('to must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+const validateBrokerageMonth = [
+  param('id').optional().isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  param('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM'),
+  body('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM'),
+  handleValidationErrors
+];
+
+// Market holiday validation rules
+const validateHoliday = [
+  body('date').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+  body('name').isString().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+  body('type').optional().isIn(['TRADING', 'BANK', 'BOTH']).withMessage('Type must be TRADING, BANK or BOTH'),
+  handleValidationErrors
+];
+
+const validateHolidayDate = [
+  param('date').isISO8601({ strict: true }).matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD'),
+  handleValidationErrors
+];
+
+const validateHolidayYear = [
+  param('year').optional().isInt({ min: 1990, max: 2100 }).withMessage('Valid year required'),
+  query('year').optional().isInt({ min: 1990, max: 2100 }).withMessage('Valid year required'),
+  handleValidationErrors
+];
+
+// API user validation rules
+const validateLogin = [
+  body('username').isString().notEmpty().withMessage('Username is required'),
+  body('password').isString().notEmpty().withMessage('Password is required'),
+  handleValidationErrors
+];
+
+const validateUserCreation = [
+  body('username').matches(/^[A-Za-z0-9_.-]{3,50}$/).withMessage('Username must be 3-50 letters, digits, dots, dashes or underscores'),
+  body('password').isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').isIn(['ADMIN', 'OPERATIONS', 'DISTRIBUTOR', 'INVESTOR', 'READONLY']).withMessage('Role must be ADMIN, OPERATIONS, DISTRIBUTOR, INVESTOR or READONLY'),
+  body('customerId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  body('distributorId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  handleValidationErrors
+];
+
+const validateUserUpdate = [
+  param('id').isInt({ min: 1 }).withMessage('Valid user ID required'),
+  body('password').optional().isString().isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('role').optional().isIn(['ADMIN', 'OPERATIONS', 'DISTRIBUTOR', 'INVESTOR', 'READONLY']).withMessage('Role must be ADMIN, OPERATIONS, DISTRIBUTOR, INVESTOR or READONLY'),
+  body('customerId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid customer ID required'),
+  body('distributorId').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Valid distributor ID required'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
   handleValidationErrors
 ];
 
 module.exports = {
   validateCustomerCreation,
   validateCustomerUpdate,
+  validateKYCDocument,
   validateFolioCreation,
   validateTransactionCreation,
+  validateSwitch,
   validateSIPCreation,
+  validateSTPCreation,
+  validateSWPCreation,
   validatePagination,
-  validateUUID,
+  validatePerformanceQuery,
+  validateTransactionHistory,
+  validatePledge,
+  validateCapitalGainsQuery,
+  validateStatementQuery,
+  validateCASQuery,
+  validateValuationQuery,
+  validatePlanNAVQuery,
+  validateChargesQuery,
+  validateDividendDeclaration,
+  validateDividendOption,
+  validateSchemeCreation,
+  validateExitLoadStructure,
+  validateCommissionStructure,
+  validateDistributorCreation,
+  validateDistributorUpdate,
+  validateCommissionQuery,
+  validateBrokerageMonth,
+  validateId,
+  validateFolioParam,
+  validateCustomerParam,
+  validateHoliday,
+  validateHolidayDate,
+  validateHolidayYear,
+  validateLogin,
+  validateUserCreation,
+  validateUserUpdate,
   handleValidationErrors
 };
@@ -0,0 +1,128 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const COLUMNS = `
+  b.id, b.distributor_id, b.statement_month::text AS statement_month, b.trail_amount, b.upfront_amount,
+  b.gross_amount, b.tds_amount, b.net_amount, b.folio_count, b.generated_at, b.created_at, b.updated_at
+`;
+
+// A distributor's commission for a calendar month, net of TDS
+class BrokerageStatement {
+  constructor(data) {
+    this.id = data.id;
+    this.distributorId = data.distributor_id;
+    this.month = data.statement_month ? data.statement_month.slice(0, 7) : null;
+    this.trailAmount = parseFloat(data.trail_amount);
+    this.upfrontAmount = parseFloat(data.upfront_amount);
+    this.grossAmount = parseFloat(data.gross_amount);
+    this.tdsAmount = parseFloat(data.tds_amount);
+    this.netAmount = parseFloat(data.net_amount);
+    this.folioCount = parseInt(data.folio_count) || 0;
+    this.arnCode = data.arn_code;
+    this.distributorName = data.name;
+    this.generatedAt = data.generated_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Totals a month's accruals into one statement per distributor, replacing
+  // any generated before. monthStart and monthEnd are YYYY-MM-DD dates.
+  // Returns the statements, largest first.
+  static async generate(monthStart, monthEnd, generatedAt, db = database) {
+    try {
+      const query = `
+        WITH totals AS (
+          SELECT distributor_id,
+            ROUND(COALESCE(SUM(amount) FILTER (WHERE commission_type = $4), 0), 2) AS trail,
+            ROUND(COALESCE(SUM(amount) FILTER (WHERE commission_type = $5), 0), 2) AS upfront,
+            COUNT(DISTINCT folio_id) AS folios
+          FROM commission_accruals
+          WHERE accrual_date BETWEEN $1 AND $2
+          GROUP BY distributor_id
+        )
+        INSERT INTO brokerage_statements (
+          distributor_id, statement_month, trail_amount, upfront_amount, gross_amount,
+          tds_amount, net_amount, folio_count, generated_at
+        )
+        SELECT distributor_id, $1::date, trail, upfront, trail + upfront,
+          ROUND((trail + upfront) * $3 / 100, 2),
+          trail + upfront - ROUND((trail + upfront) * $3 / 100, 2),
+          folios, $6
+        FROM totals
+        ON CONFLICT (distributor_id, statement_month)
+        DO UPDATE SET trail_amount = EXCLUDED.trail_amount, upfront_amount = EXCLUDED.upfront_amount,
+          gross_amount = EXCLUDED.gross_amount, tds_amount = EXCLUDED.tds_amount,
+          net_amount = EXCLUDED.net_amount, folio_count = EXCLUDED.folio_count,
+          generated_at = EXCLUDED.generated_at
+        RETURNING *
+      `;
+      const result = await db.query(query, [
+        monthStart,
+        monthEnd,
+        config.commission.tdsRate,
+        config.commissionTypes.TRAIL,
+        config.commissionTypes.UPFRONT,
+        generatedAt
+      ]);
+      return result.rows
+        .map(row => new BrokerageStatement({ ...row, statement_month: monthStart }))
+        .sort((a, b) => b.grossAmount - a.grossAmount);
+    } catch (error) {
+      logger.error('Error generating brokerage statements', error);
+      throw error;
+    }
+  }
+
+  // A distributor's statements, latest month first
+  static async findByDistributor(distributorId) {
+    try {
+      const query = `
+        SELECT ${COLUMNS} FROM brokerage_statements b
+        WHERE b.distributor_id = $1
+        ORDER BY b.statement_month DESC
+      `;
+      const result = await database.query(query, [distributorId]);
+      return result.rows.map(row => new BrokerageStatement(row));
+    } catch (error) {
+      logger.error('Error finding brokerage statements', error);
+      throw error;
+    }
+  }
+
+  // A distributor's statement for a month starting on a YYYY-MM-DD date
+  static async findByDistributorAndMonth(distributorId, monthStart) {
+    try {
+      const query = `
+        SELECT ${COLUMNS}, d.arn_code, d.name
+        FROM brokerage_statements b
+        JOIN distributors d ON b.distributor_id = d.id
+        WHERE b.distributor_id = $1 AND b.statement_month = $2
+      `;
+      const result = await database.query(query, [distributorId, monthStart]);
+      return result.rows.length > 0 ? new BrokerageStatement(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding brokerage statement', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      distributorId: this.distributorId,
+      arnCode: this.arnCode,
+      distributorName: this.distributorName,
+      month: this.month,
+      trailAmount: this.trailAmount,
+      upfrontAmount: this.upfrontAmount,
+      grossAmount: this.grossAmount,
+      tdsAmount: this.tdsAmount,
+      netAmount: this.netAmount,
+      folioCount: this.folioCount,
+      generatedAt: this.generatedAt
+    };
+  }
+}
+
+module.exports = BrokerageStatement;
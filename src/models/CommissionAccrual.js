@@ -0,0 +1,159 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Commission rates in force on the accrual date ($1) for scheme s: the latest
+// commission structure of its scheme (the parent of a plan-option) by then,
+// else the default for its category ($2)
+const STRUCTURE_IN_FORCE = `
+  LEFT JOIN LATERAL (
+    SELECT cs.trail_rate, cs.upfront_rate FROM commission_structures cs
+    WHERE cs.scheme_id = COALESCE(s.parent_scheme_id, s.id) AND cs.effective_from <= $1::date
+    ORDER BY cs.effective_from DESC
+    LIMIT 1
+  ) cs ON true
+`;
+
+// Commission accrued to a distributor on one day, on a folio: trail on the
+// market value held or upfront on a purchase
+class CommissionAccrual {
+  // First date still to be accrued: the day after the last accrual, or the
+  // first valuation before any. Null if nothing has been valued.
+  static async findNextDate() {
+    try {
+      const query = `
+        SELECT COALESCE(
+          (SELECT MAX(accrual_date) + 1 FROM commission_accruals),
+          (SELECT MIN(valuation_date) FROM holdings_valuation)
+        )::text AS next_date
+      `;
+      const result = await database.query(query);
+      return result.rows[0].next_date;
+    } catch (error) {
+      logger.error('Error finding next commission accrual date', error);
+      throw error;
+    }
+  }
+
+  // Accrues a calendar day's commission, replacing any earlier accrual of the
+  // date: a 365th of the annual trail rate on each regular-plan holding at its
+  // latest valuation, and the upfront rate on purchases allotted that day.
+  // Returns the number of accruals written. db may be a client inside a
+  // database transaction.
+  static async replaceForDate(accrualDate, db = database) {
+    try {
+      const defaultRates = JSON.stringify(config.commission.defaultRates);
+      await db.query('DELETE FROM commission_accruals WHERE accrual_date = $1', [accrualDate]);
+
+      const trail = await db.query(`
+        INSERT INTO commission_accruals (
+          accrual_date, distributor_id, folio_id, scheme_id, commission_type, base_amount, rate, amount
+        )
+        SELECT $1::date, f.distributor_id, v.folio_id, v.scheme_id, $3, v.market_value, r.rate,
+          ROUND(v.market_value * r.rate / 100 / 365, 4)
+        FROM holdings_valuation v
+        JOIN folios f ON v.folio_id = f.id
+        JOIN schemes s ON v.scheme_id = s.id
+        ${STRUCTURE_IN_FORCE}
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(cs.trail_rate, ($2::jsonb -> s.category ->> 'trailRate')::numeric, 0) AS rate
+        ) r
+        WHERE v.valuation_date = (SELECT MAX(valuation_date) FROM holdings_valuation WHERE valuation_date <= $1::date)
+          AND f.distributor_id IS NOT NULL AND r.rate > 0
+      `, [accrualDate, defaultRates, config.commissionTypes.TRAIL]);
+
+      // Fresh purchases and SIP instalments only; reinvested IDCW is not new money
+      const upfront = await db.query(`
+        INSERT INTO commission_accruals (
+          accrual_date, distributor_id, folio_id, scheme_id, commission_type, transaction_id, base_amount, rate, amount
+        )
+        SELECT $1::date, t.distributor_id, t.folio_id, t.scheme_id, $3, t.transaction_id, t.amount, r.rate,
+          ROUND(t.amount * r.rate / 100, 4)
+        FROM transactions t
+        JOIN schemes s ON t.scheme_id = s.id
+        ${STRUCTURE_IN_FORCE}
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(cs.upfront_rate, ($2::jsonb -> s.category ->> 'upfrontRate')::numeric, 0) AS rate
+        ) r
+        WHERE t.nav_date = $1::date AND t.status = $4 AND t.transaction_type = $5 AND t.transaction_mode <> $6
+          AND t.distributor_id IS NOT NULL AND r.rate > 0
+      `, [
+        accrualDate,
+        defaultRates,
+        config.commissionTypes.UPFRONT,
+        config.statuses.transaction.PROCESSED,
+        config.transactionTypes.PURCHASE,
+        config.transactionModes.DIVIDEND
+      ]);
+
+      return trail.rowCount + upfront.rowCount;
+    } catch (error) {
+      logger.error('Error accruing commission for date', error);
+      throw error;
+    }
+  }
+
+  // A distributor's trail and upfront commission per accrual date between two
+  // YYYY-MM-DD dates (inclusive), oldest first
+  static async findDailyTotals(distributorId, fromDate, toDate) {
+    try {
+      const query = `
+        SELECT accrual_date::text AS accrual_date,
+          COALESCE(SUM(amount) FILTER (WHERE commission_type = $4), 0) AS trail,
+          COALESCE(SUM(amount) FILTER (WHERE commission_type = $5), 0) AS upfront
+        FROM commission_accruals
+        WHERE distributor_id = $1 AND accrual_date BETWEEN $2 AND $3
+        GROUP BY accrual_date
+        ORDER BY accrual_date ASC
+      `;
+      const result = await database.query(query, [
+        distributorId, fromDate, toDate, config.commissionTypes.TRAIL, config.commissionTypes.UPFRONT
+      ]);
+      return result.rows.map(row => ({
+        date: row.accrual_date,
+        trail: parseFloat(parseFloat(row.trail).toFixed(2)),
+        upfront: parseFloat(parseFloat(row.upfront).toFixed(2)),
+        total: parseFloat((parseFloat(row.trail) + parseFloat(row.upfront)).toFixed(2))
+      }));
+    } catch (error) {
+      logger.error('Error finding daily commission totals', error);
+      throw error;
+    }
+  }
+
+  // A distributor's commission by scheme between two YYYY-MM-DD dates (inclusive)
+  static async findSchemeTotals(distributorId, fromDate, toDate) {
+    try {
+      const query = `
+        SELECT s.id AS scheme_id, s.scheme_code, s.scheme_name, s.category,
+          COUNT(DISTINCT a.folio_id) AS folio_count,
+          COALESCE(SUM(a.amount) FILTER (WHERE a.commission_type = $4), 0) AS trail,
+          COALESCE(SUM(a.amount) FILTER (WHERE a.commission_type = $5), 0) AS upfront,
+          COALESCE(SUM(a.base_amount) FILTER (WHERE a.commission_type = $5), 0) AS purchases
+        FROM commission_accruals a
+        JOIN schemes s ON a.scheme_id = s.id
+        WHERE a.distributor_id = $1 AND a.accrual_date BETWEEN $2 AND $3
+        GROUP BY s.id
+        ORDER BY s.scheme_code ASC
+      `;
+      const result = await database.query(query, [
+        distributorId, fromDate, toDate, config.commissionTypes.TRAIL, config.commissionTypes.UPFRONT
+      ]);
+      return result.rows.map(row => ({
+        schemeId: row.scheme_id,
+        schemeCode: row.scheme_code,
+        schemeName: row.scheme_name,
+        category: row.category,
+        folioCount: parseInt(row.folio_count),
+        purchaseAmount: parseFloat(row.purchases),
+        trail: parseFloat(parseFloat(row.trail).toFixed(2)),
+        upfront: parseFloat(parseFloat(row.upfront).toFixed(2))
+      }));
+    } catch (error) {
+      logger.error('Error finding scheme commission totals', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = CommissionAccrual;
@@ -0,0 +1,77 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const COLUMNS = `
+  id, scheme_id, effective_from::text AS effective_from, trail_rate, upfront_rate, created_at, updated_at
+`;
+
+// A scheme's distributor commission from an effective date: trail a year on
+// the market value held and upfront on each purchase, in percent
+class CommissionStructure {
+  constructor(data) {
+    this.id = data.id;
+    this.schemeId = data.scheme_id;
+    this.effectiveFrom = data.effective_from;
+    this.trailRate = parseFloat(data.trail_rate);
+    this.upfrontRate = parseFloat(data.upfront_rate);
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Adds a structure, replacing one on the same date
+  static async create(structureData, db = database) {
+    try {
+      const query = `
+        INSERT INTO commission_structures (scheme_id, effective_from, trail_rate, upfront_rate)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (scheme_id, effective_from)
+        DO UPDATE SET trail_rate = EXCLUDED.trail_rate, upfront_rate = EXCLUDED.upfront_rate
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        structureData.schemeId,
+        structureData.effectiveFrom,
+        structureData.trailRate,
+        structureData.upfrontRate
+      ]);
+      logger.info('Commission structure saved', {
+        schemeId: structureData.schemeId,
+        effectiveFrom: structureData.effectiveFrom
+      });
+      return new CommissionStructure(result.rows[0]);
+    } catch (error) {
+      logger.error('Error saving commission structure', error);
+      throw error;
+    }
+  }
+
+  // Every structure of a scheme, oldest first
+  static async findByScheme(schemeId) {
+    try {
+      // Plan-options share the commission structures of their scheme
+      const query = `
+        SELECT ${COLUMNS} FROM commission_structures
+        WHERE scheme_id = (SELECT COALESCE(parent_scheme_id, id) FROM schemes WHERE id = $1)
+        ORDER BY effective_from ASC
+      `;
+      const result = await database.query(query, [schemeId]);
+      return result.rows.map(row => new CommissionStructure(row));
+    } catch (error) {
+      logger.error('Error finding commission structures', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      schemeId: this.schemeId,
+      effectiveFrom: this.effectiveFrom,
+      trailRate: this.trailRate,
+      upfrontRate: this.upfrontRate
+    };
+  }
+}
+
+module.exports = CommissionStructure;
@@ -1,6 +1,20 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
 const Utils = require('../utils/helpers');
+const SimulationClock = require('../services/SimulationClock');
+const config = require('../config');
+
+// pg reads DATE columns as local midnight, so the local fields give the date
+function toDateText(date) {
+  if (!(date instanceof Date)) {
+    return date || null;
+  }
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
 
 class Customer {
   constructor(data) {
@@ -13,18 +27,23 @@ class Customer {
     this.dateOfBirth = data.date_of_birth;
     this.address = data.address;
     this.kycStatus = data.kyc_status;
+    this.kraCode = data.kra_code || null;
+    this.kycVerifiedAt = data.kyc_verified_at || null;
+    this.kycExpiresOn = toDateText(data.kyc_expires_on);
     this.riskProfile = data.risk_profile;
+    this.residentialStatus = data.residential_status || 'RESIDENT';
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
+  // New customers start KYC as PENDING; KYCService moves them on
   static async create(customerData) {
     try {
       const query = `
         INSERT INTO customers (
           pan_number, first_name, last_name, email, phone, 
-          date_of_birth, address, kyc_status, risk_profile
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          date_of_birth, address, kyc_status, risk_profile, residential_status, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
         RETURNING *
       `;
 
@@ -36,8 +55,10 @@ class Customer {
         customerData.phone,
         customerData.dateOfBirth,
         customerData.address,
-        customerData.kycStatus || 'PENDING',
-        customerData.riskProfile || 'MODERATE'
+        config.statuses.kyc.PENDING,
+        customerData.riskProfile || 'MODERATE',
+        customerData.residentialStatus || 'RESIDENT',
+        customerData.createdAt || SimulationClock.now()
       ];
 
       const result = await database.query(query, values);
@@ -98,12 +119,13 @@ class Customer {
 
   static async getRandomCustomer() {
     try {
+      // Salted md5 ordering keeps the pick reproducible under a seeded run
       const query = `
         SELECT * FROM customers 
-        ORDER BY RANDOM() 
+        ORDER BY md5(id::text || $1) 
         LIMIT 1
       `;
-      const result = await database.query(query);
+      const result = await database.query(query, [Utils.randomSalt()]);
       
       if (result.rows.length === 0) {
         return null;
@@ -144,10 +166,10 @@ class Customer {
         LEFT JOIN folios f ON c.id = f.customer_id AND f.status = 'ACTIVE'
         GROUP BY c.id
         HAVING COUNT(f.id) < $1
-        ORDER BY RANDOM()
+        ORDER BY md5(c.id::text || $2)
         LIMIT 10
       `;
-      const result = await database.query(query, [maxFolios]);
+      const result = await database.query(query, [maxFolios, Utils.randomSalt()]);
       return result.rows.map(row => new Customer(row));
     } catch (error) {
       logger.error('Error getting customers eligible for new folio', error);
@@ -155,6 +177,90 @@ class Customer {
     }
   }
 
+  // Sets a customer's KYC status. The KRA, verification time and expiry are
+  // kept unless given. db may be a client inside a database transaction.
+  static async updateKYC(id, { status, kraCode = null, verifiedAt = null, expiresOn = null }, db = database) {
+    try {
+      const query = `
+        UPDATE customers
+        SET kyc_status = $1,
+          kra_code = COALESCE($2, kra_code),
+          kyc_verified_at = COALESCE($3, kyc_verified_at),
+          kyc_expires_on = COALESCE($4::date, kyc_expires_on),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `;
+      const result = await db.query(query, [status, kraCode, verifiedAt, expiresOn, id]);
+      return result.rows.length > 0 ? new Customer(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error updating customer KYC', error);
+      throw error;
+    }
+  }
+
+  // Verified customers whose KYC is due for renewal on a YYYY-MM-DD date
+  static async findKYCDueForRenewal(date, limit = 500) {
+    try {
+      const query = `
+        SELECT * FROM customers
+        WHERE kyc_status = $1 AND kyc_expires_on <= $2
+        ORDER BY kyc_expires_on ASC, id ASC
+        LIMIT $3
+      `;
+      const result = await database.query(query, [config.statuses.kyc.VERIFIED, date, limit]);
+      return result.rows.map(row => new Customer(row));
+    } catch (error) {
+      logger.error('Error finding customers due for re-KYC', error);
+      throw error;
+    }
+  }
+
+  // Customers who owe the KRA documents: those it has no record of, those on
+  // hold, rejected or due for re-KYC, with no request waiting on the KRA
+  static async findKYCApplicants(limit = 50) {
+    try {
+      const { PENDING, ON_HOLD, REJECTED, EXPIRED } = config.statuses.kyc;
+      const query = `
+        SELECT c.* FROM customers c
+        WHERE c.kyc_status = ANY($1)
+        AND NOT EXISTS (
+          SELECT 1 FROM kra_requests r
+          WHERE r.customer_id = c.id AND r.status = $2
+        )
+        ORDER BY md5(c.id::text || $3)
+        LIMIT $4
+      `;
+      const result = await database.query(query, [
+        [PENDING, ON_HOLD, REJECTED, EXPIRED],
+        config.statuses.kraRequest.SENT,
+        Utils.randomSalt(),
+        limit
+      ]);
+      return result.rows.map(row => new Customer(row));
+    } catch (error) {
+      logger.error('Error finding KYC applicants', error);
+      throw error;
+    }
+  }
+
+  // Customers by KYC status
+  static async getKYCSummary() {
+    try {
+      const query = `
+        SELECT kyc_status, COUNT(*) AS customers
+        FROM customers
+        GROUP BY kyc_status
+        ORDER BY kyc_status
+      `;
+      const result = await database.query(query);
+      return result.rows.map(row => ({ kycStatus: row.kyc_status, customers: parseInt(row.customers) }));
+    } catch (error) {
+      logger.error('Error getting KYC summary', error);
+      throw error;
+    }
+  }
+
   async update(updateData) {
     try {
       const fields = [];
@@ -208,7 +314,7 @@ class Customer {
     }
   }
 
-  static async generateRandomCustomer() {
+  static async generateRandomCustomer(asOf = SimulationClock.now()) {
     const { firstName, lastName } = Utils.generateRandomName();
     const panNumber = Utils.generatePAN();
     const email = Utils.generateEmail(firstName, lastName);
@@ -218,8 +324,8 @@ class Customer {
     // Generate random date of birth (18-80 years old)
     const minAge = 18;
     const maxAge = 80;
-    const age = Math.floor(Math.random() * (maxAge - minAge + 1)) + minAge;
-    const dateOfBirth = new Date();
+    const age = Utils.randomInt(minAge, maxAge);
+    const dateOfBirth = new Date(asOf);
     dateOfBirth.setFullYear(dateOfBirth.getFullYear() - age);
     
     const addresses = [
@@ -241,8 +347,8 @@ class Customer {
       phone,
       dateOfBirth: dateOfBirth.toISOString().split('T')[0],
       address: Utils.getRandomElement(addresses),
-      kycStatus: Utils.randomBoolean(0.8) ? 'COMPLETED' : 'PENDING',
-      riskProfile
+      riskProfile,
+      residentialStatus: Utils.randomBoolean(0.05) ? 'NRI' : 'RESIDENT'
     };
   }
 
@@ -256,9 +362,19 @@ class Customer {
     return Utils.calculateAge(this.dateOfBirth);
   }
 
-  // Check if customer is KYC completed
-  isKycCompleted() {
-    return this.kycStatus === 'COMPLETED';
+  // Non-resident investors have TDS deducted from redemption gains
+  isNRI() {
+    return this.residentialStatus === 'NRI';
+  }
+
+  // Check if customer's KYC is verified
+  isKycVerified() {
+    return this.kycStatus === config.statuses.kyc.VERIFIED;
+  }
+
+  // Purchases are held rather than rejected while KYC is in progress
+  isKycInProgress() {
+    return config.kyc.holdStatuses.includes(this.kycStatus);
   }
 
   // Get customer summary
@@ -271,7 +387,9 @@ class Customer {
       phone: this.phone,
       age: this.getAge(),
       kycStatus: this.kycStatus,
+      kycExpiresOn: this.kycExpiresOn,
       riskProfile: this.riskProfile,
+      residentialStatus: this.residentialStatus,
       createdAt: this.createdAt
     };
   }
@@ -0,0 +1,271 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+const config = require('../config');
+
+// Market value of holdings at the latest valuation, by folio
+const LATEST_VALUATION = `
+  SELECT folio_id, market_value FROM holdings_valuation
+  WHERE valuation_date = (SELECT MAX(valuation_date) FROM holdings_valuation)
+`;
+
+// An AMFI-registered distributor (ARN holder) who sells regular plans and
+// is paid trail and upfront commission on them
+class Distributor {
+  constructor(data) {
+    this.id = data.id;
+    this.arnCode = data.arn_code;
+    this.name = data.name;
+    this.category = data.category;
+    this.euin = data.euin;
+    this.email = data.email;
+    this.phone = data.phone;
+    this.isActive = data.is_active;
+    this.folioCount = data.folio_count !== undefined ? parseInt(data.folio_count) : undefined;
+    this.investorCount = data.investor_count !== undefined ? parseInt(data.investor_count) : undefined;
+    this.aum = data.aum !== undefined ? parseFloat(data.aum) : undefined;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(distributorData) {
+    try {
+      const query = `
+        INSERT INTO distributors (arn_code, name, category, euin, email, phone, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+
+      const values = [
+        distributorData.arnCode,
+        distributorData.name,
+        distributorData.category || 'IFA',
+        distributorData.euin || null,
+        distributorData.email || null,
+        distributorData.phone || null,
+        distributorData.isActive !== undefined ? distributorData.isActive : true
+      ];
+
+      const result = await database.query(query, values);
+      logger.info('Distributor created', { distributorId: result.rows[0].id, arnCode: distributorData.arnCode });
+      return new Distributor(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating distributor', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const result = await database.query('SELECT * FROM distributors WHERE id = $1', [id]);
+      return result.rows.length > 0 ? new Distributor(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding distributor by ID', error);
+      throw error;
+    }
+  }
+
+  static async findByARN(arnCode) {
+    try {
+      const result = await database.query('SELECT * FROM distributors WHERE arn_code = $1', [arnCode]);
+      return result.rows.length > 0 ? new Distributor(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding distributor by ARN', error);
+      throw error;
+    }
+  }
+
+  // Every distributor with the folios and investors they hold and their AUM
+  // at the latest valuation, largest first
+  static async findAllWithSummary() {
+    try {
+      const query = `
+        SELECT d.*,
+          COUNT(f.id) AS folio_count,
+          COUNT(DISTINCT f.customer_id) AS investor_count,
+          COALESCE(SUM(v.market_value), 0) AS aum
+        FROM distributors d
+        LEFT JOIN folios f ON f.distributor_id = d.id
+        LEFT JOIN (${LATEST_VALUATION}) v ON v.folio_id = f.id
+        GROUP BY d.id
+        ORDER BY aum DESC, d.arn_code ASC
+      `;
+      const result = await database.query(query);
+      return result.rows.map(row => new Distributor(row));
+    } catch (error) {
+      logger.error('Error finding distributors', error);
+      throw error;
+    }
+  }
+
+  static async findActive() {
+    try {
+      const result = await database.query('SELECT * FROM distributors WHERE is_active = true ORDER BY id ASC');
+      return result.rows.map(row => new Distributor(row));
+    } catch (error) {
+      logger.error('Error finding active distributors', error);
+      throw error;
+    }
+  }
+
+  // An active distributor for a new folio. The defaults are listed largest
+  // first, and squaring the draw gives the earlier ones most of the business.
+  static async getRandomDistributor() {
+    const distributors = await this.findActive();
+    if (distributors.length === 0) {
+      return null;
+    }
+    return distributors[Math.floor(Math.pow(Utils.random(), 2) * distributors.length)];
+  }
+
+  // Folios, investors and AUM at the latest valuation by scheme
+  async getSchemeSummary() {
+    try {
+      const query = `
+        SELECT s.id AS scheme_id, s.scheme_code, s.scheme_name, s.category,
+          COUNT(f.id) AS folio_count,
+          COUNT(DISTINCT f.customer_id) AS investor_count,
+          COALESCE(SUM(v.market_value), 0) AS aum
+        FROM folios f
+        JOIN schemes s ON f.scheme_id = s.id
+        LEFT JOIN (${LATEST_VALUATION}) v ON v.folio_id = f.id
+        WHERE f.distributor_id = $1
+        GROUP BY s.id
+        ORDER BY aum DESC, s.scheme_code ASC
+      `;
+      const result = await database.query(query, [this.id]);
+      return result.rows.map(row => ({
+        schemeId: row.scheme_id,
+        schemeCode: row.scheme_code,
+        schemeName: row.scheme_name,
+        category: row.category,
+        folioCount: parseInt(row.folio_count),
+        investorCount: parseInt(row.investor_count),
+        aum: parseFloat(row.aum)
+      }));
+    } catch (error) {
+      logger.error('Error getting distributor scheme summary', error);
+      throw error;
+    }
+  }
+
+  // Direct against regular folios and AUM at the latest valuation, overall
+  // and by distributor category
+  static async getChannelSummary() {
+    try {
+      const query = `
+        SELECT f.plan, COALESCE(d.category, $1) AS channel,
+          COUNT(f.id) AS folio_count,
+          COUNT(DISTINCT f.customer_id) AS investor_count,
+          COALESCE(SUM(v.market_value), 0) AS aum
+        FROM folios f
+        LEFT JOIN distributors d ON f.distributor_id = d.id
+        LEFT JOIN (${LATEST_VALUATION}) v ON v.folio_id = f.id
+        GROUP BY f.plan, COALESCE(d.category, $1)
+        ORDER BY aum DESC
+      `;
+      const result = await database.query(query, [config.schemePlans.DIRECT]);
+      return result.rows.map(row => ({
+        plan: row.plan,
+        channel: row.channel,
+        folioCount: parseInt(row.folio_count),
+        investorCount: parseInt(row.investor_count),
+        aum: parseFloat(row.aum)
+      }));
+    } catch (error) {
+      logger.error('Error getting channel summary', error);
+      throw error;
+    }
+  }
+
+  async update(updateData) {
+    try {
+      const columns = { name: 'name', category: 'category', euin: 'euin', email: 'email', phone: 'phone', isActive: 'is_active' };
+      const fields = [];
+      const values = [];
+
+      for (const [key, column] of Object.entries(columns)) {
+        if (updateData[key] !== undefined) {
+          values.push(updateData[key]);
+          fields.push(`${column} = $${values.length}`);
+        }
+      }
+
+      if (fields.length === 0) {
+        return this;
+      }
+
+      values.push(this.id);
+      const query = `
+        UPDATE distributors
+        SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${values.length}
+        RETURNING *
+      `;
+
+      const result = await database.query(query, values);
+      if (result.rows.length > 0) {
+        Object.assign(this, new Distributor(result.rows[0]));
+        logger.info('Distributor updated', { distributorId: this.id });
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error updating distributor', error);
+      throw error;
+    }
+  }
+
+  static getDefaultDistributors() {
+    return [
+      { arnCode: 'ARN-104521', name: 'Prudent Wealth Distribution Ltd', category: 'NATIONAL', euin: 'E204517', email: 'mf@prudentwealth.example.in' },
+      { arnCode: 'ARN-0163', name: 'Bharat Co-operative Bank Ltd', category: 'BANK', euin: 'E118372', email: 'wealth@bharatcoopbank.example.in' },
+      { arnCode: 'ARN-78412', name: 'Nivesh Online Investments Pvt Ltd', category: 'ONLINE', euin: 'E309144', email: 'support@niveshonline.example.in' },
+      { arnCode: 'ARN-52290', name: 'Dalal Street Securities Ltd', category: 'BROKER', euin: 'E150263', email: 'mf.desk@dalalstreetsec.example.in' },
+      { arnCode: 'ARN-33617', name: 'Sahyadri Financial Services', category: 'NATIONAL', euin: 'E221908', email: 'ops@sahyadrifin.example.in' },
+      { arnCode: 'ARN-140877', name: 'Meera Iyer', category: 'IFA', euin: 'E402516', email: 'meera.iyer@example.in' },
+      { arnCode: 'ARN-126034', name: 'Rakesh Agarwal', category: 'IFA', euin: 'E388270', email: 'rakesh.agarwal@example.in' },
+      { arnCode: 'ARN-91546', name: 'Kaveri Investment Advisors', category: 'IFA', euin: 'E276651', email: 'contact@kaveriadvisors.example.in' }
+    ];
+  }
+
+  // Seeds the default distributors on an empty table
+  static async loadInitialData() {
+    try {
+      const result = await database.query('SELECT COUNT(*) AS count FROM distributors');
+      if (parseInt(result.rows[0].count) > 0) {
+        logger.info(`Found ${result.rows[0].count} existing distributors`);
+        return;
+      }
+
+      const defaults = this.getDefaultDistributors();
+      for (const distributorData of defaults) {
+        await this.create(distributorData);
+      }
+      logger.info(`Loaded ${defaults.length} default distributors`);
+    } catch (error) {
+      logger.error('Error loading initial distributor data', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      arnCode: this.arnCode,
+      name: this.name,
+      category: this.category,
+      euin: this.euin,
+      email: this.email,
+      phone: this.phone,
+      isActive: this.isActive,
+      folioCount: this.folioCount,
+      investorCount: this.investorCount,
+      aum: this.aum,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Distributor;
@@ -0,0 +1,139 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const COLUMNS = `
+  id, scheme_id, record_date::text AS record_date, rate_per_unit, status, ex_nav,
+  eligible_units, payout_amount, reinvested_amount, folio_count, distributed_at, created_at, updated_at
+`;
+
+// A per-unit income distribution (IDCW) of a scheme on a record date
+class DividendDeclaration {
+  constructor(data) {
+    this.id = data.id;
+    this.schemeId = data.scheme_id;
+    this.recordDate = data.record_date;
+    this.ratePerUnit = parseFloat(data.rate_per_unit);
+    this.status = data.status;
+    this.exNav = data.ex_nav ? parseFloat(data.ex_nav) : null;
+    this.eligibleUnits = data.eligible_units ? parseFloat(data.eligible_units) : 0;
+    this.payoutAmount = data.payout_amount ? parseFloat(data.payout_amount) : 0;
+    this.reinvestedAmount = data.reinvested_amount ? parseFloat(data.reinvested_amount) : 0;
+    this.folioCount = data.folio_count ? parseInt(data.folio_count) : 0;
+    this.distributedAt = data.distributed_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(declarationData) {
+    try {
+      const query = `
+        INSERT INTO dividend_declarations (scheme_id, record_date, rate_per_unit)
+        VALUES ($1, $2, $3)
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await database.query(query, [
+        declarationData.schemeId,
+        declarationData.recordDate,
+        declarationData.ratePerUnit
+      ]);
+      logger.info('Dividend declared', {
+        schemeId: declarationData.schemeId,
+        recordDate: declarationData.recordDate,
+        ratePerUnit: declarationData.ratePerUnit
+      });
+      return new DividendDeclaration(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating dividend declaration', error);
+      throw error;
+    }
+  }
+
+  static async findBySchemeAndDate(schemeId, recordDate) {
+    try {
+      const query = `SELECT ${COLUMNS} FROM dividend_declarations WHERE scheme_id = $1 AND record_date = $2`;
+      const result = await database.query(query, [schemeId, recordDate]);
+      return result.rows.length > 0 ? new DividendDeclaration(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding dividend declaration', error);
+      throw error;
+    }
+  }
+
+  // Every declaration of a scheme, latest record date first
+  static async findByScheme(schemeId) {
+    try {
+      const query = `SELECT ${COLUMNS} FROM dividend_declarations WHERE scheme_id = $1 ORDER BY record_date DESC`;
+      const result = await database.query(query, [schemeId]);
+      return result.rows.map(row => new DividendDeclaration(row));
+    } catch (error) {
+      logger.error('Error finding dividend declarations by scheme', error);
+      throw error;
+    }
+  }
+
+  // Declarations still to be distributed with a record date on or before a
+  // date. db may be a client inside a database transaction.
+  static async findUndistributed(asOfDate, db = database) {
+    try {
+      const query = `
+        SELECT ${COLUMNS} FROM dividend_declarations
+        WHERE status = $1 AND record_date <= $2
+        ORDER BY record_date ASC, id ASC
+      `;
+      const result = await db.query(query, [config.statuses.dividend.DECLARED, asOfDate]);
+      return result.rows.map(row => new DividendDeclaration(row));
+    } catch (error) {
+      logger.error('Error finding undistributed dividend declarations', error);
+      throw error;
+    }
+  }
+
+  async markDistributed(totals, distributedAt, db = database) {
+    try {
+      const query = `
+        UPDATE dividend_declarations
+        SET status = $1, ex_nav = $2, eligible_units = $3, payout_amount = $4,
+            reinvested_amount = $5, folio_count = $6, distributed_at = $7
+        WHERE id = $8
+        RETURNING ${COLUMNS}
+      `;
+      const result = await db.query(query, [
+        config.statuses.dividend.DISTRIBUTED,
+        totals.exNav,
+        totals.eligibleUnits,
+        totals.payoutAmount,
+        totals.reinvestedAmount,
+        totals.folioCount,
+        distributedAt,
+        this.id
+      ]);
+      if (result.rows.length > 0) {
+        Object.assign(this, new DividendDeclaration(result.rows[0]));
+      }
+      return this;
+    } catch (error) {
+      logger.error('Error marking dividend distributed', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      schemeId: this.schemeId,
+      recordDate: this.recordDate,
+      ratePerUnit: this.ratePerUnit,
+      status: this.status,
+      exNav: this.exNav,
+      eligibleUnits: this.eligibleUnits,
+      payoutAmount: this.payoutAmount,
+      reinvestedAmount: this.reinvestedAmount,
+      folioCount: this.folioCount,
+      distributedAt: this.distributedAt
+    };
+  }
+}
+
+module.exports = DividendDeclaration;
@@ -0,0 +1,95 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const COLUMNS = `
+  id, scheme_id, effective_from::text AS effective_from, tiers, free_units_percent, created_at, updated_at
+`;
+
+const YEAR_DAYS = 365;
+
+// A scheme's exit load from an effective date: tiered rates by days since
+// allotment, and a share of each lot's units per year held that can be
+// redeemed free of load
+class ExitLoadStructure {
+  constructor(data) {
+    this.id = data.id;
+    this.schemeId = data.scheme_id;
+    this.effectiveFrom = data.effective_from;
+    this.tiers = (data.tiers || [])
+      .map(tier => ({ withinDays: parseInt(tier.withinDays), rate: parseFloat(tier.rate) }))
+      .sort((a, b) => a.withinDays - b.withinDays);
+    this.freeUnitsPercent = data.free_units_percent ? parseFloat(data.free_units_percent) : 0;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Adds a structure, replacing one on the same date. db may be a client
+  // inside a database transaction.
+  static async create(structureData, db = database) {
+    try {
+      const query = `
+        INSERT INTO exit_load_structures (scheme_id, effective_from, tiers, free_units_percent)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (scheme_id, effective_from)
+        DO UPDATE SET tiers = EXCLUDED.tiers, free_units_percent = EXCLUDED.free_units_percent
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        structureData.schemeId,
+        structureData.effectiveFrom,
+        JSON.stringify(structureData.tiers || []),
+        structureData.freeUnitsPercent || 0
+      ]);
+      logger.info('Exit load structure saved', {
+        schemeId: structureData.schemeId,
+        effectiveFrom: structureData.effectiveFrom
+      });
+      return new ExitLoadStructure(result.rows[0]);
+    } catch (error) {
+      logger.error('Error saving exit load structure', error);
+      throw error;
+    }
+  }
+
+  // Every structure of a scheme, oldest first
+  static async findByScheme(schemeId, db = database) {
+    try {
+      // Plan-options share the exit loads of their scheme
+      const query = `
+        SELECT ${COLUMNS} FROM exit_load_structures
+        WHERE scheme_id = (SELECT COALESCE(parent_scheme_id, id) FROM schemes WHERE id = $1)
+        ORDER BY effective_from ASC
+      `;
+      const result = await db.query(query, [schemeId]);
+      return result.rows.map(row => new ExitLoadStructure(row));
+    } catch (error) {
+      logger.error('Error finding exit load structures', error);
+      throw error;
+    }
+  }
+
+  // Load rate in percent for units held a number of days
+  getRate(holdingDays) {
+    const tier = this.tiers.find(candidate => holdingDays <= candidate.withinDays);
+    return tier ? tier.rate : 0;
+  }
+
+  // Units of a lot that can have left it free of load after a number of days
+  getFreeAllowance(lotUnits, holdingDays) {
+    const yearsStarted = Math.floor(holdingDays / YEAR_DAYS) + 1;
+    return Math.min(lotUnits, lotUnits * this.freeUnitsPercent / 100 * yearsStarted);
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      schemeId: this.schemeId,
+      effectiveFrom: this.effectiveFrom,
+      tiers: this.tiers,
+      freeUnitsPercent: this.freeUnitsPercent
+    };
+  }
+}
+
+module.exports = ExitLoadStructure;
@@ -1,6 +1,49 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
 const Utils = require('../utils/helpers');
+const SimulationClock = require('../services/SimulationClock');
+const HolidayCalendar = require('../services/HolidayCalendar');
+const Scheme = require('./Scheme');
+const config = require('../config');
+
+// Binds a new folio to a plan-option: the one given, or the scheme's option
+// for the folio's plan (regular when sold through a distributor) and dividend
+// option. Direct plans carry no distributor, and regular plans need one.
+async function bindPlanOption(folioData) {
+  const { DIRECT, REGULAR } = config.schemePlans;
+  const distributorId = folioData.distributorId || null;
+  const scheme = await Scheme.findById(folioData.schemeId);
+  if (!scheme) {
+    throw Utils.validationError('Scheme not found');
+  }
+
+  const planOption = scheme.parentSchemeId ? scheme : await Scheme.findPlanOption(
+    scheme.id,
+    distributorId ? REGULAR : DIRECT,
+    [undefined, config.dividendOptions.GROWTH].includes(folioData.dividendOption)
+      ? config.planOptions.GROWTH
+      : config.planOptions.IDCW
+  );
+  // Schemes without plan-options are held as they are
+  const bound = planOption || scheme;
+  const plan = bound.plan || (distributorId ? REGULAR : DIRECT);
+
+  const dividendOption = folioData.dividendOption || bound.getDividendOptions()[0];
+  if (!bound.getDividendOptions().includes(dividendOption)) {
+    throw Utils.validationError(`${bound.schemeCode} cannot be held under dividend option ${dividendOption}`);
+  }
+  if (plan === REGULAR && !distributorId) {
+    throw Utils.validationError(`${bound.schemeCode} is a regular plan and needs a distributorId`);
+  }
+
+  return {
+    schemeId: bound.id,
+    plan,
+    dividendOption,
+    distributorId: plan === REGULAR ? distributorId : null,
+    euin: plan === REGULAR ? folioData.euin || null : null
+  };
+}
 
 class Folio {
   constructor(data) {
@@ -12,36 +55,50 @@ class Folio {
     this.nominationRegistered = data.nomination_registered;
     this.jointHolder1 = data.joint_holder_1;
     this.jointHolder2 = data.joint_holder_2;
+    this.dividendOption = data.dividend_option || config.dividendOptions.GROWTH;
+    this.plan = data.plan || config.schemePlans.DIRECT;
+    this.distributorId = data.distributor_id || null;
+    this.euin = data.euin || null;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
-  static async create(folioData) {
+  // Opens a folio in a plan-option of a scheme (see bindPlanOption). db may be
+  // a client inside a database transaction.
+  static async create(folioData, db = database) {
     try {
       const query = `
         INSERT INTO folios (
           folio_number, customer_id, scheme_id, status,
-          nomination_registered, joint_holder_1, joint_holder_2
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+          nomination_registered, joint_holder_1, joint_holder_2, dividend_option,
+          plan, distributor_id, euin, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING *
       `;
 
+      const binding = await bindPlanOption(folioData);
+
       const values = [
         folioData.folioNumber,
         folioData.customerId,
-        folioData.schemeId,
+        binding.schemeId,
         folioData.status || 'ACTIVE',
         folioData.nominationRegistered || false,
         folioData.jointHolder1 || null,
-        folioData.jointHolder2 || null
+        folioData.jointHolder2 || null,
+        binding.dividendOption,
+        binding.plan,
+        binding.distributorId,
+        binding.euin,
+        folioData.createdAt || SimulationClock.now()
       ];
 
-      const result = await database.query(query, values);
+      const result = await db.query(query, values);
       logger.info('Folio created', { 
         folioId: result.rows[0].id, 
         folioNumber: folioData.folioNumber,
         customerId: folioData.customerId,
-        schemeId: folioData.schemeId
+        schemeId: binding.schemeId
       });
       return new Folio(result.rows[0]);
     } catch (error) {
@@ -131,15 +188,132 @@ class Folio {
     }
   }
 
+  // The customer's active folio in a scheme, if any
+  static async findActiveByCustomerAndScheme(customerId, schemeId, db = database) {
+    try {
+      const query = `
+        SELECT * FROM folios
+        WHERE customer_id = $1 AND scheme_id = $2 AND status = 'ACTIVE'
+        ORDER BY created_at ASC
+        LIMIT 1
+      `;
+      const result = await db.query(query, [customerId, schemeId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Folio(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding folio by customer and scheme', error);
+      throw error;
+    }
+  }
+
+  // Units in a holding split into locked (allotted inside the scheme's
+  // lock-in period), pledged and free to redeem or switch. Locks the holding
+  // when db is a transaction client.
+  static async getUnitBalance(folioId, schemeId, asOf = SimulationClock.now(), db = database) {
+    try {
+      const query = `
+        SELECT h.total_units, h.pledged_units, s.sub_category
+        FROM holdings h
+        JOIN schemes s ON h.scheme_id = s.id
+        WHERE h.folio_id = $1 AND h.scheme_id = $2
+        FOR UPDATE OF h
+      `;
+      const result = await db.query(query, [folioId, schemeId]);
+      if (result.rows.length === 0) {
+        return { totalUnits: 0, lockedUnits: 0, pledgedUnits: 0, freeUnits: 0, lockInYears: 0 };
+      }
+
+      const row = result.rows[0];
+      const totalUnits = parseFloat(row.total_units);
+      const pledgedUnits = parseFloat(row.pledged_units) || 0;
+      const lockInYears = config.lockIn.bySubCategory[row.sub_category] || 0;
+
+      let lockedUnits = 0;
+      if (lockInYears > 0) {
+        // Each allotment is locked in for its own period
+        const lockedQuery = `
+          SELECT COALESCE(SUM(units), 0) AS units
+          FROM transactions
+          WHERE folio_id = $1 AND scheme_id = $2
+          AND status = $3
+          AND transaction_type = ANY($4)
+          AND nav_date > $5::date - make_interval(years => $6)
+        `;
+        const locked = await db.query(lockedQuery, [
+          folioId,
+          schemeId,
+          config.statuses.transaction.PROCESSED,
+          [config.transactionTypes.PURCHASE, config.transactionTypes.SWITCH_IN],
+          HolidayCalendar.toDateKey(asOf),
+          lockInYears
+        ]);
+        lockedUnits = Math.min(totalUnits, parseFloat(locked.rows[0].units));
+      }
+
+      const freeUnits = Math.max(0, totalUnits - lockedUnits - pledgedUnits);
+      return {
+        totalUnits,
+        lockedUnits: parseFloat(lockedUnits.toFixed(6)),
+        pledgedUnits,
+        freeUnits: parseFloat(freeUnits.toFixed(6)),
+        lockInYears
+      };
+    } catch (error) {
+      logger.error('Error getting unit balance', error);
+      throw error;
+    }
+  }
+
+  // Marks free units as pledged, or releases pledged ones when units is
+  // negative. Returns the new balance, or null without a holding.
+  static async pledgeUnits(folioId, units, asOf = SimulationClock.now()) {
+    try {
+      return await database.transaction(async (client) => {
+        const folio = await client.query('SELECT scheme_id FROM folios WHERE id = $1', [folioId]);
+        if (folio.rows.length === 0) {
+          return null;
+        }
+
+        const schemeId = folio.rows[0].scheme_id;
+        const balance = await this.getUnitBalance(folioId, schemeId, asOf, client);
+        if (balance.totalUnits <= 0) {
+          return null;
+        }
+        if (units > balance.freeUnits) {
+          throw Utils.validationError(`Only ${balance.freeUnits} free units can be pledged`);
+        }
+        if (-units > balance.pledgedUnits) {
+          throw Utils.validationError(`Only ${balance.pledgedUnits} units are pledged`);
+        }
+
+        await client.query(`
+          UPDATE holdings
+          SET pledged_units = pledged_units + $3, updated_at = CURRENT_TIMESTAMP
+          WHERE folio_id = $1 AND scheme_id = $2
+        `, [folioId, schemeId, units]);
+
+        logger.info(units > 0 ? 'Units pledged' : 'Pledged units released', { folioId, units: Math.abs(units) });
+        return this.getUnitBalance(folioId, schemeId, asOf, client);
+      });
+    } catch (error) {
+      logger.error('Error updating pledged units', error);
+      throw error;
+    }
+  }
+
   static async getRandomFolio() {
     try {
       const query = `
         SELECT * FROM folios 
         WHERE status = 'ACTIVE'
-        ORDER BY RANDOM() 
+        ORDER BY md5(id::text || $1) 
         LIMIT 1
       `;
-      const result = await database.query(query);
+      const result = await database.query(query, [Utils.randomSalt()]);
       
       if (result.rows.length === 0) {
         return null;
@@ -159,11 +333,11 @@ class Folio {
         FROM folios f
         JOIN customers c ON f.customer_id = c.id
         JOIN schemes s ON f.scheme_id = s.id
-        WHERE f.status = 'ACTIVE' AND c.kyc_status = 'COMPLETED'
-        ORDER BY RANDOM()
+        WHERE f.status = 'ACTIVE' AND c.kyc_status = 'VERIFIED'
+        ORDER BY md5(f.id::text || $2)
         LIMIT $1
       `;
-      const result = await database.query(query, [limit]);
+      const result = await database.query(query, [limit, Utils.randomSalt()]);
       return result.rows.map(row => ({
         folio: new Folio(row),
         riskProfile: row.risk_profile,
@@ -191,6 +365,22 @@ class Folio {
     }
   }
 
+  // Distributors the customer holds folios through
+  static async findDistributorIds(customerId) {
+    try {
+      const query = `
+        SELECT DISTINCT distributor_id
+        FROM folios
+        WHERE customer_id = $1 AND distributor_id IS NOT NULL
+      `;
+      const result = await database.query(query, [customerId]);
+      return result.rows.map(row => row.distributor_id);
+    } catch (error) {
+      logger.error('Error finding distributors by customer', error);
+      throw error;
+    }
+  }
+
   static async getFolioWithHoldings(folioId) {
     try {
       const query = `
@@ -198,7 +388,7 @@ class Folio {
           f.*,
           c.first_name, c.last_name, c.pan_number,
           s.scheme_name, s.scheme_code, s.category, s.nav,
-          h.total_units, h.current_value, h.invested_amount
+          h.total_units, h.pledged_units, h.current_value, h.invested_amount
         FROM folios f
         JOIN customers c ON f.customer_id = c.id
         JOIN schemes s ON f.scheme_id = s.id
@@ -226,6 +416,7 @@ class Folio {
         },
         holdings: {
           totalUnits: row.total_units ? parseFloat(row.total_units) : 0,
+          pledgedUnits: row.pledged_units ? parseFloat(row.pledged_units) : 0,
           currentValue: row.current_value ? parseFloat(row.current_value) : 0,
           investedAmount: row.invested_amount ? parseFloat(row.invested_amount) : 0
         }
@@ -277,6 +468,38 @@ class Folio {
     }
   }
 
+  // IDCW folios of a scheme with their units before a record date: allotments
+  // at NAVs before it, less outflows allotted before it
+  static async findIDCWHolders(schemeId, recordDate, db = database) {
+    try {
+      const query = `
+        SELECT f.*, SUM(
+          CASE WHEN t.transaction_type IN ('REDEMPTION', 'SWITCH_OUT') THEN -t.units ELSE t.units END
+        ) AS record_units
+        FROM folios f
+        JOIN transactions t ON t.folio_id = f.id AND t.scheme_id = $1
+        WHERE f.scheme_id = $1
+        AND f.dividend_option IN ($2, $3)
+        AND t.status = $4
+        AND t.nav_date < $5
+        GROUP BY f.id
+        HAVING SUM(CASE WHEN t.transaction_type IN ('REDEMPTION', 'SWITCH_OUT') THEN -t.units ELSE t.units END) > 0
+        ORDER BY f.id
+      `;
+      const result = await db.query(query, [
+        schemeId,
+        config.dividendOptions.IDCW_PAYOUT,
+        config.dividendOptions.IDCW_REINVEST,
+        config.statuses.transaction.PROCESSED,
+        recordDate
+      ]);
+      return result.rows.map(row => ({ folio: new Folio(row), units: parseFloat(row.record_units) }));
+    } catch (error) {
+      logger.error('Error finding IDCW holders', error);
+      throw error;
+    }
+  }
+
   async close() {
     try {
       await this.update({ status: 'CLOSED' });
@@ -298,7 +521,10 @@ class Folio {
       status: 'ACTIVE',
       nominationRegistered: Utils.randomBoolean(0.3), // 30% have nomination
       jointHolder1: Utils.randomBoolean(0.2) ? Utils.generateRandomName().firstName + ' ' + Utils.generateRandomName().lastName : null,
-      jointHolder2: Utils.randomBoolean(0.1) ? Utils.generateRandomName().firstName + ' ' + Utils.generateRandomName().lastName : null
+      jointHolder2: Utils.randomBoolean(0.1) ? Utils.generateRandomName().firstName + ' ' + Utils.generateRandomName().lastName : null,
+      dividendOption: Utils.randomBoolean(0.8)
+        ? config.dividendOptions.GROWTH
+        : Utils.getRandomElement([config.dividendOptions.IDCW_PAYOUT, config.dividendOptions.IDCW_REINVEST])
     };
   }
 
@@ -347,6 +573,10 @@ class Folio {
       nominationRegistered: this.nominationRegistered,
       jointHolder1: this.jointHolder1,
       jointHolder2: this.jointHolder2,
+      dividendOption: this.dividendOption,
+      plan: this.plan,
+      distributorId: this.distributorId,
+      euin: this.euin,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -0,0 +1,161 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const COLUMNS = `
+  v.valuation_date::text AS valuation_date, v.folio_id, v.scheme_id, v.customer_id,
+  v.units, v.nav, v.market_value, v.created_at
+`;
+
+// Units a holding had on a valuation date, valued at that day's NAV
+class HoldingValuation {
+  constructor(data) {
+    this.valuationDate = data.valuation_date;
+    this.folioId = data.folio_id;
+    this.schemeId = data.scheme_id;
+    this.customerId = data.customer_id;
+    this.units = parseFloat(data.units);
+    this.nav = parseFloat(data.nav);
+    this.marketValue = parseFloat(data.market_value);
+    this.folioNumber = data.folio_number;
+    this.schemeCode = data.scheme_code;
+    this.schemeName = data.scheme_name;
+    this.createdAt = data.created_at;
+  }
+
+  // First date still to be valued: the day after the last valuation, or the
+  // first allotment date before any. Null if nothing has been allotted.
+  static async findNextDate() {
+    try {
+      const query = `
+        SELECT COALESCE(
+          (SELECT MAX(valuation_date) + 1 FROM holdings_valuation),
+          (SELECT MIN(nav_date) FROM transactions WHERE status = $1)
+        )::text AS next_date
+      `;
+      const result = await database.query(query, [config.statuses.transaction.PROCESSED]);
+      return result.rows[0].next_date;
+    } catch (error) {
+      logger.error('Error finding next valuation date', error);
+      throw error;
+    }
+  }
+
+  // Days with a NAV published between two YYYY-MM-DD dates (inclusive)
+  static async findNAVDates(fromDate, toDate) {
+    try {
+      const query = `
+        SELECT DISTINCT nav_date::text AS nav_date FROM nav_history
+        WHERE nav_date BETWEEN $1 AND $2
+        ORDER BY nav_date ASC
+      `;
+      const result = await database.query(query, [fromDate, toDate]);
+      return result.rows.map(row => row.nav_date);
+    } catch (error) {
+      logger.error('Error finding NAV dates', error);
+      throw error;
+    }
+  }
+
+  // Values every holding with units on a NAV date from the processed
+  // transactions allotted by then and that day's NAV in nav_history,
+  // replacing any earlier valuation of the date. Returns the number of
+  // holdings valued. db may be a client inside a database transaction.
+  static async replaceForDate(valuationDate, db = database) {
+    try {
+      await db.query('DELETE FROM holdings_valuation WHERE valuation_date = $1', [valuationDate]);
+
+      const query = `
+        INSERT INTO holdings_valuation (valuation_date, folio_id, scheme_id, customer_id, units, nav, market_value)
+        SELECT nh.nav_date, f.id, f.scheme_id, f.customer_id, u.units, nh.nav, ROUND(u.units * nh.nav, 2)
+        FROM nav_history nh
+        JOIN folios f ON f.scheme_id = nh.scheme_id
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(SUM(CASE WHEN t.transaction_type = ANY($3) THEN -t.units ELSE t.units END), 0) AS units
+          FROM transactions t
+          WHERE t.folio_id = f.id AND t.status = $2 AND t.nav_date <= nh.nav_date
+        ) u
+        WHERE nh.nav_date = $1 AND u.units > 0
+      `;
+      const result = await db.query(query, [
+        valuationDate,
+        config.statuses.transaction.PROCESSED,
+        [config.transactionTypes.REDEMPTION, config.transactionTypes.SWITCH_OUT]
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error valuing holdings for date', error);
+      throw error;
+    }
+  }
+
+  // Materialises the per-customer and per-scheme aggregates over a range of
+  // valuation dates, which the hourly policies only cover for the last week
+  static async refreshAggregates(fromDate, toDate) {
+    try {
+      for (const view of ['customer_daily_valuation', 'scheme_daily_valuation']) {
+        await database.query(`CALL refresh_continuous_aggregate('${view}', $1::date, $2::date + 1)`, [fromDate, toDate]);
+      }
+    } catch (error) {
+      logger.error('Error refreshing valuation aggregates', error);
+      throw error;
+    }
+  }
+
+  // Portfolio value of a customer per valuation date between two dates
+  // (inclusive), oldest first
+  static async findCustomerSeries(customerId, fromDate, toDate) {
+    try {
+      const query = `
+        SELECT day::text AS day, holdings, market_value
+        FROM customer_daily_valuation
+        WHERE customer_id = $1 AND day BETWEEN $2 AND $3
+        ORDER BY day ASC
+      `;
+      const result = await database.query(query, [customerId, fromDate, toDate]);
+      return result.rows.map(row => ({
+        date: row.day,
+        holdings: parseInt(row.holdings),
+        marketValue: parseFloat(row.market_value)
+      }));
+    } catch (error) {
+      logger.error('Error finding customer valuation series', error);
+      throw error;
+    }
+  }
+
+  // A customer's holdings as valued on a date
+  static async findByCustomerAndDate(customerId, valuationDate) {
+    try {
+      const query = `
+        SELECT ${COLUMNS}, f.folio_number, s.scheme_code, s.scheme_name
+        FROM holdings_valuation v
+        JOIN folios f ON v.folio_id = f.id
+        JOIN schemes s ON v.scheme_id = s.id
+        WHERE v.customer_id = $1 AND v.valuation_date = $2
+        ORDER BY s.scheme_code ASC, f.folio_number ASC
+      `;
+      const result = await database.query(query, [customerId, valuationDate]);
+      return result.rows.map(row => new HoldingValuation(row));
+    } catch (error) {
+      logger.error('Error finding customer holding valuations', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      valuationDate: this.valuationDate,
+      folioId: this.folioId,
+      folioNumber: this.folioNumber,
+      schemeId: this.schemeId,
+      schemeCode: this.schemeCode,
+      schemeName: this.schemeName,
+      units: this.units,
+      nav: this.nav,
+      marketValue: this.marketValue
+    };
+  }
+}
+
+module.exports = HoldingValuation;
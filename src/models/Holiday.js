@@ -0,0 +1,90 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+// Dates are read back as YYYY-MM-DD text so they never shift with the server time zone
+const COLUMNS = 'id, holiday_date::text AS holiday_date, name, type, created_at, updated_at';
+
+class Holiday {
+  constructor(data) {
+    this.id = data.id;
+    this.date = data.holiday_date;
+    this.name = data.name;
+    this.type = data.type;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // Insert or replace the holiday on a date
+  static async upsert(holidayData) {
+    try {
+      const query = `
+        INSERT INTO market_holidays (holiday_date, name, type)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (holiday_date)
+        DO UPDATE SET name = EXCLUDED.name, type = EXCLUDED.type, updated_at = CURRENT_TIMESTAMP
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await database.query(query, [holidayData.date, holidayData.name, holidayData.type]);
+      return new Holiday(result.rows[0]);
+    } catch (error) {
+      logger.error('Error saving market holiday', error);
+      throw error;
+    }
+  }
+
+  static async findAll(year = null) {
+    try {
+      const query = year
+        ? `SELECT ${COLUMNS} FROM market_holidays WHERE EXTRACT(YEAR FROM holiday_date) = $1 ORDER BY holiday_date`
+        : `SELECT ${COLUMNS} FROM market_holidays ORDER BY holiday_date`;
+
+      const result = await database.query(query, year ? [year] : []);
+      return result.rows.map(row => new Holiday(row));
+    } catch (error) {
+      logger.error('Error finding market holidays', error);
+      throw error;
+    }
+  }
+
+  static async findYears() {
+    try {
+      const query = 'SELECT DISTINCT EXTRACT(YEAR FROM holiday_date)::int AS year FROM market_holidays ORDER BY year';
+      const result = await database.query(query);
+      return result.rows.map(row => row.year);
+    } catch (error) {
+      logger.error('Error finding market holiday years', error);
+      throw error;
+    }
+  }
+
+  static async deleteByDate(date) {
+    try {
+      const result = await database.query('DELETE FROM market_holidays WHERE holiday_date = $1', [date]);
+      return result.rowCount > 0;
+    } catch (error) {
+      logger.error('Error deleting market holiday', error);
+      throw error;
+    }
+  }
+
+  static async deleteByYear(year) {
+    try {
+      const result = await database.query('DELETE FROM market_holidays WHERE EXTRACT(YEAR FROM holiday_date) = $1', [year]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error deleting market holidays for year', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      date: this.date,
+      name: this.name,
+      type: this.type
+    };
+  }
+}
+
+module.exports = Holiday;
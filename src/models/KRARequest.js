@@ -0,0 +1,168 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// A lookup of an investor's KYC record by PAN, or a verification of the
+// documents they submitted
+const TYPES = {
+  LOOKUP: 'LOOKUP',
+  VERIFICATION: 'VERIFICATION'
+};
+
+const OUTCOMES = {
+  FOUND: 'FOUND',
+  NOT_FOUND: 'NOT_FOUND',
+  VERIFIED: 'VERIFIED',
+  REJECTED: 'REJECTED',
+  ON_HOLD: 'ON_HOLD'
+};
+
+// A request sent to a KYC Registration Agency, answered after a delay
+class KRARequest {
+  constructor(data) {
+    this.id = data.id;
+    this.customerId = data.customer_id;
+    this.requestType = data.request_type;
+    this.kraCode = data.kra_code;
+    this.kraReference = data.kra_reference;
+    this.status = data.status;
+    this.outcome = data.outcome;
+    this.reason = data.reason;
+    this.sentAt = data.sent_at;
+    this.respondAfter = data.respond_after;
+    this.answeredAt = data.answered_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static get TYPES() {
+    return TYPES;
+  }
+
+  static get OUTCOMES() {
+    return OUTCOMES;
+  }
+
+  static async create(requestData, db = database) {
+    try {
+      const query = `
+        INSERT INTO kra_requests (
+          customer_id, request_type, kra_code, kra_reference, status, sent_at, respond_after
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+      const result = await db.query(query, [
+        requestData.customerId,
+        requestData.requestType,
+        requestData.kraCode,
+        requestData.kraReference,
+        config.statuses.kraRequest.SENT,
+        requestData.sentAt,
+        requestData.respondAfter
+      ]);
+      logger.info('KRA request sent', {
+        customerId: requestData.customerId,
+        requestType: requestData.requestType,
+        kraReference: requestData.kraReference
+      });
+      return new KRARequest(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating KRA request', error);
+      throw error;
+    }
+  }
+
+  // Requests the KRA is due to answer by a time, oldest first
+  static async findDue(asOf, limit = 50) {
+    try {
+      const query = `
+        SELECT * FROM kra_requests
+        WHERE status = $1 AND respond_after <= $2
+        ORDER BY respond_after ASC, id ASC
+        LIMIT $3
+      `;
+      const result = await database.query(query, [config.statuses.kraRequest.SENT, asOf, limit]);
+      return result.rows.map(row => new KRARequest(row));
+    } catch (error) {
+      logger.error('Error finding due KRA requests', error);
+      throw error;
+    }
+  }
+
+  // A customer's requests, latest first
+  static async findByCustomer(customerId) {
+    try {
+      const query = `
+        SELECT * FROM kra_requests
+        WHERE customer_id = $1
+        ORDER BY sent_at DESC, id DESC
+      `;
+      const result = await database.query(query, [customerId]);
+      return result.rows.map(row => new KRARequest(row));
+    } catch (error) {
+      logger.error('Error finding KRA requests', error);
+      throw error;
+    }
+  }
+
+  // Whether a customer has a request the KRA has not answered yet
+  static async hasOpenRequest(customerId, db = database) {
+    try {
+      const result = await db.query(
+        'SELECT 1 FROM kra_requests WHERE customer_id = $1 AND status = $2 LIMIT 1',
+        [customerId, config.statuses.kraRequest.SENT]
+      );
+      return result.rows.length > 0;
+    } catch (error) {
+      logger.error('Error checking open KRA requests', error);
+      throw error;
+    }
+  }
+
+  // Records the KRA's answer. Returns false if it was already answered.
+  async answer(outcome, reason, answeredAt, db = database) {
+    try {
+      const query = `
+        UPDATE kra_requests
+        SET status = $1, outcome = $2, reason = $3, answered_at = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5 AND status = $6
+        RETURNING *
+      `;
+      const result = await db.query(query, [
+        config.statuses.kraRequest.ANSWERED,
+        outcome,
+        reason,
+        answeredAt,
+        this.id,
+        config.statuses.kraRequest.SENT
+      ]);
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      Object.assign(this, new KRARequest(result.rows[0]));
+      return true;
+    } catch (error) {
+      logger.error('Error answering KRA request', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      requestType: this.requestType,
+      kraCode: this.kraCode,
+      kraReference: this.kraReference,
+      status: this.status,
+      outcome: this.outcome,
+      reason: this.reason,
+      sentAt: this.sentAt,
+      respondAfter: this.respondAfter,
+      answeredAt: this.answeredAt
+    };
+  }
+}
+
+module.exports = KRARequest;
@@ -0,0 +1,121 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// A KYC document an investor has given the AMC, reviewed by the KRA with the
+// verification it was sent for
+class KYCDocument {
+  constructor(data) {
+    this.id = data.id;
+    this.customerId = data.customer_id;
+    this.documentType = data.document_type;
+    this.documentNumber = data.document_number;
+    this.status = data.status;
+    this.remarks = data.remarks;
+    this.submittedAt = data.submitted_at;
+    this.reviewedAt = data.reviewed_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(documentData, db = database) {
+    try {
+      const query = `
+        INSERT INTO kyc_documents (customer_id, document_type, document_number, status, submitted_at)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+      const result = await db.query(query, [
+        documentData.customerId,
+        documentData.documentType,
+        documentData.documentNumber || null,
+        config.statuses.kycDocument.SUBMITTED,
+        documentData.submittedAt
+      ]);
+      logger.info('KYC document added', {
+        customerId: documentData.customerId,
+        documentType: documentData.documentType
+      });
+      return new KYCDocument(result.rows[0]);
+    } catch (error) {
+      logger.error('Error adding KYC document', error);
+      throw error;
+    }
+  }
+
+  // Every document of a customer, latest first
+  static async findByCustomer(customerId) {
+    try {
+      const query = `
+        SELECT * FROM kyc_documents
+        WHERE customer_id = $1
+        ORDER BY submitted_at DESC, id DESC
+      `;
+      const result = await database.query(query, [customerId]);
+      return result.rows.map(row => new KYCDocument(row));
+    } catch (error) {
+      logger.error('Error finding KYC documents', error);
+      throw error;
+    }
+  }
+
+  // The latest document of each type a customer has given
+  static async findLatest(customerId, db = database) {
+    try {
+      const query = `
+        SELECT DISTINCT ON (document_type) * FROM kyc_documents
+        WHERE customer_id = $1
+        ORDER BY document_type, submitted_at DESC, id DESC
+      `;
+      const result = await db.query(query, [customerId]);
+      return result.rows.map(row => new KYCDocument(row));
+    } catch (error) {
+      logger.error('Error finding latest KYC documents', error);
+      throw error;
+    }
+  }
+
+  // Records the KRA's review of a customer's documents awaiting it, only
+  // those of one type if given. Returns the number reviewed.
+  static async review(customerId, { status, remarks = null, documentType = null }, reviewedAt, db = database) {
+    try {
+      const query = `
+        UPDATE kyc_documents
+        SET status = $1, remarks = $2, reviewed_at = $3, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $4 AND status = $5
+        AND ($6::varchar IS NULL OR document_type = $6)
+      `;
+      const result = await db.query(query, [
+        status,
+        remarks,
+        reviewedAt,
+        customerId,
+        config.statuses.kycDocument.SUBMITTED,
+        documentType
+      ]);
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error reviewing KYC documents', error);
+      throw error;
+    }
+  }
+
+  isRejected() {
+    return this.status === config.statuses.kycDocument.REJECTED;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      customerId: this.customerId,
+      documentType: this.documentType,
+      documentNumber: this.documentNumber,
+      status: this.status,
+      remarks: this.remarks,
+      submittedAt: this.submittedAt,
+      reviewedAt: this.reviewedAt
+    };
+  }
+}
+
+module.exports = KYCDocument;
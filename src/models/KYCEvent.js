@@ -0,0 +1,84 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const TYPES = {
+  STATUS_CHANGE: 'STATUS_CHANGE',
+  DOCUMENT_ADDED: 'DOCUMENT_ADDED',
+  KRA_REQUEST: 'KRA_REQUEST',
+  KRA_RESPONSE: 'KRA_RESPONSE'
+};
+
+// An entry in an investor's KYC audit history (audit.kyc_history)
+class KYCEvent {
+  constructor(data) {
+    this.id = data.id;
+    this.customerId = data.customer_id;
+    this.eventType = data.event_type;
+    this.fromStatus = data.from_status;
+    this.toStatus = data.to_status;
+    this.remarks = data.remarks;
+    this.actor = data.actor;
+    this.kraRequestId = data.kra_request_id;
+    this.occurredAt = data.occurred_at;
+  }
+
+  static get TYPES() {
+    return TYPES;
+  }
+
+  static async create(eventData, db = database) {
+    try {
+      const query = `
+        INSERT INTO audit.kyc_history (
+          customer_id, event_type, from_status, to_status, remarks, actor, kra_request_id, occurred_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+      const result = await db.query(query, [
+        eventData.customerId,
+        eventData.eventType,
+        eventData.fromStatus || null,
+        eventData.toStatus || null,
+        eventData.remarks || null,
+        eventData.actor || 'SYSTEM',
+        eventData.kraRequestId || null,
+        eventData.occurredAt
+      ]);
+      return new KYCEvent(result.rows[0]);
+    } catch (error) {
+      logger.error('Error recording KYC event', error);
+      throw error;
+    }
+  }
+
+  // A customer's KYC history, oldest first
+  static async findByCustomer(customerId) {
+    try {
+      const query = `
+        SELECT * FROM audit.kyc_history
+        WHERE customer_id = $1
+        ORDER BY occurred_at ASC, id ASC
+      `;
+      const result = await database.query(query, [customerId]);
+      return result.rows.map(row => new KYCEvent(row));
+    } catch (error) {
+      logger.error('Error finding KYC history', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      eventType: this.eventType,
+      fromStatus: this.fromStatus,
+      toStatus: this.toStatus,
+      remarks: this.remarks,
+      actor: this.actor,
+      kraRequestId: this.kraRequestId,
+      occurredAt: this.occurredAt
+    };
+  }
+}
+
+module.exports = KYCEvent;
@@ -0,0 +1,145 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const COLUMNS = `
+  id, folio_id, scheme_id, customer_id, transaction_id, allotment_date::text AS allotment_date,
+  units, remaining_units, cost_amount, free_units_used, created_at, updated_at
+`;
+
+// Units bought by one purchase or switch-in, at its cost. Outflows consume
+// lots first in, first out.
+class PurchaseLot {
+  constructor(data) {
+    this.id = data.id;
+    this.folioId = data.folio_id;
+    this.schemeId = data.scheme_id;
+    this.customerId = data.customer_id;
+    this.transactionId = data.transaction_id;
+    this.allotmentDate = data.allotment_date;
+    this.units = parseFloat(data.units);
+    this.remainingUnits = parseFloat(data.remaining_units);
+    this.costAmount = parseFloat(data.cost_amount);
+    this.freeUnitsUsed = data.free_units_used ? parseFloat(data.free_units_used) : 0;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  // db may be a client inside a database transaction
+  static async create(lotData, db = database) {
+    try {
+      const query = `
+        INSERT INTO purchase_lots (
+          folio_id, scheme_id, customer_id, transaction_id,
+          allotment_date, units, remaining_units, cost_amount
+        ) VALUES ($1, $2, $3, $4, $5, $6, $6, $7)
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        lotData.folioId,
+        lotData.schemeId,
+        lotData.customerId,
+        lotData.transactionId,
+        lotData.allotmentDate,
+        lotData.units,
+        lotData.costAmount
+      ]);
+      return new PurchaseLot(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating purchase lot', error);
+      throw error;
+    }
+  }
+
+  // Lots with units left, oldest first, locked when db is a transaction client
+  static async findOpen(folioId, schemeId, db = database) {
+    try {
+      const query = `
+        SELECT ${COLUMNS} FROM purchase_lots
+        WHERE folio_id = $1 AND scheme_id = $2 AND remaining_units > 0
+        ORDER BY allotment_date ASC, id ASC
+        FOR UPDATE
+      `;
+      const result = await db.query(query, [folioId, schemeId]);
+      return result.rows.map(row => new PurchaseLot(row));
+    } catch (error) {
+      logger.error('Error finding open purchase lots', error);
+      throw error;
+    }
+  }
+
+  // Splits units to take out of a holding over its open lots, oldest first.
+  // Returns { allocations: [{ lot, units }], unmatchedUnits }.
+  static async allocate(folioId, schemeId, units, db = database) {
+    const lots = await this.findOpen(folioId, schemeId, db);
+    const allocations = [];
+    let remaining = units;
+
+    for (const lot of lots) {
+      if (remaining <= 0) break;
+      const taken = Math.min(lot.remainingUnits, remaining);
+      remaining = parseFloat((remaining - taken).toFixed(6));
+      allocations.push({ lot, units: taken });
+    }
+
+    return { allocations, unmatchedUnits: Math.max(0, remaining) };
+  }
+
+  static async findByFolio(folioId, openOnly = false) {
+    try {
+      const query = `
+        SELECT ${COLUMNS} FROM purchase_lots
+        WHERE folio_id = $1 ${openOnly ? 'AND remaining_units > 0' : ''}
+        ORDER BY allotment_date ASC, id ASC
+      `;
+      const result = await database.query(query, [folioId]);
+      return result.rows.map(row => new PurchaseLot(row));
+    } catch (error) {
+      logger.error('Error finding purchase lots by folio', error);
+      throw error;
+    }
+  }
+
+  // Cost of part of the lot, pro rata to its units
+  getCost(units) {
+    return parseFloat((this.costAmount * units / this.units).toFixed(2));
+  }
+
+  // freeUnits of the units taken count against the exit load free-units allowance
+  async consume(units, freeUnits = 0, db = database) {
+    try {
+      const query = `
+        UPDATE purchase_lots
+        SET remaining_units = GREATEST(remaining_units - $1, 0),
+            free_units_used = free_units_used + $2
+        WHERE id = $3
+        RETURNING ${COLUMNS}
+      `;
+      const result = await db.query(query, [units, freeUnits, this.id]);
+      if (result.rows.length > 0) {
+        Object.assign(this, new PurchaseLot(result.rows[0]));
+      }
+      return this;
+    } catch (error) {
+      logger.error('Error consuming purchase lot', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      folioId: this.folioId,
+      schemeId: this.schemeId,
+      transactionId: this.transactionId,
+      allotmentDate: this.allotmentDate,
+      units: this.units,
+      remainingUnits: this.remainingUnits,
+      costAmount: this.costAmount,
+      freeUnitsUsed: this.freeUnitsUsed,
+      remainingCost: this.getCost(this.remainingUnits)
+    };
+  }
+}
+
+module.exports = PurchaseLot;
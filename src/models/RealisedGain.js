@@ -0,0 +1,110 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+const COLUMNS = `
+  g.id, g.transaction_id, g.lot_id, g.folio_id, g.scheme_id, g.customer_id,
+  g.acquisition_date::text AS acquisition_date, g.redemption_date::text AS redemption_date,
+  g.units, g.cost_amount, g.sale_value, g.exit_load_amount, g.gain, g.holding_days, g.tax_class, g.term, g.created_at
+`;
+
+// Gain or loss on the units of one purchase lot taken out by a redemption or switch-out
+class RealisedGain {
+  constructor(data) {
+    this.id = data.id;
+    this.transactionId = data.transaction_id;
+    this.lotId = data.lot_id;
+    this.folioId = data.folio_id;
+    this.schemeId = data.scheme_id;
+    this.customerId = data.customer_id;
+    this.acquisitionDate = data.acquisition_date;
+    this.redemptionDate = data.redemption_date;
+    this.units = parseFloat(data.units);
+    this.costAmount = parseFloat(data.cost_amount);
+    this.saleValue = parseFloat(data.sale_value);
+    this.exitLoadAmount = data.exit_load_amount ? parseFloat(data.exit_load_amount) : 0;
+    this.gain = parseFloat(data.gain);
+    this.holdingDays = parseInt(data.holding_days);
+    this.taxClass = data.tax_class;
+    this.term = data.term;
+    this.schemeCode = data.scheme_code;
+    this.createdAt = data.created_at;
+  }
+
+  // db may be a client inside a database transaction
+  static async create(gainData, db = database) {
+    try {
+      const query = `
+        INSERT INTO realised_gains AS g (
+          transaction_id, lot_id, folio_id, scheme_id, customer_id,
+          acquisition_date, redemption_date, units, cost_amount, sale_value,
+          exit_load_amount, gain, holding_days, tax_class, term
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING ${COLUMNS}
+      `;
+
+      const result = await db.query(query, [
+        gainData.transactionId,
+        gainData.lotId,
+        gainData.folioId,
+        gainData.schemeId,
+        gainData.customerId,
+        gainData.acquisitionDate,
+        gainData.redemptionDate,
+        gainData.units,
+        gainData.costAmount,
+        gainData.saleValue,
+        gainData.exitLoadAmount || 0,
+        gainData.gain,
+        gainData.holdingDays,
+        gainData.taxClass,
+        gainData.term
+      ]);
+      return new RealisedGain(result.rows[0]);
+    } catch (error) {
+      logger.error('Error recording realised gain', error);
+      throw error;
+    }
+  }
+
+  // Gains of a folio or a customer realised between two dates (inclusive)
+  static async findForPeriod({ folioId = null, customerId = null }, fromDate, toDate) {
+    try {
+      const [column, id] = folioId !== null ? ['folio_id', folioId] : ['customer_id', customerId];
+      const query = `
+        SELECT ${COLUMNS}, s.scheme_code
+        FROM realised_gains g
+        JOIN schemes s ON g.scheme_id = s.id
+        WHERE g.${column} = $1
+        AND g.redemption_date BETWEEN $2 AND $3
+        ORDER BY g.redemption_date ASC, g.id ASC
+      `;
+      const result = await database.query(query, [id, fromDate, toDate]);
+      return result.rows.map(row => new RealisedGain(row));
+    } catch (error) {
+      logger.error('Error finding realised gains', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      transactionId: this.transactionId,
+      lotId: this.lotId,
+      folioId: this.folioId,
+      schemeId: this.schemeId,
+      schemeCode: this.schemeCode,
+      acquisitionDate: this.acquisitionDate,
+      redemptionDate: this.redemptionDate,
+      units: this.units,
+      costAmount: this.costAmount,
+      saleValue: this.saleValue,
+      exitLoadAmount: this.exitLoadAmount,
+      gain: this.gain,
+      holdingDays: this.holdingDays,
+      taxClass: this.taxClass,
+      term: this.term
+    };
+  }
+}
+
+module.exports = RealisedGain;
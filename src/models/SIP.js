@@ -2,6 +2,8 @@ const database = require('../config/database');
 const logger = require('../utils/logger');
 const Utils = require('../utils/helpers');
 const config = require('../config');
+const SimulationClock = require('../services/SimulationClock');
+const HolidayCalendar = require('../services/HolidayCalendar');
 
 class SIP {
   constructor(data) {
@@ -22,14 +24,15 @@ class SIP {
     this.updatedAt = data.updated_at;
   }
 
+  // SIPs run in the folio's plan-option, whatever scheme is given
   static async create(sipData) {
     try {
       const query = `
         INSERT INTO sip_registrations (
           sip_id, customer_id, folio_id, scheme_id, amount,
           frequency, start_date, end_date, next_execution_date,
-          status, max_executions
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+          status, max_executions, created_at
+        ) VALUES ($1, $2, $3, COALESCE((SELECT scheme_id FROM folios WHERE id = $3), $4), $5, $6, $7, $8, $9, $10, $11, $12)
         RETURNING *
       `;
 
@@ -42,9 +45,10 @@ class SIP {
         sipData.frequency,
         sipData.startDate,
         sipData.endDate || null,
-        sipData.nextExecutionDate,
+        sipData.nextExecutionDate || HolidayCalendar.toDateKey(HolidayCalendar.getSipExecutionDate(sipData.frequency, sipData.startDate, 0)),
         sipData.status || config.statuses.sip.ACTIVE,
-        sipData.maxExecutions || null
+        sipData.maxExecutions || null,
+        sipData.createdAt || SimulationClock.now()
       ];
 
       const result = await database.query(query, values);
@@ -143,9 +147,9 @@ class SIP {
     }
   }
 
-  static async findDueForExecution() {
+  static async findDueForExecution(asOf = SimulationClock.now(), limit = null) {
     try {
-      const today = new Date().toISOString().split('T')[0];
+      const today = HolidayCalendar.toDateKey(asOf);
       const query = `
         SELECT s.*, sc.nav
         FROM sip_registrations s
@@ -154,10 +158,11 @@ class SIP {
         AND s.next_execution_date <= $2
         AND (s.end_date IS NULL OR s.end_date >= $2)
         AND (s.max_executions IS NULL OR s.execution_count < s.max_executions)
-        ORDER BY s.next_execution_date ASC
+        ORDER BY s.next_execution_date ASC, s.id ASC
+        LIMIT $3
       `;
       
-      const result = await database.query(query, [config.statuses.sip.ACTIVE, today]);
+      const result = await database.query(query, [config.statuses.sip.ACTIVE, today, limit]);
       return result.rows.map(row => ({
         sip: new SIP(row),
         nav: parseFloat(row.nav)
@@ -168,13 +173,13 @@ class SIP {
     }
   }
 
-  async execute(nav) {
+  async execute(nav, executionDate = SimulationClock.now()) {
     const Transaction = require('./Transaction');
     
     try {
       // Create transaction for SIP execution
       const transactionData = {
-        transactionId: Utils.generateTransactionId(),
+        transactionId: Utils.generateTransactionId(executionDate),
         folioId: this.folioId,
         schemeId: this.schemeId,
         customerId: this.customerId,
@@ -182,17 +187,16 @@ class SIP {
         transactionMode: config.transactionModes.SIP,
         amount: this.amount,
         nav: nav,
-        transactionDate: new Date(),
+        transactionDate: executionDate,
         status: config.statuses.transaction.SUBMITTED,
         camsStatus: config.statuses.cams.PENDING,
         remarks: `SIP execution for SIP ID: ${this.sipId}`
       };
 
+      // The mandate debit realises the same day; units are allotted when the
+      // registrar processes the instalment at its applicable NAV
       const transaction = await Transaction.create(transactionData);
       
-      // Process the transaction immediately
-      await transaction.process(nav);
-      
       // Update SIP execution details
       await this.updateAfterExecution();
       
@@ -213,13 +217,13 @@ class SIP {
   async updateAfterExecution() {
     try {
       const newExecutionCount = this.executionCount + 1;
-      const nextExecutionDate = Utils.getNextSipExecutionDate(this.frequency, new Date(this.nextExecutionDate));
+      const nextExecutionDate = HolidayCalendar.toDateKey(HolidayCalendar.getSipExecutionDate(this.frequency, this.startDate, newExecutionCount));
       
       // Check if SIP should be completed
       let newStatus = this.status;
       if (this.maxExecutions && newExecutionCount >= this.maxExecutions) {
         newStatus = config.statuses.sip.COMPLETED;
-      } else if (this.endDate && nextExecutionDate > new Date(this.endDate)) {
+      } else if (this.endDate && nextExecutionDate > HolidayCalendar.toDateKey(this.endDate)) {
         newStatus = config.statuses.sip.COMPLETED;
       }
 
@@ -307,8 +311,8 @@ class SIP {
     }
   }
 
-  static async generateRandomSIP(folioId, customerId, schemeId) {
-    const sipId = Utils.generateSipId();
+  static async generateRandomSIP(folioId, customerId, schemeId, asOf = SimulationClock.now()) {
+    const sipId = Utils.generateSipId(asOf);
     const frequencies = ['MONTHLY', 'QUARTERLY'];
     const frequency = Utils.getRandomElement(frequencies);
     
@@ -321,8 +325,8 @@ class SIP {
     const amount = Utils.getRandomElement(amounts[frequency]);
     
     // Start date is either today or within the next 30 days
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() + Math.floor(Math.random() * 30));
+    const startDate = new Date(asOf);
+    startDate.setDate(startDate.getDate() + Utils.randomInt(0, 29));
     
     // End date is optional, 60% of SIPs have end date
     let endDate = null;
@@ -332,14 +336,14 @@ class SIP {
       if (Utils.randomBoolean(0.5)) {
         // Set end date (1-5 years from start)
         endDate = new Date(startDate);
-        endDate.setFullYear(endDate.getFullYear() + Math.floor(Math.random() * 5) + 1);
+        endDate.setFullYear(endDate.getFullYear() + Utils.randomInt(1, 5));
       } else {
         // Set max executions (12-120 executions)
-        maxExecutions = Math.floor(Math.random() * 109) + 12;
+        maxExecutions = Utils.randomInt(12, 120);
       }
     }
 
-    const nextExecutionDate = new Date(startDate);
+    const nextExecutionDate = HolidayCalendar.getSipExecutionDate(frequency, startDate, 0);
 
     return {
       sipId,
@@ -348,9 +352,9 @@ class SIP {
       schemeId,
       amount,
       frequency,
-      startDate: startDate.toISOString().split('T')[0],
-      endDate: endDate ? endDate.toISOString().split('T')[0] : null,
-      nextExecutionDate: nextExecutionDate.toISOString().split('T')[0],
+      startDate: HolidayCalendar.toDateKey(startDate),
+      endDate: endDate ? HolidayCalendar.toDateKey(endDate) : null,
+      nextExecutionDate: HolidayCalendar.toDateKey(nextExecutionDate),
       status: config.statuses.sip.ACTIVE,
       maxExecutions
     };
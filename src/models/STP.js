@@ -0,0 +1,54 @@
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+const config = require('../config');
+const SimulationClock = require('../services/SimulationClock');
+const SwitchService = require('../services/SwitchService');
+const SystematicPlan = require('./SystematicPlan');
+
+const PLAN = {
+  name: 'STP',
+  table: 'stp_registrations',
+  idColumn: 'stp_id',
+  idKey: 'stpId',
+  generateId: date => Utils.generateStpId(date),
+  statuses: config.statuses.stp,
+  columns: { targetSchemeId: 'target_scheme_id' }
+};
+
+// Systematic transfer plan: each instalment switches an amount, a number of
+// units or the capital appreciation from the source folio into the target scheme
+class STP extends SystematicPlan {
+  static get PLAN() {
+    return PLAN;
+  }
+
+  // Places the instalment as an STP switch and returns the switch-out leg
+  async placeInstalment(instalment, folioData, executionDate) {
+    try {
+      const { switchOut } = await SwitchService.createSwitch({
+        folioId: this.folioId,
+        targetSchemeId: this.targetSchemeId,
+        ...instalment,
+        transactionMode: config.transactionModes.STP
+      }, executionDate);
+      return switchOut;
+    } catch (error) {
+      // A switch the rules refuse (target closed, folio inactive) skips the instalment
+      if (error.name !== 'ValidationError') throw error;
+      logger.warn('STP instalment skipped', { stpId: this.stpId, reason: error.message });
+      return null;
+    }
+  }
+
+  // Typically parks a lump sum in a debt or liquid fund and feeds it into
+  // another scheme over a year or two
+  static async generateRandomSTP(folio, targetSchemeId, asOf = SimulationClock.now()) {
+    const plan = this.generateRandomPlan(folio, asOf, { targetSchemeId });
+    return {
+      ...plan,
+      maxExecutions: plan.frequency === 'MONTHLY' ? Utils.randomInt(6, 24) : Utils.randomInt(4, 8)
+    };
+  }
+}
+
+module.exports = STP;
@@ -0,0 +1,56 @@
+const Utils = require('../utils/helpers');
+const config = require('../config');
+const SimulationClock = require('../services/SimulationClock');
+const SystematicPlan = require('./SystematicPlan');
+
+const PLAN = {
+  name: 'SWP',
+  table: 'swp_registrations',
+  idColumn: 'swp_id',
+  idKey: 'swpId',
+  generateId: date => Utils.generateSwpId(date),
+  statuses: config.statuses.swp,
+  columns: {}
+};
+
+// Systematic withdrawal plan: each instalment redeems an amount, a number of
+// units or the capital appreciation from the folio
+class SWP extends SystematicPlan {
+  static get PLAN() {
+    return PLAN;
+  }
+
+  // Places the instalment as an SWP redemption and returns the transaction.
+  // Withdrawals in units carry an estimate at the latest NAV until allotted.
+  async placeInstalment(instalment, folioData, executionDate) {
+    const Transaction = require('./Transaction');
+
+    return Transaction.create({
+      transactionId: Utils.generateTransactionId(executionDate),
+      folioId: this.folioId,
+      schemeId: this.schemeId,
+      customerId: this.customerId,
+      transactionType: config.transactionTypes.REDEMPTION,
+      transactionMode: config.transactionModes.SWP,
+      amount: instalment.amount || Utils.calculateCurrentValue(instalment.units, folioData.scheme.nav),
+      units: instalment.units || 0,
+      nav: folioData.scheme.nav,
+      transactionDate: executionDate,
+      status: config.statuses.transaction.SUBMITTED,
+      camsStatus: config.statuses.cams.PENDING,
+      remarks: `SWP execution for SWP ID: ${this.swpId}`
+    });
+  }
+
+  // Typically a retiree drawing a monthly income from an accumulated corpus
+  static async generateRandomSWP(folio, asOf = SimulationClock.now()) {
+    const plan = this.generateRandomPlan(folio, asOf);
+    return {
+      ...plan,
+      maxExecutions: Utils.randomBoolean(0.5) ? null
+        : plan.frequency === 'MONTHLY' ? Utils.randomInt(12, 60) : Utils.randomInt(4, 20)
+    };
+  }
+}
+
+module.exports = SWP;
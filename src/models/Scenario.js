@@ -0,0 +1,113 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+class Scenario {
+  constructor(data) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description;
+    this.definition = data.definition || {};
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(definition) {
+    try {
+      const query = `
+        INSERT INTO simulation_scenarios (name, description, definition)
+        VALUES ($1, $2, $3)
+        RETURNING *
+      `;
+
+      const values = [
+        definition.name,
+        definition.description || null,
+        JSON.stringify(definition)
+      ];
+
+      const result = await database.query(query, values);
+      logger.info('Simulation scenario created', { name: definition.name });
+      return new Scenario(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating simulation scenario', error);
+      throw error;
+    }
+  }
+
+  static async findByName(name) {
+    try {
+      const query = 'SELECT * FROM simulation_scenarios WHERE name = $1';
+      const result = await database.query(query, [name]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new Scenario(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding simulation scenario by name', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const query = 'SELECT * FROM simulation_scenarios ORDER BY name';
+      const result = await database.query(query);
+      return result.rows.map(row => new Scenario(row));
+    } catch (error) {
+      logger.error('Error finding simulation scenarios', error);
+      throw error;
+    }
+  }
+
+  async update(definition) {
+    try {
+      const query = `
+        UPDATE simulation_scenarios
+        SET description = $1, definition = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $3
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [
+        definition.description || null,
+        JSON.stringify(definition),
+        this.id
+      ]);
+
+      if (result.rows.length > 0) {
+        Object.assign(this, new Scenario(result.rows[0]));
+        logger.info('Simulation scenario updated', { name: this.name });
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error updating simulation scenario', error);
+      throw error;
+    }
+  }
+
+  async delete() {
+    try {
+      await database.query('DELETE FROM simulation_scenarios WHERE id = $1', [this.id]);
+      logger.info('Simulation scenario deleted', { name: this.name });
+    } catch (error) {
+      logger.error('Error deleting simulation scenario', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      definition: this.definition,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = Scenario;
@@ -1,6 +1,77 @@
 const database = require('../config/database');
 const logger = require('../utils/logger');
 const Utils = require('../utils/helpers');
+const Analytics = require('../utils/analytics');
+const NAVModelService = require('../services/NAVModelService');
+const SimulationClock = require('../services/SimulationClock');
+const HolidayCalendar = require('../services/HolidayCalendar');
+const config = require('../config');
+const ExitLoadStructure = require('./ExitLoadStructure');
+const DividendDeclaration = require('./DividendDeclaration');
+
+// Typical open-ended equity load: 1% in the first year, 0.5% in the second,
+// with 10% of each lot's units a year free of load
+const EQUITY_EXIT_LOAD = {
+  tiers: [{ withinDays: 365, rate: 1.0 }, { withinDays: 730, rate: 0.5 }],
+  freeUnitsPercent: 10
+};
+
+// SEBI graded exit load for liquid funds over the first six days
+const LIQUID_EXIT_LOAD = {
+  tiers: [
+    { withinDays: 1, rate: 0.0070 },
+    { withinDays: 2, rate: 0.0065 },
+    { withinDays: 3, rate: 0.0060 },
+    { withinDays: 4, rate: 0.0055 },
+    { withinDays: 5, rate: 0.0050 },
+    { withinDays: 6, rate: 0.0045 }
+  ],
+  freeUnitsPercent: 0
+};
+
+// Exit load structure a new scheme launches with: the one given, otherwise
+// its flat exit load for a year
+function getLaunchExitLoad(schemeData) {
+  return schemeData.exitLoadStructure || {
+    tiers: schemeData.exitLoad > 0 ? [{ withinDays: 365, rate: schemeData.exitLoad }] : [],
+    freeUnitsPercent: 0
+  };
+}
+
+const PLAN_LABELS = { DIRECT: 'Direct', REGULAR: 'Regular' };
+const OPTION_LABELS = { GROWTH: 'Growth', IDCW: 'IDCW' };
+
+// Direct plans pay no distributor commission, so unless given their expense
+// ratio is the regular plan's less the category's trail rate, but no less
+// than half of it
+function getDirectExpenseRatio(schemeData) {
+  const regular = schemeData.expenseRatio || 1.50;
+  if (schemeData.directExpenseRatio !== undefined) {
+    return schemeData.directExpenseRatio;
+  }
+  const { trailRate = 0 } = config.commission.defaultRates[schemeData.category] || {};
+  return parseFloat(Math.max(regular - trailRate, regular / 2).toFixed(2));
+}
+
+// Plan-options a scheme launches with, each a scheme of its own coded by plan
+// and option initials after the parent's code (EQU001DG ... EQU001RI)
+function getPlanOptions(schemeData) {
+  const options = [];
+  for (const plan of Object.values(config.schemePlans)) {
+    for (const planOption of Object.values(config.planOptions)) {
+      options.push({
+        plan,
+        planOption,
+        schemeCode: `${schemeData.schemeCode}${plan[0]}${planOption[0]}`,
+        schemeName: `${schemeData.schemeName} - ${PLAN_LABELS[plan]} Plan - ${OPTION_LABELS[planOption]}`,
+        expenseRatio: plan === config.schemePlans.DIRECT
+          ? getDirectExpenseRatio(schemeData)
+          : schemeData.expenseRatio || 1.50
+      });
+    }
+  }
+  return options;
+}
 
 class Scheme {
   constructor(data) {
@@ -17,18 +88,26 @@ class Scheme {
     this.expenseRatio = parseFloat(data.expense_ratio);
     this.isActive = data.is_active;
     this.launchDate = data.launch_date;
+    this.navModel = data.nav_model || null;
+    this.parentSchemeId = data.parent_scheme_id || null;
+    this.plan = data.plan || null;
+    this.planOption = data.plan_option || null;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
   static async create(schemeData) {
     try {
+      if (schemeData.navModel) {
+        NAVModelService.validateModelConfig(schemeData.navModel);
+      }
+
       const query = `
         INSERT INTO schemes (
           scheme_code, scheme_name, amc_code, category, sub_category,
           nav, minimum_investment, minimum_sip, exit_load, expense_ratio,
-          is_active, launch_date
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          is_active, launch_date, nav_model
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
         RETURNING *
       `;
 
@@ -44,12 +123,24 @@ class Scheme {
         schemeData.exitLoad || 0.00,
         schemeData.expenseRatio || 1.50,
         schemeData.isActive !== undefined ? schemeData.isActive : true,
-        schemeData.launchDate || new Date().toISOString().split('T')[0]
+        schemeData.launchDate || HolidayCalendar.toDateKey(SimulationClock.now()),
+        schemeData.navModel ? JSON.stringify(schemeData.navModel) : null
       ];
 
-      const result = await database.query(query, values);
-      logger.info('Scheme created', { schemeId: result.rows[0].id, schemeCode: schemeData.schemeCode });
-      return new Scheme(result.rows[0]);
+      // The scheme, its launch exit load and its plan-options are written together
+      const scheme = await database.transaction(async (client) => {
+        const result = await client.query(query, values);
+        await ExitLoadStructure.create({
+          schemeId: result.rows[0].id,
+          effectiveFrom: values[11],
+          ...getLaunchExitLoad(schemeData)
+        }, client);
+        const created = new Scheme(result.rows[0]);
+        created.planOptions = await Scheme.createPlanOptions(created, schemeData, client);
+        return created;
+      });
+      logger.info('Scheme created', { schemeId: scheme.id, schemeCode: schemeData.schemeCode });
+      return scheme;
     } catch (error) {
       logger.error('Error creating scheme', error);
       throw error;
@@ -92,7 +183,7 @@ class Scheme {
     try {
       const query = `
         SELECT * FROM schemes 
-        WHERE is_active = true
+        WHERE is_active = true AND parent_scheme_id IS NULL
         ORDER BY scheme_name 
         LIMIT $1 OFFSET $2
       `;
@@ -108,7 +199,7 @@ class Scheme {
     try {
       const query = `
         SELECT * FROM schemes 
-        WHERE category = $1 AND is_active = true
+        WHERE category = $1 AND is_active = true AND parent_scheme_id IS NULL
         ORDER BY scheme_name
       `;
       const result = await database.query(query, [category]);
@@ -123,11 +214,11 @@ class Scheme {
     try {
       const query = `
         SELECT * FROM schemes 
-        WHERE is_active = true
-        ORDER BY RANDOM() 
+        WHERE is_active = true AND parent_scheme_id IS NULL
+        ORDER BY md5(id::text || $1) 
         LIMIT 1
       `;
-      const result = await database.query(query);
+      const result = await database.query(query, [Utils.randomSalt()]);
       
       if (result.rows.length === 0) {
         return null;
@@ -147,12 +238,16 @@ class Scheme {
       
       const createdSchemes = [];
       for (const schemeData of schemes) {
+        if (schemeData.navModel) {
+          NAVModelService.validateModelConfig(schemeData.navModel);
+        }
+
         const query = `
           INSERT INTO schemes (
             scheme_code, scheme_name, amc_code, category, sub_category,
             nav, minimum_investment, minimum_sip, exit_load, expense_ratio,
-            is_active, launch_date
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+            is_active, launch_date, nav_model
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
           ON CONFLICT (scheme_code) DO NOTHING
           RETURNING *
         `;
@@ -169,12 +264,20 @@ class Scheme {
           schemeData.exitLoad || 0.00,
           schemeData.expenseRatio || 1.50,
           schemeData.isActive !== undefined ? schemeData.isActive : true,
-          schemeData.launchDate || new Date().toISOString().split('T')[0]
+          schemeData.launchDate || HolidayCalendar.toDateKey(SimulationClock.now()),
+          schemeData.navModel ? JSON.stringify(schemeData.navModel) : null
         ];
 
         const result = await client.query(query, values);
         if (result.rows.length > 0) {
-          createdSchemes.push(new Scheme(result.rows[0]));
+          await ExitLoadStructure.create({
+            schemeId: result.rows[0].id,
+            effectiveFrom: values[11],
+            ...getLaunchExitLoad(schemeData)
+          }, client);
+          const scheme = new Scheme(result.rows[0]);
+          scheme.planOptions = await Scheme.createPlanOptions(scheme, schemeData, client);
+          createdSchemes.push(scheme);
         }
       }
 
@@ -190,6 +293,90 @@ class Scheme {
     }
   }
 
+  // Creates a new scheme's plan-options on the parent's terms and launch NAV,
+  // each with its own expense ratio. db may be a client inside a database
+  // transaction.
+  static async createPlanOptions(parent, schemeData, db = database) {
+    try {
+      const options = getPlanOptions(schemeData);
+      const query = `
+        INSERT INTO schemes (
+          scheme_code, scheme_name, amc_code, category, sub_category,
+          nav, minimum_investment, minimum_sip, exit_load, expense_ratio,
+          is_active, launch_date, parent_scheme_id, plan, plan_option
+        )
+        SELECT o.scheme_code, o.scheme_name, p.amc_code, p.category, p.sub_category,
+          p.nav, p.minimum_investment, p.minimum_sip, p.exit_load, o.expense_ratio,
+          p.is_active, p.launch_date, p.id, o.plan, o.plan_option
+        FROM schemes p
+        CROSS JOIN UNNEST($2::text[], $3::text[], $4::numeric[], $5::text[], $6::text[])
+          AS o(scheme_code, scheme_name, expense_ratio, plan, plan_option)
+        WHERE p.id = $1
+        ORDER BY o.plan, o.plan_option
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        parent.id,
+        options.map(option => option.schemeCode),
+        options.map(option => option.schemeName),
+        options.map(option => option.expenseRatio),
+        options.map(option => option.plan),
+        options.map(option => option.planOption)
+      ]);
+      return result.rows.map(row => new Scheme(row));
+    } catch (error) {
+      logger.error('Error creating scheme plan-options', error);
+      throw error;
+    }
+  }
+
+  // A scheme's plan-options, direct before regular and growth before IDCW
+  static async findPlanOptions(parentSchemeId) {
+    try {
+      const query = `
+        SELECT * FROM schemes
+        WHERE parent_scheme_id = $1
+        ORDER BY plan, plan_option
+      `;
+      const result = await database.query(query, [parentSchemeId]);
+      return result.rows.map(row => new Scheme(row));
+    } catch (error) {
+      logger.error('Error finding scheme plan-options', error);
+      throw error;
+    }
+  }
+
+  // The plan-option of a scheme for a plan and option, or null if the scheme
+  // has none
+  static async findPlanOption(parentSchemeId, plan, planOption) {
+    try {
+      const query = `
+        SELECT * FROM schemes
+        WHERE parent_scheme_id = $1 AND plan = $2 AND plan_option = $3
+      `;
+      const result = await database.query(query, [parentSchemeId, plan, planOption]);
+      return result.rows.length > 0 ? new Scheme(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding scheme plan-option', error);
+      throw error;
+    }
+  }
+
+  // Folio dividend options the scheme can be held under: growth options hold
+  // GROWTH only and IDCW options pay out or reinvest. A scheme that is not a
+  // plan-option takes any.
+  getDividendOptions() {
+    const { GROWTH, IDCW_PAYOUT, IDCW_REINVEST } = config.dividendOptions;
+    if (this.planOption === config.planOptions.GROWTH) {
+      return [GROWTH];
+    }
+    if (this.planOption === config.planOptions.IDCW) {
+      return [IDCW_PAYOUT, IDCW_REINVEST];
+    }
+    return [GROWTH, IDCW_PAYOUT, IDCW_REINVEST];
+  }
+
   async updateNAV(newNav) {
     try {
       const query = `
@@ -222,7 +409,7 @@ class Scheme {
     }
   }
 
-  async insertNAVHistory(nav, navDate = new Date()) {
+  async insertNAVHistory(nav, navDate = SimulationClock.now()) {
     try {
       const query = `
         INSERT INTO nav_history (id, scheme_id, nav_date, nav)
@@ -233,7 +420,7 @@ class Scheme {
 
       await database.query(query, [
         this.id,
-        navDate.toISOString().split('T')[0],
+        HolidayCalendar.toDateKey(navDate),
         nav
       ]);
     } catch (error) {
@@ -242,7 +429,340 @@ class Scheme {
     }
   }
 
-  static async getNAVHistory(schemeId, fromDate, toDate = new Date()) {
+  // Published NAV for a date, or null if none has been published for it
+  static async findNAVForDate(schemeId, navDate) {
+    try {
+      const query = `
+        SELECT nav_date, nav FROM nav_history
+        WHERE scheme_id = $1 AND nav_date = $2
+      `;
+
+      const result = await database.query(query, [schemeId, navDate]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return {
+        navDate: result.rows[0].nav_date,
+        nav: parseFloat(result.rows[0].nav)
+      };
+    } catch (error) {
+      logger.error('Error finding NAV for date', error);
+      throw error;
+    }
+  }
+
+  // Latest NAV published on or before a date, or null if none was
+  static async findNAVOnOrBefore(schemeId, navDate) {
+    try {
+      const query = `
+        SELECT nav_date::text AS nav_date, nav FROM nav_history
+        WHERE scheme_id = $1 AND nav_date <= $2
+        ORDER BY nav_date DESC
+        LIMIT 1
+      `;
+
+      const result = await database.query(query, [schemeId, navDate]);
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return {
+        navDate: result.rows[0].nav_date,
+        nav: parseFloat(result.rows[0].nav)
+      };
+    } catch (error) {
+      logger.error('Error finding NAV on or before date', error);
+      throw error;
+    }
+  }
+
+  // NAVs published between two YYYY-MM-DD dates (inclusive), oldest first,
+  // as { navDate, nav } with text dates
+  static async findNAVSeries(schemeId, fromDate, toDate) {
+    try {
+      const query = `
+        SELECT nav_date::text AS nav_date, nav FROM nav_history
+        WHERE scheme_id = $1 AND nav_date BETWEEN $2 AND $3
+        ORDER BY nav_date ASC
+      `;
+
+      const result = await database.query(query, [schemeId, fromDate, toDate]);
+      return result.rows.map(row => ({
+        navDate: row.nav_date,
+        nav: parseFloat(row.nav)
+      }));
+    } catch (error) {
+      logger.error('Error finding NAV series', error);
+      throw error;
+    }
+  }
+
+  // Every scheme's NAVs published between two YYYY-MM-DD dates (inclusive),
+  // oldest first, as { schemeCode, navDate, nav } for the registrar's NAV feed
+  static async findNAVsBetween(fromDate, toDate) {
+    try {
+      const query = `
+        SELECT s.scheme_code, nh.nav_date::text AS nav_date, nh.nav
+        FROM nav_history nh
+        JOIN schemes s ON nh.scheme_id = s.id
+        WHERE nh.nav_date BETWEEN $1 AND $2
+        ORDER BY nh.nav_date ASC, s.scheme_code ASC
+      `;
+
+      const result = await database.query(query, [fromDate, toDate]);
+      return result.rows.map(row => ({
+        schemeCode: row.scheme_code,
+        navDate: row.nav_date,
+        nav: parseFloat(row.nav)
+      }));
+    } catch (error) {
+      logger.error('Error finding NAVs between dates', error);
+      throw error;
+    }
+  }
+
+  // NAV publication run: computes the next NAV for every active scheme and
+  // writes schemes, nav_history and holdings valuations in one transaction.
+  // Each portfolio's return is drawn once: its plan-options apply it less
+  // their own expense accrual, and the parent scheme publishes the portfolio
+  // NAV before expenses. Schemes with an IDCW record date that day publish
+  // their NAV ex-dividend.
+  static async updateAllNAVs(navDate = SimulationClock.now()) {
+    try {
+      // NAVs are dated by the Indian trading day they are published for
+      const navDateStr = HolidayCalendar.toDateKey(navDate);
+
+      const result = await database.transaction(async (client) => {
+        const schemesResult = await client.query(`
+          SELECT * FROM schemes
+          WHERE is_active = true
+          ORDER BY id
+          FOR UPDATE
+        `);
+        const schemes = schemesResult.rows.map(row => new Scheme(row));
+
+        if (schemes.length === 0) {
+          return { schemes: [], holdingsRevalued: 0 };
+        }
+
+        const dividends = new Map(
+          (await DividendDeclaration.findUndistributed(navDateStr, client))
+            .filter(declaration => declaration.recordDate === navDateStr)
+            .map(declaration => [declaration.schemeId, declaration.ratePerUnit])
+        );
+
+        NAVModelService.beginStep();
+        const parents = new Set(schemes.map(scheme => scheme.parentSchemeId).filter(Boolean));
+        const grossReturns = new Map(schemes
+          .filter(scheme => !scheme.parentSchemeId)
+          .map(scheme => [scheme.id, NAVModelService.nextReturn(scheme)]));
+
+        const movements = schemes
+          .filter(scheme => grossReturns.has(scheme.parentSchemeId || scheme.id))
+          .map(scheme => {
+            const dividendPerUnit = dividends.get(scheme.id) || 0;
+            const nav = NAVModelService.applyReturn(
+              parents.has(scheme.id) ? { ...scheme, expenseRatio: 0 } : scheme,
+              grossReturns.get(scheme.parentSchemeId || scheme.id),
+              { dividendPerUnit }
+            );
+            return { scheme, previousNav: scheme.nav, dividendPerUnit, nav };
+          });
+        const ids = movements.map(movement => movement.scheme.id);
+        const navs = movements.map(movement => movement.nav);
+
+        await client.query(`
+          UPDATE schemes
+          SET nav = updates.nav, updated_at = CURRENT_TIMESTAMP
+          FROM (
+            SELECT UNNEST($1::int[]) AS id, UNNEST($2::numeric[]) AS nav
+          ) AS updates
+          WHERE schemes.id = updates.id
+        `, [ids, navs]);
+
+        await client.query(`
+          INSERT INTO nav_history (id, scheme_id, nav_date, nav)
+          SELECT nextval('nav_history_id_seq'), updates.scheme_id, $3::date, updates.nav
+          FROM (
+            SELECT UNNEST($1::int[]) AS scheme_id, UNNEST($2::numeric[]) AS nav
+          ) AS updates
+          ON CONFLICT (scheme_id, nav_date)
+          DO UPDATE SET nav = EXCLUDED.nav
+        `, [ids, navs, navDateStr]);
+
+        const holdingsResult = await client.query(`
+          UPDATE holdings
+          SET current_value = holdings.total_units * s.nav,
+              updated_at = CURRENT_TIMESTAMP
+          FROM schemes s
+          WHERE holdings.scheme_id = s.id
+          AND s.id = ANY($1::int[])
+        `, [ids]);
+
+        return { schemes: movements, holdingsRevalued: holdingsResult.rowCount };
+      });
+
+      const summary = {
+        navDate: navDateStr,
+        updated: result.schemes.length,
+        holdingsRevalued: result.holdingsRevalued,
+        schemes: result.schemes.map(({ scheme, previousNav, nav, dividendPerUnit }) => ({
+          schemeId: scheme.id,
+          schemeCode: scheme.schemeCode,
+          previousNav,
+          nav,
+          dividendPerUnit,
+          changePercent: parseFloat(((nav - previousNav) / previousNav * 100).toFixed(4))
+        }))
+      };
+
+      logger.info('Bulk NAV update completed', {
+        navDate: summary.navDate,
+        updated: summary.updated,
+        holdingsRevalued: summary.holdingsRevalued
+      });
+
+      return summary;
+    } catch (error) {
+      logger.error('Error updating all scheme NAVs', error);
+      throw error;
+    }
+  }
+
+  static async getStatistics(moversLimit = 5) {
+    try {
+      // Schemes are counted once, with expense ratios averaged over the
+      // plan-options investors hold
+      const totalsQuery = `
+        SELECT
+          COUNT(*) FILTER (WHERE parent_scheme_id IS NULL) as total_schemes,
+          COUNT(*) FILTER (WHERE parent_scheme_id IS NULL AND is_active = true) as active_schemes,
+          COUNT(*) FILTER (WHERE parent_scheme_id IS NOT NULL AND is_active = true) as active_plan_options,
+          AVG(expense_ratio) FILTER (WHERE parent_scheme_id IS NOT NULL AND is_active = true) as avg_expense_ratio,
+          AVG(expense_ratio) FILTER (WHERE plan = $1 AND is_active = true) as avg_direct_expense_ratio,
+          AVG(expense_ratio) FILTER (WHERE plan = $2 AND is_active = true) as avg_regular_expense_ratio,
+          (SELECT COALESCE(SUM(current_value), 0) FROM holdings) as total_aum,
+          (SELECT COUNT(*) FROM folios) as total_folios,
+          (SELECT COUNT(*) FROM folios WHERE status = 'ACTIVE') as active_folios
+        FROM schemes
+      `;
+
+      const breakdownQuery = `
+        SELECT
+          s.category,
+          s.sub_category,
+          COUNT(DISTINCT COALESCE(s.parent_scheme_id, s.id)) as scheme_count,
+          AVG(s.expense_ratio) as avg_expense_ratio,
+          COALESCE(SUM(h.current_value), 0) as aum,
+          COUNT(DISTINCT f.id) as folio_count
+        FROM schemes s
+        LEFT JOIN folios f ON f.scheme_id = s.id
+        LEFT JOIN holdings h ON h.folio_id = f.id AND h.scheme_id = s.id
+        WHERE s.is_active = true
+          AND NOT EXISTS (SELECT 1 FROM schemes o WHERE o.parent_scheme_id = s.id)
+        GROUP BY s.category, s.sub_category
+        ORDER BY s.category, s.sub_category
+      `;
+
+      // Day-on-day change between each scheme's two most recent NAV dates, of
+      // the portfolio for schemes with plan-options
+      const moversQuery = `
+        WITH ranked AS (
+          SELECT
+            nh.scheme_id,
+            nh.nav_date,
+            nh.nav,
+            ROW_NUMBER() OVER (PARTITION BY nh.scheme_id ORDER BY nh.nav_date DESC) as rn
+          FROM nav_history nh
+          WHERE nh.nav_date >= $1::date - INTERVAL '10 days'
+        )
+        SELECT
+          s.id as scheme_id,
+          s.scheme_code,
+          s.scheme_name,
+          s.category,
+          latest.nav_date,
+          latest.nav as latest_nav,
+          previous.nav as previous_nav,
+          ((latest.nav - previous.nav) / previous.nav * 100) as change_percent
+        FROM ranked latest
+        JOIN ranked previous ON previous.scheme_id = latest.scheme_id AND previous.rn = 2
+        JOIN schemes s ON s.id = latest.scheme_id
+        WHERE latest.rn = 1 AND s.is_active = true AND s.parent_scheme_id IS NULL
+        ORDER BY change_percent DESC
+      `;
+
+      const [totalsResult, breakdownResult, moversResult] = await Promise.all([
+        database.query(totalsQuery, [config.schemePlans.DIRECT, config.schemePlans.REGULAR]),
+        database.query(breakdownQuery),
+        database.query(moversQuery, [HolidayCalendar.toDateKey(SimulationClock.now())])
+      ]);
+
+      const totals = totalsResult.rows[0];
+      const breakdown = breakdownResult.rows.map(row => ({
+        category: row.category,
+        subCategory: row.sub_category,
+        schemeCount: parseInt(row.scheme_count),
+        aum: parseFloat(row.aum),
+        folioCount: parseInt(row.folio_count),
+        averageExpenseRatio: parseFloat(parseFloat(row.avg_expense_ratio).toFixed(4))
+      }));
+
+      const byCategory = Object.values(breakdown.reduce((acc, row) => {
+        if (!acc[row.category]) {
+          acc[row.category] = { category: row.category, schemeCount: 0, aum: 0, folioCount: 0, expenseRatioTotal: 0 };
+        }
+        acc[row.category].schemeCount += row.schemeCount;
+        acc[row.category].aum += row.aum;
+        acc[row.category].folioCount += row.folioCount;
+        acc[row.category].expenseRatioTotal += row.averageExpenseRatio * row.schemeCount;
+        return acc;
+      }, {})).map(({ expenseRatioTotal, ...category }) => ({
+        ...category,
+        aum: parseFloat(category.aum.toFixed(2)),
+        averageExpenseRatio: parseFloat((expenseRatioTotal / category.schemeCount).toFixed(4))
+      }));
+
+      const movers = moversResult.rows.map(row => ({
+        schemeId: row.scheme_id,
+        schemeCode: row.scheme_code,
+        schemeName: row.scheme_name,
+        category: row.category,
+        navDate: row.nav_date,
+        previousNav: parseFloat(row.previous_nav),
+        latestNav: parseFloat(row.latest_nav),
+        changePercent: parseFloat(parseFloat(row.change_percent).toFixed(4))
+      }));
+
+      return {
+        totals: {
+          totalSchemes: parseInt(totals.total_schemes),
+          activeSchemes: parseInt(totals.active_schemes),
+          activePlanOptions: parseInt(totals.active_plan_options),
+          totalAUM: parseFloat(totals.total_aum),
+          totalFolios: parseInt(totals.total_folios),
+          activeFolios: parseInt(totals.active_folios),
+          averageExpenseRatio: totals.avg_expense_ratio ? parseFloat(parseFloat(totals.avg_expense_ratio).toFixed(4)) : null,
+          averageExpenseRatioByPlan: {
+            direct: totals.avg_direct_expense_ratio ? parseFloat(parseFloat(totals.avg_direct_expense_ratio).toFixed(4)) : null,
+            regular: totals.avg_regular_expense_ratio ? parseFloat(parseFloat(totals.avg_regular_expense_ratio).toFixed(4)) : null
+          }
+        },
+        byCategory,
+        bySubCategory: breakdown,
+        navMovers: {
+          gainers: movers.filter(mover => mover.changePercent > 0).slice(0, moversLimit),
+          losers: movers.filter(mover => mover.changePercent < 0).reverse().slice(0, moversLimit)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting scheme statistics', error);
+      throw error;
+    }
+  }
+
+  static async getNAVHistory(schemeId, fromDate, toDate = SimulationClock.now()) {
     try {
       const query = `
         SELECT * FROM nav_history 
@@ -253,8 +773,8 @@ class Scheme {
 
       const result = await database.query(query, [
         schemeId,
-        fromDate.toISOString().split('T')[0],
-        toDate.toISOString().split('T')[0]
+        HolidayCalendar.toDateKey(fromDate),
+        HolidayCalendar.toDateKey(toDate)
       ]);
 
       return result.rows;
@@ -264,6 +784,109 @@ class Scheme {
     }
   }
 
+  // Performance analytics computed from the nav_history hypertable
+  static async getPerformance(schemeId, period = '1y') {
+    try {
+      const scheme = await this.findById(schemeId);
+      if (!scheme) {
+        return null;
+      }
+
+      const query = `
+        SELECT nav_date, nav
+        FROM nav_history
+        WHERE scheme_id = $1
+        ORDER BY nav_date ASC
+      `;
+      const result = await database.query(query, [schemeId]);
+      const series = result.rows.map(row => ({
+        date: new Date(row.nav_date),
+        value: parseFloat(row.nav)
+      }));
+
+      const performance = {
+        scheme: {
+          id: scheme.id,
+          schemeCode: scheme.schemeCode,
+          schemeName: scheme.schemeName,
+          category: scheme.category,
+          subCategory: scheme.subCategory,
+          launchDate: scheme.launchDate
+        },
+        period,
+        asOf: null,
+        latestNav: null,
+        returns: {},
+        rollingReturns: null,
+        risk: null
+      };
+
+      if (series.length === 0) {
+        return performance;
+      }
+
+      const latest = series[series.length - 1];
+      performance.asOf = latest.date.toISOString().split('T')[0];
+      performance.latestNav = latest.value;
+
+      // Point-to-point returns: absolute below one year, CAGR from one year up
+      for (const key of Object.keys(Analytics.PERIODS)) {
+        const startDate = Analytics.getPeriodStartDate(latest.date, key);
+        const startPoint = startDate ? Analytics.findPointOnOrBefore(series, startDate) : series[0];
+
+        if (!startPoint || (startDate && startDate < series[0].date)) {
+          performance.returns[key] = null;
+          continue;
+        }
+
+        const years = Analytics.yearsBetween(startPoint.date, latest.date);
+        performance.returns[key] = {
+          startDate: startPoint.date.toISOString().split('T')[0],
+          startNav: startPoint.value,
+          absoluteReturn: Analytics.toPercent(Analytics.absoluteReturn(startPoint.value, latest.value)),
+          cagr: years >= 1 ? Analytics.toPercent(Analytics.cagr(startPoint.value, latest.value, years)) : null
+        };
+      }
+
+      performance.rollingReturns = {
+        window: period,
+        ...Analytics.summariseRollingReturns(Analytics.rollingReturns(series, period))
+      };
+
+      // Risk metrics over the requested period
+      const periodStart = Analytics.getPeriodStartDate(latest.date, period);
+      const window = periodStart ? series.filter(point => point.date >= periodStart) : series;
+      const dailyReturns = Analytics.dailyReturns(window);
+      const years = window.length > 1 ? Analytics.yearsBetween(window[0].date, latest.date) : 0;
+      const annualReturn = years > 0
+        ? (years >= 1
+          ? Analytics.cagr(window[0].value, latest.value, years)
+          : Math.pow(1 + Analytics.absoluteReturn(window[0].value, latest.value), 1 / years) - 1)
+        : null;
+      const volatility = Analytics.annualisedVolatility(dailyReturns);
+      const drawdown = Analytics.maxDrawdown(window);
+
+      performance.risk = {
+        observations: dailyReturns.length,
+        annualisedReturn: Analytics.toPercent(annualReturn),
+        annualisedVolatility: Analytics.toPercent(volatility),
+        maxDrawdown: {
+          percent: Analytics.toPercent(drawdown.drawdown),
+          peakDate: drawdown.peakDate.toISOString().split('T')[0],
+          troughDate: drawdown.troughDate.toISOString().split('T')[0]
+        },
+        riskFreeRate: Analytics.toPercent(config.analytics.riskFreeRate),
+        sharpeRatio: Analytics.round(Analytics.sharpeRatio(annualReturn, volatility)),
+        sortinoRatio: Analytics.round(Analytics.sortinoRatio(annualReturn, dailyReturns))
+      };
+
+      return performance;
+    } catch (error) {
+      logger.error('Error getting scheme performance', error);
+      throw error;
+    }
+  }
+
   static async getDefaultSchemes() {
     return [
       {
@@ -276,6 +899,7 @@ class Scheme {
         minimumInvestment: 5000.00,
         minimumSip: 1000.00,
         exitLoad: 1.00,
+        exitLoadStructure: EQUITY_EXIT_LOAD,
         expenseRatio: 2.25
       },
       {
@@ -288,6 +912,7 @@ class Scheme {
         minimumInvestment: 5000.00,
         minimumSip: 1000.00,
         exitLoad: 1.00,
+        exitLoadStructure: EQUITY_EXIT_LOAD,
         expenseRatio: 2.50
       },
       {
@@ -300,6 +925,7 @@ class Scheme {
         minimumInvestment: 5000.00,
         minimumSip: 1000.00,
         exitLoad: 1.00,
+        exitLoadStructure: EQUITY_EXIT_LOAD,
         expenseRatio: 2.75
       },
       {
@@ -372,6 +998,7 @@ class Scheme {
         minimumInvestment: 5000.00,
         minimumSip: 1000.00,
         exitLoad: 1.00,
+        exitLoadStructure: EQUITY_EXIT_LOAD,
         expenseRatio: 2.50
       },
       {
@@ -384,32 +1011,40 @@ class Scheme {
         minimumInvestment: 5000.00,
         minimumSip: 1000.00,
         exitLoad: 1.00,
+        exitLoadStructure: EQUITY_EXIT_LOAD,
         expenseRatio: 2.75
+      },
+      {
+        schemeCode: 'LIQ001',
+        schemeName: 'Simulation Liquid Fund',
+        amcCode: 'SIMAMC',
+        category: 'DEBT',
+        subCategory: 'LIQUID',
+        nav: 1024.5600,
+        minimumInvestment: 500.00,
+        minimumSip: 500.00,
+        exitLoad: 0.0070,
+        exitLoadStructure: LIQUID_EXIT_LOAD,
+        expenseRatio: 0.25
+      },
+      {
+        schemeCode: 'OVN001',
+        schemeName: 'Simulation Overnight Fund',
+        amcCode: 'SIMAMC',
+        category: 'DEBT',
+        subCategory: 'OVERNIGHT',
+        nav: 1012.3400,
+        minimumInvestment: 500.00,
+        minimumSip: 500.00,
+        exitLoad: 0.00,
+        expenseRatio: 0.10
       }
     ];
   }
 
-  // Simulate NAV movement
-  simulateNAVMovement() {
-    let change = 0;
-    
-    // Different volatility based on category
-    switch (this.category) {
-      case 'EQUITY':
-        change = (Math.random() - 0.5) * 0.04; // ±2% daily change
-        break;
-      case 'DEBT':
-        change = (Math.random() - 0.5) * 0.004; // ±0.2% daily change
-        break;
-      case 'HYBRID':
-        change = (Math.random() - 0.5) * 0.02; // ±1% daily change
-        break;
-      default:
-        change = (Math.random() - 0.5) * 0.02;
-    }
-    
-    const newNav = parseFloat((this.nav * (1 + change)).toFixed(4));
-    return Math.max(newNav, 1.0000); // Ensure NAV doesn't go below 1
+  // Simulate NAV movement using the scheme's stochastic NAV model
+  simulateNAVMovement(options = {}) {
+    return NAVModelService.nextNAV(this, options);
   }
 
   toJSON() {
@@ -425,7 +1060,11 @@ class Scheme {
       exitLoad: this.exitLoad,
       expenseRatio: this.expenseRatio,
       isActive: this.isActive,
-      launchDate: this.launchDate
+      launchDate: this.launchDate,
+      parentSchemeId: this.parentSchemeId,
+      plan: this.plan,
+      planOption: this.planOption,
+      navModel: NAVModelService.resolveModelConfig(this)
     };
   }
 
@@ -0,0 +1,111 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+
+class SimulationRun {
+  constructor(data) {
+    this.id = data.id;
+    this.seed = data.seed !== null && data.seed !== undefined ? parseInt(data.seed) : null;
+    this.config = data.config || {};
+    this.startDate = data.start_date;
+    this.status = data.status;
+    this.replayOf = data.replay_of;
+    this.startedAt = data.started_at;
+    this.stoppedAt = data.stopped_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(runData) {
+    try {
+      const query = `
+        INSERT INTO simulation_runs (seed, config, start_date, status, replay_of)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+
+      const values = [
+        runData.seed,
+        JSON.stringify(runData.config || {}),
+        runData.startDate,
+        runData.status || 'RUNNING',
+        runData.replayOf || null
+      ];
+
+      const result = await database.query(query, values);
+      logger.info('Simulation run recorded', { runId: result.rows[0].id, seed: runData.seed });
+      return new SimulationRun(result.rows[0]);
+    } catch (error) {
+      logger.error('Error recording simulation run', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const query = 'SELECT * FROM simulation_runs WHERE id = $1';
+      const result = await database.query(query, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new SimulationRun(result.rows[0]);
+    } catch (error) {
+      logger.error('Error finding simulation run by ID', error);
+      throw error;
+    }
+  }
+
+  static async findAll(limit = 50, offset = 0) {
+    try {
+      const query = `
+        SELECT * FROM simulation_runs
+        ORDER BY started_at DESC
+        LIMIT $1 OFFSET $2
+      `;
+      const result = await database.query(query, [limit, offset]);
+      return result.rows.map(row => new SimulationRun(row));
+    } catch (error) {
+      logger.error('Error finding simulation runs', error);
+      throw error;
+    }
+  }
+
+  async markStopped(status = 'STOPPED') {
+    try {
+      const query = `
+        UPDATE simulation_runs
+        SET status = $2, stopped_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [this.id, status]);
+
+      if (result.rows.length > 0) {
+        Object.assign(this, new SimulationRun(result.rows[0]));
+        logger.info('Simulation run stopped', { runId: this.id, status });
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error stopping simulation run', error);
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      seed: this.seed,
+      config: this.config,
+      startDate: this.startDate,
+      status: this.status,
+      replayOf: this.replayOf,
+      startedAt: this.startedAt,
+      stoppedAt: this.stoppedAt
+    };
+  }
+}
+
+module.exports = SimulationRun;
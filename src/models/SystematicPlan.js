@@ -0,0 +1,402 @@
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+const config = require('../config');
+const SimulationClock = require('../services/SimulationClock');
+const HolidayCalendar = require('../services/HolidayCalendar');
+const Folio = require('./Folio');
+
+// A registration drawing instalments from one folio on a SIP-style calendar:
+// a fixed amount, a fixed number of units or the capital appreciation. STP and
+// SWP extend it. Each describes its plan in PLAN ({name, table, idColumn,
+// idKey, generateId, statuses, and any columns of its own by property}) and
+// places the instalment in placeInstalment().
+class SystematicPlan {
+  constructor(data) {
+    const { idKey, idColumn, columns } = this.constructor.PLAN;
+    this.id = data.id;
+    this[idKey] = data[idColumn];
+    this.customerId = data.customer_id;
+    this.folioId = data.folio_id;
+    this.schemeId = data.scheme_id;
+    for (const [key, column] of Object.entries(columns)) {
+      this[key] = data[column];
+    }
+    this.planType = data.plan_type;
+    this.amount = data.amount ? parseFloat(data.amount) : null;
+    this.units = data.units ? parseFloat(data.units) : null;
+    this.frequency = data.frequency;
+    this.startDate = data.start_date;
+    this.endDate = data.end_date;
+    this.nextExecutionDate = data.next_execution_date;
+    this.status = data.status;
+    this.executionCount = parseInt(data.execution_count) || 0;
+    this.skippedCount = parseInt(data.skipped_count) || 0;
+    this.maxExecutions = data.max_executions ? parseInt(data.max_executions) : null;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(planData) {
+    const { name, table, idColumn, idKey, statuses, columns } = this.PLAN;
+    try {
+      const planType = planData.planType || config.planTypes.FIXED_AMOUNT;
+      const fields = {
+        [idColumn]: planData[idKey],
+        customer_id: planData.customerId,
+        folio_id: planData.folioId,
+        scheme_id: planData.schemeId,
+        ...Object.fromEntries(Object.entries(columns).map(([key, column]) => [column, planData[key]])),
+        plan_type: planType,
+        amount: planType === config.planTypes.FIXED_AMOUNT ? planData.amount : null,
+        units: planType === config.planTypes.FIXED_UNITS ? planData.units : null,
+        frequency: planData.frequency,
+        start_date: planData.startDate,
+        end_date: planData.endDate || null,
+        next_execution_date: planData.nextExecutionDate ||
+          HolidayCalendar.toDateKey(HolidayCalendar.getSipExecutionDate(planData.frequency, planData.startDate, 0)),
+        status: planData.status || statuses.ACTIVE,
+        max_executions: planData.maxExecutions || null,
+        created_at: planData.createdAt || SimulationClock.now()
+      };
+
+      const names = Object.keys(fields);
+      const query = `
+        INSERT INTO ${table} (${names.join(', ')})
+        VALUES (${names.map((_, i) => `$${i + 1}`).join(', ')})
+        RETURNING *
+      `;
+
+      const result = await database.query(query, Object.values(fields));
+      logger.info(`${name} created`, {
+        [idKey]: result.rows[0][idColumn],
+        folioId: planData.folioId,
+        ...Object.fromEntries(Object.keys(columns).map(key => [key, planData[key]])),
+        planType,
+        frequency: planData.frequency
+      });
+      return new this(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error creating ${name}`, error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const { name, table } = this.PLAN;
+    try {
+      const result = await database.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new this(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error finding ${name} by ID`, error);
+      throw error;
+    }
+  }
+
+  // Finds a plan by its STP or SWP ID
+  static async findByPlanId(planId) {
+    const { name, table, idColumn } = this.PLAN;
+    try {
+      const result = await database.query(`SELECT * FROM ${table} WHERE ${idColumn} = $1`, [planId]);
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      return new this(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error finding ${name} by ${name} ID`, error);
+      throw error;
+    }
+  }
+
+  static async findAll(filters = {}, { page = 1, limit = 20 } = {}) {
+    const { name, table } = this.PLAN;
+    try {
+      const conditions = [];
+      const values = [];
+      for (const [key, column] of [['folioId', 'folio_id'], ['status', 'status'], ['planType', 'plan_type']]) {
+        if (filters[key] !== undefined) {
+          values.push(filters[key]);
+          conditions.push(`${column} = $${values.length}`);
+        }
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      const [rows, count] = await Promise.all([
+        database.query(
+          `SELECT * FROM ${table} ${where} ORDER BY created_at DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+          [...values, limit, (page - 1) * limit]
+        ),
+        database.query(`SELECT COUNT(*) as count FROM ${table} ${where}`, values)
+      ]);
+
+      return {
+        plans: rows.rows.map(row => new this(row)),
+        total: parseInt(count.rows[0].count)
+      };
+    } catch (error) {
+      logger.error(`Error finding ${name}s`, error);
+      throw error;
+    }
+  }
+
+  static async findDueForExecution(asOf = SimulationClock.now(), limit = null) {
+    const { name, table, statuses } = this.PLAN;
+    try {
+      const today = HolidayCalendar.toDateKey(asOf);
+      const query = `
+        SELECT * FROM ${table}
+        WHERE status = $1
+        AND next_execution_date <= $2
+        AND (end_date IS NULL OR end_date >= $2)
+        AND (max_executions IS NULL OR execution_count < max_executions)
+        ORDER BY next_execution_date ASC, id ASC
+        LIMIT $3
+      `;
+
+      const result = await database.query(query, [statuses.ACTIVE, today, limit]);
+      return result.rows.map(row => new this(row));
+    } catch (error) {
+      logger.error(`Error finding ${name}s due for execution`, error);
+      throw error;
+    }
+  }
+
+  // Places the instalment due. Returns the transaction placeInstalment()
+  // gives, or null when the holding cannot cover the instalment or the
+  // transaction is refused, and it is skipped.
+  async execute(executionDate = SimulationClock.now()) {
+    const { name, idKey } = this.constructor.PLAN;
+    try {
+      const folioData = await Folio.getFolioWithHoldings(this.folioId);
+      const balance = await Folio.getUnitBalance(this.folioId, this.schemeId, executionDate);
+      const instalment = Utils.getPlanInstalment(this, { ...folioData.holdings, ...balance }, folioData.scheme.nav);
+
+      if (!instalment) {
+        // A folio emptied by earlier instalments ends the plan
+        const exhausted = this.executionCount > 0 && folioData.holdings.totalUnits <= 0;
+        await this.updateAfterExecution(false, exhausted);
+        logger.info(`${name} instalment skipped`, { [idKey]: this[idKey], exhausted });
+        return null;
+      }
+
+      const transaction = await this.placeInstalment(instalment, folioData, executionDate);
+      if (!transaction) {
+        await this.updateAfterExecution(false);
+        return null;
+      }
+
+      await this.updateAfterExecution(true);
+
+      logger.info(`${name} executed successfully`, {
+        [idKey]: this[idKey],
+        transactionId: transaction.transactionId,
+        ...instalment
+      });
+      return transaction;
+    } catch (error) {
+      logger.error(`Error executing ${name}`, error);
+      throw error;
+    }
+  }
+
+  async updateAfterExecution(executed = true, exhausted = false) {
+    const { name, table, statuses } = this.constructor.PLAN;
+    try {
+      const newExecutionCount = this.executionCount + (executed ? 1 : 0);
+      const newSkippedCount = this.skippedCount + (executed ? 0 : 1);
+      const nextExecutionDate = HolidayCalendar.toDateKey(
+        HolidayCalendar.getSipExecutionDate(this.frequency, this.startDate, newExecutionCount + newSkippedCount)
+      );
+
+      let newStatus = this.status;
+      if (exhausted || (this.maxExecutions && newExecutionCount >= this.maxExecutions)) {
+        newStatus = statuses.COMPLETED;
+      } else if (this.endDate && nextExecutionDate > HolidayCalendar.toDateKey(this.endDate)) {
+        newStatus = statuses.COMPLETED;
+      }
+
+      const query = `
+        UPDATE ${table}
+        SET
+          execution_count = $1,
+          skipped_count = $2,
+          next_execution_date = $3,
+          status = $4,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $5
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [
+        newExecutionCount,
+        newSkippedCount,
+        newStatus === statuses.COMPLETED ? null : nextExecutionDate,
+        newStatus,
+        this.id
+      ]);
+
+      if (result.rows.length > 0) {
+        Object.assign(this, new this.constructor(result.rows[0]));
+      }
+
+      return this;
+    } catch (error) {
+      logger.error(`Error updating ${name} after execution`, error);
+      throw error;
+    }
+  }
+
+  async pause() {
+    return this.changeStatus(this.constructor.PLAN.statuses.PAUSED, 'paused', 'pausing');
+  }
+
+  async resume() {
+    return this.changeStatus(this.constructor.PLAN.statuses.ACTIVE, 'resumed', 'resuming');
+  }
+
+  async cancel() {
+    return this.changeStatus(this.constructor.PLAN.statuses.CANCELLED, 'cancelled', 'cancelling');
+  }
+
+  async changeStatus(newStatus, done, doing) {
+    const { name, idKey } = this.constructor.PLAN;
+    try {
+      await this.updateStatus(newStatus);
+      logger.info(`${name} ${done}`, { [idKey]: this[idKey] });
+      return this;
+    } catch (error) {
+      logger.error(`Error ${doing} ${name}`, error);
+      throw error;
+    }
+  }
+
+  async updateStatus(newStatus) {
+    const { name, table } = this.constructor.PLAN;
+    try {
+      const query = `
+        UPDATE ${table}
+        SET status = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+        RETURNING *
+      `;
+
+      const result = await database.query(query, [newStatus, this.id]);
+
+      if (result.rows.length > 0) {
+        Object.assign(this, new this.constructor(result.rows[0]));
+      }
+
+      return this;
+    } catch (error) {
+      logger.error(`Error updating ${name} status`, error);
+      throw error;
+    }
+  }
+
+  // A simulated registration on the folio with the given columns of the
+  // plan's own; subclasses add how long it runs
+  static generateRandomPlan(folio, asOf = SimulationClock.now(), fields = {}) {
+    const { idKey, statuses, generateId } = this.PLAN;
+    const random = Utils.random();
+    const planType = random < 0.7
+      ? config.planTypes.FIXED_AMOUNT
+      : random < 0.85 ? config.planTypes.FIXED_UNITS : config.planTypes.CAPITAL_APPRECIATION;
+    const frequency = Utils.randomBoolean(0.85) ? 'MONTHLY' : 'QUARTERLY';
+
+    const startDate = new Date(asOf);
+    startDate.setDate(startDate.getDate() + Utils.randomInt(1, 30));
+
+    return {
+      [idKey]: generateId(asOf),
+      customerId: folio.customerId,
+      folioId: folio.id,
+      schemeId: folio.schemeId,
+      ...fields,
+      planType,
+      amount: Utils.getRandomElement([1000, 2000, 5000, 10000, 25000]),
+      units: Utils.getRandomElement([10, 25, 50, 100]),
+      frequency,
+      startDate: HolidayCalendar.toDateKey(startDate),
+      status: statuses.ACTIVE
+    };
+  }
+
+  static async getStats() {
+    const { name, table } = this.PLAN;
+    try {
+      const query = `
+        SELECT
+          plan_type,
+          status,
+          COUNT(*) as count,
+          SUM(execution_count) as total_executions,
+          SUM(skipped_count) as total_skipped
+        FROM ${table}
+        GROUP BY plan_type, status
+        ORDER BY plan_type, status
+      `;
+
+      const result = await database.query(query);
+      return result.rows;
+    } catch (error) {
+      logger.error(`Error getting ${name} stats`, error);
+      throw error;
+    }
+  }
+
+  getRemainingExecutions() {
+    if (!this.maxExecutions) return null;
+    return Math.max(0, this.maxExecutions - this.executionCount);
+  }
+
+  isActive() {
+    return this.status === this.constructor.PLAN.statuses.ACTIVE;
+  }
+
+  isCompleted() {
+    return this.status === this.constructor.PLAN.statuses.COMPLETED;
+  }
+
+  isPaused() {
+    return this.status === this.constructor.PLAN.statuses.PAUSED;
+  }
+
+  isCancelled() {
+    return this.status === this.constructor.PLAN.statuses.CANCELLED;
+  }
+
+  toJSON() {
+    const { idKey, columns } = this.constructor.PLAN;
+    return {
+      id: this.id,
+      [idKey]: this[idKey],
+      customerId: this.customerId,
+      folioId: this.folioId,
+      schemeId: this.schemeId,
+      ...Object.fromEntries(Object.keys(columns).map(key => [key, this[key]])),
+      planType: this.planType,
+      amount: this.amount,
+      units: this.units,
+      frequency: this.frequency,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      nextExecutionDate: this.nextExecutionDate,
+      status: this.status,
+      executionCount: this.executionCount,
+      skippedCount: this.skippedCount,
+      maxExecutions: this.maxExecutions,
+      remainingExecutions: this.getRemainingExecutions(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = SystematicPlan;
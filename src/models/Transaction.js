@@ -2,6 +2,43 @@ const database = require('../config/database');
 const logger = require('../utils/logger');
 const Utils = require('../utils/helpers');
 const config = require('../config');
+const SimulationClock = require('../services/SimulationClock');
+const HolidayCalendar = require('../services/HolidayCalendar');
+const ApplicableNAVService = require('../services/ApplicableNAVService');
+const CapitalGainsService = require('../services/CapitalGainsService');
+const ExitLoadService = require('../services/ExitLoadService');
+const ChargesService = require('../services/ChargesService');
+const Scheme = require('./Scheme');
+const Folio = require('./Folio');
+const Customer = require('./Customer');
+
+const HISTORY_BUCKETS = {
+  hour: '1 hour',
+  day: '1 day',
+  week: '1 week',
+  month: '1 month'
+};
+const PERIOD_UNITS = { h: 'hours', d: 'days', w: 'weeks', m: 'months', y: 'years' };
+
+// Continuous aggregates that can answer an unfiltered history query
+const HISTORY_AGGREGATES = {
+  hour: { view: 'hourly_metrics', time: 'hour', transactions: 'hourly_transactions' },
+  day: { view: 'daily_metrics', time: 'day', transactions: 'total_transactions' }
+};
+
+// Transaction types that take units out of a folio
+const OUTFLOW_TYPES = [config.transactionTypes.REDEMPTION, config.transactionTypes.SWITCH_OUT];
+
+// Fund flows in the transaction history: money into a scheme (reinvested
+// dividends are purchases) and out of it (IDCW payouts included)
+const HISTORY_INFLOW_TYPES = [config.transactionTypes.PURCHASE, config.transactionTypes.SWITCH_IN];
+const HISTORY_OUTFLOW_TYPES = [...OUTFLOW_TYPES, config.transactionTypes.DIVIDEND];
+
+// Purchases need the investor's KYC verified; dividend reinvestments do not
+function needsKYC(transactionData) {
+  return transactionData.transactionType === config.transactionTypes.PURCHASE &&
+    transactionData.transactionMode !== config.transactionModes.DIVIDEND;
+}
 
 class Transaction {
   constructor(data) {
@@ -15,7 +52,10 @@ class Transaction {
     this.amount = parseFloat(data.amount);
     this.units = data.units ? parseFloat(data.units) : 0;
     this.nav = data.nav ? parseFloat(data.nav) : null;
+    this.navDate = data.nav_date;
     this.transactionDate = data.transaction_date;
+    this.fundsRealisedAt = data.funds_realised_at;
+    this.releasedAt = data.released_at || null;
     this.processDate = data.process_date;
     this.settlementDate = data.settlement_date;
     this.status = data.status;
@@ -23,22 +63,75 @@ class Transaction {
     this.camsProcessedDate = data.cams_processed_date;
     this.camsReferenceNumber = data.cams_reference_number;
     this.sourceSchemeId = data.source_scheme_id;
+    this.linkedTransactionId = data.linked_transaction_id;
+    this.exitLoadAmount = data.exit_load_amount ? parseFloat(data.exit_load_amount) : 0;
+    this.stampDuty = data.stamp_duty ? parseFloat(data.stamp_duty) : 0;
+    this.sttAmount = data.stt_amount ? parseFloat(data.stt_amount) : 0;
+    this.tdsAmount = data.tds_amount ? parseFloat(data.tds_amount) : 0;
+    this.allUnits = data.all_units || false;
+    this.distributorId = data.distributor_id || null;
+    this.euin = data.euin || null;
     this.remarks = data.remarks;
     this.createdAt = data.created_at;
     this.updatedAt = data.updated_at;
   }
 
-  static async create(transactionData) {
+  // Where a purchase stands with the investor's KYC: null when verified,
+  // otherwise { held } with the reason it is held or cannot go ahead
+  static async checkKYC(transactionData, db = database) {
+    const result = await db.query(
+      'SELECT kyc_status FROM customers WHERE id = COALESCE((SELECT customer_id FROM folios WHERE id = $1), $2)',
+      [transactionData.folioId, transactionData.customerId]
+    );
+    const kycStatus = result.rows.length > 0 ? result.rows[0].kyc_status : null;
+    if (kycStatus === config.statuses.kyc.VERIFIED) {
+      return null;
+    }
+
+    return config.kyc.holdStatuses.includes(kycStatus)
+      ? { held: true, reason: `Held until KYC is verified (KYC ${kycStatus})` }
+      : { held: false, reason: `KYC ${kycStatus ? kycStatus.toLowerCase() : 'not found'}` };
+  }
+
+  // Transactions are in the folio's plan-option, whatever scheme is given.
+  // Purchases by an investor whose KYC is in progress are held, and by one
+  // whose KYC is rejected or expired are rejected when placed.
+  // db may be a client inside a database transaction.
+  static async create(transactionData, db = database) {
     try {
+      let status = transactionData.status || config.statuses.transaction.SUBMITTED;
+      let camsStatus = transactionData.camsStatus || config.statuses.cams.PENDING;
+      let remarks = transactionData.remarks || null;
+      const kyc = needsKYC(transactionData) ? await this.checkKYC(transactionData, db) : null;
+      if (kyc && kyc.held) {
+        camsStatus = config.statuses.cams.HELD;
+        remarks = remarks ? `${remarks}; ${kyc.reason}` : kyc.reason;
+      } else if (kyc) {
+        status = config.statuses.transaction.REJECTED;
+        camsStatus = config.statuses.cams.REJECTED;
+        remarks = kyc.reason;
+      }
+
       const query = `
         INSERT INTO transactions (
           id, transaction_id, folio_id, scheme_id, customer_id,
           transaction_type, transaction_mode, amount, units, nav,
-          transaction_date, status, cams_status, source_scheme_id, remarks
-        ) VALUES (nextval('transactions_id_seq'), $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+          transaction_date, funds_realised_at, status, cams_status, source_scheme_id,
+          linked_transaction_id, all_units, remarks, distributor_id, euin
+        ) VALUES (
+          nextval('transactions_id_seq'), $1, $2, COALESCE((SELECT scheme_id FROM folios WHERE id = $2), $3),
+          $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+          (SELECT distributor_id FROM folios WHERE id = $2), (SELECT euin FROM folios WHERE id = $2)
+        )
         RETURNING *
       `;
 
+      const transactionDate = transactionData.transactionDate || SimulationClock.now();
+      // Purchases are paid for when placed unless realisation is given
+      const fundsRealisedAt = OUTFLOW_TYPES.includes(transactionData.transactionType)
+        ? null
+        : transactionData.fundsRealisedAt || transactionDate;
+
       const values = [
         transactionData.transactionId,
         transactionData.folioId,
@@ -49,18 +142,22 @@ class Transaction {
         transactionData.amount,
         transactionData.units || 0,
         transactionData.nav,
-        transactionData.transactionDate,
-        transactionData.status || config.statuses.transaction.SUBMITTED,
-        transactionData.camsStatus || config.statuses.cams.PENDING,
+        transactionDate,
+        fundsRealisedAt,
+        status,
+        camsStatus,
         transactionData.sourceSchemeId || null,
-        transactionData.remarks || null
+        transactionData.linkedTransactionId || null,
+        transactionData.allUnits || false,
+        remarks
       ];
 
-      const result = await database.query(query, values);
+      const result = await db.query(query, values);
       logger.info('Transaction created', { 
         transactionId: result.rows[0].transaction_id,
         folioId: transactionData.folioId,
-        amount: transactionData.amount
+        amount: transactionData.amount,
+        camsStatus
       });
       return new Transaction(result.rows[0]);
     } catch (error) {
@@ -69,6 +166,87 @@ class Transaction {
     }
   }
 
+  // Places a purchase (a lump sum, or a SIP instalment paid by hand) into a
+  // folio's scheme at its latest NAV until allotted. Returns null if the
+  // folio does not exist.
+  static async createPurchase(request, now = SimulationClock.now()) {
+    try {
+      const { folioId, amount, transactionMode = config.transactionModes.LUMPSUM, remarks = null } = request;
+      const folioData = await Folio.getFolioWithHoldings(folioId);
+      if (!folioData) {
+        return null;
+      }
+      if (!folioData.folio.isActive()) {
+        throw Utils.validationError('Folio is not active');
+      }
+
+      return await this.create({
+        transactionId: Utils.generateTransactionId(now),
+        folioId,
+        schemeId: folioData.folio.schemeId,
+        customerId: folioData.folio.customerId,
+        transactionType: config.transactionTypes.PURCHASE,
+        transactionMode,
+        amount,
+        units: 0,
+        nav: folioData.scheme.nav,
+        transactionDate: now,
+        remarks
+      });
+    } catch (error) {
+      logger.error('Error creating purchase', error);
+      throw error;
+    }
+  }
+
+  // Places a redemption for exactly one of amount, units or allUnits. Free
+  // units are checked when it is allotted, so a redemption can still be
+  // rejected then. Returns null if the folio does not exist.
+  static async createRedemption(request, now = SimulationClock.now()) {
+    try {
+      const { folioId, amount = null, units = null, allUnits = false, remarks = null } = request;
+      if ([amount !== null, units !== null, allUnits === true].filter(Boolean).length !== 1) {
+        throw Utils.validationError('Specify exactly one of amount, units or allUnits');
+      }
+
+      const folioData = await Folio.getFolioWithHoldings(folioId);
+      if (!folioData) {
+        return null;
+      }
+      if (!folioData.folio.isActive()) {
+        throw Utils.validationError('Folio is not active');
+      }
+
+      // Redemptions in units carry an estimate at the latest NAV until allotted
+      const nav = folioData.scheme.nav;
+      let estimatedAmount = amount;
+      if (units !== null) {
+        estimatedAmount = Utils.calculateCurrentValue(units, nav);
+      } else if (allUnits) {
+        const balance = await Folio.getUnitBalance(folioId, folioData.folio.schemeId, now);
+        estimatedAmount = Utils.calculateCurrentValue(balance.freeUnits, nav);
+      }
+
+      return await this.create({
+        transactionId: Utils.generateTransactionId(now),
+        folioId,
+        schemeId: folioData.folio.schemeId,
+        customerId: folioData.folio.customerId,
+        transactionType: config.transactionTypes.REDEMPTION,
+        transactionMode: config.transactionModes.REDEMPTION,
+        amount: estimatedAmount,
+        units: units || 0,
+        allUnits,
+        nav,
+        transactionDate: now,
+        remarks: remarks || (allUnits ? 'Redemption of all free units' : null)
+      });
+    } catch (error) {
+      logger.error('Error creating redemption', error);
+      throw error;
+    }
+  }
+
   static async findById(id) {
     try {
       const query = 'SELECT * FROM transactions WHERE id = $1';
@@ -125,6 +303,23 @@ class Transaction {
     }
   }
 
+  // Processed transactions of a folio allotted on or before a date, in
+  // allotment order, for statements
+  static async findProcessedByFolio(folioId, toDate) {
+    try {
+      const query = `
+        SELECT * FROM transactions
+        WHERE folio_id = $1 AND status = $2 AND nav_date <= $3
+        ORDER BY nav_date ASC, id ASC
+      `;
+      const result = await database.query(query, [folioId, config.statuses.transaction.PROCESSED, toDate]);
+      return result.rows.map(row => new Transaction(row));
+    } catch (error) {
+      logger.error('Error finding processed transactions by folio', error);
+      throw error;
+    }
+  }
+
   static async findByCustomer(customerId, limit = 50, offset = 0) {
     try {
       const query = `
@@ -151,19 +346,19 @@ class Transaction {
     }
   }
 
-  static async findPendingForCAMS(limit = 100) {
+  static async findPendingForCAMS(limit = 100, asOf = SimulationClock.now()) {
     try {
       const query = `
         SELECT * FROM transactions 
         WHERE cams_status = $1 
         AND status = $2
         AND transaction_date <= $3
-        ORDER BY transaction_date ASC
+        ORDER BY transaction_date ASC, id ASC
         LIMIT $4
       `;
       
       // Find transactions submitted at least 5 minutes ago
-      const cutoffTime = new Date(Date.now() - config.simulation.camsProcessingDelay);
+      const cutoffTime = new Date(asOf.getTime() - config.simulation.camsProcessingDelay);
       
       const result = await database.query(query, [
         config.statuses.cams.PENDING,
@@ -179,6 +374,132 @@ class Transaction {
     }
   }
 
+  // Sends an investor's purchases held for KYC to the registrar, counting
+  // them as received when the KYC was verified. Returns the number released.
+  static async releaseHeld(customerId, releasedAt, db = database) {
+    try {
+      const query = `
+        UPDATE transactions
+        SET cams_status = $1, released_at = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $3 AND cams_status = $4 AND status = $5
+      `;
+      const result = await db.query(query, [
+        config.statuses.cams.PENDING,
+        releasedAt,
+        customerId,
+        config.statuses.cams.HELD,
+        config.statuses.transaction.SUBMITTED
+      ]);
+      if (result.rowCount > 0) {
+        logger.info('Held purchases released', { customerId, count: result.rowCount });
+      }
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error releasing held purchases', error);
+      throw error;
+    }
+  }
+
+  // Rejects an investor's purchases held for KYC. Returns the number rejected.
+  static async rejectHeld(customerId, reason, processedDate, db = database) {
+    try {
+      const query = `
+        UPDATE transactions
+        SET status = $1, cams_status = $2, cams_processed_date = $3, remarks = $4, updated_at = CURRENT_TIMESTAMP
+        WHERE customer_id = $5 AND cams_status = $6 AND status = $7
+      `;
+      const result = await db.query(query, [
+        config.statuses.transaction.REJECTED,
+        config.statuses.cams.REJECTED,
+        processedDate,
+        reason,
+        customerId,
+        config.statuses.cams.HELD,
+        config.statuses.transaction.SUBMITTED
+      ]);
+      if (result.rowCount > 0) {
+        logger.info('Held purchases rejected', { customerId, count: result.rowCount, reason });
+      }
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error rejecting held purchases', error);
+      throw error;
+    }
+  }
+
+  // Registrar feed fields for a batch of transactions, in the given order
+  static async findFeedDetails(ids) {
+    try {
+      const query = `
+        SELECT t.*, f.folio_number, c.pan_number, c.kyc_status, s.scheme_code, s.sub_category,
+          s.is_active AS scheme_active, s.minimum_investment, s.minimum_sip, d.arn_code
+        FROM transactions t
+        JOIN folios f ON t.folio_id = f.id
+        JOIN customers c ON t.customer_id = c.id
+        JOIN schemes s ON t.scheme_id = s.id
+        LEFT JOIN distributors d ON t.distributor_id = d.id
+        WHERE t.id = ANY($1)
+        ORDER BY t.transaction_date ASC, t.id ASC
+      `;
+
+      const result = await database.query(query, [ids]);
+
+      return result.rows.map(row => ({
+        transactionId: row.transaction_id,
+        folioNumber: row.folio_number,
+        panNumber: row.pan_number,
+        schemeCode: row.scheme_code,
+        transactionType: row.transaction_type,
+        transactionMode: row.transaction_mode,
+        amount: parseFloat(row.amount),
+        units: row.units ? parseFloat(row.units) : 0,
+        transactionDate: row.transaction_date,
+        remarks: row.remarks,
+        fundsRealisedAt: row.funds_realised_at,
+        releasedAt: row.released_at,
+        // Registrars take orders without a broker under the code DIRECT
+        arnCode: row.arn_code || config.schemePlans.DIRECT,
+        euin: row.euin,
+        // Master data the registrar needs for the record, sent in its own feeds
+        scheme: {
+          schemeCode: row.scheme_code,
+          subCategory: row.sub_category,
+          isActive: row.scheme_active,
+          minimumInvestment: parseFloat(row.minimum_investment),
+          minimumSip: parseFloat(row.minimum_sip)
+        },
+        investor: {
+          panNumber: row.pan_number,
+          kycStatus: row.kyc_status
+        }
+      }));
+    } catch (error) {
+      logger.error('Error finding transaction feed details', error);
+      throw error;
+    }
+  }
+
+  static async markSentToCAMS(ids) {
+    try {
+      const query = `
+        UPDATE transactions
+        SET cams_status = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ANY($2) AND cams_status = $3
+      `;
+
+      const result = await database.query(query, [
+        config.statuses.cams.SENT,
+        ids,
+        config.statuses.cams.PENDING
+      ]);
+
+      return result.rowCount;
+    } catch (error) {
+      logger.error('Error marking transactions sent to CAMS', error);
+      throw error;
+    }
+  }
+
   static async findByDateRange(fromDate, toDate, limit = 1000, offset = 0) {
     try {
       const query = `
@@ -214,29 +535,104 @@ class Transaction {
     }
   }
 
-  async process(nav) {
+  // Allots units at the applicable NAV under the SEBI cut-off rules, read from
+  // nav_history. Returns null, leaving the transaction untouched, while that
+  // NAV has not been published yet. Redemptions are checked against the free
+  // units at allotment and rejected when they are short.
+  async process(processDate = SimulationClock.now()) {
     try {
-      const units = Utils.calculateUnits(this.amount, nav);
-      const processDate = new Date();
-      const settlementDate = Utils.addBusinessDays(processDate, 
-        this.transactionType === config.transactionTypes.REDEMPTION ? 3 : 1);
+      const scheme = await Scheme.findById(this.schemeId);
+      const applicable = await ApplicableNAVService.getApplicableNAV(scheme, this);
+      if (!applicable) {
+        logger.debug('Applicable NAV not published yet', { transactionId: this.transactionId });
+        return null;
+      }
+
+      // Purchases are allotted units on the amount net of stamp duty
+      if (!this.isOutflow()) {
+        const stampDuty = ChargesService.getStampDuty(this.amount);
+        return await database.transaction(client => this.allot(applicable, {
+          amount: this.amount,
+          units: Utils.calculateUnits(this.amount - stampDuty, applicable.nav),
+          stampDuty
+        }, processDate, client));
+      }
+
+      return await database.transaction(async (client) => {
+        const balance = await Folio.getUnitBalance(this.folioId, this.schemeId, processDate, client);
+        const units = this.allUnits
+          ? balance.freeUnits
+          : this.units > 0 ? this.units : Utils.calculateUnits(this.amount, applicable.nav);
+
+        const shortfall = Transaction.describeShortfall(units, balance);
+        if (shortfall) {
+          return this.reject(shortfall, null, processDate, client);
+        }
+
+        // Redemptions placed in units are valued at the NAV; the exit load
+        // comes off the redemption value lot by lot, then STT and any TDS
+        const amount = this.allUnits || this.units > 0 ? Utils.calculateCurrentValue(units, applicable.nav) : this.amount;
+        const { exitLoadAmount } = await ExitLoadService.calculate(this, units, applicable.nav, applicable.navDate, client);
+        return this.allot(applicable, {
+          amount,
+          units,
+          exitLoadAmount,
+          sttAmount: ChargesService.getSTT(scheme, amount)
+        }, processDate, client);
+      });
+    } catch (error) {
+      logger.error('Error processing transaction', error);
+      throw error;
+    }
+  }
+
+  // Rejection reason when units cannot be taken out of a balance, or null
+  static describeShortfall(units, balance) {
+    if (balance.totalUnits <= 0) {
+      return 'Insufficient units: no units held';
+    }
+    if (units <= 0 || units > balance.freeUnits) {
+      return `Insufficient free units: ${units} requested, ${balance.freeUnits} free ` +
+        `(${balance.lockedUnits} locked in, ${balance.pledgedUnits} pledged)`;
+    }
+    return null;
+  }
+
+  // Records the allotment at an applicable NAV with its charges and moves the
+  // holdings. TDS on an outflow follows from the gains it realises. db may be
+  // a client so both legs of a switch are written in one database transaction.
+  async allot({ nav, navDate }, charges, processDate = SimulationClock.now(), db = database) {
+    const { amount, units, exitLoadAmount = 0, stampDuty = 0, sttAmount = 0 } = charges;
+    try {
+      // Settlement moves money, so it counts bank days
+      const settlementDate = HolidayCalendar.addBusinessDays(processDate, this.isOutflow() ? 3 : 1, HolidayCalendar.CALENDARS.BANK);
 
       const query = `
         UPDATE transactions 
         SET 
-          units = $1,
-          nav = $2,
-          process_date = $3,
-          settlement_date = $4,
-          status = $5,
+          amount = $1,
+          units = $2,
+          nav = $3,
+          nav_date = $4,
+          exit_load_amount = $5,
+          stamp_duty = $6,
+          stt_amount = $7,
+          process_date = $8,
+          settlement_date = $9,
+          status = $10,
           updated_at = CURRENT_TIMESTAMP
-        WHERE id = $6
+        WHERE id = $11
         RETURNING *
       `;
 
-      const result = await database.query(query, [
+      const result = await db.query(query, [
+        amount,
         units,
         nav,
+        navDate,
+        exitLoadAmount,
+        stampDuty,
+        sttAmount,
         processDate,
         settlementDate,
         config.statuses.transaction.PROCESSED,
@@ -246,28 +642,34 @@ class Transaction {
       if (result.rows.length > 0) {
         Object.assign(this, new Transaction(result.rows[0]));
         
-        // Update holdings
-        await this.updateHoldings();
+        // Update holdings; IDCW payouts move no units
+        if (!this.isDividendPayout()) {
+          const gains = await this.updateHoldings(db);
+          if (this.isOutflow()) {
+            await this.deductTDS(gains, db);
+          }
+        }
         
         logger.info('Transaction processed', { 
           transactionId: this.transactionId,
           units,
-          nav
+          nav,
+          navDate
         });
       }
 
       return this;
     } catch (error) {
-      logger.error('Error processing transaction', error);
+      logger.error('Error allotting transaction', error);
       throw error;
     }
   }
 
-  async updateCAMSStatus(status, camsReferenceNumber = null) {
+  async updateCAMSStatus(status, camsReferenceNumber = null, processedDate = SimulationClock.now()) {
     try {
       const updateData = {
         camsStatus: status,
-        camsProcessedDate: new Date()
+        camsProcessedDate: processedDate
       };
 
       if (camsReferenceNumber) {
@@ -308,7 +710,46 @@ class Transaction {
     }
   }
 
-  async updateHoldings() {
+  async reject(reason, camsReferenceNumber = null, processedDate = SimulationClock.now(), db = database) {
+    try {
+      const query = `
+        UPDATE transactions 
+        SET 
+          status = $1,
+          cams_status = $2,
+          cams_processed_date = $3,
+          cams_reference_number = $4,
+          remarks = $5,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $6
+        RETURNING *
+      `;
+
+      const result = await db.query(query, [
+        config.statuses.transaction.REJECTED,
+        config.statuses.cams.REJECTED,
+        processedDate,
+        camsReferenceNumber,
+        reason,
+        this.id
+      ]);
+
+      if (result.rows.length > 0) {
+        Object.assign(this, new Transaction(result.rows[0]));
+        logger.info('Transaction rejected', { 
+          transactionId: this.transactionId,
+          reason
+        });
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error rejecting transaction', error);
+      throw error;
+    }
+  }
+
+  async updateHoldings(db = database) {
     try {
       const query = `
         INSERT INTO holdings (folio_id, scheme_id, customer_id, total_units, invested_amount, last_transaction_date)
@@ -323,14 +764,20 @@ class Transaction {
 
       let unitsChange = this.units;
       let amountChange = this.amount;
+      let realisedGains = [];
 
-      // For redemptions, subtract units and amount
-      if (this.transactionMode === config.transactionModes.REDEMPTION) {
+      // Purchases open a lot; redemptions and switch-outs consume lots FIFO
+      // and take their cost, not the redemption value, out of invested_amount
+      if (this.isOutflow()) {
+        const { costAmount, gains } = await CapitalGainsService.recordOutflow(this, db);
         unitsChange = -this.units;
-        amountChange = -this.amount;
+        amountChange = -costAmount;
+        realisedGains = gains;
+      } else {
+        await CapitalGainsService.recordInflow(this, db);
       }
 
-      await database.query(query, [
+      await db.query(query, [
         this.folioId,
         this.schemeId,
         this.customerId,
@@ -340,15 +787,39 @@ class Transaction {
       ]);
 
       // Update current value based on latest NAV
-      await this.updateCurrentValue();
+      await this.updateCurrentValue(db);
 
+      return realisedGains;
     } catch (error) {
       logger.error('Error updating holdings', error);
       throw error;
     }
   }
 
-  async updateCurrentValue() {
+  // Records the TDS on the gains an outflow realised
+  async deductTDS(gains, db = database) {
+    try {
+      const customer = await Customer.findById(this.customerId);
+      const tdsAmount = ChargesService.getTDS(customer, gains);
+      if (tdsAmount <= 0) {
+        return this;
+      }
+
+      const result = await db.query(
+        'UPDATE transactions SET tds_amount = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+        [tdsAmount, this.id]
+      );
+      if (result.rows.length > 0) {
+        Object.assign(this, new Transaction(result.rows[0]));
+      }
+      return this;
+    } catch (error) {
+      logger.error('Error deducting TDS', error);
+      throw error;
+    }
+  }
+
+  async updateCurrentValue(db = database) {
     try {
       const query = `
         UPDATE holdings 
@@ -358,20 +829,23 @@ class Transaction {
         WHERE folio_id = $1 AND scheme_id = $2
       `;
 
-      await database.query(query, [this.folioId, this.schemeId]);
+      await db.query(query, [this.folioId, this.schemeId]);
     } catch (error) {
       logger.error('Error updating current value', error);
       throw error;
     }
   }
 
-  static async generateRandomTransaction(folioData) {
-    const transactionId = Utils.generateTransactionId();
-    const transactionType = Utils.getRandomTransactionType();
-    const now = new Date();
+  // Returns null when a redemption is drawn for a folio without enough free
+  // units, as investors only redeem what they can
+  static async generateRandomTransaction(folioData, now = SimulationClock.now(), options = {}) {
+    const transactionId = Utils.generateTransactionId(now);
+    const transactionType = Utils.getRandomTransactionType(options.redemptionRatio);
     
     // Determine transaction mode and type based on transaction type
     let transactionMode, amount;
+    let units = 0;
+    let allUnits = false;
     
     switch (transactionType) {
       case 'SIP':
@@ -382,19 +856,41 @@ class Transaction {
         transactionMode = config.transactionModes.LUMPSUM;
         amount = Utils.generateRandomAmount(1000, 100000);
         break;
-      case 'STP':
-        transactionMode = config.transactionModes.STP;
-        amount = Utils.generateRandomAmount(1000, 50000);
-        break;
-      case 'REDEMPTION':
+      case 'REDEMPTION': {
+        const balance = await Folio.getUnitBalance(folioData.folio.id, folioData.folio.schemeId, now);
+        const freeValue = Utils.calculateCurrentValue(balance.freeUnits, folioData.nav);
+        if (freeValue < 1000) {
+          return null;
+        }
+
         transactionMode = config.transactionModes.REDEMPTION;
-        amount = Utils.generateRandomAmount(1000, 25000);
+        // Mostly by amount, some in units and a few exits of everything free
+        const style = Utils.random();
+        if (style < 0.1) {
+          allUnits = true;
+          amount = freeValue;
+        } else if (style < 0.3) {
+          units = parseFloat((balance.freeUnits * Utils.generateRandomAmount(0.1, 0.5)).toFixed(3));
+          amount = Utils.calculateCurrentValue(units, folioData.nav);
+        } else {
+          amount = Utils.generateRandomAmount(1000, Math.min(25000, freeValue));
+        }
         break;
+      }
       default:
         transactionMode = config.transactionModes.LUMPSUM;
         amount = Utils.generateRandomAmount(1000, 50000);
     }
 
+    // Net banking realises at once; cheques and NEFT take a while
+    let fundsRealisedAt = null;
+    if (transactionMode !== config.transactionModes.REDEMPTION) {
+      const { instantRealisationProbability, maxRealisationDelayHours } = config.navRules;
+      fundsRealisedAt = transactionMode !== config.transactionModes.LUMPSUM || Utils.randomBoolean(instantRealisationProbability)
+        ? now
+        : new Date(now.getTime() + Utils.randomInt(1, maxRealisationDelayHours) * 60 * 60 * 1000);
+    }
+
     return {
       transactionId,
       folioId: folioData.folio.id,
@@ -404,8 +900,11 @@ class Transaction {
         config.transactionTypes.REDEMPTION : config.transactionTypes.PURCHASE,
       transactionMode,
       amount,
+      units,
+      allUnits,
       nav: folioData.nav,
       transactionDate: now,
+      fundsRealisedAt,
       status: config.statuses.transaction.SUBMITTED,
       camsStatus: config.statuses.cams.PENDING,
       remarks: `Simulated ${transactionType} transaction`
@@ -436,6 +935,133 @@ class Transaction {
     }
   }
 
+  // Materialises the transaction history aggregates over a range of dates.
+  // Real-time views only read the hypertable above their watermark, so
+  // transactions backfilled into earlier days need this.
+  static async refreshAggregates(fromDate, toDate) {
+    try {
+      for (const { view } of Object.values(HISTORY_AGGREGATES)) {
+        await database.query(`CALL refresh_continuous_aggregate('${view}', $1::date, $2::date + 1)`, [fromDate, toDate]);
+      }
+    } catch (error) {
+      logger.error('Error refreshing transaction aggregates', error);
+      throw error;
+    }
+  }
+
+  // Fund flows per time bucket over a trailing period such as 24h, 7d, 3m or
+  // 1y. Unfiltered queries read the hourly_metrics or daily_metrics continuous
+  // aggregates (re-bucketed for weeks and months); filtered ones time_bucket
+  // the raw transactions hypertable.
+  static async getTransactionHistory(options = {}, asOf = SimulationClock.now()) {
+    try {
+      const { period = '7d', bucket = 'day', schemeId = null, category = null, mode = null } = options;
+
+      const match = /^(\d+)([hdwmy])$/.exec(period);
+      if (!match || !HISTORY_BUCKETS[bucket]) {
+        throw Utils.validationError('Period must look like 24h, 7d, 4w, 3m or 1y and bucket must be hour, day, week or month');
+      }
+      const interval = `${match[1]} ${PERIOD_UNITS[match[2]]}`;
+
+      const filtered = schemeId !== null || category !== null || mode !== null;
+      const aggregate = filtered ? null : HISTORY_AGGREGATES[bucket === 'hour' ? 'hour' : 'day'];
+      const values = [HISTORY_BUCKETS[bucket], asOf, interval];
+      let query;
+
+      if (aggregate) {
+        query = `
+          SELECT
+            time_bucket($1::interval, ${aggregate.time}) AS bucket,
+            SUM(${aggregate.transactions}) AS transactions,
+            SUM(inflow_transactions) AS inflow_transactions,
+            SUM(outflow_transactions) AS outflow_transactions,
+            SUM(gross_inflows) AS gross_inflows,
+            SUM(gross_outflows) AS gross_outflows
+          FROM ${aggregate.view}
+          WHERE ${aggregate.time} >= time_bucket($1::interval, $2::timestamp - $3::interval)
+          AND ${aggregate.time} <= $2
+          GROUP BY 1
+          ORDER BY 1
+        `;
+      } else {
+        const conditions = [];
+        if (schemeId !== null) {
+          values.push(schemeId);
+          conditions.push(`AND t.scheme_id = $${values.length}`);
+        }
+        if (category !== null) {
+          values.push(category);
+          conditions.push(`AND s.category = $${values.length}`);
+        }
+        if (mode !== null) {
+          values.push(mode);
+          conditions.push(`AND t.transaction_mode = $${values.length}`);
+        }
+
+        // Rejected and cancelled orders move no money
+        values.push([config.statuses.transaction.REJECTED, config.statuses.transaction.CANCELLED]);
+        const excluded = `$${values.length}`;
+        values.push(HISTORY_INFLOW_TYPES, HISTORY_OUTFLOW_TYPES);
+        const inflow = `$${values.length - 1}`;
+        const outflow = `$${values.length}`;
+
+        query = `
+          SELECT
+            time_bucket($1::interval, t.transaction_date) AS bucket,
+            COUNT(*) AS transactions,
+            COUNT(CASE WHEN t.transaction_type = ANY(${inflow}) AND t.status <> ALL(${excluded}) THEN 1 END) AS inflow_transactions,
+            COUNT(CASE WHEN t.transaction_type = ANY(${outflow}) AND t.status <> ALL(${excluded}) THEN 1 END) AS outflow_transactions,
+            SUM(CASE WHEN t.transaction_type = ANY(${inflow}) AND t.status <> ALL(${excluded}) THEN t.amount ELSE 0 END) AS gross_inflows,
+            SUM(CASE WHEN t.transaction_type = ANY(${outflow}) AND t.status <> ALL(${excluded}) THEN t.amount ELSE 0 END) AS gross_outflows
+          FROM transactions t
+          JOIN schemes s ON s.id = t.scheme_id
+          WHERE t.transaction_date >= time_bucket($1::interval, $2::timestamp - $3::interval)
+          AND t.transaction_date <= $2
+          ${conditions.join('\n          ')}
+          GROUP BY 1
+          ORDER BY 1
+        `;
+      }
+
+      const result = await database.query(query, values);
+      const buckets = result.rows.map(row => {
+        const grossInflows = parseFloat(row.gross_inflows) || 0;
+        const grossOutflows = parseFloat(row.gross_outflows) || 0;
+        return {
+          bucket: row.bucket,
+          transactions: parseInt(row.transactions),
+          inflowTransactions: parseInt(row.inflow_transactions),
+          outflowTransactions: parseInt(row.outflow_transactions),
+          grossInflows,
+          grossOutflows,
+          netFlows: parseFloat((grossInflows - grossOutflows).toFixed(2))
+        };
+      });
+
+      const totals = buckets.reduce((sum, row) => ({
+        transactions: sum.transactions + row.transactions,
+        grossInflows: sum.grossInflows + row.grossInflows,
+        grossOutflows: sum.grossOutflows + row.grossOutflows
+      }), { transactions: 0, grossInflows: 0, grossOutflows: 0 });
+      totals.grossInflows = parseFloat(totals.grossInflows.toFixed(2));
+      totals.grossOutflows = parseFloat(totals.grossOutflows.toFixed(2));
+      totals.netFlows = parseFloat((totals.grossInflows - totals.grossOutflows).toFixed(2));
+
+      return {
+        period,
+        bucket,
+        source: aggregate ? aggregate.view : 'transactions',
+        filters: { schemeId, category, mode },
+        asOf,
+        buckets,
+        totals
+      };
+    } catch (error) {
+      logger.error('Error getting transaction history', error);
+      throw error;
+    }
+  }
+
   isProcessed() {
     return this.status === config.statuses.transaction.PROCESSED;
   }
@@ -452,6 +1078,28 @@ class Transaction {
     return this.transactionType === config.transactionTypes.REDEMPTION;
   }
 
+  isOutflow() {
+    return OUTFLOW_TYPES.includes(this.transactionType);
+  }
+
+  // IDCW paid out in cash; reinvested IDCW is a PURCHASE in DIVIDEND mode
+  isDividendPayout() {
+    return this.transactionType === config.transactionTypes.DIVIDEND;
+  }
+
+  // What the investor pays in net of stamp duty, or is paid out net of exit
+  // load, STT and TDS
+  getNetAmount() {
+    const deductions = this.isOutflow()
+      ? this.exitLoadAmount + this.sttAmount + this.tdsAmount
+      : this.stampDuty;
+    return parseFloat((this.amount - deductions).toFixed(2));
+  }
+
+  isSwitch() {
+    return Boolean(this.linkedTransactionId);
+  }
+
   toJSON() {
     return {
       id: this.id,
@@ -464,7 +1112,9 @@ class Transaction {
       amount: this.amount,
       units: this.units,
       nav: this.nav,
+      navDate: this.navDate,
       transactionDate: this.transactionDate,
+      fundsRealisedAt: this.fundsRealisedAt,
       processDate: this.processDate,
       settlementDate: this.settlementDate,
       status: this.status,
@@ -472,6 +1122,15 @@ class Transaction {
       camsProcessedDate: this.camsProcessedDate,
       camsReferenceNumber: this.camsReferenceNumber,
       sourceSchemeId: this.sourceSchemeId,
+      linkedTransactionId: this.linkedTransactionId,
+      exitLoadAmount: this.exitLoadAmount,
+      stampDuty: this.stampDuty,
+      sttAmount: this.sttAmount,
+      tdsAmount: this.tdsAmount,
+      netAmount: this.getNetAmount(),
+      allUnits: this.allUnits,
+      distributorId: this.distributorId,
+      euin: this.euin,
       remarks: this.remarks,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
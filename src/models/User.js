@@ -0,0 +1,194 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const database = require('../config/database');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// API user who signs in for a JWT. The role decides the permissions granted;
+// investor users are tied to their customer record and distributor users to
+// their distributor.
+class User {
+  constructor(data) {
+    this.id = data.id;
+    this.username = data.username;
+    this.passwordHash = data.password_hash;
+    this.role = data.role;
+    this.customerId = data.customer_id;
+    this.distributorId = data.distributor_id;
+    this.isActive = data.is_active;
+    this.lastLoginAt = data.last_login_at;
+    this.createdAt = data.created_at;
+    this.updatedAt = data.updated_at;
+  }
+
+  static async create(userData) {
+    try {
+      const query = `
+        INSERT INTO users (username, password_hash, role, customer_id, distributor_id, is_active)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+
+      const values = [
+        userData.username,
+        await bcrypt.hash(userData.password, config.auth.bcryptRounds),
+        userData.role,
+        userData.customerId || null,
+        userData.distributorId || null,
+        userData.isActive !== undefined ? userData.isActive : true
+      ];
+
+      const result = await database.query(query, values);
+      logger.info('User created', { userId: result.rows[0].id, role: userData.role });
+      return new User(result.rows[0]);
+    } catch (error) {
+      logger.error('Error creating user', error);
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const result = await database.query('SELECT * FROM users WHERE id = $1', [id]);
+      return result.rows.length > 0 ? new User(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding user by ID', error);
+      throw error;
+    }
+  }
+
+  static async findByUsername(username) {
+    try {
+      const result = await database.query('SELECT * FROM users WHERE username = $1', [username]);
+      return result.rows.length > 0 ? new User(result.rows[0]) : null;
+    } catch (error) {
+      logger.error('Error finding user by username', error);
+      throw error;
+    }
+  }
+
+  static async findAll() {
+    try {
+      const result = await database.query('SELECT * FROM users ORDER BY username ASC');
+      return result.rows.map(row => new User(row));
+    } catch (error) {
+      logger.error('Error finding users', error);
+      throw error;
+    }
+  }
+
+  // Creates the configured admin user when there are no users yet, so a
+  // fresh database can be signed into. Without ADMIN_PASSWORD the password
+  // is random and printed once to stderr, never to the log files.
+  static async ensureDefaultAdmin() {
+    try {
+      const result = await database.query('SELECT COUNT(*) AS count FROM users');
+      if (parseInt(result.rows[0].count) > 0) {
+        return null;
+      }
+
+      const password = config.auth.adminPassword || crypto.randomBytes(18).toString('base64url');
+      const admin = await User.create({
+        username: config.auth.adminUsername,
+        password,
+        role: config.userRoles.ADMIN
+      });
+      logger.info(`Default admin user created: ${admin.username}`);
+      if (!config.auth.adminPassword) {
+        process.stderr.write(`Generated password for ${admin.username}: ${password} (change it after signing in)\n`);
+      }
+      return admin;
+    } catch (error) {
+      logger.error('Error creating default admin user', error);
+      throw error;
+    }
+  }
+
+  async verifyPassword(password) {
+    return bcrypt.compare(password, this.passwordHash);
+  }
+
+  async recordLogin() {
+    try {
+      const result = await database.query(
+        'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING last_login_at',
+        [this.id]
+      );
+      this.lastLoginAt = result.rows[0].last_login_at;
+      return this;
+    } catch (error) {
+      logger.error('Error recording user login', error);
+      throw error;
+    }
+  }
+
+  // Changes the role, customer, distributor, active flag or password
+  async update(updateData) {
+    try {
+      const fields = [];
+      const values = [];
+
+      if (updateData.password !== undefined) {
+        values.push(await bcrypt.hash(updateData.password, config.auth.bcryptRounds));
+        fields.push(`password_hash = $${values.length}`);
+      }
+      const columns = [['role', 'role'], ['customerId', 'customer_id'], ['distributorId', 'distributor_id'], ['isActive', 'is_active']];
+      for (const [key, column] of columns) {
+        if (updateData[key] !== undefined) {
+          values.push(updateData[key]);
+          fields.push(`${column} = $${values.length}`);
+        }
+      }
+
+      if (fields.length === 0) {
+        return this;
+      }
+
+      values.push(this.id);
+      const query = `
+        UPDATE users
+        SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${values.length}
+        RETURNING *
+      `;
+
+      const result = await database.query(query, values);
+      if (result.rows.length > 0) {
+        Object.assign(this, new User(result.rows[0]));
+        logger.info('User updated', { userId: this.id });
+      }
+
+      return this;
+    } catch (error) {
+      logger.error('Error updating user', error);
+      throw error;
+    }
+  }
+
+  // Claims carried in the user's access token
+  toTokenPayload() {
+    return {
+      id: this.id,
+      username: this.username,
+      role: this.role,
+      customerId: this.customerId,
+      distributorId: this.distributorId
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      username: this.username,
+      role: this.role,
+      customerId: this.customerId,
+      distributorId: this.distributorId,
+      isActive: this.isActive,
+      lastLoginAt: this.lastLoginAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+}
+
+module.exports = User;
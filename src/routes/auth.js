@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const AuthController = require('../controllers/AuthController');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { validateLogin, validateUserCreation, validateUserUpdate } = require('../middleware/validation');
+
+// Sign in for an access token
+router.post('/login', validateLogin, AuthController.login);
+
+// The signed-in user with their role's permissions
+router.get('/me', authenticateToken, AuthController.getCurrentUser);
+
+// Manage API users
+router.get('/users', authenticateToken, authorize('users:manage'), AuthController.getUsers);
+router.post('/users', authenticateToken, validateUserCreation, authorize('users:manage'), AuthController.createUser);
+router.put('/users/:id', authenticateToken, validateUserUpdate, authorize('users:manage'), AuthController.updateUser);
+
+module.exports = router;
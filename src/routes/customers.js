@@ -1,27 +1,55 @@
 const express = require('express');
 const router = express.Router();
 const CustomerController = require('../controllers/CustomerController');
-const { validateCustomerCreation, validateCustomerUpdate, validateUUID, validatePagination } = require('../middleware/validation');
+const { authorize, owners } = require('../middleware/auth');
+const {
+  validateCustomerCreation, validateCustomerUpdate, validateKYCDocument, validateCapitalGainsQuery, validateCASQuery,
+  validateValuationQuery, validateId, validatePagination
+} = require('../middleware/validation');
 
 // Create customer
-router.post('/', validateCustomerCreation, CustomerController.createCustomer);
+router.post('/', validateCustomerCreation, authorize('customers:create'), CustomerController.createCustomer);
 
 // Get all customers with pagination and search
-router.get('/', validatePagination, CustomerController.getAllCustomers);
+router.get('/', validatePagination, authorize('customers:list'), CustomerController.getAllCustomers);
 
 // Search customers
-router.get('/search', validatePagination, CustomerController.searchCustomers);
+router.get('/search', validatePagination, authorize('customers:list'), CustomerController.searchCustomers);
 
 // Get customer statistics
-router.get('/stats', CustomerController.getCustomerStats);
+router.get('/stats', authorize('reports:read'), CustomerController.getCustomerStats);
+
+// Customers by KYC status
+router.get('/kyc/summary', authorize('reports:read'), CustomerController.getKYCSummary);
+
+// Consolidated Account Statement by PAN (?from=&to=&format=json|csv|html)
+router.get('/cas/:pan', validateCASQuery, authorize('customers:read', owners.customerByPAN), CustomerController.getCAS);
 
 // Get single customer
-router.get('/:id', validateUUID, CustomerController.getCustomer);
+router.get('/:id', validateId, authorize('customers:read', owners.customer()), CustomerController.getCustomer);
+
+// Get realised capital gains for a financial year (?fy=2024-25)
+router.get('/:id/capital-gains', validateCapitalGainsQuery, authorize('customers:read', owners.customer()), CustomerController.getCapitalGains);
+
+// Get portfolio XIRR, absolute return, CAGR and time-weighted return
+router.get('/:id/returns', validateId, authorize('customers:read', owners.customer()), CustomerController.getReturns);
+
+// Get daily portfolio valuations (?from=&to= as YYYY-MM-DD)
+router.get('/:id/valuations', validateValuationQuery, authorize('customers:read', owners.customer()), CustomerController.getValuations);
+
+// Get KYC status, documents, KRA requests and history
+router.get('/:id/kyc', validateId, authorize('customers:read', owners.customer()), CustomerController.getKYC);
+
+// Add a KYC document {documentType, documentNumber}
+router.post('/:id/kyc/documents', validateKYCDocument, authorize('customers:update', owners.customer()), CustomerController.addKYCDocument);
+
+// Submit KYC documents to the KRA for verification
+router.post('/:id/kyc/submit', validateId, authorize('customers:update', owners.customer()), CustomerController.submitKYC);
 
 // Update customer
-router.put('/:id', validateCustomerUpdate, CustomerController.updateCustomer);
+router.put('/:id', validateCustomerUpdate, authorize('customers:update', owners.customer()), CustomerController.updateCustomer);
 
 // Delete customer
-router.delete('/:id', validateUUID, CustomerController.deleteCustomer);
+router.delete('/:id', validateId, authorize('customers:delete'), CustomerController.deleteCustomer);
 
 module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const DistributorController = require('../controllers/DistributorController');
+const { authorize, owners } = require('../middleware/auth');
+const {
+  validateId,
+  validateDistributorCreation,
+  validateDistributorUpdate,
+  validateCommissionQuery,
+  validateBrokerageMonth
+} = require('../middleware/validation');
+
+// List distributors with their folios and AUM
+router.get('/', authorize('distributors:list'), DistributorController.getDistributors);
+
+// Direct and regular business by channel
+router.get('/analytics', authorize('reports:read'), DistributorController.getChannelAnalytics);
+
+// Generate a month's brokerage statements for every ARN
+router.post('/statements', validateBrokerageMonth, authorize('distributors:manage'), DistributorController.generateStatements);
+
+// Register a distributor
+router.post('/', validateDistributorCreation, authorize('distributors:manage'), DistributorController.createDistributor);
+
+// Get a distributor with its business by scheme
+router.get('/:id', validateId, authorize('distributors:read', owners.distributor()), DistributorController.getDistributor);
+
+// Update a distributor
+router.put('/:id', validateDistributorUpdate, authorize('distributors:manage'), DistributorController.updateDistributor);
+
+// Daily commission accrued to a distributor
+router.get('/:id/commissions', validateCommissionQuery, authorize('distributors:read', owners.distributor()), DistributorController.getCommissions);
+
+// A distributor's brokerage statements
+router.get('/:id/statements', validateId, authorize('distributors:read', owners.distributor()), DistributorController.getStatements);
+
+// A distributor's brokerage statement for a month
+router.get('/:id/statements/:month', validateBrokerageMonth, authorize('distributors:read', owners.distributor()), DistributorController.getStatement);
+
+module.exports = router;
@@ -1,30 +1,56 @@
 const express = require('express');
 const router = express.Router();
 const FolioController = require('../controllers/FolioController');
-const { validateFolioCreation, validateUUID, validatePagination } = require('../middleware/validation');
+const { authorize, owners } = require('../middleware/auth');
+const {
+  validateFolioCreation, validatePledge, validateCapitalGainsQuery, validateStatementQuery, validateDividendOption,
+  validateId, validateCustomerParam, validatePagination
+} = require('../middleware/validation');
 
 // Create folio
-router.post('/', validateFolioCreation, FolioController.createFolio);
+router.post('/', validateFolioCreation, authorize('folios:create', owners.newFolio), FolioController.createFolio);
 
 // Get all folios with pagination and filters
-router.get('/', validatePagination, FolioController.getAllFolios);
+router.get('/', validatePagination, authorize('folios:list'), FolioController.getAllFolios);
 
 // Get folio statistics
-router.get('/stats', FolioController.getFolioStats);
+router.get('/stats', authorize('reports:read'), FolioController.getFolioStats);
 
 // Get customer folios
-router.get('/customer/:customerId', validateUUID, validatePagination, FolioController.getCustomerFolios);
+router.get('/customer/:customerId', validateCustomerParam, validatePagination, authorize('folios:read', owners.customer('customerId')), FolioController.getCustomerFolios);
 
 // Get single folio
-router.get('/:id', validateUUID, FolioController.getFolio);
+router.get('/:id', validateId, authorize('folios:read', owners.folio()), FolioController.getFolio);
 
 // Update folio
-router.put('/:id', validateUUID, FolioController.updateFolio);
+router.put('/:id', validateId, authorize('folios:update', owners.folio()), FolioController.updateFolio);
 
 // Get folio holdings
-router.get('/:id/holdings', validateUUID, FolioController.getFolioHoldings);
+router.get('/:id/holdings', validateId, authorize('folios:read', owners.folio()), FolioController.getFolioHoldings);
+
+// Get locked, pledged and free units
+router.get('/:id/units', validateId, authorize('folios:read', owners.folio()), FolioController.getUnitBalance);
+
+// Pledge free units, or release pledged ones
+router.post('/:id/pledge', validatePledge, authorize('folios:pledge', owners.folio()), FolioController.pledgeUnits);
+router.post('/:id/release', validatePledge, authorize('folios:pledge', owners.folio()), FolioController.releaseUnits);
+
+// Get purchase lots (?open=true for those with units left)
+router.get('/:id/lots', validateId, authorize('folios:read', owners.folio()), FolioController.getPurchaseLots);
+
+// Get realised capital gains for a financial year (?fy=2024-25)
+router.get('/:id/capital-gains', validateCapitalGainsQuery, authorize('folios:read', owners.folio()), FolioController.getCapitalGains);
+
+// Choose growth, IDCW payout or IDCW reinvestment
+router.put('/:id/dividend-option', validateDividendOption, authorize('folios:update', owners.folio()), FolioController.setDividendOption);
+
+// Get account statement with exit loads (?from=&to= as YYYY-MM-DD)
+router.get('/:id/statement', validateStatementQuery, authorize('folios:read', owners.folio()), FolioController.getStatement);
+
+// Get XIRR, absolute return, CAGR and time-weighted return
+router.get('/:id/returns', validateId, authorize('folios:read', owners.folio()), FolioController.getReturns);
 
 // Get folio transactions
-router.get('/:id/transactions', validateUUID, validatePagination, FolioController.getFolioTransactions);
+router.get('/:id/transactions', validateId, validatePagination, authorize('folios:read', owners.folio()), FolioController.getFolioTransactions);
 
 module.exports = router;
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const HolidayController = require('../controllers/HolidayController');
+const { authorize } = require('../middleware/auth');
+const { validateHoliday, validateHolidayDate, validateHolidayYear } = require('../middleware/validation');
+
+// List holidays, optionally for one year
+router.get('/', validateHolidayYear, authorize('holidays:read'), HolidayController.getHolidays);
+
+// Add or replace a single holiday
+router.post('/', validateHoliday, authorize('holidays:manage'), HolidayController.addHoliday);
+
+// Is a date a business day?
+router.get('/check/:date', validateHolidayDate, authorize('holidays:read'), HolidayController.checkDate);
+
+// Replace a year's holidays with the posted calendar
+router.put('/years/:year', validateHolidayYear, authorize('holidays:manage'), HolidayController.importYear);
+
+// Reload a year from its bundled <year>.json file
+router.post('/years/:year/load', validateHolidayYear, authorize('holidays:manage'), HolidayController.loadYear);
+
+// Remove a holiday
+router.delete('/:date', validateHolidayDate, authorize('holidays:manage'), HolidayController.deleteHoliday);
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
 const router = express.Router();
+const { authenticateToken } = require('../middleware/auth');
 
 // Import all route modules
+const authRoutes = require('./auth');
 const customerRoutes = require('./customers');
 const folioRoutes = require('./folios');
 const transactionRoutes = require('./transactions');
 const sipRoutes = require('./sips');
+const stpRoutes = require('./stps');
+const swpRoutes = require('./swps');
 const schemeRoutes = require('./schemes');
+const holidayRoutes = require('./holidays');
+const distributorRoutes = require('./distributors');
 const simulationRoutes = require('./simulation');
 
 // API health check
@@ -19,12 +25,20 @@ router.get('/health', (req, res) => {
   });
 });
 
+// Sign-in is open; every other route needs a valid access token
+router.use('/auth', authRoutes);
+router.use(authenticateToken);
+
 // Mount route modules
 router.use('/customers', customerRoutes);
 router.use('/folios', folioRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/sips', sipRoutes);
+router.use('/stps', stpRoutes);
+router.use('/swps', swpRoutes);
 router.use('/schemes', schemeRoutes);
+router.use('/holidays', holidayRoutes);
+router.use('/distributors', distributorRoutes);
 router.use('/simulation', simulationRoutes);
 
 module.exports = router;
@@ -1,36 +1,67 @@
 const express = require('express');
 const router = express.Router();
 const SchemeController = require('../controllers/SchemeController');
-const { validateUUID, validatePagination } = require('../middleware/validation');
+const { authorize } = require('../middleware/auth');
+const {
+  validateId, validatePagination, validatePerformanceQuery, validateSchemeCreation, validateExitLoadStructure,
+  validateDividendDeclaration, validateCommissionStructure, validatePlanNAVQuery
+} = require('../middleware/validation');
 
-// Create scheme (admin only)
-router.post('/', SchemeController.createScheme);
+// Create scheme
+router.post('/', validateSchemeCreation, authorize('schemes:manage'), SchemeController.createScheme);
 
 // Get all schemes with pagination and filters
-router.get('/', validatePagination, SchemeController.getAllSchemes);
+router.get('/', validatePagination, authorize('schemes:read'), SchemeController.getAllSchemes);
 
 // Search schemes
-router.get('/search', validatePagination, SchemeController.searchSchemes);
+router.get('/search', validatePagination, authorize('schemes:read'), SchemeController.searchSchemes);
 
 // Get scheme statistics
-router.get('/stats', SchemeController.getSchemeStats);
+router.get('/stats', authorize('reports:read'), SchemeController.getSchemeStats);
 
 // Update all NAVs
-router.post('/update-navs', SchemeController.updateAllNAVs);
+router.post('/update-navs', authorize('navs:publish'), SchemeController.updateAllNAVs);
 
 // Get single scheme
-router.get('/:id', validateUUID, SchemeController.getScheme);
+router.get('/:id', validateId, authorize('schemes:read'), SchemeController.getScheme);
 
 // Update scheme
-router.put('/:id', validateUUID, SchemeController.updateScheme);
+router.put('/:id', validateId, authorize('schemes:manage'), SchemeController.updateScheme);
 
 // Get scheme current NAV
-router.get('/:id/nav', validateUUID, SchemeController.getSchemeNAV);
+router.get('/:id/nav', validateId, authorize('schemes:read'), SchemeController.getSchemeNAV);
 
 // Get scheme NAV history
-router.get('/:id/nav/history', validateUUID, SchemeController.getSchemeNAVHistory);
+router.get('/:id/nav/history', validateId, authorize('schemes:read'), SchemeController.getSchemeNAVHistory);
 
 // Get scheme performance
-router.get('/:id/performance', validateUUID, SchemeController.getSchemePerformance);
+router.get('/:id/performance', validateId, validatePerformanceQuery, authorize('schemes:read'), SchemeController.getSchemePerformance);
+
+// Get a scheme's direct and regular plan-options
+router.get('/:id/plans', validateId, authorize('schemes:read'), SchemeController.getPlans);
+
+// Get the portfolio and plan-option NAVs over a period
+router.get('/:id/plans/nav-history', validatePlanNAVQuery, authorize('schemes:read'), SchemeController.getPlanNAVHistory);
+
+// Compare plan-option performance, direct against regular
+router.get('/:id/plans/performance', validateId, validatePerformanceQuery, authorize('schemes:read'), SchemeController.comparePlanPerformance);
+
+// Get scheme exit load structures
+router.get('/:id/exit-loads', validateId, authorize('schemes:read'), SchemeController.getExitLoads);
+
+// Add an exit load structure from an effective date
+router.post('/:id/exit-loads', validateExitLoadStructure, authorize('schemes:manage'), SchemeController.addExitLoad);
+
+// Get scheme distributor commission structures
+router.get('/:id/commissions', validateId, authorize('schemes:read'), SchemeController.getCommissions);
+
+// Add a trail and upfront commission structure from an effective date
+router.post('/:id/commissions', validateCommissionStructure, authorize('schemes:manage'), SchemeController.addCommission);
+
+// Get scheme IDCW declarations
+router.get('/:id/dividends', validateId, authorize('schemes:read'), SchemeController.getDividends);
+
+// Declare an IDCW per unit for a record date
+router.post('/:id/dividends', validateDividendDeclaration, authorize('schemes:manage'), SchemeController.declareDividend);
 
 module.exports = router;
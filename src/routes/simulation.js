@@ -1,52 +1,121 @@
 const express = require('express');
 const router = express.Router();
 const SimulationController = require('../controllers/SimulationController');
-const { body } = require('express-validator');
-const { handleValidationErrors } = require('../middleware/validation');
+const ScenarioController = require('../controllers/ScenarioController');
+const { authorize } = require('../middleware/auth');
+const { body, param } = require('express-validator');
+const { handleValidationErrors, validatePagination } = require('../middleware/validation');
 
 // Validation for simulation config
+const generators = ['customerCreation', 'folioCreation', 'transactionCreation', 'camsProcessing', 'sipExecution', 'kycProcessing', 'navUpdates'];
+
 const validateSimulationConfig = [
-  body('config.customerCreation.enabled').optional().isBoolean(),
-  body('config.customerCreation.intervalSeconds').optional().isInt({ min: 1, max: 3600 }),
-  body('config.folioCreation.enabled').optional().isBoolean(),
-  body('config.folioCreation.intervalSeconds').optional().isInt({ min: 1, max: 3600 }),
-  body('config.transactionCreation.enabled').optional().isBoolean(),
-  body('config.transactionCreation.intervalSeconds').optional().isInt({ min: 1, max: 3600 }),
+  ...generators.flatMap(name => [
+    body(`config.${name}.enabled`).optional().isBoolean().toBoolean(),
+    body(`config.${name}.intervalSeconds`).optional().isInt({ min: 1, max: 604800 }).toInt(),
+    body(`config.${name}.batchSize`).optional().isInt({ min: 1, max: 1000 }).toInt(),
+    body(`config.${name}.probabilities.*`).optional().isFloat({ min: 0 }).toFloat()
+  ]),
+  body('config.seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('Seed must be an unsigned 32-bit integer'),
+  body('config.startDate').optional().isISO8601().withMessage('Valid start date required'),
+  body('config.scenario').optional().isString().withMessage('Scenario must be a scenario name'),
+  body('config.speed').optional().isFloat({ gt: 0, max: 1000000 }).withMessage('Speed must be a positive multiple of real time'),
+  handleValidationErrors
+];
+
+const validateClockSpeed = [
+  body('speed').isFloat({ gt: 0, max: 1000000 }).withMessage('Speed must be a positive multiple of real time'),
   handleValidationErrors
 ];
 
+const validateBackfill = [
+  body('from').isISO8601().withMessage('Valid from date required'),
+  body('to').isISO8601().withMessage('Valid to date required'),
+  body('seed').optional().isInt({ min: 0, max: 4294967295 }).withMessage('Seed must be an unsigned 32-bit integer'),
+  body('customersPerDay').optional().isInt({ min: 0, max: 1000 }),
+  body('folioRunsPerDay').optional().isInt({ min: 0, max: 1000 }),
+  body('transactionRunsPerDay').optional().isInt({ min: 0, max: 1000 }),
+  body('scenario').optional().isString().withMessage('Scenario must be a scenario name'),
+  handleValidationErrors
+];
+
+const validateScenarioName = [
+  param('name').matches(/^[a-z0-9][a-z0-9_-]{0,99}$/i).withMessage('Valid scenario name required'),
+  handleValidationErrors
+];
+
+// Scenario documents may be posted as JSON or as YAML text
+const parseScenarioText = express.text({ type: ['application/x-yaml', 'application/yaml', 'text/yaml', 'text/plain'] });
+
 const validateCount = [
   body('count').optional().isInt({ min: 1, max: 1000 }).withMessage('Count must be between 1 and 1000'),
   handleValidationErrors
 ];
 
+const validateFeedFile = [
+  param('fileName').matches(/^(R2|WBR2)_[A-Za-z0-9]+_\d{8}T\d{6}_\d{4}\.txt$/).withMessage('Valid feed file name required'),
+  handleValidationErrors
+];
+
+const validateRunId = [
+  param('id').isInt({ min: 1 }).withMessage('Valid run ID required'),
+  handleValidationErrors
+];
+
 // Get simulation status
-router.get('/status', SimulationController.getStatus);
+router.get('/status', authorize('simulation:read'), SimulationController.getStatus);
 
 // Get simulation metrics
-router.get('/metrics', SimulationController.getMetrics);
+router.get('/metrics', authorize('simulation:read'), SimulationController.getMetrics);
 
 // Start simulation
-router.post('/start', validateSimulationConfig, SimulationController.startSimulation);
+router.post('/start', validateSimulationConfig, authorize('simulation:control'), SimulationController.startSimulation);
 
 // Stop simulation
-router.post('/stop', SimulationController.stopSimulation);
+router.post('/stop', authorize('simulation:control'), SimulationController.stopSimulation);
 
 // Pause simulation
-router.post('/pause', SimulationController.pauseSimulation);
+router.post('/pause', authorize('simulation:control'), SimulationController.pauseSimulation);
 
 // Resume simulation
-router.post('/resume', SimulationController.resumeSimulation);
+router.post('/resume', authorize('simulation:control'), SimulationController.resumeSimulation);
 
 // Update simulation configuration
-router.put('/config', validateSimulationConfig, SimulationController.updateConfig);
+router.put('/config', validateSimulationConfig, authorize('simulation:control'), SimulationController.updateConfig);
 
 // Manual triggers
-router.post('/trigger/customers', validateCount, SimulationController.triggerCustomerCreation);
-router.post('/trigger/folios', validateCount, SimulationController.triggerFolioCreation);
-router.post('/trigger/transactions', validateCount, SimulationController.triggerTransactionCreation);
+router.post('/trigger/customers', validateCount, authorize('simulation:control'), SimulationController.triggerCustomerCreation);
+router.post('/trigger/folios', validateCount, authorize('simulation:control'), SimulationController.triggerFolioCreation);
+router.post('/trigger/transactions', validateCount, authorize('simulation:control'), SimulationController.triggerTransactionCreation);
+router.post('/trigger/cams', authorize('simulation:control'), SimulationController.triggerCAMSProcessing);
+router.post('/trigger/kyc', authorize('simulation:control'), SimulationController.triggerKYCProcessing);
+router.post('/trigger/valuations', authorize('simulation:control'), SimulationController.triggerValuations);
+router.post('/trigger/commissions', authorize('simulation:control'), SimulationController.triggerCommissions);
+
+// CAMS feed files
+router.get('/cams/feeds', authorize('simulation:read'), SimulationController.getCAMSFeeds);
+router.get('/cams/feeds/:fileName', validateFeedFile, authorize('simulation:read'), SimulationController.getCAMSFeed);
+
+// Recorded runs (seed and configuration) and deterministic replay
+router.get('/runs', validatePagination, authorize('simulation:read'), SimulationController.getRuns);
+router.get('/runs/:id', validateRunId, authorize('simulation:read'), SimulationController.getRun);
+router.post('/runs/:id/replay', validateRunId, authorize('simulation:control'), SimulationController.replayRun);
+
+// Simulated clock: current time, mode and speed (N x real time)
+router.get('/clock', authorize('simulation:read'), SimulationController.getClock);
+router.put('/clock', validateClockSpeed, authorize('simulation:control'), SimulationController.setClockSpeed);
+
+// Historical backfill, jumping the clock day by day through a date range
+router.post('/backfill', validateBackfill, authorize('simulation:control'), SimulationController.startBackfill);
+
+// Scenario definitions (built-in files and uploaded JSON/YAML)
+router.get('/scenarios', authorize('simulation:read'), ScenarioController.listScenarios);
+router.get('/scenarios/:name', validateScenarioName, authorize('simulation:read'), ScenarioController.getScenario);
+router.post('/scenarios', parseScenarioText, authorize('simulation:control'), ScenarioController.createScenario);
+router.put('/scenarios/:name', validateScenarioName, parseScenarioText, authorize('simulation:control'), ScenarioController.updateScenario);
+router.delete('/scenarios/:name', validateScenarioName, authorize('simulation:control'), ScenarioController.deleteScenario);
 
 // Reset simulation data
-router.post('/reset', SimulationController.resetSimulation);
+router.post('/reset', authorize('simulation:control'), SimulationController.resetSimulation);
 
 module.exports = router;
@@ -1,36 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const SIPController = require('../controllers/SIPController');
-const { validateSIPCreation, validateUUID, validatePagination } = require('../middleware/validation');
+const { authorize, owners } = require('../middleware/auth');
+const { validateSIPCreation, validateId, validateFolioParam, validatePagination } = require('../middleware/validation');
 
 // Create SIP
-router.post('/', validateSIPCreation, SIPController.createSIP);
+router.post('/', validateSIPCreation, authorize('plans:create', owners.folioInBody), SIPController.createSIP);
 
 // Get all SIPs with pagination and filters
-router.get('/', validatePagination, SIPController.getAllSIPs);
+router.get('/', validatePagination, authorize('plans:list'), SIPController.getAllSIPs);
 
 // Get SIP statistics
-router.get('/stats', SIPController.getSIPStats);
+router.get('/stats', authorize('reports:read'), SIPController.getSIPStats);
 
 // Execute all pending SIPs
-router.post('/execute', SIPController.executePendingSIPs);
+router.post('/execute', authorize('plans:execute'), SIPController.executePendingSIPs);
 
 // Get folio SIPs
-router.get('/folio/:folioId', validateUUID, validatePagination, SIPController.getFolioSIPs);
+router.get('/folio/:folioId', validateFolioParam, validatePagination, authorize('plans:read', owners.folio('folioId')), SIPController.getFolioSIPs);
 
 // Get single SIP
-router.get('/:id', validateUUID, SIPController.getSIP);
+router.get('/:id', validateId, authorize('plans:read', owners.sip), SIPController.getSIP);
 
 // Update SIP
-router.put('/:id', validateUUID, SIPController.updateSIP);
+router.put('/:id', validateId, authorize('plans:update', owners.sip), SIPController.updateSIP);
 
 // Pause SIP
-router.post('/:id/pause', validateUUID, SIPController.pauseSIP);
+router.post('/:id/pause', validateId, authorize('plans:update', owners.sip), SIPController.pauseSIP);
 
 // Resume SIP
-router.post('/:id/resume', validateUUID, SIPController.resumeSIP);
+router.post('/:id/resume', validateId, authorize('plans:update', owners.sip), SIPController.resumeSIP);
 
 // Cancel SIP
-router.post('/:id/cancel', validateUUID, SIPController.cancelSIP);
+router.post('/:id/cancel', validateId, authorize('plans:update', owners.sip), SIPController.cancelSIP);
 
 module.exports = router;
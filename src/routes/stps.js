@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const STPController = require('../controllers/STPController');
+const { authorize, owners } = require('../middleware/auth');
+const { validateSTPCreation, validateId, validatePagination } = require('../middleware/validation');
+
+// Register STP
+router.post('/', validateSTPCreation, authorize('plans:create', owners.folioInBody), STPController.create);
+
+// Get all STPs with pagination and filters
+router.get('/', validatePagination, authorize('plans:list'), STPController.getAll);
+
+// Get STP statistics
+router.get('/stats', authorize('reports:read'), STPController.getStats);
+
+// Get single STP
+router.get('/:id', validateId, authorize('plans:read', owners.stp), STPController.get);
+
+// Pause STP
+router.post('/:id/pause', validateId, authorize('plans:update', owners.stp), STPController.pause);
+
+// Resume STP
+router.post('/:id/resume', validateId, authorize('plans:update', owners.stp), STPController.resume);
+
+// Cancel STP
+router.post('/:id/cancel', validateId, authorize('plans:update', owners.stp), STPController.cancel);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const SWPController = require('../controllers/SWPController');
+const { authorize, owners } = require('../middleware/auth');
+const { validateSWPCreation, validateId, validatePagination } = require('../middleware/validation');
+
+// Register SWP
+router.post('/', validateSWPCreation, authorize('plans:create', owners.folioInBody), SWPController.create);
+
+// Get all SWPs with pagination and filters
+router.get('/', validatePagination, authorize('plans:list'), SWPController.getAll);
+
+// Get SWP statistics
+router.get('/stats', authorize('reports:read'), SWPController.getStats);
+
+// Get single SWP
+router.get('/:id', validateId, authorize('plans:read', owners.swp), SWPController.get);
+
+// Pause SWP
+router.post('/:id/pause', validateId, authorize('plans:update', owners.swp), SWPController.pause);
+
+// Resume SWP
+router.post('/:id/resume', validateId, authorize('plans:update', owners.swp), SWPController.resume);
+
+// Cancel SWP
+router.post('/:id/cancel', validateId, authorize('plans:update', owners.swp), SWPController.cancel);
+
+module.exports = router;
@@ -1,30 +1,39 @@
 const express = require('express');
 const router = express.Router();
 const TransactionController = require('../controllers/TransactionController');
-const { validateTransactionCreation, validateUUID, validatePagination } = require('../middleware/validation');
+const { authorize, owners } = require('../middleware/auth');
+const {
+  validateTransactionCreation, validateId, validateFolioParam, validatePagination, validateTransactionHistory, validateSwitch, validateChargesQuery
+} = require('../middleware/validation');
 
 // Create transaction
-router.post('/', validateTransactionCreation, TransactionController.createTransaction);
+router.post('/', validateTransactionCreation, authorize('transactions:create', owners.folioInBody), TransactionController.createTransaction);
+
+// Switch between schemes (linked switch-out and switch-in)
+router.post('/switch', validateSwitch, authorize('transactions:create', owners.folioInBody), TransactionController.createSwitch);
 
 // Get all transactions with pagination and filters
-router.get('/', validatePagination, TransactionController.getAllTransactions);
+router.get('/', validatePagination, authorize('transactions:list'), TransactionController.getAllTransactions);
 
 // Get transaction statistics
-router.get('/stats', TransactionController.getTransactionStats);
+router.get('/stats', authorize('reports:read'), TransactionController.getTransactionStats);
 
 // Get transaction history
-router.get('/history', TransactionController.getTransactionHistory);
+router.get('/history', validateTransactionHistory, authorize('transactions:list'), TransactionController.getTransactionHistory);
+
+// Get stamp duty, STT and TDS per allotment date
+router.get('/charges', validateChargesQuery, authorize('reports:read'), TransactionController.getDailyCharges);
 
 // Get folio transactions
-router.get('/folio/:folioId', validateUUID, validatePagination, TransactionController.getFolioTransactions);
+router.get('/folio/:folioId', validateFolioParam, validatePagination, authorize('transactions:read', owners.folio('folioId')), TransactionController.getFolioTransactions);
 
 // Get single transaction
-router.get('/:id', validateUUID, TransactionController.getTransaction);
+router.get('/:id', validateId, authorize('transactions:read', owners.transaction), TransactionController.getTransaction);
 
 // Update transaction
-router.put('/:id', validateUUID, TransactionController.updateTransaction);
+router.put('/:id', validateId, authorize('transactions:process'), TransactionController.updateTransaction);
 
 // Process transaction through CAMS
-router.post('/:id/process', validateUUID, TransactionController.processTransaction);
+router.post('/:id/process', validateId, authorize('transactions:process'), TransactionController.processTransaction);
 
 module.exports = router;
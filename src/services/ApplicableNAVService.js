@@ -0,0 +1,79 @@
+const Scheme = require('../models/Scheme');
+const SimulationClock = require('./SimulationClock');
+const HolidayCalendar = require('./HolidayCalendar');
+const config = require('../config');
+
+// SEBI applicable-NAV rules: which day's NAV an order is allotted at.
+//
+//   Equity, hybrid and debt purchases - 3 PM cut-off, counted from when the
+//     funds are realised; same-day NAV before it, next trading day after.
+//   Liquid and overnight purchases - 1:30 PM cut-off on realised funds; NAV of
+//     the calendar day before the day the order counts for (T-1).
+//   Redemptions and switch-outs - 3 PM cut-off; same-day NAV before it, next trading day after.
+class ApplicableNAVService {
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  isLiquid(scheme) {
+    return config.navRules.liquidSubCategories.includes(scheme.subCategory);
+  }
+
+  // Switch-ins count as purchases and switch-outs as redemptions
+  isPurchase(transaction) {
+    return transaction.transactionType !== config.transactionTypes.REDEMPTION &&
+      transaction.transactionType !== config.transactionTypes.SWITCH_OUT;
+  }
+
+  getCutoffTime(scheme, transaction) {
+    return this.isPurchase(transaction) && this.isLiquid(scheme)
+      ? config.navRules.liquidCutoffTime
+      : config.navRules.cutoffTime;
+  }
+
+  // Purchases only count once the money has been realised, and those held
+  // for the investor's KYC once it was verified
+  getEffectiveTime(transaction) {
+    const ordered = new Date(transaction.transactionDate);
+    if (!this.isPurchase(transaction)) {
+      return ordered;
+    }
+
+    return [transaction.fundsRealisedAt, transaction.releasedAt]
+      .filter(Boolean)
+      .map(time => new Date(time))
+      .reduce((latest, time) => (time > latest ? time : latest), ordered);
+  }
+
+  // Applicable NAV date as YYYY-MM-DD (IST calendar date)
+  getApplicableNavDate(scheme, transaction) {
+    const effective = SimulationClock.toIST(this.getEffectiveTime(transaction));
+    let day = new Date(Date.UTC(effective.year, effective.month - 1, effective.dayOfMonth));
+
+    // NAVs are published for the days the exchanges trade
+    const { EXCHANGE } = HolidayCalendar.CALENDARS;
+    const received = effective.hour * 60 + effective.minute;
+    if (!HolidayCalendar.isBusinessDay(day, EXCHANGE) || received >= this.toMinutes(this.getCutoffTime(scheme, transaction))) {
+      day = HolidayCalendar.nextBusinessDay(day, EXCHANGE);
+    }
+
+    // Liquid funds accrue every calendar day but NAVs are only published on
+    // trading days here, so a T-1 on a non-trading day takes the one before it
+    if (this.isPurchase(transaction) && this.isLiquid(scheme)) {
+      day = HolidayCalendar.previousBusinessDay(day, EXCHANGE);
+    }
+
+    return day.toISOString().split('T')[0];
+  }
+
+  // { navDate, nav } from nav_history, or null while that NAV is unpublished
+  async getApplicableNAV(scheme, transaction) {
+    const navDate = this.getApplicableNavDate(scheme, transaction);
+    const published = await Scheme.findNAVForDate(scheme.id, navDate);
+
+    return published ? { navDate, nav: published.nav } : null;
+  }
+}
+
+module.exports = new ApplicableNAVService();
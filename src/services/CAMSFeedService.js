@@ -0,0 +1,227 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Transaction = require('../models/Transaction');
+const Scheme = require('../models/Scheme');
+const CAMSFeed = require('../cams/CAMSFeed');
+const CAMSEmulator = require('../cams/CAMSEmulator');
+const SwitchService = require('./SwitchService');
+const SimulationClock = require('./SimulationClock');
+const HolidayCalendar = require('./HolidayCalendar');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Days of NAVs sent in the first NAV feed, or after the clock moved back
+const NAV_LOOKBACK_DAYS = 31;
+
+// Records of one kind, once each by key
+const uniqueBy = (records, key) => [...new Map(records.map(record => [record[key], record])).values()];
+
+// AMC side of the registrar exchange: exports published NAVs, and pending
+// transactions as R2 feeds with the scheme and investor master they need, and
+// applies the WBR2 reverse feeds the registrar sends back
+class CAMSFeedService {
+  constructor() {
+    this.sequence = 0;
+    this.navsExportedThrough = null;
+  }
+
+  // Sends the NAVs published since the last NAV feed, the latest date again
+  // in case more schemes have published for it since
+  async exportNAVFeed(asOf = SimulationClock.now()) {
+    try {
+      const today = HolidayCalendar.toDateKey(asOf);
+      const from = this.navsExportedThrough && this.navsExportedThrough <= today
+        ? this.navsExportedThrough
+        : HolidayCalendar.toDateKey(new Date(asOf.getTime() - NAV_LOOKBACK_DAYS * 24 * 60 * 60 * 1000));
+      const navs = await Scheme.findNAVsBetween(from, today);
+      if (navs.length === 0) {
+        return { fileName: null, records: 0 };
+      }
+
+      const { inbox } = await CAMSFeed.ensureDirectories();
+      this.sequence++;
+      const fileName = await CAMSFeed.write(inbox, 'NAV', `NAV${String(this.sequence).padStart(6, '0')}`, asOf, this.sequence, navs);
+      this.navsExportedThrough = navs[navs.length - 1].navDate;
+
+      logger.debug('NAV feed exported', { fileName, records: navs.length });
+      return { fileName, records: navs.length };
+    } catch (error) {
+      logger.error('Error exporting CAMS NAV feed', error);
+      throw error;
+    }
+  }
+
+  async exportTransactionFeed(asOf = SimulationClock.now(), limit = 100) {
+    try {
+      const pending = await Transaction.findPendingForCAMS(limit, asOf);
+      if (pending.length === 0) {
+        return { fileName: null, records: 0 };
+      }
+
+      const ids = pending.map(transaction => transaction.id);
+      const records = await Transaction.findFeedDetails(ids);
+      const { inbox } = await CAMSFeed.ensureDirectories();
+
+      this.sequence++;
+      const sequence = String(this.sequence).padStart(6, '0');
+      // The master feeds go first so the registrar has them when it reads the R2
+      await CAMSFeed.write(inbox, 'SM', `SM${sequence}`, asOf, this.sequence, uniqueBy(records.map(record => record.scheme), 'schemeCode'));
+      await CAMSFeed.write(inbox, 'IM', `IM${sequence}`, asOf, this.sequence, uniqueBy(records.map(record => record.investor), 'panNumber'));
+      const batchId = `R2${sequence}`;
+      const fileName = await CAMSFeed.write(inbox, 'R2', batchId, asOf, this.sequence, records);
+      await Transaction.markSentToCAMS(ids);
+
+      logger.info('R2 transaction feed exported', { fileName, records: records.length });
+      return { fileName, records: records.length };
+    } catch (error) {
+      logger.error('Error exporting CAMS transaction feed', error);
+      throw error;
+    }
+  }
+
+  async applyReverseRecord(record) {
+    const transaction = await Transaction.findByTransactionId(record.transactionId);
+    // Only transactions still awaiting the registrar; duplicates are ignored
+    if (!transaction || transaction.camsStatus !== config.statuses.cams.SENT) {
+      return null;
+    }
+
+    const processedAt = record.processedAt ? new Date(record.processedAt) : SimulationClock.now();
+    if (transaction.isSwitch()) {
+      return this.applySwitchRecord(transaction, record, processedAt);
+    }
+
+    // Units are allotted at the AMC's own applicable NAV, which the
+    // registrar's NAV date should agree with. Redemptions short of free
+    // units are rejected by the AMC itself.
+    if (record.status === CAMSFeed.OUTCOMES.PROCESSED && await transaction.process(processedAt)) {
+      if (!transaction.isProcessed()) {
+        return 'rejected';
+      }
+      if (transaction.nav !== record.nav) {
+        logger.warn('Registrar NAV differs from applicable NAV', {
+          transactionId: transaction.transactionId,
+          registrarNav: record.nav,
+          nav: transaction.nav
+        });
+      }
+      await transaction.updateCAMSStatus(config.statuses.cams.PROCESSED, record.camsReference, processedAt);
+      return 'processed';
+    }
+
+    if (record.status === CAMSFeed.OUTCOMES.REJECTED) {
+      await transaction.reject(record.reason, record.camsReference, processedAt);
+      return 'rejected';
+    }
+
+    // Technical failure, or a NAV the AMC has not published: queue it for the next R2 feed
+    await transaction.updateCAMSStatus(config.statuses.cams.PENDING, null, processedAt);
+    return 'failed';
+  }
+
+  // The registrar confirms each switch leg on its own; both are allotted
+  // together once the second is confirmed, and rejecting either rejects both
+  async applySwitchRecord(transaction, record, processedAt) {
+    if (record.status === CAMSFeed.OUTCOMES.PROCESSED) {
+      const linked = await Transaction.findByTransactionId(transaction.linkedTransactionId);
+      const outcome = linked.isCAMSProcessed() ? await SwitchService.allot(transaction, linked, processedAt) : 'processed';
+      if (outcome === 'processed') {
+        await transaction.updateCAMSStatus(config.statuses.cams.PROCESSED, record.camsReference, processedAt);
+      }
+      if (outcome) {
+        return outcome;
+      }
+    }
+
+    if (record.status === CAMSFeed.OUTCOMES.REJECTED) {
+      await SwitchService.reject(transaction, record.reason, record.camsReference, processedAt);
+      return 'rejected';
+    }
+
+    await transaction.updateCAMSStatus(config.statuses.cams.PENDING, null, processedAt);
+    return 'failed';
+  }
+
+  async importReverseFeeds() {
+    try {
+      const { outbox } = await CAMSFeed.ensureDirectories();
+      const files = await CAMSFeed.list(outbox, 'WBR2');
+      const summary = { feeds: files.length, processed: 0, rejected: 0, failed: 0, ignored: 0 };
+
+      for (const file of files) {
+        let feed;
+        try {
+          feed = await CAMSFeed.read(outbox, file);
+        } catch (error) {
+          logger.error(`Skipping malformed WBR2 feed ${file}`, { error: error.message });
+          await CAMSFeed.archive(outbox, file);
+          continue;
+        }
+
+        for (const record of feed.records) {
+          const outcome = await this.applyReverseRecord(record);
+          summary[outcome || 'ignored']++;
+        }
+        await CAMSFeed.archive(outbox, file);
+      }
+
+      if (files.length > 0) {
+        logger.info('WBR2 reverse feeds imported', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Error importing CAMS reverse feeds', error);
+      throw error;
+    }
+  }
+
+  // One exchange with the registrar. When the emulator runs as its own
+  // process it picks the R2 feed up itself; the reverse feed is imported
+  // on a later cycle.
+  async runCycle(asOf = SimulationClock.now(), options = {}) {
+    await this.exportNAVFeed(asOf);
+    const exported = await this.exportTransactionFeed(asOf, options.limit);
+    const registrar = config.cams.externalEmulator ? null : await CAMSEmulator.processFeeds(asOf, options);
+    const imported = await this.importReverseFeeds();
+
+    return { exported, registrar, imported };
+  }
+
+  async listFeeds() {
+    try {
+      const directories = await CAMSFeed.ensureDirectories();
+      const listing = {};
+      for (const name of ['inbox', 'outbox', 'archive']) {
+        const files = (await fs.readdir(directories[name])).filter(file => file.endsWith('.txt')).sort();
+        listing[name] = files;
+      }
+
+      const held = await CAMSEmulator.readHeld(directories.held);
+      listing.held = held.length;
+      listing.directory = directories.root;
+      return listing;
+    } catch (error) {
+      logger.error('Error listing CAMS feeds', error);
+      throw error;
+    }
+  }
+
+  async readFeed(fileName) {
+    const directories = CAMSFeed.getDirectories();
+    // Never resolve outside the feed directories
+    if (path.basename(fileName) !== fileName) {
+      return null;
+    }
+
+    for (const name of ['inbox', 'outbox', 'archive']) {
+      try {
+        return await CAMSFeed.read(directories[name], fileName);
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = new CAMSFeedService();
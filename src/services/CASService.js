@@ -0,0 +1,261 @@
+const Customer = require('../models/Customer');
+const Folio = require('../models/Folio');
+const Scheme = require('../models/Scheme');
+const Transaction = require('../models/Transaction');
+const StatementService = require('./StatementService');
+const CapitalGainsService = require('./CapitalGainsService');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const CSV_COLUMNS = [
+  'Folio No', 'Scheme Code', 'Scheme Name', 'Date', 'Transaction',
+  'Amount (INR)', 'Units', 'Price (INR)', 'Unit Balance'
+];
+const MAX_FOLIOS = 1000;
+
+// YYYY-MM-DD as DD-Mon-YYYY, the registrars' date style
+function formatDate(dateKey) {
+  if (!dateKey) return '';
+  const [year, month, day] = dateKey.split('-');
+  return `${day}-${MONTHS[parseInt(month) - 1]}-${year}`;
+}
+
+function formatAmount(value) {
+  return value.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function formatUnits(value) {
+  return value.toFixed(3);
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Charge lines printed under a transaction, as '*** Stamp Duty ***' rows
+function chargeLines(entry) {
+  return [
+    ['*** Stamp Duty ***', entry.stampDuty],
+    ['*** Exit Load ***', entry.exitLoadAmount],
+    ['*** STT Paid ***', entry.sttAmount],
+    ['*** TDS Deducted ***', entry.tdsAmount]
+  ].filter(([, amount]) => amount > 0);
+}
+
+// Consolidated Account Statement of an investor: every folio's opening
+// balance, transactions with NAV, units and charges, closing units, cost value
+// and market value at the period-end NAV, laid out like the registrars' CAS
+// and rendered as JSON, CSV or printable HTML
+class CASService {
+  // CAS for a PAN between two YYYY-MM-DD dates (inclusive). The period runs
+  // from the start of the financial year by default, to today. Returns null
+  // if no investor has the PAN.
+  async getStatement(panNumber, { from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      const fromDate = from || CapitalGainsService.getFinancialYearRange(CapitalGainsService.getFinancialYear(toDate)).from;
+      if (fromDate > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const customer = await Customer.findByPAN(panNumber);
+      if (!customer) {
+        return null;
+      }
+
+      const folios = [];
+      for (const { folio } of await Folio.findByCustomer(customer.id, MAX_FOLIOS)) {
+        const [scheme, transactions, periodEndNAV] = await Promise.all([
+          Scheme.findById(folio.schemeId),
+          Transaction.findProcessedByFolio(folio.id, toDate),
+          Scheme.findNAVOnOrBefore(folio.schemeId, toDate)
+        ]);
+        const statement = StatementService.buildFolioStatement(transactions, { from: fromDate, to: toDate }, periodEndNAV);
+
+        // Folios with nothing held and nothing done in the period are left out
+        if (statement.entries.length === 0 && statement.openingUnits === 0 && statement.closingUnits === 0) {
+          continue;
+        }
+
+        folios.push({
+          folioNumber: folio.folioNumber,
+          amcCode: scheme.amcCode,
+          schemeCode: scheme.schemeCode,
+          schemeName: scheme.schemeName,
+          category: scheme.category,
+          dividendOption: folio.dividendOption,
+          nominationRegistered: folio.nominationRegistered,
+          jointHolders: [folio.jointHolder1, folio.jointHolder2].filter(Boolean),
+          ...statement
+        });
+      }
+
+      folios.sort((a, b) => a.folioNumber.localeCompare(b.folioNumber) || a.schemeCode.localeCompare(b.schemeCode));
+
+      return {
+        statementPeriod: { from: fromDate, to: toDate },
+        investor: {
+          name: customer.getFullName(),
+          panNumber: customer.panNumber,
+          email: customer.email,
+          phone: customer.phone,
+          address: customer.address,
+          kycStatus: customer.kycStatus
+        },
+        summary: {
+          costValue: Utils.round(folios.reduce((sum, folio) => sum + folio.costValue, 0), 2),
+          marketValue: Utils.round(folios.reduce((sum, folio) => sum + folio.marketValue, 0), 2),
+          holdings: folios.map(folio => ({
+            folioNumber: folio.folioNumber,
+            schemeCode: folio.schemeCode,
+            schemeName: folio.schemeName,
+            closingUnits: folio.closingUnits,
+            navDate: folio.navDate,
+            nav: folio.nav,
+            costValue: folio.costValue,
+            marketValue: folio.marketValue
+          }))
+        },
+        folios
+      };
+    } catch (error) {
+      logger.error('Error generating CAS', error);
+      throw error;
+    }
+  }
+
+  // One row per opening balance, transaction, charge and closing balance
+  toCSV(cas) {
+    const rows = [CSV_COLUMNS];
+
+    for (const folio of cas.folios) {
+      const row = (date, description, amount, units, price, balance) => rows.push([
+        folio.folioNumber, folio.schemeCode, folio.schemeName, date, description, amount, units, price, balance
+      ]);
+
+      row(formatDate(cas.statementPeriod.from), 'Opening Unit Balance', '', '', '', formatUnits(folio.openingUnits));
+      for (const entry of folio.entries) {
+        row(formatDate(entry.date), entry.description, entry.amount.toFixed(2), formatUnits(entry.units),
+          entry.nav !== null ? entry.nav.toFixed(4) : '', formatUnits(entry.balanceUnits));
+        for (const [description, amount] of chargeLines(entry)) {
+          row(formatDate(entry.date), description, amount.toFixed(2), '', '', '');
+        }
+      }
+      row(formatDate(cas.statementPeriod.to), 'Closing Unit Balance', '', '', '', formatUnits(folio.closingUnits));
+      row(formatDate(folio.navDate), 'Total Cost Value', folio.costValue.toFixed(2), '', '', '');
+      row(formatDate(folio.navDate), 'Market Value', folio.marketValue.toFixed(2), formatUnits(folio.closingUnits),
+        folio.nav !== null ? folio.nav.toFixed(4) : '', '');
+    }
+
+    return rows.map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+  }
+
+  // Self-contained page for printing: investor header, portfolio summary,
+  // then each folio's transactions
+  toHTML(cas) {
+    const { investor, statementPeriod, summary } = cas;
+    const period = `${formatDate(statementPeriod.from)} To ${formatDate(statementPeriod.to)}`;
+
+    const summaryRows = summary.holdings.map(holding => `
+        <tr>
+          <td>${escapeHtml(holding.folioNumber)}</td>
+          <td>${escapeHtml(holding.schemeName)}</td>
+          <td class="num">${formatUnits(holding.closingUnits)}</td>
+          <td class="num">${formatAmount(holding.costValue)}</td>
+          <td class="num">${formatAmount(holding.marketValue)}</td>
+        </tr>`).join('');
+
+    const folioSections = cas.folios.map(folio => {
+      const lines = folio.entries.map(entry => `
+          <tr>
+            <td>${formatDate(entry.date)}</td>
+            <td>${escapeHtml(entry.description)}</td>
+            <td class="num">${formatAmount(entry.amount)}</td>
+            <td class="num">${formatUnits(entry.units)}</td>
+            <td class="num">${entry.nav !== null ? entry.nav.toFixed(4) : ''}</td>
+            <td class="num">${formatUnits(entry.balanceUnits)}</td>
+          </tr>${chargeLines(entry).map(([description, amount]) => `
+          <tr class="charge">
+            <td>${formatDate(entry.date)}</td>
+            <td>${description}</td>
+            <td class="num">${formatAmount(amount)}</td>
+            <td></td><td></td><td></td>
+          </tr>`).join('')}`).join('');
+
+      return `
+    <section class="folio">
+      <h3>${escapeHtml(folio.schemeCode)} - ${escapeHtml(folio.schemeName)}</h3>
+      <p>Folio No: ${escapeHtml(folio.folioNumber)} &nbsp; PAN: ${escapeHtml(investor.panNumber)} &nbsp; KYC: ${escapeHtml(investor.kycStatus)}
+        &nbsp; Option: ${escapeHtml(folio.dividendOption)} &nbsp; Nominee: ${folio.nominationRegistered ? 'Registered' : 'Not registered'}</p>
+      ${folio.jointHolders.length > 0 ? `<p>Joint Holders: ${folio.jointHolders.map(escapeHtml).join(', ')}</p>` : ''}
+      <table>
+        <thead>
+          <tr><th>Date</th><th>Transaction</th><th>Amount (INR)</th><th>Units</th><th>Price (INR)</th><th>Unit Balance</th></tr>
+        </thead>
+        <tbody>
+          <tr class="balance"><td colspan="5">Opening Unit Balance</td><td class="num">${formatUnits(folio.openingUnits)}</td></tr>${lines}
+          <tr class="balance"><td colspan="5">Closing Unit Balance</td><td class="num">${formatUnits(folio.closingUnits)}</td></tr>
+        </tbody>
+      </table>
+      <p class="valuation">NAV on ${formatDate(folio.navDate)}: INR ${folio.nav !== null ? folio.nav.toFixed(4) : '-'}
+        &nbsp; Total Cost Value: ${formatAmount(folio.costValue)}
+        &nbsp; Market Value on ${formatDate(folio.navDate)}: INR ${formatAmount(folio.marketValue)}</p>
+    </section>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Consolidated Account Statement - ${escapeHtml(investor.panNumber)}</title>
+  <style>
+    body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; margin: 24px; color: #000; }
+    h1 { font-size: 16px; text-align: center; margin-bottom: 4px; }
+    h2 { font-size: 13px; border-bottom: 1px solid #000; padding-bottom: 2px; }
+    h3 { font-size: 12px; margin: 16px 0 4px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 6px; }
+    th, td { border: 1px solid #999; padding: 3px 5px; text-align: left; }
+    th { background: #eee; }
+    .num { text-align: right; }
+    .charge td { color: #555; font-style: italic; }
+    .balance td { font-weight: bold; }
+    .folio { page-break-inside: avoid; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Consolidated Account Statement</h1>
+  <p style="text-align: center">${period}</p>
+  <h2>Investor</h2>
+  <p>${escapeHtml(investor.name)}<br>${escapeHtml(investor.address)}<br>
+    Email: ${escapeHtml(investor.email)} &nbsp; Mobile: ${escapeHtml(investor.phone)}<br>
+    PAN: ${escapeHtml(investor.panNumber)} &nbsp; KYC: ${escapeHtml(investor.kycStatus)}</p>
+  <h2>Portfolio Summary</h2>
+  <table>
+    <thead>
+      <tr><th>Folio No</th><th>Scheme</th><th>Closing Units</th><th>Cost Value (INR)</th><th>Market Value (INR)</th></tr>
+    </thead>
+    <tbody>${summaryRows}
+      <tr class="balance"><td colspan="3">Total</td><td class="num">${formatAmount(summary.costValue)}</td><td class="num">${formatAmount(summary.marketValue)}</td></tr>
+    </tbody>
+  </table>
+  <h2>Transactions for ${period}</h2>${folioSections}
+</body>
+</html>
+`;
+  }
+}
+
+module.exports = new CASService();
@@ -0,0 +1,200 @@
+const database = require('../config/database');
+const PurchaseLot = require('../models/PurchaseLot');
+const RealisedGain = require('../models/RealisedGain');
+const Scheme = require('../models/Scheme');
+const ExitLoadService = require('./ExitLoadService');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const FINANCIAL_YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
+const TERMS = { SHORT: 'SHORT_TERM', LONG: 'LONG_TERM' };
+
+// YYYY-MM-DD some months after another, clamped to the month end
+function addMonths(dateKey, months) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const lastDayOfMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfMonth))).toISOString().split('T')[0];
+}
+
+function sumGains(gains) {
+  const totals = gains.reduce((sum, gain) => ({
+    realisations: sum.realisations + 1,
+    units: sum.units + gain.units,
+    costAmount: sum.costAmount + gain.costAmount,
+    saleValue: sum.saleValue + gain.saleValue,
+    exitLoadAmount: sum.exitLoadAmount + gain.exitLoadAmount,
+    gain: sum.gain + gain.gain
+  }), { realisations: 0, units: 0, costAmount: 0, saleValue: 0, exitLoadAmount: 0, gain: 0 });
+
+  return {
+    realisations: totals.realisations,
+    units: Utils.round(totals.units, 6),
+    costAmount: Utils.round(totals.costAmount, 2),
+    saleValue: Utils.round(totals.saleValue, 2),
+    exitLoadAmount: Utils.round(totals.exitLoadAmount, 2),
+    gain: Utils.round(totals.gain, 2)
+  };
+}
+
+// Purchase-lot ledger and realised capital gains. Every processed purchase or
+// switch-in opens a lot at its cost; redemptions and switch-outs consume lots
+// first in, first out, recording the gain on each as short- or long-term by
+// its holding period and the scheme's tax class.
+class CapitalGainsService {
+  getTaxClass(scheme) {
+    const { taxClassBySubCategory, taxClassByCategory } = config.capitalGains;
+    return taxClassBySubCategory[scheme.subCategory] || taxClassByCategory[scheme.category] || 'DEBT';
+  }
+
+  // Term of a gain on units of a tax class held between two YYYY-MM-DD dates
+  getTerm(taxClass, acquisitionDate, redemptionDate) {
+    const { longTermMonths, revisedDebtLongTerm, debtShortTermOnlyFrom } = config.capitalGains;
+    let months = longTermMonths[taxClass];
+
+    if (taxClass === 'DEBT') {
+      if (acquisitionDate >= debtShortTermOnlyFrom) {
+        return TERMS.SHORT;
+      }
+      if (redemptionDate >= revisedDebtLongTerm.from) {
+        months = revisedDebtLongTerm.months;
+      }
+    }
+
+    // Long-term only once held for more than the full period
+    return redemptionDate > addMonths(acquisitionDate, months) ? TERMS.LONG : TERMS.SHORT;
+  }
+
+  // Indian financial year (April to March) of a date, e.g. 2024-25
+  getFinancialYear(date = SimulationClock.now()) {
+    const [year, month] = HolidayCalendar.toDateKey(date).split('-').map(Number);
+    const start = month >= 4 ? year : year - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  }
+
+  getFinancialYearRange(financialYear) {
+    const match = FINANCIAL_YEAR_PATTERN.exec(financialYear);
+    if (!match || (parseInt(match[1]) + 1) % 100 !== parseInt(match[2])) {
+      throw Utils.validationError('Financial year must look like 2024-25');
+    }
+    const start = parseInt(match[1]);
+    return { from: `${start}-04-01`, to: `${start + 1}-03-31` };
+  }
+
+  // Opens a lot for a processed purchase or switch-in
+  async recordInflow(transaction, db = database) {
+    if (!(transaction.units > 0)) {
+      return null;
+    }
+
+    return PurchaseLot.create({
+      folioId: transaction.folioId,
+      schemeId: transaction.schemeId,
+      customerId: transaction.customerId,
+      transactionId: transaction.transactionId,
+      allotmentDate: HolidayCalendar.toDateKey(transaction.navDate || transaction.processDate),
+      units: transaction.units,
+      costAmount: transaction.amount
+    }, db);
+  }
+
+  // Consumes lots for a processed redemption or switch-out and records the
+  // gain on each, net of the exit load charged on that lot. Returns
+  // { costAmount, gains }, costAmount being what leaves the holding's
+  // invested amount.
+  async recordOutflow(transaction, db = database) {
+    const scheme = await Scheme.findById(transaction.schemeId);
+    const taxClass = this.getTaxClass(scheme);
+    const redemptionDate = HolidayCalendar.toDateKey(transaction.navDate || transaction.processDate);
+    const { allocations, unmatchedUnits } = await PurchaseLot.allocate(
+      transaction.folioId, transaction.schemeId, transaction.units, db
+    );
+    const loads = await ExitLoadService.evaluate(scheme, allocations, transaction.nav, redemptionDate, db);
+
+    const gains = [];
+    let costAmount = 0;
+    let grossAllocated = 0;
+    let saleAllocated = 0;
+
+    for (const [index, { lot, units }] of allocations.entries()) {
+      const { freeUnits, exitLoad } = loads.lots[index];
+      const cost = lot.getCost(units);
+      // The lot that completes the outflow takes the rounding remainder
+      const completes = index === allocations.length - 1 && unmatchedUnits <= 0;
+      const gross = completes
+        ? Utils.round(transaction.amount - grossAllocated, 2)
+        : Utils.round(transaction.amount * units / transaction.units, 2);
+      const sale = Utils.round(gross - exitLoad, 2);
+      costAmount += cost;
+      grossAllocated += gross;
+      saleAllocated += sale;
+
+      await lot.consume(units, freeUnits, db);
+      gains.push(await RealisedGain.create({
+        transactionId: transaction.transactionId,
+        lotId: lot.id,
+        folioId: transaction.folioId,
+        schemeId: transaction.schemeId,
+        customerId: transaction.customerId,
+        acquisitionDate: lot.allotmentDate,
+        redemptionDate,
+        units,
+        costAmount: cost,
+        saleValue: sale,
+        exitLoadAmount: exitLoad,
+        gain: Utils.round(sale - cost, 2),
+        holdingDays: HolidayCalendar.daysBetween(lot.allotmentDate, redemptionDate),
+        taxClass,
+        term: this.getTerm(taxClass, lot.allotmentDate, redemptionDate)
+      }, db));
+    }
+
+    // Units bought before the ledger existed have no lot; they leave at their
+    // sale value, so no gain is recorded on them
+    if (unmatchedUnits > 0) {
+      logger.warn('Outflow exceeds open purchase lots', {
+        transactionId: transaction.transactionId,
+        unmatchedUnits
+      });
+      costAmount += Utils.round(transaction.amount - (transaction.exitLoadAmount || 0) - saleAllocated, 2);
+    }
+
+    return { costAmount: Utils.round(costAmount, 2), gains };
+  }
+
+  // Realised gains of a folio ({ folioId }) or a customer ({ customerId }) in
+  // a financial year, split by term and tax class
+  async getRealisedGains(owner, financialYear = this.getFinancialYear()) {
+    try {
+      const { from, to } = this.getFinancialYearRange(financialYear);
+      const gains = await RealisedGain.findForPeriod(owner, from, to);
+
+      const byTerm = term => {
+        const rows = gains.filter(gain => gain.term === term);
+        return {
+          equity: sumGains(rows.filter(gain => gain.taxClass === 'EQUITY')),
+          debt: sumGains(rows.filter(gain => gain.taxClass === 'DEBT')),
+          total: sumGains(rows)
+        };
+      };
+
+      return {
+        ...owner,
+        financialYear,
+        from,
+        to,
+        shortTerm: byTerm(TERMS.SHORT),
+        longTerm: byTerm(TERMS.LONG),
+        total: sumGains(gains),
+        realisations: gains.map(gain => gain.toJSON())
+      };
+    } catch (error) {
+      logger.error('Error getting realised gains', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CapitalGainsService();
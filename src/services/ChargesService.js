@@ -0,0 +1,83 @@
+const database = require('../config/database');
+const CapitalGainsService = require('./CapitalGainsService');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+// Statutory charges on allotments: stamp duty taken from purchases before
+// units are allotted, STT on equity-oriented redemptions and TDS on the
+// capital gains of NRI investors. Rates live under `charges` in the config.
+class ChargesService {
+  // Stamp duty on a purchase amount
+  getStampDuty(amount) {
+    return Utils.round(amount * config.charges.stampDutyRate / 100, 2);
+  }
+
+  // STT on the redemption value of a scheme's units
+  getSTT(scheme, grossAmount) {
+    const rate = config.charges.sttRate[CapitalGainsService.getTaxClass(scheme)] || 0;
+    return Utils.round(grossAmount * rate / 100, 2);
+  }
+
+  // TDS on the gains an outflow realised, netted within each tax class and
+  // term. Only NRI investors have tax deducted.
+  getTDS(customer, gains) {
+    if (!customer || !customer.isNRI()) {
+      return 0;
+    }
+
+    const netGains = {};
+    for (const gain of gains) {
+      const key = `${gain.taxClass}:${gain.term}`;
+      netGains[key] = (netGains[key] || 0) + gain.gain;
+    }
+
+    const tds = Object.entries(netGains).reduce((sum, [key, gain]) => {
+      const [taxClass, term] = key.split(':');
+      return sum + Math.max(0, gain) * config.charges.nriTdsRate[taxClass][term] / 100;
+    }, 0);
+    return Utils.round(tds, 2);
+  }
+
+  // Stamp duty, STT and TDS per allotment date between two YYYY-MM-DD dates
+  // (inclusive), today's by default
+  async getDailyTotals({ from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      const fromDate = from || toDate;
+      if (fromDate > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const query = `
+        SELECT day::text AS day, stamp_duty_transactions, stamp_duty, stt_transactions, stt, tds_transactions, tds
+        FROM daily_charges
+        WHERE day BETWEEN $1 AND $2
+        ORDER BY day ASC
+      `;
+      const result = await database.query(query, [fromDate, toDate]);
+
+      const days = result.rows.map(row => ({
+        date: row.day,
+        stampDuty: { transactions: parseInt(row.stamp_duty_transactions), amount: parseFloat(row.stamp_duty) || 0 },
+        stt: { transactions: parseInt(row.stt_transactions), amount: parseFloat(row.stt) || 0 },
+        tds: { transactions: parseInt(row.tds_transactions), amount: parseFloat(row.tds) || 0 }
+      }));
+
+      const total = component => Utils.round(days.reduce((sum, day) => sum + day[component].amount, 0), 2);
+      return {
+        from: fromDate,
+        to: toDate,
+        totals: { stampDuty: total('stampDuty'), stt: total('stt'), tds: total('tds') },
+        days
+      };
+    } catch (error) {
+      logger.error('Error getting daily charge totals', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ChargesService();
@@ -0,0 +1,215 @@
+const database = require('../config/database');
+const CommissionStructure = require('../models/CommissionStructure');
+const CommissionAccrual = require('../models/CommissionAccrual');
+const BrokerageStatement = require('../models/BrokerageStatement');
+const Distributor = require('../models/Distributor');
+const Scheme = require('../models/Scheme');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+const DEFAULT_PERIOD_DAYS = 30;
+// Trail follows the daily valuations and upfront the allotments, both of
+// which are restated for a week, so each run accrues the last week again
+const RESTATE_DAYS = 7;
+
+// YYYY-MM-DD date a number of calendar days after another (before if negative)
+function addDays(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// First and last YYYY-MM-DD dates of a YYYY-MM month
+function monthRange(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthNumber, 0)).getUTCDate();
+  return { start: `${month}-01`, end: `${month}-${String(lastDay).padStart(2, '0')}` };
+}
+
+// Distributor commission: dated rate structures per scheme, daily trail and
+// upfront accruals on regular-plan folios, and monthly brokerage statements
+// per ARN totalled from them
+class CommissionService {
+  // Structures take effect from today or later so past accruals keep theirs
+  validateStructure(structure, today) {
+    const { effectiveFrom, trailRate, upfrontRate = 0 } = structure;
+    if (!DATE_PATTERN.test(effectiveFrom) || Number.isNaN(Date.parse(effectiveFrom))) {
+      throw Utils.validationError('effectiveFrom must be a YYYY-MM-DD date');
+    }
+    if (effectiveFrom < today) {
+      throw Utils.validationError(`effectiveFrom cannot be before ${today}`);
+    }
+
+    const trail = Number(trailRate);
+    const upfront = Number(upfrontRate);
+    if (!(trail >= 0 && trail <= 100)) {
+      throw Utils.validationError('trailRate must be a percentage');
+    }
+    if (!(upfront >= 0 && upfront <= 100)) {
+      throw Utils.validationError('upfrontRate must be a percentage');
+    }
+
+    return { effectiveFrom, trailRate: trail, upfrontRate: upfront };
+  }
+
+  // A scheme's commission structures with the category default that applies
+  // before the first; plan-options report their scheme's. Returns null if the
+  // scheme does not exist.
+  async getStructures(schemeId) {
+    const scheme = await Scheme.findById(schemeId);
+    if (!scheme) {
+      return null;
+    }
+
+    const defaults = config.commission.defaultRates[scheme.category] || { trailRate: 0, upfrontRate: 0 };
+    return {
+      schemeId: scheme.id,
+      schemeCode: scheme.schemeCode,
+      category: scheme.category,
+      defaultRates: defaults,
+      structures: await CommissionStructure.findByScheme(scheme.id)
+    };
+  }
+
+  // Adds a commission change to a scheme, effective today unless dated
+  // later; on a plan-option it applies to the whole scheme. Returns null if
+  // the scheme does not exist.
+  async addStructure(schemeId, structure, asOf = SimulationClock.now()) {
+    try {
+      const scheme = await Scheme.findById(schemeId);
+      if (!scheme) {
+        return null;
+      }
+
+      const today = HolidayCalendar.toDateKey(asOf);
+      const validated = this.validateStructure({ effectiveFrom: today, ...structure }, today);
+      return await CommissionStructure.create({ schemeId: scheme.parentSchemeId || scheme.id, ...validated });
+    } catch (error) {
+      logger.error('Error adding commission structure', error);
+      throw error;
+    }
+  }
+
+  // Accrues every calendar day since the last accrual up to today, and the
+  // last week again for restated valuations and late allotments. Returns the
+  // dates accrued and the number of accruals written.
+  async accrueCommissions(asOf = SimulationClock.now()) {
+    try {
+      const toDate = HolidayCalendar.toDateKey(asOf);
+      const nextDate = await CommissionAccrual.findNextDate();
+      if (!nextDate) {
+        return { from: null, to: toDate, days: 0, accruals: 0 };
+      }
+
+      const restateFrom = addDays(toDate, -RESTATE_DAYS);
+      const fromDate = nextDate < restateFrom ? nextDate : restateFrom;
+      let days = 0;
+      let accruals = 0;
+      for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+        accruals += await database.transaction(client => CommissionAccrual.replaceForDate(date, client));
+        days++;
+      }
+
+      logger.info('Commission accrued', { from: fromDate, to: toDate, days, accruals });
+      return { from: fromDate, to: toDate, days, accruals };
+    } catch (error) {
+      logger.error('Error accruing commission', error);
+      throw error;
+    }
+  }
+
+  // Brokerage statements for a completed YYYY-MM month, the last one by
+  // default, replacing any generated before
+  async generateStatements(month = null, asOf = SimulationClock.now()) {
+    try {
+      const currentMonth = HolidayCalendar.toDateKey(asOf).slice(0, 7);
+      const statementMonth = month || addDays(`${currentMonth}-01`, -1).slice(0, 7);
+      if (!MONTH_PATTERN.test(statementMonth)) {
+        throw Utils.validationError('month must be YYYY-MM');
+      }
+      if (statementMonth >= currentMonth) {
+        throw Utils.validationError('Statements can only be generated for a completed month');
+      }
+
+      const { start, end } = monthRange(statementMonth);
+      const statements = await BrokerageStatement.generate(start, end, asOf);
+      logger.info('Brokerage statements generated', { month: statementMonth, statements: statements.length });
+      return { month: statementMonth, statements };
+    } catch (error) {
+      logger.error('Error generating brokerage statements', error);
+      throw error;
+    }
+  }
+
+  // A distributor's daily commission between two YYYY-MM-DD dates
+  // (inclusive), the last 30 days to today by default. Returns null if the
+  // distributor does not exist.
+  async getCommissions(distributorId, { from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      const fromDate = from || addDays(toDate, -DEFAULT_PERIOD_DAYS);
+      if (fromDate > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const distributor = await Distributor.findById(distributorId);
+      if (!distributor) {
+        return null;
+      }
+
+      const daily = await CommissionAccrual.findDailyTotals(distributor.id, fromDate, toDate);
+      const sum = field => parseFloat(daily.reduce((total, day) => total + day[field], 0).toFixed(2));
+      return {
+        distributor: { id: distributor.id, arnCode: distributor.arnCode, name: distributor.name },
+        from: fromDate,
+        to: toDate,
+        trail: sum('trail'),
+        upfront: sum('upfront'),
+        total: sum('total'),
+        daily
+      };
+    } catch (error) {
+      logger.error('Error getting distributor commissions', error);
+      throw error;
+    }
+  }
+
+  // A distributor's generated statements. Returns null if the distributor
+  // does not exist.
+  async listStatements(distributorId) {
+    const distributor = await Distributor.findById(distributorId);
+    if (!distributor) {
+      return null;
+    }
+    return BrokerageStatement.findByDistributor(distributor.id);
+  }
+
+  // A distributor's brokerage statement for a YYYY-MM month with its
+  // breakdown by scheme. Returns null if it has not been generated.
+  async getStatement(distributorId, month) {
+    try {
+      const { start, end } = monthRange(month);
+      const statement = await BrokerageStatement.findByDistributorAndMonth(distributorId, start);
+      if (!statement) {
+        return null;
+      }
+
+      return {
+        ...statement.toJSON(),
+        period: { from: start, to: end },
+        tdsRate: config.commission.tdsRate,
+        schemes: await CommissionAccrual.findSchemeTotals(distributorId, start, end)
+      };
+    } catch (error) {
+      logger.error('Error getting brokerage statement', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new CommissionService();
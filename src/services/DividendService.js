@@ -0,0 +1,156 @@
+const database = require('../config/database');
+const DividendDeclaration = require('../models/DividendDeclaration');
+const Transaction = require('../models/Transaction');
+const Folio = require('../models/Folio');
+const Scheme = require('../models/Scheme');
+const ChargesService = require('./ChargesService');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Income distributions (IDCW). A scheme declares an amount per unit for a
+// future record date; that day's NAV is published ex-dividend, and every IDCW
+// folio holding units allotted before it is paid out in cash or has the
+// amount reinvested at the ex-NAV, by its dividend option. Growth folios
+// receive nothing.
+class DividendService {
+  // Declares a dividend for a trading day after today on an IDCW
+  // plan-option, or a scheme without plan-options. Returns null if the scheme
+  // does not exist.
+  async declare(schemeId, { recordDate, ratePerUnit }, asOf = SimulationClock.now()) {
+    try {
+      const scheme = await Scheme.findById(schemeId);
+      if (!scheme) {
+        return null;
+      }
+      if (scheme.planOption === config.planOptions.GROWTH) {
+        throw Utils.validationError('Growth plan-options do not pay IDCW');
+      }
+      if (!scheme.parentSchemeId && (await Scheme.findPlanOptions(scheme.id)).length > 0) {
+        throw Utils.validationError('IDCW is declared on the IDCW plan-options of a scheme');
+      }
+
+      const rate = Number(ratePerUnit);
+      if (!DATE_PATTERN.test(recordDate) || Number.isNaN(Date.parse(recordDate))) {
+        throw Utils.validationError('recordDate must be a YYYY-MM-DD date');
+      }
+      if (recordDate <= HolidayCalendar.toDateKey(asOf)) {
+        throw Utils.validationError('recordDate must be after today, before its NAV is published');
+      }
+      if (!HolidayCalendar.isBusinessDay(recordDate, HolidayCalendar.CALENDARS.EXCHANGE)) {
+        throw Utils.validationError('recordDate must be a trading day');
+      }
+      if (!(rate > 0 && rate < scheme.nav)) {
+        throw Utils.validationError(`ratePerUnit must be positive and below the NAV of ${scheme.nav}`);
+      }
+      if (await DividendDeclaration.findBySchemeAndDate(scheme.id, recordDate)) {
+        throw Utils.validationError(`A dividend is already declared for ${recordDate}`);
+      }
+
+      return await DividendDeclaration.create({ schemeId: scheme.id, recordDate, ratePerUnit: rate });
+    } catch (error) {
+      logger.error('Error declaring dividend', error);
+      throw error;
+    }
+  }
+
+  async getDeclarations(schemeId) {
+    return DividendDeclaration.findByScheme(schemeId);
+  }
+
+  // Distributes every declaration whose ex-dividend NAV has been published.
+  // Runs after each NAV publication; returns the declarations distributed.
+  async distributeDue(asOf = SimulationClock.now()) {
+    const distributed = [];
+    const declarations = await DividendDeclaration.findUndistributed(HolidayCalendar.toDateKey(asOf));
+
+    for (const declaration of declarations) {
+      const published = await Scheme.findNAVForDate(declaration.schemeId, declaration.recordDate);
+      if (!published) {
+        logger.debug('Ex-dividend NAV not published yet', { declarationId: declaration.id });
+        continue;
+      }
+      const exNAV = { navDate: declaration.recordDate, nav: published.nav };
+      distributed.push(await this.distribute(declaration, exNAV, asOf));
+    }
+
+    return distributed;
+  }
+
+  // Pays out or reinvests one declaration for every eligible folio, in one
+  // database transaction
+  async distribute(declaration, exNAV, processedAt = SimulationClock.now()) {
+    try {
+      return await database.transaction(async (client) => {
+        const holders = await Folio.findIDCWHolders(declaration.schemeId, declaration.recordDate, client);
+        const totals = {
+          exNav: exNAV.nav,
+          eligibleUnits: 0,
+          payoutAmount: 0,
+          reinvestedAmount: 0,
+          folioCount: 0
+        };
+
+        for (const { folio, units } of holders) {
+          const amount = Utils.round(units * declaration.ratePerUnit, 2);
+          if (amount <= 0) continue;
+
+          const reinvest = folio.dividendOption === config.dividendOptions.IDCW_REINVEST;
+          const transaction = await Transaction.create({
+            transactionId: Utils.generateTransactionId(processedAt),
+            folioId: folio.id,
+            schemeId: folio.schemeId,
+            customerId: folio.customerId,
+            transactionType: reinvest ? config.transactionTypes.PURCHASE : config.transactionTypes.DIVIDEND,
+            transactionMode: config.transactionModes.DIVIDEND,
+            amount,
+            nav: exNAV.nav,
+            transactionDate: processedAt,
+            camsStatus: config.statuses.cams.PROCESSED,
+            remarks: `IDCW of ${declaration.ratePerUnit} per unit on ${units} units, record date ${declaration.recordDate}`
+          }, client);
+
+          if (reinvest) {
+            const stampDuty = ChargesService.getStampDuty(amount);
+            await transaction.allot(exNAV, {
+              amount,
+              units: Utils.calculateUnits(amount - stampDuty, exNAV.nav),
+              stampDuty
+            }, processedAt, client);
+            totals.reinvestedAmount += amount;
+          } else {
+            await transaction.allot(exNAV, { amount, units: 0 }, processedAt, client);
+            totals.payoutAmount += amount;
+          }
+          totals.eligibleUnits += units;
+          totals.folioCount += 1;
+        }
+
+        await declaration.markDistributed({
+          ...totals,
+          eligibleUnits: Utils.round(totals.eligibleUnits, 6),
+          payoutAmount: Utils.round(totals.payoutAmount, 2),
+          reinvestedAmount: Utils.round(totals.reinvestedAmount, 2)
+        }, processedAt, client);
+
+        logger.info('Dividend distributed', {
+          declarationId: declaration.id,
+          schemeId: declaration.schemeId,
+          folios: declaration.folioCount,
+          payoutAmount: declaration.payoutAmount,
+          reinvestedAmount: declaration.reinvestedAmount
+        });
+        return declaration;
+      });
+    } catch (error) {
+      logger.error('Error distributing dividend', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new DividendService();
@@ -0,0 +1,142 @@
+const database = require('../config/database');
+const ExitLoadStructure = require('../models/ExitLoadStructure');
+const PurchaseLot = require('../models/PurchaseLot');
+const Scheme = require('../models/Scheme');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Exit loads, charged lot by lot on redemptions, switch-outs and SWP
+// instalments. Each lot is charged under the scheme's structure in effect on
+// its allotment date, at the tier for how long it was held, on the units
+// beyond its free-units allowance.
+class ExitLoadService {
+  // Structures take effect from today or later so past allotments keep theirs
+  validateStructure(structure, today) {
+    const { effectiveFrom, tiers, freeUnitsPercent = 0 } = structure;
+    if (!DATE_PATTERN.test(effectiveFrom) || Number.isNaN(Date.parse(effectiveFrom))) {
+      throw Utils.validationError('effectiveFrom must be a YYYY-MM-DD date');
+    }
+    if (effectiveFrom < today) {
+      throw Utils.validationError(`effectiveFrom cannot be before ${today}`);
+    }
+    if (!Array.isArray(tiers)) {
+      throw Utils.validationError('tiers must be a list');
+    }
+
+    const days = new Set();
+    const validated = tiers.map((tier, index) => {
+      const withinDays = Number(tier && tier.withinDays);
+      const rate = Number(tier && tier.rate);
+      if (!Number.isInteger(withinDays) || withinDays < 1 || days.has(withinDays)) {
+        throw Utils.validationError(`tiers[${index}].withinDays must be a distinct whole number of days`);
+      }
+      if (!(rate >= 0 && rate <= 100)) {
+        throw Utils.validationError(`tiers[${index}].rate must be a percentage`);
+      }
+      days.add(withinDays);
+      return { withinDays, rate };
+    });
+
+    const percent = Number(freeUnitsPercent);
+    if (!(percent >= 0 && percent <= 100)) {
+      throw Utils.validationError('freeUnitsPercent must be a percentage');
+    }
+
+    return { effectiveFrom, tiers: validated, freeUnitsPercent: percent };
+  }
+
+  async getStructures(schemeId) {
+    return ExitLoadStructure.findByScheme(schemeId);
+  }
+
+  // Adds a load change to a scheme, effective today unless dated later, for
+  // all its plan-options. The headline exit_load follows its first tier.
+  // Returns null if the scheme does not exist.
+  async addStructure(schemeId, structure, asOf = SimulationClock.now()) {
+    try {
+      const scheme = await Scheme.findById(schemeId);
+      if (!scheme) {
+        return null;
+      }
+
+      const today = HolidayCalendar.toDateKey(asOf);
+      const validated = this.validateStructure({ effectiveFrom: today, ...structure }, today);
+      const portfolioId = scheme.parentSchemeId || scheme.id;
+
+      return await database.transaction(async (client) => {
+        const saved = await ExitLoadStructure.create({ schemeId: portfolioId, ...validated }, client);
+        if (validated.effectiveFrom === today) {
+          await client.query(
+            'UPDATE schemes SET exit_load = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 OR parent_scheme_id = $2',
+            [saved.tiers.length > 0 ? saved.tiers[0].rate : 0, portfolioId]
+          );
+        }
+        return saved;
+      });
+    } catch (error) {
+      logger.error('Error adding exit load structure', error);
+      throw error;
+    }
+  }
+
+  // The latest structure in effect on an allotment date. Lots older than every
+  // structure fall back to the scheme's flat exit_load for a year.
+  getStructureFor(structures, scheme, allotmentDate) {
+    let current = null;
+    for (const structure of structures) {
+      if (structure.effectiveFrom <= allotmentDate) {
+        current = structure;
+      }
+    }
+
+    return current || new ExitLoadStructure({
+      scheme_id: scheme.id,
+      effective_from: null,
+      tiers: scheme.exitLoad > 0 ? [{ withinDays: 365, rate: scheme.exitLoad }] : [],
+      free_units_percent: 0
+    });
+  }
+
+  // Load on units taken from lots ([{ lot, units }]) at a NAV. Returns
+  // { exitLoadAmount, lots: [{ lotId, units, holdingDays, rate, freeUnits, exitLoad }] }.
+  async evaluate(scheme, allocations, nav, redemptionDate, db = database) {
+    const structures = await ExitLoadStructure.findByScheme(scheme.id, db);
+
+    const lots = allocations.map(({ lot, units }) => {
+      const structure = this.getStructureFor(structures, scheme, lot.allotmentDate);
+      const holdingDays = HolidayCalendar.daysBetween(lot.allotmentDate, redemptionDate);
+      const rate = structure.getRate(holdingDays);
+      // The allowance is only drawn on while a load would apply
+      const freeUnits = rate > 0
+        ? Math.min(units, Math.max(0, structure.getFreeAllowance(lot.units, holdingDays) - lot.freeUnitsUsed))
+        : 0;
+
+      return {
+        lotId: lot.id,
+        units,
+        holdingDays,
+        rate,
+        freeUnits: Utils.round(freeUnits, 6),
+        exitLoad: rate > 0 ? Utils.round((units - freeUnits) * nav * rate / 100, 2) : 0
+      };
+    });
+
+    return {
+      exitLoadAmount: Utils.round(lots.reduce((sum, lot) => sum + lot.exitLoad, 0), 2),
+      lots
+    };
+  }
+
+  // Load on taking units out of a folio's holding at a NAV
+  async calculate({ folioId, schemeId }, units, nav, redemptionDate, db = database) {
+    const scheme = await Scheme.findById(schemeId);
+    const { allocations } = await PurchaseLot.allocate(folioId, schemeId, units, db);
+    return this.evaluate(scheme, allocations, nav, redemptionDate, db);
+  }
+}
+
+module.exports = new ExitLoadService();
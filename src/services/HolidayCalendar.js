@@ -0,0 +1,253 @@
+const fs = require('fs');
+const path = require('path');
+const Holiday = require('../models/Holiday');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Calendars days can be checked against
+const CALENDARS = {
+  EXCHANGE: 'EXCHANGE', // NSE/BSE open: NAVs are published and orders count
+  BANK: 'BANK', // banks in Mumbai open: SIP debits and settlement
+  BUSINESS: 'BUSINESS' // both open
+};
+
+// Holiday types that close each calendar
+const CLOSED_BY = {
+  [CALENDARS.EXCHANGE]: [config.holidayTypes.TRADING, config.holidayTypes.BOTH],
+  [CALENDARS.BANK]: [config.holidayTypes.BANK, config.holidayTypes.BOTH],
+  [CALENDARS.BUSINESS]: Object.values(config.holidayTypes)
+};
+
+// Indian market holiday calendar. The exchanges and the banks close on
+// different days (banks close for their annual accounts on 1 April while the
+// exchanges trade), so each date check names the calendar it follows: NAV
+// dates follow the exchanges, money movements the banks.
+//
+// The calendar lives in market_holidays. Years shipped as <year>.json files
+// in the holiday directory are loaded into it on startup if missing. Date
+// checks are synchronous against an in-memory copy.
+class HolidayCalendar {
+  constructor() {
+    this.holidays = null;
+  }
+
+  get CALENDARS() {
+    return CALENDARS;
+  }
+
+  getDirectory() {
+    return path.resolve(__dirname, '../..', config.holidays.directory);
+  }
+
+  // IST calendar date of an instant, as YYYY-MM-DD
+  toDateKey(date) {
+    if (typeof date === 'string' && DATE_PATTERN.test(date)) return date;
+    const { year, month, dayOfMonth } = SimulationClock.toIST(date);
+    return `${year}-${String(month).padStart(2, '0')}-${String(dayOfMonth).padStart(2, '0')}`;
+  }
+
+  validate(document) {
+    if (!document || typeof document !== 'object' || !Array.isArray(document.holidays)) {
+      throw Utils.validationError('Holiday calendar must have a holidays list');
+    }
+    if (!Number.isInteger(document.year)) {
+      throw Utils.validationError('Holiday calendar must have a year');
+    }
+
+    const types = Object.values(config.holidayTypes);
+    return document.holidays.map((holiday, index) => {
+      const location = `holidays[${index}]`;
+      if (!holiday || !DATE_PATTERN.test(holiday.date) || Number.isNaN(Date.parse(holiday.date))) {
+        throw Utils.validationError(`${location}.date must be a YYYY-MM-DD date`);
+      }
+      if (!holiday.date.startsWith(`${document.year}-`)) {
+        throw Utils.validationError(`${location}.date is not in ${document.year}`);
+      }
+      if (typeof holiday.name !== 'string' || holiday.name.length === 0 || holiday.name.length > 100) {
+        throw Utils.validationError(`${location}.name must be 1-100 characters`);
+      }
+      const type = holiday.type || config.holidayTypes.BOTH;
+      if (!types.includes(type)) {
+        throw Utils.validationError(`${location}.type must be one of ${types.join(', ')}`);
+      }
+      return { date: holiday.date, name: holiday.name, type };
+    });
+  }
+
+  readFile(year) {
+    const file = path.join(this.getDirectory(), `${year}.json`);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+
+  listFileYears() {
+    const directory = this.getDirectory();
+    if (!fs.existsSync(directory)) {
+      logger.warn('Holiday directory not found', { directory });
+      return [];
+    }
+    return fs.readdirSync(directory)
+      .map(file => /^(\d{4})\.json$/.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1]))
+      .sort();
+  }
+
+  // Holidays from the bundled files only, used until load() has run
+  loadFiles() {
+    this.holidays = new Map();
+    for (const year of this.listFileYears()) {
+      try {
+        for (const holiday of this.validate(this.readFile(year))) {
+          this.holidays.set(holiday.date, holiday);
+        }
+      } catch (error) {
+        logger.error(`Error reading holiday file for ${year}`, error);
+      }
+    }
+  }
+
+  getHolidays() {
+    if (!this.holidays) this.loadFiles();
+    return this.holidays;
+  }
+
+  async refresh() {
+    const holidays = await Holiday.findAll();
+    this.holidays = new Map(holidays.map(holiday => [holiday.date, holiday.toJSON()]));
+  }
+
+  // Seed years that have a file but nothing stored, then cache the calendar
+  async load() {
+    try {
+      const stored = await Holiday.findYears();
+      for (const year of this.listFileYears()) {
+        if (!stored.includes(year)) {
+          await this.importYear(this.readFile(year), false);
+        }
+      }
+
+      await this.refresh();
+      logger.info(`Loaded ${this.holidays.size} market holidays`);
+
+      // Without a calendar every weekday of the year counts as a business day
+      const { year } = SimulationClock.toIST(SimulationClock.now());
+      if (![...this.holidays.keys()].some(date => date.startsWith(`${year}-`))) {
+        logger.warn(`No market holidays loaded for ${year}; add holidays/${year}.json or PUT /api/holidays/years/${year}`);
+      }
+    } catch (error) {
+      logger.error('Error loading holiday calendar', error);
+      throw error;
+    }
+  }
+
+  // Replace a year's holidays with those in a calendar document
+  async importYear(document, refresh = true) {
+    const holidays = this.validate(document);
+
+    await Holiday.deleteByYear(document.year);
+    for (const holiday of holidays) {
+      await Holiday.upsert(holiday);
+    }
+    logger.info(`Imported ${holidays.length} market holidays for ${document.year}`);
+
+    if (refresh) await this.refresh();
+    return holidays;
+  }
+
+  async loadFile(year) {
+    const document = this.readFile(year);
+    return document ? this.importYear(document) : null;
+  }
+
+  async listHolidays(year = null) {
+    const holidays = await Holiday.findAll(year);
+    return holidays.map(holiday => holiday.toJSON());
+  }
+
+  async addHoliday(holiday) {
+    const [validated] = this.validate({ year: parseInt(String(holiday.date).slice(0, 4)), holidays: [holiday] });
+    const saved = await Holiday.upsert(validated);
+    await this.refresh();
+    return saved.toJSON();
+  }
+
+  async removeHoliday(date) {
+    const deleted = await Holiday.deleteByDate(date);
+    if (deleted) await this.refresh();
+    return deleted;
+  }
+
+  getHoliday(date) {
+    return this.getHolidays().get(this.toDateKey(date)) || null;
+  }
+
+  // A weekday the calendar's holidays leave open
+  isBusinessDay(date, calendar = CALENDARS.BUSINESS) {
+    const key = this.toDateKey(date);
+    const dayOfWeek = new Date(`${key}T00:00:00Z`).getUTCDay();
+    const holiday = this.getHolidays().get(key);
+    return dayOfWeek !== 0 && dayOfWeek !== 6 && !(holiday && CLOSED_BY[calendar].includes(holiday.type));
+  }
+
+  // Business-day arithmetic moves in whole days, keeping the time of day
+  nextBusinessDay(date, calendar = CALENDARS.BUSINESS) {
+    let next = new Date(new Date(date).getTime() + DAY_MS);
+    while (!this.isBusinessDay(next, calendar)) {
+      next = new Date(next.getTime() + DAY_MS);
+    }
+    return next;
+  }
+
+  previousBusinessDay(date, calendar = CALENDARS.BUSINESS) {
+    let previous = new Date(new Date(date).getTime() - DAY_MS);
+    while (!this.isBusinessDay(previous, calendar)) {
+      previous = new Date(previous.getTime() - DAY_MS);
+    }
+    return previous;
+  }
+
+  // The date itself if it is a business day, otherwise the next one
+  rollForward(date, calendar = CALENDARS.BUSINESS) {
+    return this.isBusinessDay(date, calendar) ? new Date(date) : this.nextBusinessDay(date, calendar);
+  }
+
+  addBusinessDays(date, days, calendar = CALENDARS.BUSINESS) {
+    let result = new Date(date);
+    for (let added = 0; added < days; added++) {
+      result = this.nextBusinessDay(result, calendar);
+    }
+    return result;
+  }
+
+  // Calendar days between two IST dates
+  daysBetween(fromDate, toDate) {
+    const from = Date.parse(`${this.toDateKey(fromDate)}T00:00:00Z`);
+    const to = Date.parse(`${this.toDateKey(toDate)}T00:00:00Z`);
+    return Math.round((to - from) / DAY_MS);
+  }
+
+  // Date of a SIP instalment (0 = the first debit): the start date's day of
+  // month, clamped to the month end so the 31st falls on Feb 28/29, then
+  // rolled forward to the next bank day. Counting from the start date
+  // keeps a rolled debit from shifting the ones after it.
+  getSipExecutionDate(frequency, startDate, instalment = 1) {
+    const months = { MONTHLY: 1, QUARTERLY: 3, YEARLY: 12 }[frequency] || 1; // Default to monthly
+    const [year, month, day] = this.toDateKey(startDate).split('-').map(Number);
+
+    const targetMonth = month - 1 + months * instalment;
+    const lastDayOfMonth = new Date(Date.UTC(year, targetMonth + 1, 0)).getUTCDate();
+    const scheduled = new Date(Date.UTC(year, targetMonth, Math.min(day, lastDayOfMonth)));
+
+    return this.rollForward(scheduled, CALENDARS.BANK);
+  }
+}
+
+module.exports = new HolidayCalendar();
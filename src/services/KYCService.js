@@ -0,0 +1,348 @@
+const database = require('../config/database');
+const Customer = require('../models/Customer');
+const Transaction = require('../models/Transaction');
+const KYCDocument = require('../models/KYCDocument');
+const KRARequest = require('../models/KRARequest');
+const KYCEvent = require('../models/KYCEvent');
+const KRAEmulator = require('../kra/KRAEmulator');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const { PENDING, SUBMITTED, VERIFIED, REJECTED, ON_HOLD, EXPIRED } = config.statuses.kyc;
+
+// KYC statuses each status can move to. A KRA record found for a new
+// investor verifies them without documents; everyone else submits documents
+// for the KRA to verify, and again when on hold, rejected or due for re-KYC.
+const TRANSITIONS = {
+  [PENDING]: [SUBMITTED, VERIFIED],
+  [SUBMITTED]: [VERIFIED, REJECTED, ON_HOLD],
+  [ON_HOLD]: [SUBMITTED],
+  [REJECTED]: [SUBMITTED],
+  [VERIFIED]: [EXPIRED],
+  [EXPIRED]: [SUBMITTED]
+};
+
+// Stands for whichever proof of address is given
+const ADDRESS_PROOF = 'ADDRESS_PROOF';
+
+// YYYY-MM-DD date a number of years after a time (29 February rolls to 1 March)
+function yearsAfter(date, years) {
+  const [year, month, day] = HolidayCalendar.toDateKey(date).split('-').map(Number);
+  return new Date(Date.UTC(year + years, month - 1, day)).toISOString().split('T')[0];
+}
+
+// Investor KYC through the KRAs: onboarding lookups, document submission,
+// verification and re-KYC, with every step in audit.kyc_history. Purchases
+// placed while KYC is in progress are held (see Transaction.create) and are
+// released when it is verified or rejected with it.
+class KYCService {
+  get ADDRESS_PROOF() {
+    return ADDRESS_PROOF;
+  }
+
+  canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+  }
+
+  // Moves a customer to a KYC status, recording it and settling their held
+  // purchases. client is a database transaction client.
+  async transition(customer, toStatus, { remarks = null, actor = 'SYSTEM', kraRequestId = null, kraCode = null, verifiedAt = null }, asOf, client) {
+    if (!this.canTransition(customer.kycStatus, toStatus)) {
+      throw Utils.validationError(`KYC cannot move from ${customer.kycStatus} to ${toStatus}`);
+    }
+
+    const verified = toStatus === VERIFIED;
+    const updated = await Customer.updateKYC(customer.id, {
+      status: toStatus,
+      kraCode,
+      verifiedAt: verified ? verifiedAt || asOf : null,
+      expiresOn: verified ? yearsAfter(verifiedAt || asOf, config.kyc.validityYears) : null
+    }, client);
+    await KYCEvent.create({
+      customerId: customer.id,
+      eventType: KYCEvent.TYPES.STATUS_CHANGE,
+      fromStatus: customer.kycStatus,
+      toStatus,
+      remarks,
+      actor,
+      kraRequestId,
+      occurredAt: asOf
+    }, client);
+
+    let released = 0;
+    let rejected = 0;
+    if (verified) {
+      released = await Transaction.releaseHeld(customer.id, asOf, client);
+    } else if (toStatus === REJECTED) {
+      rejected = await Transaction.rejectHeld(customer.id, `KYC rejected${remarks ? `: ${remarks}` : ''}`, asOf, client);
+    }
+
+    logger.info('KYC status changed', { customerId: customer.id, from: customer.kycStatus, to: toStatus, released, rejected });
+    return { customer: updated, released, rejected };
+  }
+
+  async sendRequest(customer, requestType, actor, asOf, client) {
+    const acknowledgement = KRAEmulator.acknowledge(requestType, customer, asOf);
+    const request = await KRARequest.create({
+      customerId: customer.id,
+      requestType,
+      ...acknowledgement,
+      sentAt: asOf
+    }, client);
+    await KYCEvent.create({
+      customerId: customer.id,
+      eventType: KYCEvent.TYPES.KRA_REQUEST,
+      remarks: `${requestType} sent to ${request.kraCode} (${request.kraReference})`,
+      actor,
+      kraRequestId: request.id,
+      occurredAt: asOf
+    }, client);
+    return request;
+  }
+
+  // Looks a new customer's PAN up with the KRAs
+  async startOnboarding(customer, actor = 'SYSTEM', asOf = SimulationClock.now()) {
+    try {
+      return await database.transaction(client => this.sendRequest(customer, KRARequest.TYPES.LOOKUP, actor, asOf, client));
+    } catch (error) {
+      logger.error('Error starting KYC onboarding', error);
+      throw error;
+    }
+  }
+
+  // Documents required for a submission that are not among those awaiting
+  // review, ADDRESS_PROOF standing for any proof of address
+  getMissingDocuments(latestDocuments) {
+    const awaiting = latestDocuments
+      .filter(document => document.status === config.statuses.kycDocument.SUBMITTED)
+      .map(document => document.documentType);
+
+    const missing = config.kyc.requiredDocuments.filter(type => !awaiting.includes(type));
+    if (!config.kyc.addressProofs.some(type => awaiting.includes(type))) {
+      missing.push(ADDRESS_PROOF);
+    }
+    return missing;
+  }
+
+  describeMissing(missing) {
+    return missing
+      .map(type => (type === ADDRESS_PROOF ? `proof of address (${config.kyc.addressProofs.join(', ')})` : type))
+      .join(', ');
+  }
+
+  // Adds a document to a customer's KYC application. Returns null if the
+  // customer does not exist.
+  async addDocument(customerId, { documentType, documentNumber = null }, actor = 'SYSTEM', asOf = SimulationClock.now()) {
+    try {
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return null;
+      }
+      if (![...config.kyc.requiredDocuments, ...config.kyc.addressProofs].includes(documentType)) {
+        throw Utils.validationError(`Unknown KYC document type ${documentType}`);
+      }
+      if (!this.canTransition(customer.kycStatus, SUBMITTED)) {
+        throw Utils.validationError(`Documents cannot be added while KYC is ${customer.kycStatus}`);
+      }
+
+      return await database.transaction(async client => {
+        const document = await KYCDocument.create({ customerId: customer.id, documentType, documentNumber, submittedAt: asOf }, client);
+        await KYCEvent.create({
+          customerId: customer.id,
+          eventType: KYCEvent.TYPES.DOCUMENT_ADDED,
+          remarks: documentType,
+          actor,
+          occurredAt: asOf
+        }, client);
+        return document;
+      });
+    } catch (error) {
+      logger.error('Error adding KYC document', error);
+      throw error;
+    }
+  }
+
+  // Sends a customer's documents to the KRA for verification. Returns null
+  // if the customer does not exist.
+  async submit(customerId, actor = 'SYSTEM', asOf = SimulationClock.now()) {
+    try {
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return null;
+      }
+      if (!this.canTransition(customer.kycStatus, SUBMITTED)) {
+        throw Utils.validationError(`KYC cannot be submitted while ${customer.kycStatus}`);
+      }
+      if (await KRARequest.hasOpenRequest(customer.id)) {
+        throw Utils.validationError('KYC has a request awaiting the KRA');
+      }
+
+      const missing = this.getMissingDocuments(await KYCDocument.findLatest(customer.id));
+      if (missing.length > 0) {
+        throw Utils.validationError(`Missing KYC documents: ${this.describeMissing(missing)}`);
+      }
+
+      return await database.transaction(async client => {
+        const { customer: submitted } = await this.transition(customer, SUBMITTED, { remarks: 'Documents submitted', actor }, asOf, client);
+        const request = await this.sendRequest(submitted, KRARequest.TYPES.VERIFICATION, actor, asOf, client);
+        return { customer: submitted, request };
+      });
+    } catch (error) {
+      logger.error('Error submitting KYC', error);
+      throw error;
+    }
+  }
+
+  // Applies a KRA answer. A lookup found for a customer still waiting on it
+  // verifies them; a verification decides their submitted documents.
+  async applyResponse(customer, request, response, asOf, client) {
+    const { OUTCOMES } = KRARequest;
+    const context = { remarks: response.reason, actor: request.kraCode, kraRequestId: request.id };
+    const documents = config.statuses.kycDocument;
+
+    if (request.requestType === KRARequest.TYPES.LOOKUP) {
+      if (response.outcome !== OUTCOMES.FOUND || customer.kycStatus !== PENDING) {
+        return null;
+      }
+      return this.transition(customer, VERIFIED, {
+        ...context,
+        remarks: `KYC record found with ${response.kraCode}`,
+        kraCode: response.kraCode,
+        verifiedAt: response.verifiedAt
+      }, asOf, client);
+    }
+
+    if (customer.kycStatus !== SUBMITTED) {
+      return null;
+    }
+    switch (response.outcome) {
+      case OUTCOMES.VERIFIED:
+        await KYCDocument.review(customer.id, { status: documents.ACCEPTED }, asOf, client);
+        return this.transition(customer, VERIFIED, { ...context, kraCode: response.kraCode, verifiedAt: response.verifiedAt }, asOf, client);
+      case OUTCOMES.ON_HOLD:
+        // Only the document the KRA wants again is turned down
+        await KYCDocument.review(customer.id, {
+          status: documents.REJECTED,
+          remarks: response.reason,
+          documentType: response.documentType
+        }, asOf, client);
+        return this.transition(customer, ON_HOLD, context, asOf, client);
+      default:
+        await KYCDocument.review(customer.id, { status: documents.REJECTED, remarks: response.reason }, asOf, client);
+        return this.transition(customer, REJECTED, context, asOf, client);
+    }
+  }
+
+  // Collects the KRA's answers to requests due by now. options carries the
+  // batch limit and the emulator's rates. Returns counts by outcome.
+  async processResponses(asOf = SimulationClock.now(), options = {}) {
+    try {
+      const due = await KRARequest.findDue(asOf, options.limit || config.simulation.batchSizes.kycProcessing);
+      const summary = { answered: 0, verified: 0, onHold: 0, rejected: 0, notFound: 0, released: 0 };
+
+      for (const request of due) {
+        try {
+          const result = await database.transaction(async client => {
+            const customer = await Customer.findById(request.customerId);
+            const documents = request.requestType === KRARequest.TYPES.VERIFICATION
+              ? (await KYCDocument.findLatest(request.customerId, client))
+                .filter(document => document.status === config.statuses.kycDocument.SUBMITTED)
+              : [];
+            const response = KRAEmulator.respond(request, customer, documents, asOf, options);
+            if (!await request.answer(response.outcome, response.reason, asOf, client)) {
+              return null;
+            }
+
+            await KYCEvent.create({
+              customerId: customer.id,
+              eventType: KYCEvent.TYPES.KRA_RESPONSE,
+              remarks: response.reason ? `${response.outcome}: ${response.reason}` : response.outcome,
+              actor: request.kraCode,
+              kraRequestId: request.id,
+              occurredAt: asOf
+            }, client);
+            return { response, change: await this.applyResponse(customer, request, response, asOf, client) };
+          });
+          if (!result) continue;
+
+          summary.answered++;
+          const status = result.change ? result.change.customer.kycStatus : null;
+          if (status === VERIFIED) summary.verified++;
+          if (status === ON_HOLD) summary.onHold++;
+          if (status === REJECTED) summary.rejected++;
+          if (result.response.outcome === KRARequest.OUTCOMES.NOT_FOUND) summary.notFound++;
+          summary.released += result.change ? result.change.released : 0;
+        } catch (error) {
+          logger.error('Error applying KRA response', { kraReference: request.kraReference, error: error.message });
+        }
+      }
+
+      if (summary.answered > 0) {
+        logger.info('KRA responses processed', summary);
+      }
+      return summary;
+    } catch (error) {
+      logger.error('Error processing KRA responses', error);
+      throw error;
+    }
+  }
+
+  // Moves verified customers whose KYC validity has ended to EXPIRED. They
+  // cannot buy again until they complete re-KYC. Returns the number expired.
+  async expireDue(asOf = SimulationClock.now()) {
+    try {
+      const due = await Customer.findKYCDueForRenewal(HolidayCalendar.toDateKey(asOf));
+      for (const customer of due) {
+        await database.transaction(client => this.transition(customer, EXPIRED, {
+          remarks: `KYC validity ended on ${customer.kycExpiresOn}`
+        }, asOf, client));
+      }
+
+      if (due.length > 0) {
+        logger.info('KYC expired for re-KYC', { customers: due.length });
+      }
+      return due.length;
+    } catch (error) {
+      logger.error('Error expiring KYC', error);
+      throw error;
+    }
+  }
+
+  // A customer's KYC: status, what a submission still needs, documents, KRA
+  // requests and history. Returns null if the customer does not exist.
+  async getKYC(customerId) {
+    try {
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return null;
+      }
+
+      const [latest, documents, requests, history] = await Promise.all([
+        KYCDocument.findLatest(customer.id),
+        KYCDocument.findByCustomer(customer.id),
+        KRARequest.findByCustomer(customer.id),
+        KYCEvent.findByCustomer(customer.id)
+      ]);
+      return {
+        customerId: customer.id,
+        panNumber: customer.panNumber,
+        kycStatus: customer.kycStatus,
+        kraCode: customer.kraCode,
+        verifiedAt: customer.kycVerifiedAt,
+        expiresOn: customer.kycExpiresOn,
+        missingDocuments: this.canTransition(customer.kycStatus, SUBMITTED) ? this.getMissingDocuments(latest) : [],
+        documents,
+        requests,
+        history
+      };
+    } catch (error) {
+      logger.error('Error getting customer KYC', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new KYCService();
@@ -0,0 +1,276 @@
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+const MIN_NAV = 0.0001;
+
+// Parameters the drift/volatility models cannot run without
+const REQUIRED_PARAMS = {
+  GBM: ['drift', 'volatility'],
+  GARCH: ['drift', 'volatility'],
+  JUMP_DIFFUSION: ['drift', 'volatility']
+};
+
+// Each model returns the gross (pre-expense) portfolio return for one trading day.
+// Parameters are annualised; dt is the fraction of a year covered by one step.
+
+class GBMModel {
+  constructor(params) {
+    this.drift = params.drift;
+    this.volatility = params.volatility;
+  }
+
+  nextReturn(state, rng, context) {
+    const { dt } = context;
+    const logReturn = (this.drift - 0.5 * this.volatility * this.volatility) * dt +
+      this.volatility * Math.sqrt(dt) * rng.normal();
+    return Math.exp(logReturn) - 1;
+  }
+}
+
+// GARCH(1,1) volatility clustering around a long-run volatility
+class GARCHModel {
+  constructor(params) {
+    this.drift = params.drift;
+    this.volatility = params.volatility;
+    this.alpha = params.alpha !== undefined ? params.alpha : 0.08;
+    this.beta = params.beta !== undefined ? params.beta : 0.9;
+
+    if (this.alpha + this.beta >= 1) {
+      throw new Error('GARCH model requires alpha + beta < 1');
+    }
+  }
+
+  nextReturn(state, rng, context) {
+    const { dt } = context;
+    const longRunVariance = this.volatility * this.volatility * dt;
+    const omega = longRunVariance * (1 - this.alpha - this.beta);
+
+    const variance = state.variance === undefined
+      ? longRunVariance
+      : omega + this.alpha * state.lastShock * state.lastShock + this.beta * state.variance;
+    const shock = Math.sqrt(variance) * rng.normal();
+
+    state.variance = variance;
+    state.lastShock = shock;
+
+    return Math.exp(this.drift * dt - 0.5 * variance + shock) - 1;
+  }
+}
+
+// Merton jump-diffusion: GBM plus Poisson-arriving log-normal jumps (market shocks)
+class JumpDiffusionModel {
+  constructor(params) {
+    this.drift = params.drift;
+    this.volatility = params.volatility;
+    this.jumpIntensity = params.jumpIntensity !== undefined ? params.jumpIntensity : 1;
+    this.jumpMean = params.jumpMean !== undefined ? params.jumpMean : -0.05;
+    this.jumpVolatility = params.jumpVolatility !== undefined ? params.jumpVolatility : 0.05;
+  }
+
+  nextReturn(state, rng, context) {
+    const { dt } = context;
+    // Compensate the drift so jumps do not change the expected return
+    const expectedJump = Math.exp(this.jumpMean + 0.5 * this.jumpVolatility * this.jumpVolatility) - 1;
+    const compensatedDrift = this.drift - this.jumpIntensity * expectedJump;
+
+    let logReturn = (compensatedDrift - 0.5 * this.volatility * this.volatility) * dt +
+      this.volatility * Math.sqrt(dt) * rng.normal();
+
+    const jumps = rng.poisson(this.jumpIntensity * dt);
+    for (let i = 0; i < jumps; i++) {
+      logReturn += rng.normal(this.jumpMean, this.jumpVolatility);
+    }
+
+    return Math.exp(logReturn) - 1;
+  }
+}
+
+// Single-factor model: schemes share the step's market return scaled by beta
+class FactorModel {
+  constructor(params) {
+    this.alpha = params.alpha || 0;
+    this.beta = params.beta !== undefined ? params.beta : 1;
+    this.idiosyncraticVolatility = params.idiosyncraticVolatility !== undefined ? params.idiosyncraticVolatility : 0.05;
+  }
+
+  nextReturn(state, rng, context) {
+    const { dt, marketLogReturn } = context;
+    const idiosyncratic = -0.5 * this.idiosyncraticVolatility * this.idiosyncraticVolatility * dt +
+      this.idiosyncraticVolatility * Math.sqrt(dt) * rng.normal();
+    return Math.exp(this.alpha * dt + this.beta * marketLogReturn + idiosyncratic) - 1;
+  }
+}
+
+class NAVModelService {
+  constructor() {
+    this.modelTypes = {
+      GBM: GBMModel,
+      GARCH: GARCHModel,
+      JUMP_DIFFUSION: JumpDiffusionModel,
+      FACTOR: FactorModel
+    };
+    this.states = {};
+    this.marketLogReturn = 0;
+    this.overrides = {};
+  }
+
+  registerModel(name, ModelClass) {
+    this.modelTypes[name] = ModelClass;
+    logger.info('NAV model registered', { model: name });
+  }
+
+  // NAV models draw from the simulation's shared seeded random stream
+  get rng() {
+    return Utils.getRandomSource();
+  }
+
+  // Forget per-scheme model state (GARCH variance, last market draw) at the
+  // start of a run so a replayed seed reproduces the same paths
+  reset() {
+    this.states = {};
+    this.marketLogReturn = 0;
+    this.overrides = {};
+  }
+
+  // Scenario adjustments: market drift/volatility, a drift shift for every
+  // scheme and a volatility multiplier (see config.simulation.scenarioDefaults.nav)
+  setOverrides(overrides = {}) {
+    this.overrides = overrides;
+  }
+
+  getMarketParameters() {
+    const { market } = config.navModels;
+    const { marketDrift, marketVolatility } = this.overrides;
+    return {
+      drift: marketDrift !== undefined && marketDrift !== null ? marketDrift : market.drift,
+      volatility: marketVolatility !== undefined && marketVolatility !== null ? marketVolatility : market.volatility
+    };
+  }
+
+  applyOverrides(modelConfig) {
+    const { driftAdjustment = 0, volatilityMultiplier = 1 } = this.overrides;
+    const params = { ...modelConfig };
+
+    if (params.drift !== undefined) params.drift += driftAdjustment;
+    if (modelConfig.model === 'FACTOR') params.alpha = (params.alpha || 0) + driftAdjustment;
+    if (params.volatility !== undefined) params.volatility *= volatilityMultiplier;
+    if (params.idiosyncraticVolatility !== undefined) params.idiosyncraticVolatility *= volatilityMultiplier;
+
+    return params;
+  }
+
+  getDt() {
+    return 1 / config.analytics.tradingDaysPerYear;
+  }
+
+  // Draw the shared market factor once per NAV publication step
+  beginStep() {
+    const { drift, volatility } = this.getMarketParameters();
+    const dt = this.getDt();
+    this.marketLogReturn = (drift - 0.5 * volatility * volatility) * dt +
+      volatility * Math.sqrt(dt) * this.rng.normal();
+    return this.marketLogReturn;
+  }
+
+  resolveModelConfig(scheme) {
+    const { navModels } = config;
+    return scheme.navModel ||
+      navModels.bySubCategory[scheme.subCategory] ||
+      navModels.byCategory[scheme.category] ||
+      navModels.default;
+  }
+
+  // Checks a scheme's own model configuration before it is stored, so a bad
+  // one cannot fail the NAV publication of every scheme later
+  validateModelConfig(modelConfig) {
+    if (!modelConfig || typeof modelConfig !== 'object' || Array.isArray(modelConfig)) {
+      throw Utils.validationError('NAV model must be an object');
+    }
+
+    const ModelClass = this.modelTypes[modelConfig.model];
+    if (!ModelClass) {
+      throw Utils.validationError(`Unknown NAV model: ${modelConfig.model}`);
+    }
+
+    for (const name of REQUIRED_PARAMS[modelConfig.model] || []) {
+      if (modelConfig[name] === undefined) {
+        throw Utils.validationError(`${modelConfig.model} model requires ${name}`);
+      }
+    }
+    for (const [name, value] of Object.entries(modelConfig)) {
+      if (name !== 'model' && !Number.isFinite(value)) {
+        throw Utils.validationError(`NAV model parameter ${name} must be a number`);
+      }
+    }
+    for (const name of ['volatility', 'idiosyncraticVolatility', 'jumpVolatility', 'jumpIntensity']) {
+      if (modelConfig[name] < 0) {
+        throw Utils.validationError(`NAV model parameter ${name} cannot be negative`);
+      }
+    }
+
+    try {
+      new ModelClass(modelConfig);
+    } catch (error) {
+      throw Utils.validationError(error.message);
+    }
+    return true;
+  }
+
+  createModel(modelConfig) {
+    const ModelClass = this.modelTypes[modelConfig.model];
+    if (!ModelClass) {
+      throw new Error(`Unknown NAV model: ${modelConfig.model}`);
+    }
+    return new ModelClass(this.applyOverrides(modelConfig));
+  }
+
+  // Gross portfolio return of a scheme over one step, before expenses
+  nextReturn(scheme, options = {}) {
+    const modelConfig = options.modelConfig || this.resolveModelConfig(scheme);
+    const model = this.createModel(modelConfig);
+
+    const stateKey = scheme.id || scheme.schemeCode;
+    if (!this.states[stateKey]) {
+      this.states[stateKey] = {};
+    }
+
+    return model.nextReturn(this.states[stateKey], this.rng, {
+      dt: this.getDt(),
+      marketLogReturn: this.marketLogReturn
+    });
+  }
+
+  // NAV after a gross return, less the daily accrual of the scheme's expense
+  // ratio, less any dividend paid out per unit on this step. Plan-options
+  // apply their parent portfolio's return with their own expense ratio.
+  applyReturn(scheme, grossReturn, options = {}) {
+    const expenseAccrual = (scheme.expenseRatio || 0) / 100 * this.getDt();
+    const dividendPerUnit = options.dividendPerUnit || 0;
+
+    const newNav = scheme.nav * (1 + grossReturn) * (1 - expenseAccrual) - dividendPerUnit;
+    return parseFloat(Math.max(newNav, MIN_NAV).toFixed(4));
+  }
+
+  // Next NAV: gross portfolio return, less the daily expense accrual, less any
+  // dividend paid out per unit on this step
+  nextNAV(scheme, options = {}) {
+    return this.applyReturn(scheme, this.nextReturn(scheme, options), options);
+  }
+
+  // Simulate a path of daily NAVs for a single scheme without touching the database
+  simulatePath(scheme, steps, options = {}) {
+    const path = [];
+    let current = { ...scheme };
+
+    for (let i = 0; i < steps; i++) {
+      this.beginStep();
+      current = { ...current, nav: this.nextNAV(current, options) };
+      path.push(current.nav);
+    }
+
+    return path;
+  }
+}
+
+module.exports = new NAVModelService();
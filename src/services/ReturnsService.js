@@ -0,0 +1,218 @@
+const Customer = require('../models/Customer');
+const Folio = require('../models/Folio');
+const Scheme = require('../models/Scheme');
+const Transaction = require('../models/Transaction');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const Analytics = require('../utils/analytics');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const MAX_FOLIOS = 1000;
+
+// Money moved by a transaction from the investor's side: purchases paid in
+// are negative, redemption proceeds and IDCW payouts received are positive.
+// Reinvested dividends never leave the folio, so they move nothing.
+function cashFlow(transaction) {
+  if (transaction.isOutflow() || transaction.isDividendPayout()) {
+    return transaction.getNetAmount();
+  }
+  if (transaction.transactionMode === config.transactionModes.DIVIDEND) {
+    return 0;
+  }
+  return -transaction.amount;
+}
+
+// Investor returns from processed transactions and published NAVs: XIRR of
+// the dated cash flows plus the value still held, absolute return and CAGR on
+// the money paid in, and a time-weighted return chained from daily
+// valuations. Measured for a folio, or for a customer overall, per scheme and
+// per folio.
+class ReturnsService {
+  // A folio's processed transactions and NAVs from its first allotment up to
+  // a YYYY-MM-DD date
+  async loadFolio(folio, toDate) {
+    const transactions = await Transaction.findProcessedByFolio(folio.id, toDate);
+    const navs = transactions.length > 0
+      ? await Scheme.findNAVSeries(folio.schemeId, HolidayCalendar.toDateKey(transactions[0].navDate), toDate)
+      : [];
+    return { folio, transactions, navs };
+  }
+
+  // Returns of one or more loaded folios taken together. Every day with a
+  // NAV or an allotment is valued at the NAV then in force.
+  measure(holdings) {
+    const dates = [...new Set(holdings.flatMap(({ transactions, navs }) => [
+      ...navs.map(point => point.navDate),
+      ...transactions.map(transaction => HolidayCalendar.toDateKey(transaction.navDate))
+    ]))].sort();
+
+    const positions = holdings.map(() => ({ units: 0, nav: null, nextTransaction: 0, nextNav: 0 }));
+    const cashFlows = [];
+    const valuations = [];
+    let investedAmount = 0;
+    let withdrawnAmount = 0;
+
+    for (const date of dates) {
+      const valuation = { date, value: 0, inflow: 0, outflow: 0 };
+
+      holdings.forEach(({ transactions, navs }, index) => {
+        const position = positions[index];
+        while (position.nextNav < navs.length && navs[position.nextNav].navDate <= date) {
+          position.nav = navs[position.nextNav++].nav;
+        }
+        while (position.nextTransaction < transactions.length &&
+          HolidayCalendar.toDateKey(transactions[position.nextTransaction].navDate) <= date) {
+          const transaction = transactions[position.nextTransaction++];
+          const amount = cashFlow(transaction);
+          if (amount < 0) {
+            valuation.inflow -= amount;
+            investedAmount -= amount;
+          } else {
+            valuation.outflow += amount;
+            withdrawnAmount += amount;
+          }
+          if (amount !== 0) {
+            cashFlows.push({ date, amount });
+          }
+          position.units = Utils.round(position.units + (transaction.isOutflow() ? -transaction.units : transaction.units), 6);
+          if (position.nav === null) position.nav = transaction.nav;
+        }
+        valuation.value += position.nav ? position.units * position.nav : 0;
+      });
+
+      valuations.push(valuation);
+    }
+
+    if (valuations.length === 0) {
+      return {
+        firstInvestmentDate: null,
+        valuationDate: null,
+        investedAmount: 0,
+        withdrawnAmount: 0,
+        currentValue: 0,
+        gain: 0,
+        absoluteReturn: null,
+        cagr: null,
+        xirr: null,
+        timeWeightedReturn: null,
+        annualisedTimeWeightedReturn: null
+      };
+    }
+
+    const firstInvestmentDate = cashFlows.length > 0 ? cashFlows[0].date : dates[0];
+    const valuationDate = dates[dates.length - 1];
+    const currentValue = Utils.round(valuations[valuations.length - 1].value, 2);
+    const years = Analytics.yearsBetween(firstInvestmentDate, valuationDate);
+    const twr = Analytics.timeWeightedReturn(valuations);
+
+    // Annualised figures only from a year up, as for scheme performance
+    return {
+      firstInvestmentDate,
+      valuationDate,
+      investedAmount: Utils.round(investedAmount, 2),
+      withdrawnAmount: Utils.round(withdrawnAmount, 2),
+      currentValue,
+      gain: Utils.round(currentValue + withdrawnAmount - investedAmount, 2),
+      absoluteReturn: investedAmount > 0
+        ? Analytics.toPercent(Analytics.absoluteReturn(investedAmount, currentValue + withdrawnAmount))
+        : null,
+      cagr: years >= 1 && investedAmount > 0
+        ? Analytics.toPercent(Analytics.cagr(investedAmount, currentValue + withdrawnAmount, years))
+        : null,
+      xirr: Analytics.toPercent(Analytics.xirr([...cashFlows, { date: valuationDate, amount: currentValue }])),
+      timeWeightedReturn: Analytics.toPercent(twr),
+      annualisedTimeWeightedReturn: years >= 1 && twr !== null
+        ? Analytics.toPercent(Math.pow(1 + twr, 1 / years) - 1)
+        : null
+    };
+  }
+
+  // Returns of a folio as of today. Returns null if the folio does not exist.
+  async getFolioReturns(folioId, asOf = SimulationClock.now()) {
+    try {
+      const details = await Folio.getFolioWithHoldings(folioId);
+      if (!details) {
+        return null;
+      }
+
+      const asOfDate = HolidayCalendar.toDateKey(asOf);
+      const holding = await this.loadFolio(details.folio, asOfDate);
+      return {
+        folio: {
+          id: details.folio.id,
+          folioNumber: details.folio.folioNumber
+        },
+        customer: details.customer,
+        scheme: {
+          name: details.scheme.name,
+          code: details.scheme.code,
+          category: details.scheme.category
+        },
+        asOf: asOfDate,
+        ...this.measure([holding])
+      };
+    } catch (error) {
+      logger.error('Error calculating folio returns', error);
+      throw error;
+    }
+  }
+
+  // Returns of a customer's portfolio as of today, with a breakdown by scheme
+  // and by folio. Folios without processed transactions are left out.
+  // Returns null if the customer does not exist.
+  async getCustomerReturns(customerId, asOf = SimulationClock.now()) {
+    try {
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return null;
+      }
+
+      const asOfDate = HolidayCalendar.toDateKey(asOf);
+      const holdings = [];
+      for (const { folio, scheme } of await Folio.findByCustomer(customer.id, MAX_FOLIOS)) {
+        const holding = await this.loadFolio(folio, asOfDate);
+        if (holding.transactions.length > 0) {
+          holdings.push({ ...holding, scheme });
+        }
+      }
+      holdings.sort((a, b) => a.scheme.code.localeCompare(b.scheme.code) || a.folio.folioNumber.localeCompare(b.folio.folioNumber));
+
+      const bySchemes = new Map();
+      for (const holding of holdings) {
+        if (!bySchemes.has(holding.folio.schemeId)) bySchemes.set(holding.folio.schemeId, []);
+        bySchemes.get(holding.folio.schemeId).push(holding);
+      }
+
+      return {
+        customer: {
+          id: customer.id,
+          name: customer.getFullName(),
+          panNumber: customer.panNumber
+        },
+        asOf: asOfDate,
+        ...this.measure(holdings),
+        schemes: [...bySchemes.entries()].map(([schemeId, schemeHoldings]) => ({
+          schemeId,
+          schemeCode: schemeHoldings[0].scheme.code,
+          schemeName: schemeHoldings[0].scheme.name,
+          category: schemeHoldings[0].scheme.category,
+          folioNumbers: schemeHoldings.map(holding => holding.folio.folioNumber),
+          ...this.measure(schemeHoldings)
+        })),
+        folios: holdings.map(holding => ({
+          folioId: holding.folio.id,
+          folioNumber: holding.folio.folioNumber,
+          schemeCode: holding.scheme.code,
+          ...this.measure([holding])
+        }))
+      };
+    } catch (error) {
+      logger.error('Error calculating customer returns', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReturnsService();
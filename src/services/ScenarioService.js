@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Scenario = require('../models/Scenario');
+const SimulationConfigStore = require('./SimulationConfigStore');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,99}$/i;
+
+// Probabilities and rates that must lie in [0, 1]
+const PROBABILITY_KEYS = [
+  'newCustomerFolioProbability',
+  'existingCustomerFolioProbability',
+  'sipAttachProbability',
+  'transactionProbability',
+  'sipCancellationRate',
+  'stpRegistrationProbability',
+  'swpRegistrationProbability',
+  'camsRejectionRate',
+  'camsFailureRate',
+  'distributorFolioShare',
+  'kycSubmissionProbability',
+  'kraExistingRecordRate',
+  'kraHoldRate',
+  'kraRejectionRate'
+];
+const NON_NEGATIVE_KEYS = ['customerArrivalRate', 'redemptionRatio'];
+const NAV_KEYS = ['marketDrift', 'marketVolatility', 'driftAdjustment', 'volatilityMultiplier'];
+
+// Named market and investor-behaviour scenarios. A scenario overrides the
+// baseline parameters for a whole run and may schedule phases (by simulated
+// day offset from activation) that override them further.
+class ScenarioService {
+  constructor() {
+    this.builtIns = null;
+    this.active = null;
+  }
+
+  getDirectory() {
+    return path.resolve(__dirname, '../..', config.simulation.scenarioDirectory);
+  }
+
+  // Parse a JSON or YAML document; YAML is a superset of JSON so it reads both
+  parse(content) {
+    let definition;
+    try {
+      definition = yaml.safeLoad(content);
+    } catch (error) {
+      throw Utils.validationError(`Scenario could not be parsed: ${error.message}`);
+    }
+    return this.validate(definition);
+  }
+
+  validateParameters(parameters, location) {
+    if (parameters === undefined) return;
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+      throw Utils.validationError(`${location} must be an object`);
+    }
+
+    const known = ['nav', ...PROBABILITY_KEYS, ...NON_NEGATIVE_KEYS];
+    for (const [key, value] of Object.entries(parameters)) {
+      if (!known.includes(key)) {
+        throw Utils.validationError(`${location}.${key} is not a scenario parameter`);
+      }
+      if (key === 'nav') continue;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        throw Utils.validationError(`${location}.${key} must be a non-negative number`);
+      }
+      if (PROBABILITY_KEYS.includes(key) && value > 1) {
+        throw Utils.validationError(`${location}.${key} must be between 0 and 1`);
+      }
+    }
+
+    if (parameters.camsRejectionRate !== undefined && parameters.camsFailureRate !== undefined &&
+        parameters.camsRejectionRate + parameters.camsFailureRate > 1) {
+      throw Utils.validationError(`${location}: CAMS rejection and failure rates cannot exceed 1 together`);
+    }
+    if (parameters.kraHoldRate !== undefined && parameters.kraRejectionRate !== undefined &&
+        parameters.kraHoldRate + parameters.kraRejectionRate > 1) {
+      throw Utils.validationError(`${location}: KRA hold and rejection rates cannot exceed 1 together`);
+    }
+
+    const { nav } = parameters;
+    if (nav !== undefined) {
+      if (!nav || typeof nav !== 'object' || Array.isArray(nav)) {
+        throw Utils.validationError(`${location}.nav must be an object`);
+      }
+      for (const [key, value] of Object.entries(nav)) {
+        if (!NAV_KEYS.includes(key)) {
+          throw Utils.validationError(`${location}.nav.${key} is not a NAV parameter`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw Utils.validationError(`${location}.nav.${key} must be a number`);
+        }
+      }
+      if (nav.marketVolatility !== undefined && nav.marketVolatility < 0) {
+        throw Utils.validationError(`${location}.nav.marketVolatility must not be negative`);
+      }
+      if (nav.volatilityMultiplier !== undefined && nav.volatilityMultiplier <= 0) {
+        throw Utils.validationError(`${location}.nav.volatilityMultiplier must be positive`);
+      }
+    }
+  }
+
+  validate(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw Utils.validationError('Scenario must be an object');
+    }
+    if (typeof definition.name !== 'string' || !NAME_PATTERN.test(definition.name)) {
+      throw Utils.validationError('Scenario name must be 1-100 letters, digits, hyphens or underscores');
+    }
+
+    this.validateParameters(definition.parameters, 'parameters');
+
+    const phases = definition.phases || [];
+    if (!Array.isArray(phases)) {
+      throw Utils.validationError('phases must be a list');
+    }
+    phases.forEach((phase, index) => {
+      const location = `phases[${index}]`;
+      if (!Number.isInteger(phase.startDay) || phase.startDay < 0) {
+        throw Utils.validationError(`${location}.startDay must be a non-negative integer`);
+      }
+      if (phase.endDay !== undefined && (!Number.isInteger(phase.endDay) || phase.endDay <= phase.startDay)) {
+        throw Utils.validationError(`${location}.endDay must be an integer after startDay`);
+      }
+      this.validateParameters(phase.parameters, `${location}.parameters`);
+    });
+
+    return {
+      name: definition.name,
+      description: definition.description || null,
+      parameters: definition.parameters || {},
+      phases: phases.map(phase => ({
+        name: phase.name || null,
+        startDay: phase.startDay,
+        endDay: phase.endDay !== undefined ? phase.endDay : null,
+        parameters: phase.parameters || {}
+      }))
+    };
+  }
+
+  // Built-in scenarios shipped as files in the scenario directory
+  loadBuiltIns() {
+    if (this.builtIns) return this.builtIns;
+
+    this.builtIns = {};
+    const directory = this.getDirectory();
+    if (!fs.existsSync(directory)) {
+      logger.warn('Scenario directory not found', { directory });
+      return this.builtIns;
+    }
+
+    for (const file of fs.readdirSync(directory).sort()) {
+      if (!/\.(json|ya?ml)$/i.test(file)) continue;
+      try {
+        const definition = this.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+        this.builtIns[definition.name] = definition;
+      } catch (error) {
+        logger.error(`Error loading scenario file ${file}`, error);
+      }
+    }
+
+    logger.info(`Loaded ${Object.keys(this.builtIns).length} built-in scenarios`);
+    return this.builtIns;
+  }
+
+  async listScenarios() {
+    const builtIns = Object.values(this.loadBuiltIns()).map(definition => ({ ...definition, source: 'BUILT_IN' }));
+    const stored = (await Scenario.findAll()).map(scenario => ({ ...scenario.definition, source: 'CUSTOM' }));
+    return [...builtIns, ...stored];
+  }
+
+  async getScenario(name) {
+    const builtIn = this.loadBuiltIns()[name];
+    if (builtIn) {
+      return { ...builtIn, source: 'BUILT_IN' };
+    }
+
+    const scenario = await Scenario.findByName(name);
+    return scenario ? { ...scenario.definition, source: 'CUSTOM' } : null;
+  }
+
+  async createScenario(definition) {
+    const scenario = this.validate(definition);
+    if (this.loadBuiltIns()[scenario.name]) {
+      throw Utils.validationError(`Scenario ${scenario.name} is built in and cannot be replaced`);
+    }
+
+    const created = await Scenario.create(scenario);
+    return { ...created.definition, source: 'CUSTOM' };
+  }
+
+  async updateScenario(name, definition) {
+    if (this.loadBuiltIns()[name]) {
+      throw Utils.validationError(`Scenario ${name} is built in and cannot be changed`);
+    }
+
+    const existing = await Scenario.findByName(name);
+    if (!existing) {
+      return null;
+    }
+
+    const scenario = this.validate({ ...definition, name });
+    await existing.update(scenario);
+    return { ...existing.definition, source: 'CUSTOM' };
+  }
+
+  async deleteScenario(name) {
+    if (this.loadBuiltIns()[name]) {
+      throw Utils.validationError(`Scenario ${name} is built in and cannot be deleted`);
+    }
+
+    const existing = await Scenario.findByName(name);
+    if (!existing) {
+      return false;
+    }
+
+    await existing.delete();
+    return true;
+  }
+
+  // Make a scenario drive the simulation from startTime (simulated)
+  activate(definition, startTime) {
+    this.active = { definition, startTime: new Date(startTime) };
+    logger.info('Simulation scenario activated', { name: definition.name, startTime: this.active.startTime.toISOString() });
+  }
+
+  deactivate() {
+    if (this.active) {
+      logger.info('Simulation scenario deactivated', { name: this.active.definition.name });
+    }
+    this.active = null;
+  }
+
+  getActivePhase(at) {
+    if (!this.active) return null;
+
+    const day = Math.floor((new Date(at) - this.active.startTime) / DAY_MS);
+    const phases = this.active.definition.phases.filter(phase =>
+      day >= phase.startDay && (phase.endDay === null || day < phase.endDay));
+    return phases.length > 0 ? phases[phases.length - 1] : null;
+  }
+
+  // Baseline (with runtime generator settings), overridden by the active
+  // scenario, overridden by its current phase
+  getParameters(at) {
+    const layers = [config.simulation.scenarioDefaults, SimulationConfigStore.getParameters()];
+    if (this.active) {
+      layers.push(this.active.definition.parameters);
+      const phase = this.getActivePhase(at);
+      if (phase) layers.push(phase.parameters);
+    }
+
+    return layers.reduce((merged, layer) => ({
+      ...merged,
+      ...layer,
+      nav: { ...merged.nav, ...(layer.nav || {}) }
+    }), { nav: {} });
+  }
+
+  getStatus(at) {
+    if (!this.active) return null;
+
+    const phase = this.getActivePhase(at);
+    return {
+      name: this.active.definition.name,
+      startTime: this.active.startTime,
+      activePhase: phase ? phase.name || `day ${phase.startDay}` : null,
+      parameters: this.getParameters(at)
+    };
+  }
+}
+
+module.exports = new ScenarioService();
@@ -0,0 +1,151 @@
+const Scheme = require('../models/Scheme');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const Analytics = require('../utils/analytics');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const DEFAULT_PERIOD_DAYS = 30;
+
+// YYYY-MM-DD date a number of calendar days before another
+function daysBefore(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// Plan-option summary without the parent's terms it shares
+function describeOption(option) {
+  return {
+    id: option.id,
+    schemeCode: option.schemeCode,
+    schemeName: option.schemeName,
+    plan: option.plan,
+    planOption: option.planOption,
+    nav: option.nav,
+    expenseRatio: option.expenseRatio
+  };
+}
+
+// Direct and regular plan-options of a scheme. The scheme itself is the
+// portfolio: its NAV is the portfolio's before expenses and each plan-option
+// compounds the same daily return less its own expense ratio, so the gap
+// between a direct and a regular plan is the distributor commission.
+class SchemePlanService {
+  // The scheme for an id, the parent of a plan-option, with its plan-options
+  async resolve(schemeId) {
+    const scheme = await Scheme.findById(schemeId);
+    if (!scheme) {
+      return null;
+    }
+    const parent = scheme.parentSchemeId ? await Scheme.findById(scheme.parentSchemeId) : scheme;
+    return { scheme: parent, options: await Scheme.findPlanOptions(parent.id) };
+  }
+
+  // A scheme and its plan-options. Returns null if the scheme does not exist.
+  async getPlans(schemeId) {
+    try {
+      const resolved = await this.resolve(schemeId);
+      if (!resolved) {
+        return null;
+      }
+
+      return {
+        scheme: resolved.scheme,
+        planOptions: resolved.options.map(describeOption)
+      };
+    } catch (error) {
+      logger.error('Error getting scheme plans', error);
+      throw error;
+    }
+  }
+
+  // NAVs of the portfolio and each plan-option between two YYYY-MM-DD dates
+  // (inclusive), the last 30 days to today by default. Returns null if the
+  // scheme does not exist.
+  async getNAVHistory(schemeId, { from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      const fromDate = from || daysBefore(toDate, DEFAULT_PERIOD_DAYS);
+      if (fromDate > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const resolved = await this.resolve(schemeId);
+      if (!resolved) {
+        return null;
+      }
+
+      const { scheme, options } = resolved;
+      return {
+        scheme: { id: scheme.id, schemeCode: scheme.schemeCode, schemeName: scheme.schemeName },
+        from: fromDate,
+        to: toDate,
+        portfolio: await Scheme.findNAVSeries(scheme.id, fromDate, toDate),
+        planOptions: await Promise.all(options.map(async option => ({
+          ...describeOption(option),
+          series: await Scheme.findNAVSeries(option.id, fromDate, toDate)
+        })))
+      };
+    } catch (error) {
+      logger.error('Error getting plan NAV history', error);
+      throw error;
+    }
+  }
+
+  // Performance of each plan-option over a period, and by how much the
+  // direct plan of each option outperformed the regular. Returns null if the
+  // scheme does not exist.
+  async comparePerformance(schemeId, period = '1y') {
+    try {
+      const resolved = await this.resolve(schemeId);
+      if (!resolved) {
+        return null;
+      }
+
+      const { scheme, options } = resolved;
+      const performances = await Promise.all(options.map(async option => ({
+        ...describeOption(option),
+        performance: await Scheme.getPerformance(option.id, period)
+      })));
+
+      const find = (plan, planOption) => performances.find(entry => entry.plan === plan && entry.planOption === planOption);
+      const returnOf = (entry, key) => entry.performance.returns[key] ? entry.performance.returns[key].absoluteReturn : null;
+      const directVsRegular = [];
+      for (const planOption of Object.values(config.planOptions)) {
+        const direct = find(config.schemePlans.DIRECT, planOption);
+        const regular = find(config.schemePlans.REGULAR, planOption);
+        if (!direct || !regular) {
+          continue;
+        }
+
+        const returnGap = {};
+        for (const key of Object.keys(Analytics.PERIODS)) {
+          const directReturn = returnOf(direct, key);
+          const regularReturn = returnOf(regular, key);
+          returnGap[key] = directReturn !== null && regularReturn !== null
+            ? Analytics.round(directReturn - regularReturn)
+            : null;
+        }
+        directVsRegular.push({
+          planOption,
+          expenseRatioGap: parseFloat((regular.expenseRatio - direct.expenseRatio).toFixed(2)),
+          returnGap
+        });
+      }
+
+      return {
+        scheme: { id: scheme.id, schemeCode: scheme.schemeCode, schemeName: scheme.schemeName },
+        period,
+        planOptions: performances,
+        directVsRegular
+      };
+    } catch (error) {
+      logger.error('Error comparing plan performance', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SchemePlanService();
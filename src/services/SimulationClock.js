@@ -0,0 +1,99 @@
+const logger = require('../utils/logger');
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Virtual clock for the simulation. While a run drives it, every timestamp the
+// simulator writes (transactions, SIP schedules, NAV dates, settlement dates,
+// scheduled jobs) comes from here instead of the wall clock.
+class SimulationClock {
+  constructor() {
+    this.virtualTime = null;
+    this.speed = 1;
+    this.mode = 'REALTIME';
+  }
+
+  now() {
+    return this.virtualTime !== null ? new Date(this.virtualTime) : new Date();
+  }
+
+  isVirtual() {
+    return this.virtualTime !== null;
+  }
+
+  // Take over time from the wall clock, starting at startDate and running at speed x real time
+  start(startDate = new Date(), speed = 1) {
+    this.virtualTime = new Date(startDate).getTime();
+    this.setSpeed(speed);
+    logger.info('Simulation clock started', { startDate: this.now().toISOString(), speed: this.speed });
+  }
+
+  setSpeed(speed) {
+    if (!(speed > 0)) {
+      throw new Error('Clock speed must be a positive number');
+    }
+    this.speed = speed;
+    if (this.mode !== 'BACKFILL') {
+      this.mode = speed === 1 ? 'REALTIME' : 'ACCELERATED';
+    }
+    return this.speed;
+  }
+
+  setMode(mode) {
+    this.mode = mode;
+  }
+
+  // Move virtual time forward; the clock never runs backwards
+  advanceTo(date) {
+    const target = new Date(date).getTime();
+    if (this.virtualTime === null) {
+      throw new Error('Simulation clock is not running');
+    }
+    if (target < this.virtualTime) {
+      throw new Error('Simulation clock cannot move backwards');
+    }
+    this.virtualTime = target;
+    return this.now();
+  }
+
+  advanceBy(ms) {
+    return this.advanceTo(this.now().getTime() + ms);
+  }
+
+  // Hand time back to the wall clock
+  release() {
+    this.virtualTime = null;
+    this.speed = 1;
+    this.mode = 'REALTIME';
+    logger.info('Simulation clock released to wall clock');
+  }
+
+  // The instant at hours:minutes India Standard Time on the calendar day of date (UTC date parts)
+  atIST(date, hours, minutes = 0) {
+    const day = new Date(date);
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate(), hours, minutes) - IST_OFFSET_MS);
+  }
+
+  // Calendar fields of an instant as seen in India Standard Time
+  toIST(date) {
+    const shifted = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      dayOfMonth: shifted.getUTCDate(),
+      dayOfWeek: shifted.getUTCDay(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes()
+    };
+  }
+
+  getState() {
+    return {
+      mode: this.mode,
+      virtual: this.isVirtual(),
+      speed: this.speed,
+      now: this.now().toISOString()
+    };
+  }
+}
+
+module.exports = new SimulationClock();
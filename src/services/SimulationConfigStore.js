@@ -0,0 +1,161 @@
+const redis = require('../config/redis');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const REDIS_KEY = 'simulation:config';
+
+// Scenario baseline parameters owned by each generator
+const GENERATOR_PARAMETERS = {
+  customerCreation: ['customerArrivalRate'],
+  folioCreation: ['newCustomerFolioProbability', 'existingCustomerFolioProbability', 'sipAttachProbability'],
+  transactionCreation: ['transactionProbability', 'redemptionRatio', 'stpRegistrationProbability', 'swpRegistrationProbability'],
+  camsProcessing: ['camsRejectionRate', 'camsFailureRate'],
+  sipExecution: ['sipCancellationRate'],
+  kycProcessing: ['kycSubmissionProbability', 'kraExistingRecordRate', 'kraHoldRate', 'kraRejectionRate'],
+  navUpdates: []
+};
+const UNBOUNDED_PARAMETERS = ['customerArrivalRate', 'redemptionRatio'];
+
+// Runtime generator configuration (enable flag, interval, batch size and
+// probabilities), persisted in Redis so it survives restarts
+class SimulationConfigStore {
+  constructor() {
+    this.config = this.getDefaults();
+    this.loaded = false;
+  }
+
+  get generatorNames() {
+    return Object.keys(GENERATOR_PARAMETERS);
+  }
+
+  getDefaults() {
+    const { simulation } = config;
+    const intervals = {
+      customerCreation: simulation.customerCreationInterval,
+      folioCreation: simulation.folioCreationInterval,
+      transactionCreation: simulation.transactionSimulationInterval,
+      camsProcessing: simulation.camsProcessingInterval,
+      sipExecution: simulation.sipExecutionInterval,
+      kycProcessing: simulation.kycProcessingInterval,
+      navUpdates: simulation.navUpdateInterval
+    };
+
+    const defaults = {};
+    for (const [name, parameters] of Object.entries(GENERATOR_PARAMETERS)) {
+      defaults[name] = {
+        enabled: true,
+        intervalSeconds: Math.max(1, Math.round(intervals[name] / 1000)),
+        batchSize: simulation.batchSizes[name] || 1,
+        probabilities: parameters.reduce((values, key) => ({ ...values, [key]: simulation.scenarioDefaults[key] }), {})
+      };
+    }
+    return defaults;
+  }
+
+  merge(base, patch) {
+    const merged = {};
+    for (const name of this.generatorNames) {
+      const update = patch[name] || {};
+      merged[name] = {
+        ...base[name],
+        ...update,
+        probabilities: { ...base[name].probabilities, ...(update.probabilities || {}) }
+      };
+    }
+    return merged;
+  }
+
+  async load() {
+    try {
+      const stored = await redis.get(REDIS_KEY);
+      this.config = stored ? this.merge(this.getDefaults(), JSON.parse(stored)) : this.getDefaults();
+      this.loaded = true;
+      return this.get();
+    } catch (error) {
+      logger.error('Error loading simulation config', error);
+      throw error;
+    }
+  }
+
+  get() {
+    return JSON.parse(JSON.stringify(this.config));
+  }
+
+  getGenerator(name) {
+    return this.config[name];
+  }
+
+  // Flat scenario-baseline parameters contributed by the generators
+  getParameters() {
+    return Object.values(this.config).reduce((parameters, generator) => ({ ...parameters, ...generator.probabilities }), {});
+  }
+
+  validate(patch) {
+    for (const name of this.generatorNames) {
+      const update = patch[name];
+      if (update === undefined) continue;
+      if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        throw Utils.validationError(`${name} must be an object`);
+      }
+
+      if (update.enabled !== undefined && typeof update.enabled !== 'boolean') {
+        throw Utils.validationError(`${name}.enabled must be a boolean`);
+      }
+      if (update.intervalSeconds !== undefined && (!Number.isInteger(update.intervalSeconds) || update.intervalSeconds < 1)) {
+        throw Utils.validationError(`${name}.intervalSeconds must be a positive integer`);
+      }
+      if (update.batchSize !== undefined && (!Number.isInteger(update.batchSize) || update.batchSize < 1)) {
+        throw Utils.validationError(`${name}.batchSize must be a positive integer`);
+      }
+
+      for (const [key, value] of Object.entries(update.probabilities || {})) {
+        if (!GENERATOR_PARAMETERS[name].includes(key)) {
+          throw Utils.validationError(`${name}.probabilities.${key} is not a ${name} parameter`);
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 ||
+            (!UNBOUNDED_PARAMETERS.includes(key) && value > 1)) {
+          throw Utils.validationError(`${name}.probabilities.${key} is out of range`);
+        }
+      }
+    }
+  }
+
+  // Apply a partial update and persist it. Returns the names of generators whose settings changed.
+  async update(patch = {}) {
+    try {
+      if (!this.loaded) {
+        await this.load();
+      }
+
+      this.validate(patch);
+      const merged = this.merge(this.config, patch);
+      const changed = this.generatorNames.filter(name => JSON.stringify(merged[name]) !== JSON.stringify(this.config[name]));
+
+      await redis.set(REDIS_KEY, JSON.stringify(merged));
+      this.config = merged;
+
+      if (changed.length > 0) {
+        logger.info('Simulation config updated', { changed });
+      }
+      return changed;
+    } catch (error) {
+      logger.error('Error updating simulation config', error);
+      throw error;
+    }
+  }
+
+  async reset() {
+    try {
+      await redis.del(REDIS_KEY);
+      this.config = this.getDefaults();
+      this.loaded = true;
+      return this.get();
+    } catch (error) {
+      logger.error('Error resetting simulation config', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SimulationConfigStore();
@@ -3,6 +3,20 @@ const Folio = require('../models/Folio');
 const Scheme = require('../models/Scheme');
 const Transaction = require('../models/Transaction');
 const SIP = require('../models/SIP');
+const STP = require('../models/STP');
+const SWP = require('../models/SWP');
+const SimulationRun = require('../models/SimulationRun');
+const Distributor = require('../models/Distributor');
+const KYCDocument = require('../models/KYCDocument');
+const NAVModelService = require('./NAVModelService');
+const SimulationClock = require('./SimulationClock');
+const ScenarioService = require('./ScenarioService');
+const SimulationConfigStore = require('./SimulationConfigStore');
+const ScheduledJobs = require('../jobs/ScheduledJobs');
+const CAMSFeedService = require('./CAMSFeedService');
+const DividendService = require('./DividendService');
+const KYCService = require('./KYCService');
+const HolidayCalendar = require('./HolidayCalendar');
 const Utils = require('../utils/helpers');
 const logger = require('../utils/logger');
 const config = require('../config');
@@ -13,7 +27,12 @@ class SimulationService {
     this.isRunning = false;
     this.isPaused = false;
     this.startTime = null;
-    this.intervals = {};
+    this.run = null;
+    this.backfillProgress = null;
+    this.backfillTask = null;
+    this.timer = null;
+    this.ticking = false;
+    this.generators = {};
     this.stats = {
       customersCreated: 0,
       foliosCreated: 0,
@@ -23,10 +42,10 @@ class SimulationService {
     };
   }
 
-  async start() {
+  async start(runConfig = {}) {
     if (this.isRunning) {
       logger.warn('Simulation is already running');
-      return;
+      return this.run;
     }
 
     this.isRunning = true;
@@ -35,21 +54,50 @@ class SimulationService {
     logger.info('Starting AMC simulation...');
 
     try {
+      // Generator settings passed with the run (or recorded with a replayed run) update the runtime store
+      await SimulationConfigStore.load();
+      await SimulationConfigStore.update(runConfig.generators || runConfig);
+
+      // Seed the shared random stream and record it with the run for replay
+      const requestedSeed = runConfig.seed !== undefined && runConfig.seed !== null ? runConfig.seed : config.simulation.seed;
+      const seed = Utils.setSeed(requestedSeed !== null ? requestedSeed : undefined);
+      NAVModelService.reset();
+
+      const startDate = runConfig.startDate ? new Date(runConfig.startDate) : new Date();
+      const speed = runConfig.speed || config.simulation.clockSpeed;
+      SimulationClock.start(startDate, speed);
+      const scenarioDefinition = await this.activateScenario(runConfig, startDate);
+
+      const { replayOf, ...recordedConfig } = runConfig;
+      this.run = await SimulationRun.create({
+        seed,
+        config: {
+          ...recordedConfig,
+          seed: requestedSeed !== null ? requestedSeed : seed,
+          startDate: startDate.toISOString(),
+          speed,
+          scenarioDefinition,
+          generators: SimulationConfigStore.get()
+        },
+        startDate,
+        replayOf
+      });
+
       // Initialize schemes
       await this.initializeSchemes();
 
-      // Start simulation intervals
-      this.startCustomerCreation();
-      this.startFolioCreation();
-      this.startTransactionSimulation();
-      this.startCAMSProcessing();
-      this.startSIPExecution();
-      this.startNAVUpdates();
+      // Start the simulation timeline
+      this.initializeGenerators();
+      this.scheduleNextTick();
 
-      logger.info('AMC simulation started successfully');
+      logger.info('AMC simulation started successfully', { runId: this.run.id, seed });
+      return this.run;
     } catch (error) {
       logger.error('Error starting simulation', error);
       this.isRunning = false;
+      ScenarioService.deactivate();
+      NAVModelService.setOverrides();
+      SimulationClock.release();
       throw error;
     }
   }
@@ -61,16 +109,342 @@ class SimulationService {
     }
 
     this.isRunning = false;
-    
-    // Clear all intervals
-    Object.values(this.intervals).forEach(interval => {
-      if (interval) clearInterval(interval);
-    });
-    this.intervals = {};
+    this.clearTimer();
+
+    // A backfill finishes its current phase and records its own outcome
+    if (this.backfillTask) {
+      await this.backfillTask;
+      return;
+    }
+
+    if (this.run) {
+      await this.run.markStopped();
+    }
+    ScenarioService.deactivate();
+    NAVModelService.setOverrides();
+    SimulationClock.release();
 
     logger.info('AMC simulation stopped');
   }
 
+  // Replay a recorded run: same seed, same configuration, same start date
+  async replay(runId) {
+    const run = await SimulationRun.findById(runId);
+    if (!run) {
+      return null;
+    }
+
+    logger.info('Replaying simulation run', { runId: run.id, seed: run.seed });
+    if (run.config.mode === 'BACKFILL') {
+      return this.backfill({ ...run.config, replayOf: run.id });
+    }
+    return this.start({ ...run.config, replayOf: run.id });
+  }
+
+  // Current time on the simulation timeline
+  now() {
+    return SimulationClock.now();
+  }
+
+  // Resolve the run's scenario (a replay carries the recorded definition) and
+  // start it at the beginning of the timeline
+  async activateScenario(runConfig, startTime) {
+    ScenarioService.deactivate();
+    if (!runConfig.scenario && !runConfig.scenarioDefinition) {
+      return null;
+    }
+
+    const definition = runConfig.scenarioDefinition || await ScenarioService.getScenario(runConfig.scenario);
+    if (!definition) {
+      const error = new Error(`Scenario not found: ${runConfig.scenario}`);
+      error.status = 404;
+      throw error;
+    }
+
+    ScenarioService.activate(definition, startTime);
+    return definition;
+  }
+
+  // Behaviour parameters in force at the current simulated time
+  getParameters() {
+    return ScenarioService.getParameters(this.now());
+  }
+
+  // Move the clock forward, running any scheduled jobs that fall due on the way
+  async advanceClockTo(time) {
+    const from = SimulationClock.now();
+    SimulationClock.advanceTo(time);
+    await ScheduledJobs.runDueJobs(from, time);
+  }
+
+  setClockSpeed(speed) {
+    SimulationClock.setSpeed(speed);
+    if (this.run) {
+      logger.info('Simulation clock speed changed', { runId: this.run.id, speed });
+    }
+    return SimulationClock.getState();
+  }
+
+  getClock() {
+    return SimulationClock.getState();
+  }
+
+  initializeGenerators() {
+    const startMs = this.now().getTime();
+    const runners = {
+      customerCreation: () => this.runCustomerCreation(),
+      folioCreation: () => this.runFolioCreation(),
+      transactionCreation: () => this.runTransactionSimulation(),
+      camsProcessing: () => this.runCAMSProcessing(),
+      sipExecution: () => this.runSIPExecution(),
+      kycProcessing: () => this.runKYCProcessing(),
+      navUpdates: () => this.runNAVUpdates()
+    };
+
+    this.generators = {};
+    for (const [name, run] of Object.entries(runners)) {
+      const { enabled, intervalSeconds } = SimulationConfigStore.getGenerator(name);
+      const intervalMs = intervalSeconds * 1000;
+      this.generators[name] = { enabled, intervalMs, nextRunAt: startMs + intervalMs, run };
+      logger.info(`Started ${name} simulation`, { enabled, intervalMs });
+    }
+  }
+
+  // Hot-apply runtime settings to the running generators: a new interval counts
+  // from the generator's last run, a re-enabled generator starts a fresh interval
+  applyGeneratorConfig(names = Object.keys(this.generators)) {
+    const nowMs = this.now().getTime();
+
+    for (const name of names) {
+      const generator = this.generators[name];
+      if (!generator) continue;
+
+      const { enabled, intervalSeconds } = SimulationConfigStore.getGenerator(name);
+      const intervalMs = intervalSeconds * 1000;
+
+      if (enabled && !generator.enabled) {
+        generator.nextRunAt = nowMs + intervalMs;
+      } else if (intervalMs !== generator.intervalMs) {
+        generator.nextRunAt = Math.max(nowMs, generator.nextRunAt - generator.intervalMs + intervalMs);
+      }
+      generator.enabled = enabled;
+      generator.intervalMs = intervalMs;
+
+      logger.info(`Applied runtime config to ${name}`, { enabled, intervalMs });
+    }
+
+    // The tick length depends on the enabled intervals
+    if (this.isRunning && !this.isPaused && !this.backfillTask && this.timer) {
+      this.clearTimer();
+      this.scheduleNextTick();
+    }
+  }
+
+  getTickInterval() {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const intervals = Object.values(this.generators)
+      .filter(generator => generator.enabled)
+      .map(generator => generator.intervalMs);
+    return Math.max(1000, intervals.reduce(gcd, intervals[0] || 1000));
+  }
+
+  scheduleNextTick() {
+    if (this.timer) return;
+    const tickMs = this.getTickInterval();
+    this.timer = setTimeout(() => this.tick(tickMs), tickMs);
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Advance the timeline by one tick of real time, scaled by the clock speed.
+  // Due generators run one at a time in simulated-time order (ties in a fixed
+  // order), so a seeded run consumes the random stream identically on replay.
+  async tick(tickMs) {
+    this.timer = null;
+    this.ticking = true;
+    const target = this.now().getTime() + tickMs * SimulationClock.speed;
+
+    try {
+      while (this.isRunning && !this.isPaused) {
+        const due = Object.values(this.generators)
+          .filter(generator => generator.enabled && generator.nextRunAt <= target)
+          .reduce((earliest, generator) => (!earliest || generator.nextRunAt < earliest.nextRunAt ? generator : earliest), null);
+        if (!due) break;
+
+        await this.advanceClockTo(due.nextRunAt);
+        await due.run();
+        due.nextRunAt += due.intervalMs;
+      }
+
+      if (this.isRunning && !this.isPaused) {
+        await this.advanceClockTo(target);
+      }
+    } finally {
+      this.ticking = false;
+    }
+
+    if (this.isRunning && !this.isPaused) {
+      this.scheduleNextTick();
+    }
+  }
+
+  // Historical backfill: jump the clock day by day through [from, to], running
+  // each day's activity at fixed market-day times instead of on intervals
+  async backfill(backfillConfig = {}) {
+    if (this.isRunning) {
+      throw new Error('Simulation is already running');
+    }
+
+    const from = SimulationClock.atIST(backfillConfig.from, 0);
+    const to = SimulationClock.atIST(backfillConfig.to, 0);
+    if (to < from) {
+      throw new Error('Backfill end date must not be before its start date');
+    }
+
+    this.isRunning = true;
+    this.isPaused = false;
+    this.startTime = Date.now();
+    logger.info('Starting AMC simulation backfill...', { from: backfillConfig.from, to: backfillConfig.to });
+
+    try {
+      const requestedSeed = backfillConfig.seed !== undefined && backfillConfig.seed !== null ? backfillConfig.seed : config.simulation.seed;
+      const seed = Utils.setSeed(requestedSeed !== null ? requestedSeed : undefined);
+      NAVModelService.reset();
+
+      await SimulationConfigStore.load();
+      await SimulationConfigStore.update(backfillConfig.generators || {});
+
+      SimulationClock.start(from);
+      SimulationClock.setMode('BACKFILL');
+      const scenarioDefinition = await this.activateScenario(backfillConfig, from);
+
+      const volumes = { ...config.simulation.backfill };
+      for (const key of Object.keys(volumes)) {
+        if (backfillConfig[key] !== undefined) {
+          volumes[key] = parseInt(backfillConfig[key]);
+        }
+      }
+
+      const { replayOf, ...recordedConfig } = backfillConfig;
+      this.run = await SimulationRun.create({
+        seed,
+        config: {
+          ...recordedConfig,
+          ...volumes,
+          mode: 'BACKFILL',
+          seed: requestedSeed !== null ? requestedSeed : seed,
+          startDate: from.toISOString(),
+          scenarioDefinition,
+          generators: SimulationConfigStore.get()
+        },
+        startDate: from,
+        replayOf
+      });
+
+      await this.initializeSchemes();
+
+      const dayMs = 24 * 60 * 60 * 1000;
+      this.backfillProgress = {
+        from: backfillConfig.from,
+        to: backfillConfig.to,
+        daysTotal: Math.round((to - from) / dayMs) + 1,
+        daysCompleted: 0,
+        currentDate: null,
+        status: 'RUNNING'
+      };
+
+      this.backfillTask = this.runBackfill(from, to, volumes);
+      logger.info('AMC simulation backfill started', { runId: this.run.id, seed });
+      return this.run;
+    } catch (error) {
+      logger.error('Error starting simulation backfill', error);
+      this.isRunning = false;
+      ScenarioService.deactivate();
+      NAVModelService.setOverrides();
+      SimulationClock.release();
+      throw error;
+    }
+  }
+
+  async runBackfill(from, to, volumes) {
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    try {
+      for (let day = from.getTime(); day <= to.getTime() && this.isRunning; day += dayMs) {
+        this.backfillProgress.currentDate = new Date(day).toISOString().split('T')[0];
+        await this.simulateDay(new Date(day), volumes);
+        if (this.isRunning) {
+          this.backfillProgress.daysCompleted++;
+        }
+      }
+      if (this.backfillProgress.daysCompleted > 0) {
+        await Transaction.refreshAggregates(this.backfillProgress.from, this.backfillProgress.currentDate)
+          .catch(error => logger.error('Error refreshing aggregates after backfill', error));
+      }
+
+      this.backfillProgress.status = this.isRunning ? 'COMPLETED' : 'STOPPED';
+      logger.info('AMC simulation backfill finished', this.backfillProgress);
+    } catch (error) {
+      this.backfillProgress.status = 'FAILED';
+      logger.error('Error in simulation backfill', error);
+    } finally {
+      this.isRunning = false;
+      this.backfillTask = null;
+      if (this.run) {
+        await this.run.markStopped(this.backfillProgress.status).catch(error => logger.error('Error recording backfill outcome', error));
+      }
+      ScenarioService.deactivate();
+      NAVModelService.setOverrides();
+      SimulationClock.release();
+    }
+  }
+
+  // One simulated day: orders during market hours, KRA answers, registrar
+  // processing and SIP debits after the cut-off, NAV publication in the evening
+  async simulateDay(day, volumes) {
+    const enabled = name => SimulationConfigStore.getGenerator(name).enabled;
+
+    await this.advanceClockTo(SimulationClock.atIST(day, 9, 15));
+    for (let i = 0; enabled('customerCreation') && i < volumes.customersPerDay && this.isRunning; i++) {
+      await this.runCustomerCreation();
+    }
+    for (let i = 0; enabled('folioCreation') && i < volumes.folioRunsPerDay && this.isRunning; i++) {
+      await this.runFolioCreation();
+    }
+    for (let i = 0; enabled('transactionCreation') && i < volumes.transactionRunsPerDay && this.isRunning; i++) {
+      await this.runTransactionSimulation();
+    }
+    // Keep executing while full batches of due SIPs go through; a pass that
+    // handles nothing (every due plan failing) ends the drain
+    while (enabled('sipExecution') && this.isRunning) {
+      const handled = await this.runSIPExecution();
+      if (handled === 0 || handled < SimulationConfigStore.getGenerator('sipExecution').batchSize) break;
+    }
+    if (!this.isRunning) return;
+
+    await this.advanceClockTo(SimulationClock.atIST(day, 16, 0));
+    // Purchases released by the day's verifications go in the day's registrar
+    // feed. Drain the KRA answers due the same way as the SIPs.
+    while (enabled('kycProcessing') && this.isRunning) {
+      const handled = await this.runKYCProcessing();
+      if (handled === 0 || handled < SimulationConfigStore.getGenerator('kycProcessing').batchSize) break;
+    }
+    while (enabled('camsProcessing') && this.isRunning && await this.runCAMSProcessing() > 0) {
+      // Drain the day's registrar queue
+    }
+    if (!this.isRunning) return;
+
+    await this.advanceClockTo(SimulationClock.atIST(day, 21, 0));
+    if (enabled('navUpdates')) {
+      await this.runNAVUpdates();
+    }
+  }
+
   async initializeSchemes() {
     try {
       logger.info('Initializing schemes...');
@@ -86,9 +460,9 @@ class SimulationService {
       
       logger.info(`Initialized ${createdSchemes.length} schemes`);
 
-      // Initialize NAV history for all schemes
-      for (const scheme of createdSchemes) {
-        await scheme.insertNAVHistory(scheme.nav);
+      // Initialize NAV history for all schemes and their plan-options
+      for (const scheme of createdSchemes.flatMap(created => [created, ...created.planOptions])) {
+        await scheme.insertNAVHistory(scheme.nav, this.now());
       }
     } catch (error) {
       logger.error('Error initializing schemes', error);
@@ -96,11 +470,17 @@ class SimulationService {
     }
   }
 
-  startCustomerCreation() {
-    this.intervals.customerCreation = setInterval(async () => {
-      try {
-        const customerData = await Customer.generateRandomCustomer();
+  async runCustomerCreation() {
+    try {
+      // Whole arrivals per run, plus one more with the fractional probability
+      const expected = SimulationConfigStore.getGenerator('customerCreation').batchSize * this.getParameters().customerArrivalRate;
+      const fraction = expected % 1;
+      const arrivals = Math.floor(expected) + (fraction > 0 && Utils.randomBoolean(fraction) ? 1 : 0);
+
+      for (let i = 0; i < arrivals; i++) {
+        const customerData = await Customer.generateRandomCustomer(this.now());
         const customer = await Customer.create(customerData);
+        await KYCService.startOnboarding(customer, 'SYSTEM', this.now());
         this.stats.customersCreated++;
         
         logger.info('Random customer created', { 
@@ -108,32 +488,31 @@ class SimulationService {
           pan: customer.panNumber,
           name: customer.getFullName()
         });
-      } catch (error) {
-        logger.error('Error creating random customer', error);
       }
-    }, config.simulation.customerCreationInterval);
-
-    logger.info('Started customer creation simulation');
+    } catch (error) {
+      logger.error('Error creating random customer', error);
+    }
   }
 
-  startFolioCreation() {
-    this.intervals.folioCreation = setInterval(async () => {
-      try {
-        // Create folio for new customer (70% probability)
-        if (Utils.randomBoolean(0.7)) {
+  async runFolioCreation() {
+    try {
+      const parameters = this.getParameters();
+      const { batchSize } = SimulationConfigStore.getGenerator('folioCreation');
+
+      for (let i = 0; i < batchSize; i++) {
+        // Create folio for new customer (70% probability at baseline)
+        if (Utils.randomBoolean(parameters.newCustomerFolioProbability)) {
           await this.createFolioForNewCustomer();
         }
 
-        // Create folio for existing customer (30% probability)
-        if (Utils.randomBoolean(0.3)) {
+        // Create folio for existing customer (30% probability at baseline)
+        if (Utils.randomBoolean(parameters.existingCustomerFolioProbability)) {
           await this.createFolioForExistingCustomer();
         }
-      } catch (error) {
-        logger.error('Error in folio creation simulation', error);
       }
-    }, config.simulation.folioCreationInterval);
-
-    logger.info('Started folio creation simulation');
+    } catch (error) {
+      logger.error('Error in folio creation simulation', error);
+    }
   }
 
   async createFolioForNewCustomer() {
@@ -146,7 +525,7 @@ class SimulationService {
       if (schemes.length === 0) return;
 
       const scheme = Utils.getRandomElement(schemes);
-      const folioData = await Folio.generateRandomFolio(customer.id, scheme.id);
+      const folioData = await this.assignDistributor(await Folio.generateRandomFolio(customer.id, scheme.id));
       const folio = await Folio.create(folioData);
       
       this.stats.foliosCreated++;
@@ -157,9 +536,9 @@ class SimulationService {
         schemeId: scheme.id
       });
 
-      // 60% chance to create a SIP for new folio
-      if (Utils.randomBoolean(0.6)) {
-        await this.createSIPForFolio(folio.id, customer.id, scheme.id);
+      // 60% chance at baseline to create a SIP for new folio
+      if (Utils.randomBoolean(this.getParameters().sipAttachProbability)) {
+        await this.createSIPForFolio(folio.id, customer.id, folio.schemeId);
       }
     } catch (error) {
       logger.error('Error creating folio for new customer', error);
@@ -176,7 +555,7 @@ class SimulationService {
       if (schemes.length === 0) return;
 
       const scheme = Utils.getRandomElement(schemes);
-      const folioData = await Folio.generateRandomFolio(customer.id, scheme.id);
+      const folioData = await this.assignDistributor(await Folio.generateRandomFolio(customer.id, scheme.id));
       const folio = await Folio.create(folioData);
       
       this.stats.foliosCreated++;
@@ -191,9 +570,20 @@ class SimulationService {
     }
   }
 
+  // Sells a share of new folios through a distributor, in the regular plan;
+  // the rest are bought direct
+  async assignDistributor(folioData) {
+    if (!Utils.randomBoolean(this.getParameters().distributorFolioShare)) {
+      return folioData;
+    }
+
+    const distributor = await Distributor.getRandomDistributor();
+    return distributor ? { ...folioData, distributorId: distributor.id, euin: distributor.euin } : folioData;
+  }
+
   async createSIPForFolio(folioId, customerId, schemeId) {
     try {
-      const sipData = await SIP.generateRandomSIP(folioId, customerId, schemeId);
+      const sipData = await SIP.generateRandomSIP(folioId, customerId, schemeId, this.now());
       const sip = await SIP.create(sipData);
       
       this.stats.sipsCreated++;
@@ -209,16 +599,20 @@ class SimulationService {
     }
   }
 
-  startTransactionSimulation() {
-    this.intervals.transactionSimulation = setInterval(async () => {
-      try {
-        // Get random folios for transactions
-        const foliosForTransaction = await Folio.getRandomFoliosForTransactions(5);
-        
-        for (const folioData of foliosForTransaction) {
-          // 70% chance to create a transaction for each folio
-          if (Utils.randomBoolean(0.7)) {
-            const transactionData = await Transaction.generateRandomTransaction(folioData);
+  async runTransactionSimulation() {
+    try {
+      // Get random folios for transactions
+      const { batchSize } = SimulationConfigStore.getGenerator('transactionCreation');
+      const foliosForTransaction = await Folio.getRandomFoliosForTransactions(batchSize);
+      const {
+        transactionProbability, redemptionRatio, stpRegistrationProbability, swpRegistrationProbability
+      } = this.getParameters();
+      
+      for (const folioData of foliosForTransaction) {
+        // 70% chance at baseline to create a transaction for each folio
+        if (Utils.randomBoolean(transactionProbability)) {
+          const transactionData = await Transaction.generateRandomTransaction(folioData, this.now(), { redemptionRatio });
+          if (transactionData) {
             const transaction = await Transaction.create(transactionData);
             
             this.stats.transactionsCreated++;
@@ -230,137 +624,210 @@ class SimulationService {
             });
           }
         }
-      } catch (error) {
-        logger.error('Error in transaction simulation', error);
-      }
-    }, config.simulation.transactionSimulationInterval);
 
-    logger.info('Started transaction simulation');
+        // A few investors set up transfer or withdrawal plans
+        if (Utils.randomBoolean(stpRegistrationProbability)) {
+          await this.registerPlanForFolio(STP, folioData.folio);
+        }
+        if (Utils.randomBoolean(swpRegistrationProbability)) {
+          await this.registerPlanForFolio(SWP, folioData.folio);
+        }
+      }
+    } catch (error) {
+      logger.error('Error in transaction simulation', error);
+    }
   }
 
-  startCAMSProcessing() {
-    this.intervals.camsProcessing = setInterval(async () => {
-      try {
-        const pendingTransactions = await Transaction.findPendingForCAMS(20);
-        
-        for (const transaction of pendingTransactions) {
-          // Simulate CAMS processing with different outcomes
-          const processingOutcome = this.simulateCAMSProcessing();
-          
-          if (processingOutcome.success) {
-            // Process the transaction first
-            if (!transaction.isProcessed()) {
-              await transaction.process(transaction.nav);
-            }
-            
-            // Update CAMS status
-            await transaction.updateCAMSStatus(
-              config.statuses.cams.PROCESSED, 
-              Utils.generateCamsReference()
-            );
-            
-            this.stats.camsProcessed++;
-            
-            logger.info('Transaction processed by CAMS', { 
-              transactionId: transaction.transactionId,
-              camsReference: transaction.camsReferenceNumber
-            });
-          } else {
-            // CAMS rejection
-            await transaction.updateCAMSStatus(
-              config.statuses.cams.REJECTED,
-              Utils.generateCamsReference()
-            );
-            
-            logger.info('Transaction rejected by CAMS', { 
-              transactionId: transaction.transactionId,
-              reason: processingOutcome.reason
-            });
-          }
+  // Registers an STP into another scheme, or an SWP, on a folio holding units
+  async registerPlanForFolio(Plan, folio) {
+    try {
+      const folioData = await Folio.getFolioWithHoldings(folio.id);
+      if (folioData.holdings.totalUnits <= 0) {
+        return null;
+      }
+
+      let plan;
+      if (Plan === STP) {
+        const [target, source] = await Promise.all([Scheme.getRandomScheme(), Scheme.findById(folio.schemeId)]);
+        if (!target || [folio.schemeId, source.parentSchemeId].includes(target.id)) {
+          return null;
         }
-      } catch (error) {
-        logger.error('Error in CAMS processing simulation', error);
+        plan = await STP.create(await STP.generateRandomSTP(folio, target.id, this.now()));
+      } else {
+        plan = await SWP.create(await SWP.generateRandomSWP(folio, this.now()));
       }
-    }, 60000); // Run every minute
 
-    logger.info('Started CAMS processing simulation');
+      logger.info('Systematic plan registered for folio', plan.toJSON());
+      return plan;
+    } catch (error) {
+      logger.error('Error registering systematic plan for folio', error);
+      return null;
+    }
   }
 
-  startSIPExecution() {
-    this.intervals.sipExecution = setInterval(async () => {
-      try {
-        const dueForExecution = await SIP.findDueForExecution();
-        
-        for (const { sip, nav } of dueForExecution) {
-          try {
-            await sip.execute(nav);
-            logger.info('SIP executed', { 
-              sipId: sip.sipId,
-              amount: sip.amount,
-              executionCount: sip.executionCount + 1
-            });
-          } catch (error) {
-            logger.error('Error executing SIP', { sipId: sip.sipId, error: error.message });
-          }
-        }
-      } catch (error) {
-        logger.error('Error in SIP execution', error);
+  async processCAMSFeeds() {
+    const { batchSize } = SimulationConfigStore.getGenerator('camsProcessing');
+    const { camsRejectionRate, camsFailureRate } = this.getParameters();
+    const cycle = await CAMSFeedService.runCycle(this.now(), {
+      limit: batchSize,
+      rejectionRate: camsRejectionRate,
+      failureRate: camsFailureRate
+    });
+
+    this.stats.camsProcessed += cycle.imported.processed;
+    return cycle;
+  }
+
+  // Exchange a feed cycle with the registrar. Returns the number of
+  // transactions the registrar decided so backfill can drain the queue;
+  // failed records go back to the queue and would be re-exported at once.
+  async runCAMSProcessing() {
+    try {
+      const cycle = await this.processCAMSFeeds();
+      return cycle.imported.processed + cycle.imported.rejected;
+    } catch (error) {
+      logger.error('Error in CAMS processing simulation', error);
+      return 0;
+    }
+  }
+
+  // A simulated applicant gives the documents their KYC still needs (their
+  // own PAN and a random proof of address) and submits them to the KRA
+  async submitKYCDocuments(customer) {
+    try {
+      const now = this.now();
+      const missing = KYCService.getMissingDocuments(await KYCDocument.findLatest(customer.id));
+      for (const type of missing) {
+        const documentType = type === KYCService.ADDRESS_PROOF ? Utils.getRandomElement(config.kyc.addressProofs) : type;
+        const documentNumber = documentType === 'PAN'
+          ? customer.panNumber
+          : documentType === 'PHOTO' ? null : `${documentType.slice(0, 2)}${Utils.randomInt(10000000, 99999999)}`;
+        await KYCService.addDocument(customer.id, { documentType, documentNumber }, 'SYSTEM', now);
       }
-    }, 300000); // Run every 5 minutes
 
-    logger.info('Started SIP execution simulation');
+      await KYCService.submit(customer.id, 'SYSTEM', now);
+      return true;
+    } catch (error) {
+      logger.error('Error submitting simulated KYC', { customerId: customer.id, error: error.message });
+      return false;
+    }
   }
 
-  startNAVUpdates() {
-    this.intervals.navUpdates = setInterval(async () => {
-      try {
-        const schemes = await Scheme.findAll();
-        
-        for (const scheme of schemes) {
-          const newNav = scheme.simulateNAVMovement();
-          await scheme.updateNAV(newNav);
-          
-          logger.debug('NAV updated', { 
-            schemeCode: scheme.schemeCode,
-            oldNav: scheme.nav,
-            newNav
+  // Collects the KRA answers due, then applicants owing documents submit
+  // them with the scenario's probability
+  async processKYC() {
+    const { batchSize } = SimulationConfigStore.getGenerator('kycProcessing');
+    const { kycSubmissionProbability, kraExistingRecordRate, kraHoldRate, kraRejectionRate } = this.getParameters();
+    const responses = await KYCService.processResponses(this.now(), {
+      limit: batchSize,
+      existingRecordRate: kraExistingRecordRate,
+      holdRate: kraHoldRate,
+      rejectionRate: kraRejectionRate
+    });
+
+    let submitted = 0;
+    for (const customer of await Customer.findKYCApplicants(batchSize)) {
+      if (Utils.randomBoolean(kycSubmissionProbability) && await this.submitKYCDocuments(customer)) {
+        submitted++;
+      }
+    }
+
+    return { responses, submitted };
+  }
+
+  // Returns the number of KRA answers recorded so backfill can drain them
+  async runKYCProcessing() {
+    try {
+      const { responses } = await this.processKYC();
+      return responses.answered;
+    } catch (error) {
+      logger.error('Error in KYC processing simulation', error);
+      return 0;
+    }
+  }
+
+  // Executes due SIPs, then due STPs and SWPs. Returns the most instalments
+  // handled of any one kind, so backfill drains while any kind fills a batch.
+  async runSIPExecution() {
+    try {
+      const now = this.now();
+      const { batchSize } = SimulationConfigStore.getGenerator('sipExecution');
+      const dueForExecution = await SIP.findDueForExecution(now, batchSize);
+      const { sipCancellationRate } = this.getParameters();
+      let handled = 0;
+      
+      for (const { sip, nav } of dueForExecution) {
+        try {
+          // Investors stopping their SIP instead of paying the instalment
+          if (sipCancellationRate > 0 && Utils.randomBoolean(sipCancellationRate)) {
+            await sip.cancel();
+            handled++;
+            logger.info('SIP cancelled by investor', { sipId: sip.sipId });
+            continue;
+          }
+
+          await sip.execute(nav, now);
+          handled++;
+          logger.info('SIP executed', { 
+            sipId: sip.sipId,
+            amount: sip.amount,
+            executionCount: sip.executionCount + 1
           });
+        } catch (error) {
+          logger.error('Error executing SIP', { sipId: sip.sipId, error: error.message });
         }
+      }
 
-        logger.info('NAV updates completed for all schemes');
-      } catch (error) {
-        logger.error('Error in NAV updates', error);
+      // A plan that fails stays due, so only executed or skipped plans count
+      let handledPlans = 0;
+      for (const Plan of [STP, SWP]) {
+        const duePlans = await Plan.findDueForExecution(now, batchSize);
+        let handledOfType = 0;
+        for (const plan of duePlans) {
+          try {
+            await plan.execute(now);
+            handledOfType++;
+          } catch (error) {
+            logger.error('Error executing systematic plan', { plan: plan.toJSON(), error: error.message });
+          }
+        }
+        handledPlans = Math.max(handledPlans, handledOfType);
       }
-    }, 3600000); // Run every hour
 
-    logger.info('Started NAV update simulation');
+      return Math.max(handled, handledPlans);
+    } catch (error) {
+      logger.error('Error in SIP execution', error);
+      return 0;
+    }
   }
 
-  simulateCAMSProcessing() {
-    // Simulate different CAMS processing outcomes
-    const random = Math.random();
-    
-    if (random < 0.85) {
-      // 85% success rate
-      return { success: true };
-    } else if (random < 0.95) {
-      // 10% rejection rate
-      return { 
-        success: false, 
-        reason: Utils.getRandomElement([
-          'Insufficient funds',
-          'Invalid PAN',
-          'KYC not completed',
-          'Scheme not active',
-          'Minimum investment not met'
-        ])
-      };
-    } else {
-      // 5% failure rate (technical issues)
-      return { 
-        success: false, 
-        reason: 'Technical failure - will retry'
-      };
+  async runNAVUpdates() {
+    try {
+      // NAVs are only published for days the exchanges trade
+      if (!HolidayCalendar.isBusinessDay(this.now(), HolidayCalendar.CALENDARS.EXCHANGE)) {
+        const holiday = HolidayCalendar.getHoliday(this.now());
+        logger.debug('Skipping NAV publication on non-trading day', {
+          date: this.now().toISOString(),
+          holiday: holiday ? holiday.name : null
+        });
+        return;
+      }
+
+      NAVModelService.setOverrides(this.getParameters().nav);
+      const result = await Scheme.updateAllNAVs(this.now());
+      await DividendService.distributeDue(this.now());
+
+      for (const scheme of result.schemes) {
+        logger.debug('NAV updated', { 
+          schemeCode: scheme.schemeCode,
+          oldNav: scheme.previousNav,
+          newNav: scheme.nav
+        });
+      }
+
+      logger.info('NAV updates completed for all schemes', { updated: result.updated });
+    } catch (error) {
+      logger.error('Error in NAV updates', error);
     }
   }
 
@@ -425,7 +892,13 @@ class SimulationService {
         isRunning: this.isRunning,
         isPaused: this.isPaused || false,
         stats,
-        intervals: Object.keys(this.intervals),
+        run: this.run,
+        simulatedTime: this.isRunning ? this.now() : null,
+        clock: SimulationClock.getState(),
+        scenario: ScenarioService.getStatus(this.now()),
+        backfill: this.backfillProgress,
+        intervals: Object.keys(this.generators),
+        config: SimulationConfigStore.get(),
         uptime: this.isRunning ? Date.now() - (this.startTime || Date.now()) : 0
       };
     } catch (error) {
@@ -466,16 +939,17 @@ class SimulationService {
       throw new Error('Simulation is not running');
     }
     
+    if (this.backfillTask) {
+      throw new Error('A backfill cannot be paused; stop it instead');
+    }
+    
     if (this.isPaused) {
       logger.warn('Simulation is already paused');
       return;
     }
 
-    // Clear all intervals but keep the state
-    Object.values(this.intervals).forEach(interval => {
-      if (interval) clearInterval(interval);
-    });
-    this.intervals = {};
+    // Stop the timeline but keep generator state
+    this.clearTimer();
     
     this.isPaused = true;
     logger.info('AMC simulation paused');
@@ -491,15 +965,12 @@ class SimulationService {
       return;
     }
 
-    // Restart all intervals
-    this.startCustomerCreation();
-    this.startFolioCreation();
-    this.startTransactionSimulation();
-    this.startCAMSProcessing();
-    this.startSIPExecution();
-    this.startNAVUpdates();
-    
+    // Continue the timeline where it was paused (an in-flight tick reschedules itself)
     this.isPaused = false;
+    if (!this.ticking) {
+      this.scheduleNextTick();
+    }
+
     logger.info('AMC simulation resumed');
   }
 
@@ -508,8 +979,9 @@ class SimulationService {
     try {
       const customers = [];
       for (let i = 0; i < count; i++) {
-        const customerData = await Customer.generateRandomCustomer();
+        const customerData = await Customer.generateRandomCustomer(this.now());
         const customer = await Customer.create(customerData);
+        await KYCService.startOnboarding(customer, 'SYSTEM', this.now());
         customers.push(customer);
         this.stats.customersCreated++;
         
@@ -546,7 +1018,7 @@ class SimulationService {
         }
 
         const scheme = Utils.getRandomElement(schemes);
-        const folioData = await Folio.generateRandomFolio(customer.id, scheme.id);
+        const folioData = await this.assignDistributor(await Folio.generateRandomFolio(customer.id, scheme.id));
         const folio = await Folio.create(folioData);
         folios.push(folio);
         this.stats.foliosCreated++;
@@ -559,7 +1031,7 @@ class SimulationService {
 
         // 50% chance to create a SIP for manual folio
         if (Utils.randomBoolean(0.5)) {
-          await this.createSIPForFolio(folio.id, customer.id, scheme.id);
+          await this.createSIPForFolio(folio.id, customer.id, folio.schemeId);
         }
       }
       
@@ -583,7 +1055,11 @@ class SimulationService {
         }
 
         const folioData = Utils.getRandomElement(foliosForTransaction);
-        const transactionData = await Transaction.generateRandomTransaction(folioData);
+        const transactionData = await Transaction.generateRandomTransaction(folioData, this.now());
+        if (!transactionData) {
+          // A redemption drawn for a folio with nothing free to redeem
+          continue;
+        }
         const transaction = await Transaction.create(transactionData);
         transactions.push(transaction);
         this.stats.transactionsCreated++;
@@ -603,20 +1079,18 @@ class SimulationService {
     }
   }
 
-  async updateConfig(newConfig) {
+  // Persist generator settings to the runtime store and hot-apply the changed
+  // generators to a running simulation (no stop/start)
+  async updateConfig(newConfig = {}) {
     try {
-      // Update configuration (this would typically update a config store)
-      // For now, we'll just log the configuration update
       logger.info('Configuration update requested', { newConfig });
-      
-      // If simulation is running and intervals need to be updated, restart them
-      if (this.isRunning && !this.isPaused) {
-        logger.info('Restarting simulation with new configuration');
-        await this.stop();
-        await this.start();
+      const changed = await SimulationConfigStore.update(newConfig);
+
+      if (this.isRunning && changed.length > 0) {
+        this.applyGeneratorConfig(changed);
       }
       
-      return { message: 'Configuration updated successfully' };
+      return { changed, config: SimulationConfigStore.get() };
     } catch (error) {
       logger.error('Error updating configuration', error);
       throw error;
@@ -0,0 +1,150 @@
+const Folio = require('../models/Folio');
+const Scheme = require('../models/Scheme');
+const Transaction = require('../models/Transaction');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const config = require('../config');
+const Utils = require('../utils/helpers');
+
+const { transactionTypes: TYPES, transactionModes: MODES } = config;
+
+// Statement wording for a transaction, as on registrar statements
+function describe(transaction) {
+  const { transactionType: type, transactionMode: mode } = transaction;
+  if (type === TYPES.DIVIDEND) return 'IDCW Payout';
+  if (mode === MODES.DIVIDEND) return 'IDCW Reinvestment';
+  if (mode === MODES.SIP) return 'Systematic Investment';
+  if (mode === MODES.SWP) return 'Systematic Withdrawal';
+  if (mode === MODES.STP) return type === TYPES.SWITCH_OUT ? 'Systematic Transfer Out' : 'Systematic Transfer In';
+  if (type === TYPES.SWITCH_IN) return 'Switch In';
+  if (type === TYPES.SWITCH_OUT) return 'Switch Out';
+  if (type === TYPES.REDEMPTION) return 'Redemption';
+  return 'Purchase';
+}
+
+// Account statements built from processed transactions, by allotment date
+class StatementService {
+  // Replays a folio's processed transactions up to the period end: opening
+  // and closing units, each allotment in the period with its charges and the
+  // running unit balance, totals, and the cost of the units still held
+  // (first in, first out) and their value at the period-end NAV.
+  buildFolioStatement(transactions, { from, to }, periodEndNAV) {
+    const entries = [];
+    const totals = {
+      inflowAmount: 0, stampDuty: 0, netInflowAmount: 0,
+      outflowAmount: 0, exitLoadAmount: 0, sttAmount: 0, tdsAmount: 0, netOutflowAmount: 0,
+      dividendPayoutAmount: 0
+    };
+    const lots = [];
+    let openingUnits = 0;
+    let balance = 0;
+
+    for (const transaction of transactions) {
+      const date = HolidayCalendar.toDateKey(transaction.navDate);
+      const units = transaction.isOutflow() ? -transaction.units : transaction.units;
+      balance = Utils.round(balance + units, 6);
+
+      if (transaction.isOutflow()) {
+        let remaining = transaction.units;
+        while (remaining > 0 && lots.length > 0) {
+          const lot = lots[0];
+          const taken = Math.min(lot.units, remaining);
+          lot.cost -= lot.cost * taken / lot.units;
+          lot.units = Utils.round(lot.units - taken, 6);
+          remaining = Utils.round(remaining - taken, 6);
+          if (lot.units <= 0) lots.shift();
+        }
+      } else if (transaction.units > 0) {
+        lots.push({ units: transaction.units, cost: transaction.amount });
+      }
+
+      if (from && date < from) {
+        openingUnits = balance;
+        continue;
+      }
+
+      const netAmount = transaction.getNetAmount();
+      if (transaction.isDividendPayout()) {
+        totals.dividendPayoutAmount += transaction.amount;
+      } else if (transaction.isOutflow()) {
+        totals.outflowAmount += transaction.amount;
+        totals.exitLoadAmount += transaction.exitLoadAmount;
+        totals.sttAmount += transaction.sttAmount;
+        totals.tdsAmount += transaction.tdsAmount;
+        totals.netOutflowAmount += netAmount;
+      } else {
+        totals.inflowAmount += transaction.amount;
+        totals.stampDuty += transaction.stampDuty;
+        totals.netInflowAmount += netAmount;
+      }
+
+      entries.push({
+        transactionId: transaction.transactionId,
+        date,
+        description: describe(transaction),
+        transactionType: transaction.transactionType,
+        transactionMode: transaction.transactionMode,
+        amount: transaction.amount,
+        stampDuty: transaction.stampDuty,
+        exitLoadAmount: transaction.exitLoadAmount,
+        sttAmount: transaction.sttAmount,
+        tdsAmount: transaction.tdsAmount,
+        netAmount,
+        nav: transaction.nav,
+        units,
+        balanceUnits: balance
+      });
+    }
+
+    return {
+      from,
+      to,
+      openingUnits,
+      closingUnits: balance,
+      navDate: periodEndNAV ? periodEndNAV.navDate : null,
+      nav: periodEndNAV ? periodEndNAV.nav : null,
+      costValue: Utils.round(lots.reduce((sum, lot) => sum + lot.cost, 0), 2),
+      marketValue: periodEndNAV ? Utils.round(balance * periodEndNAV.nav, 2) : 0,
+      totals: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, Utils.round(value, 2)])),
+      entries
+    };
+  }
+
+  // Statement of a folio between two YYYY-MM-DD dates (inclusive), valued at
+  // the last NAV published by the end date. Returns null if the folio does
+  // not exist.
+  async getFolioStatement(folioId, { from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      if (from && from > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const details = await Folio.getFolioWithHoldings(folioId);
+      if (!details) {
+        return null;
+      }
+
+      const [transactions, periodEndNAV] = await Promise.all([
+        Transaction.findProcessedByFolio(details.folio.id, toDate),
+        Scheme.findNAVOnOrBefore(details.folio.schemeId, toDate)
+      ]);
+
+      return {
+        folio: {
+          id: details.folio.id,
+          folioNumber: details.folio.folioNumber
+        },
+        customer: details.customer,
+        scheme: details.scheme,
+        ...this.buildFolioStatement(transactions, { from, to: toDate }, periodEndNAV)
+      };
+    } catch (error) {
+      logger.error('Error building folio statement', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new StatementService();
@@ -0,0 +1,238 @@
+const database = require('../config/database');
+const Transaction = require('../models/Transaction');
+const Folio = require('../models/Folio');
+const Scheme = require('../models/Scheme');
+const ApplicableNAVService = require('./ApplicableNAVService');
+const ExitLoadService = require('./ExitLoadService');
+const ChargesService = require('./ChargesService');
+const SimulationClock = require('./SimulationClock');
+const Utils = require('../utils/helpers');
+const logger = require('../utils/logger');
+const config = require('../config');
+
+// Switches move money between two schemes of the same investor as a linked
+// pair: a SWITCH_OUT redeeming from the source folio and a SWITCH_IN buying
+// into the investor's folio in the target scheme. Each leg is allotted at its
+// own scheme's applicable NAV, the switch-in receiving the switch-out proceeds
+// net of its exit load, STT and TDS. Both legs are written in one database
+// transaction and a rejection of either rejects the other.
+class SwitchService {
+  // Request is { folioId, targetSchemeId } plus exactly one of amount, units
+  // or allUnits; STP instalments pass transactionMode STP. Returns null if the
+  // source folio does not exist.
+  async createSwitch(request, now = SimulationClock.now()) {
+    try {
+      const {
+        folioId, targetSchemeId, amount = null, units = null, allUnits = false,
+        transactionMode = config.transactionModes.SWITCH
+      } = request;
+      const label = transactionMode === config.transactionModes.STP ? 'STP' : 'Switch';
+
+      if ([amount !== null, units !== null, allUnits === true].filter(Boolean).length !== 1) {
+        throw Utils.validationError('Specify exactly one of amount, units or allUnits');
+      }
+
+      const source = await Folio.getFolioWithHoldings(folioId);
+      if (!source) {
+        return null;
+      }
+      if (!source.folio.isActive()) {
+        throw Utils.validationError('Source folio is not active');
+      }
+
+      const [sourceScheme, requestedScheme] = await Promise.all([
+        Scheme.findById(source.folio.schemeId),
+        Scheme.findById(targetSchemeId)
+      ]);
+      // A scheme switches into its plan-option matching the source folio's
+      const targetScheme = requestedScheme && !requestedScheme.parentSchemeId
+        ? await Scheme.findPlanOption(
+          requestedScheme.id,
+          source.folio.plan,
+          source.folio.dividendOption === config.dividendOptions.GROWTH ? config.planOptions.GROWTH : config.planOptions.IDCW
+        ) || requestedScheme
+        : requestedScheme;
+      if (!targetScheme || !targetScheme.isActive) {
+        throw Utils.validationError('Target scheme not found or not active');
+      }
+      if (targetScheme.id === sourceScheme.id) {
+        throw Utils.validationError('Target scheme must differ from the source scheme');
+      }
+
+      const balance = await Folio.getUnitBalance(source.folio.id, sourceScheme.id, now);
+      const switchUnits = allUnits ? balance.freeUnits : units;
+      if (balance.freeUnits <= 0) {
+        throw Utils.validationError('No free units to switch');
+      }
+      if ((switchUnits !== null && switchUnits > balance.freeUnits) ||
+          (amount !== null && amount > Utils.calculateCurrentValue(balance.freeUnits, sourceScheme.nav))) {
+        throw Utils.validationError('Insufficient free units in the source folio');
+      }
+
+      // Amounts are estimates at the latest NAV until the legs are allotted
+      const estimatedAmount = amount !== null ? amount : Utils.calculateCurrentValue(switchUnits, sourceScheme.nav);
+      const estimatedLoad = await ExitLoadService.calculate(
+        { folioId: source.folio.id, schemeId: sourceScheme.id },
+        switchUnits !== null ? switchUnits : Utils.calculateUnits(amount, sourceScheme.nav),
+        sourceScheme.nav,
+        now
+      );
+      const estimatedProceeds = parseFloat(
+        (estimatedAmount - estimatedLoad.exitLoadAmount - ChargesService.getSTT(sourceScheme, estimatedAmount)).toFixed(2)
+      );
+      const outId = Utils.generateTransactionId(now);
+      const inId = Utils.generateTransactionId(now);
+
+      const result = await database.transaction(async (client) => {
+        let targetFolio = await Folio.findActiveByCustomerAndScheme(source.folio.customerId, targetScheme.id, client);
+        if (!targetFolio) {
+          // Switched money stays with the source folio's distributor, if any
+          targetFolio = await Folio.create({
+            folioNumber: Utils.generateFolioNumber(source.folio.customerId),
+            customerId: source.folio.customerId,
+            schemeId: targetScheme.id,
+            dividendOption: targetScheme.getDividendOptions().includes(source.folio.dividendOption)
+              ? source.folio.dividendOption
+              : undefined,
+            distributorId: source.folio.distributorId,
+            euin: source.folio.euin,
+            createdAt: now
+          }, client);
+        }
+
+        const switchOut = await Transaction.create({
+          transactionId: outId,
+          folioId: source.folio.id,
+          schemeId: sourceScheme.id,
+          customerId: source.folio.customerId,
+          transactionType: config.transactionTypes.SWITCH_OUT,
+          transactionMode,
+          amount: estimatedAmount,
+          // Units are fixed up front when switching by units; by amount, or all
+          // free units, they are counted at allotment
+          units: allUnits ? 0 : switchUnits || 0,
+          allUnits,
+          nav: sourceScheme.nav,
+          transactionDate: now,
+          linkedTransactionId: inId,
+          remarks: `${label} to ${targetScheme.schemeCode}`
+        }, client);
+
+        const switchIn = await Transaction.create({
+          transactionId: inId,
+          folioId: targetFolio.id,
+          schemeId: targetScheme.id,
+          customerId: source.folio.customerId,
+          transactionType: config.transactionTypes.SWITCH_IN,
+          transactionMode,
+          amount: estimatedProceeds,
+          nav: targetScheme.nav,
+          transactionDate: now,
+          sourceSchemeId: sourceScheme.id,
+          linkedTransactionId: outId,
+          remarks: `${label} from ${sourceScheme.schemeCode}`
+        }, client);
+
+        return { switchOut, switchIn, targetFolio };
+      });
+
+      logger.info('Switch created', {
+        switchOut: outId,
+        switchIn: inId,
+        fromScheme: sourceScheme.schemeCode,
+        toScheme: targetScheme.schemeCode
+      });
+      return result;
+    } catch (error) {
+      logger.error('Error creating switch', error);
+      throw error;
+    }
+  }
+
+  // Allots both legs once the registrar has confirmed them. Returns
+  // 'processed', 'rejected' (free units no longer cover the switch-out) or null while either
+  // applicable NAV is unpublished.
+  async allot(transaction, linked, processedAt = SimulationClock.now()) {
+    try {
+      const [switchOut, switchIn] = transaction.transactionType === config.transactionTypes.SWITCH_OUT
+        ? [transaction, linked]
+        : [linked, transaction];
+
+      const [sourceScheme, targetScheme] = await Promise.all([
+        Scheme.findById(switchOut.schemeId),
+        Scheme.findById(switchIn.schemeId)
+      ]);
+      const [outNAV, inNAV] = await Promise.all([
+        ApplicableNAVService.getApplicableNAV(sourceScheme, switchOut),
+        ApplicableNAVService.getApplicableNAV(targetScheme, switchIn)
+      ]);
+      if (!outNAV || !inNAV) {
+        logger.debug('Applicable NAV not published yet', { switchOut: switchOut.transactionId });
+        return null;
+      }
+
+      return await database.transaction(async (client) => {
+        const balance = await Folio.getUnitBalance(switchOut.folioId, switchOut.schemeId, processedAt, client);
+        const units = switchOut.allUnits
+          ? balance.freeUnits
+          : switchOut.units > 0 ? switchOut.units : Utils.calculateUnits(switchOut.amount, outNAV.nav);
+        const shortfall = Transaction.describeShortfall(units, balance);
+        if (shortfall) {
+          await this.rejectLegs(switchOut, switchIn, shortfall, switchOut.camsReferenceNumber, processedAt, client);
+          return 'rejected';
+        }
+
+        const grossAmount = switchOut.allUnits || switchOut.units > 0
+          ? Utils.calculateCurrentValue(units, outNAV.nav)
+          : switchOut.amount;
+        const { exitLoadAmount } = await ExitLoadService.calculate(switchOut, units, outNAV.nav, outNAV.navDate, client);
+        await switchOut.allot(outNAV, {
+          amount: grossAmount,
+          units,
+          exitLoadAmount,
+          sttAmount: ChargesService.getSTT(sourceScheme, grossAmount)
+        }, processedAt, client);
+
+        // The switch-in buys with the proceeds net of the switch-out's charges,
+        // paying stamp duty like any purchase
+        const proceeds = switchOut.getNetAmount();
+        const stampDuty = ChargesService.getStampDuty(proceeds);
+        await switchIn.allot(inNAV, {
+          amount: proceeds,
+          units: Utils.calculateUnits(proceeds - stampDuty, inNAV.nav),
+          stampDuty
+        }, processedAt, client);
+
+        logger.info('Switch processed', {
+          switchOut: switchOut.transactionId,
+          switchIn: switchIn.transactionId,
+          grossAmount,
+          exitLoadAmount
+        });
+        return 'processed';
+      });
+    } catch (error) {
+      logger.error('Error allotting switch', error);
+      throw error;
+    }
+  }
+
+  async reject(transaction, reason, camsReferenceNumber = null, processedAt = SimulationClock.now()) {
+    try {
+      const linked = await Transaction.findByTransactionId(transaction.linkedTransactionId);
+      await database.transaction(client => this.rejectLegs(transaction, linked, reason, camsReferenceNumber, processedAt, client));
+    } catch (error) {
+      logger.error('Error rejecting switch', error);
+      throw error;
+    }
+  }
+
+  async rejectLegs(transaction, linked, reason, camsReferenceNumber, processedAt, client) {
+    await transaction.reject(reason, camsReferenceNumber, processedAt, client);
+    if (linked && linked.status === config.statuses.transaction.SUBMITTED) {
+      await linked.reject(`Linked switch leg rejected: ${reason}`, linked.camsReferenceNumber, processedAt, client);
+    }
+  }
+}
+
+module.exports = new SwitchService();
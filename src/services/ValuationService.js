@@ -0,0 +1,96 @@
+const database = require('../config/database');
+const HoldingValuation = require('../models/HoldingValuation');
+const Customer = require('../models/Customer');
+const HolidayCalendar = require('./HolidayCalendar');
+const SimulationClock = require('./SimulationClock');
+const logger = require('../utils/logger');
+const Utils = require('../utils/helpers');
+
+const DEFAULT_PERIOD_DAYS = 30;
+// Orders are allotted at their NAV date only once the registrar processes
+// them, usually the next day, so each run values the last week again
+const RESTATE_DAYS = 7;
+
+// YYYY-MM-DD date a number of calendar days before another
+function daysBefore(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// Daily valuation snapshots in the holdings_valuation hypertable. Each NAV
+// date values every holding's units at that day's NAV; the per-customer and
+// per-scheme continuous aggregates serve the time series.
+class ValuationService {
+  // Values holdings for every NAV date since the last snapshot up to today,
+  // so days the job did not run are backfilled from nav_history, and values
+  // the last week again for late allotments. Returns the dates valued and the
+  // number of holding valuations written.
+  async recordValuations(asOf = SimulationClock.now()) {
+    try {
+      const toDate = HolidayCalendar.toDateKey(asOf);
+      const nextDate = await HoldingValuation.findNextDate();
+      if (!nextDate) {
+        return { from: null, to: toDate, days: 0, valuations: 0 };
+      }
+
+      const restateFrom = daysBefore(toDate, RESTATE_DAYS);
+      const fromDate = nextDate < restateFrom ? nextDate : restateFrom;
+      const dates = await HoldingValuation.findNAVDates(fromDate, toDate);
+      let valuations = 0;
+      for (const date of dates) {
+        valuations += await database.transaction(client => HoldingValuation.replaceForDate(date, client));
+      }
+      if (dates.length > 0) {
+        await HoldingValuation.refreshAggregates(dates[0], dates[dates.length - 1]);
+      }
+
+      logger.info('Holding valuations recorded', { from: fromDate, to: toDate, days: dates.length, valuations });
+      return { from: fromDate, to: toDate, days: dates.length, valuations };
+    } catch (error) {
+      logger.error('Error recording holding valuations', error);
+      throw error;
+    }
+  }
+
+  // A customer's portfolio value per NAV date between two YYYY-MM-DD dates
+  // (inclusive), the last 30 days to today by default, with the holdings as
+  // valued on the last of them. Returns null if the customer does not exist.
+  async getCustomerValuations(customerId, { from = null, to = null } = {}, asOf = SimulationClock.now()) {
+    try {
+      const toDate = to || HolidayCalendar.toDateKey(asOf);
+      const fromDate = from || daysBefore(toDate, DEFAULT_PERIOD_DAYS);
+      if (fromDate > toDate) {
+        throw Utils.validationError('from must not be after to');
+      }
+
+      const customer = await Customer.findById(customerId);
+      if (!customer) {
+        return null;
+      }
+
+      const series = await HoldingValuation.findCustomerSeries(customer.id, fromDate, toDate);
+      const latest = series.length > 0 ? series[series.length - 1] : null;
+      return {
+        customer: {
+          id: customer.id,
+          name: customer.getFullName(),
+          panNumber: customer.panNumber
+        },
+        from: fromDate,
+        to: toDate,
+        series,
+        latest: latest && {
+          date: latest.date,
+          marketValue: latest.marketValue,
+          holdings: await HoldingValuation.findByCustomerAndDate(customer.id, latest.date)
+        }
+      };
+    } catch (error) {
+      logger.error('Error getting customer valuations', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ValuationService();
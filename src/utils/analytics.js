@@ -0,0 +1,249 @@
+const config = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class Analytics {
+  // Supported look-back periods for performance analytics
+  static get PERIODS() {
+    return {
+      '1m': { months: 1 },
+      '3m': { months: 3 },
+      '6m': { months: 6 },
+      '1y': { years: 1 },
+      '3y': { years: 3 },
+      '5y': { years: 5 },
+      since_launch: null
+    };
+  }
+
+  static isValidPeriod(period) {
+    return Object.prototype.hasOwnProperty.call(this.PERIODS, period);
+  }
+
+  // Start date of a period ending on endDate (null for since_launch)
+  static getPeriodStartDate(endDate, period) {
+    const span = this.PERIODS[period];
+    if (!span) return null;
+
+    const date = new Date(endDate);
+    if (span.years) date.setFullYear(date.getFullYear() - span.years);
+    if (span.months) date.setMonth(date.getMonth() - span.months);
+    return date;
+  }
+
+  static yearsBetween(fromDate, toDate) {
+    return (new Date(toDate) - new Date(fromDate)) / (365 * DAY_MS);
+  }
+
+  // Latest point in a date-ascending series on or before the given date
+  static findPointOnOrBefore(series, date) {
+    const target = new Date(date).getTime();
+    let low = 0;
+    let high = series.length - 1;
+    let found = null;
+
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      if (new Date(series[mid].date).getTime() <= target) {
+        found = series[mid];
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return found;
+  }
+
+  static absoluteReturn(startValue, endValue) {
+    if (!startValue) return null;
+    return (endValue - startValue) / startValue;
+  }
+
+  static cagr(startValue, endValue, years) {
+    if (!startValue || years <= 0) return null;
+    return Math.pow(endValue / startValue, 1 / years) - 1;
+  }
+
+  // Daily simple returns of a date-ascending series
+  static dailyReturns(series) {
+    const returns = [];
+    for (let i = 1; i < series.length; i++) {
+      returns.push(series[i].value / series[i - 1].value - 1);
+    }
+    return returns;
+  }
+
+  static mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  static median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+
+  static standardDeviation(values) {
+    if (values.length < 2) return null;
+    const avg = this.mean(values);
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  static annualisedVolatility(returns) {
+    const deviation = this.standardDeviation(returns);
+    if (deviation === null) return null;
+    return deviation * Math.sqrt(config.analytics.tradingDaysPerYear);
+  }
+
+  // Annualised downside deviation against a daily minimum acceptable return
+  static downsideDeviation(returns, minimumAcceptableReturn = 0) {
+    if (returns.length < 2) return null;
+    const squared = returns.map(value => Math.pow(Math.min(0, value - minimumAcceptableReturn), 2));
+    return Math.sqrt(squared.reduce((sum, value) => sum + value, 0) / returns.length) *
+      Math.sqrt(config.analytics.tradingDaysPerYear);
+  }
+
+  // Largest peak-to-trough fall with the dates it occurred between
+  static maxDrawdown(series) {
+    if (series.length === 0) return null;
+
+    let peak = series[0];
+    let result = { drawdown: 0, peakDate: series[0].date, troughDate: series[0].date };
+
+    for (const point of series) {
+      if (point.value > peak.value) {
+        peak = point;
+      }
+      const drawdown = (point.value - peak.value) / peak.value;
+      if (drawdown < result.drawdown) {
+        result = { drawdown, peakDate: peak.date, troughDate: point.date };
+      }
+    }
+
+    return result;
+  }
+
+  static sharpeRatio(annualReturn, volatility, riskFreeRate = config.analytics.riskFreeRate) {
+    if (annualReturn === null || !volatility) return null;
+    return (annualReturn - riskFreeRate) / volatility;
+  }
+
+  static sortinoRatio(annualReturn, returns, riskFreeRate = config.analytics.riskFreeRate) {
+    const dailyRiskFree = riskFreeRate / config.analytics.tradingDaysPerYear;
+    const downside = this.downsideDeviation(returns, dailyRiskFree);
+    if (annualReturn === null || !downside) return null;
+    return (annualReturn - riskFreeRate) / downside;
+  }
+
+  // Rolling returns of the given window over a date-ascending series.
+  // Windows of a year or more are annualised, shorter ones are absolute.
+  static rollingReturns(series, period) {
+    const returns = [];
+    if (series.length === 0 || !this.PERIODS[period]) return returns;
+
+    const first = new Date(series[0].date);
+    for (const point of series) {
+      const windowStart = this.getPeriodStartDate(point.date, period);
+      if (windowStart < first) continue;
+
+      const startPoint = this.findPointOnOrBefore(series, windowStart);
+      if (!startPoint) continue;
+
+      const years = this.yearsBetween(startPoint.date, point.date);
+      returns.push(years >= 1
+        ? this.cagr(startPoint.value, point.value, years)
+        : this.absoluteReturn(startPoint.value, point.value));
+    }
+
+    return returns;
+  }
+
+  static summariseRollingReturns(returns) {
+    if (returns.length === 0) {
+      return { observations: 0, min: null, max: null, average: null, median: null, positivePercent: null };
+    }
+
+    return {
+      observations: returns.length,
+      min: this.round(Math.min(...returns) * 100),
+      max: this.round(Math.max(...returns) * 100),
+      average: this.round(this.mean(returns) * 100),
+      median: this.round(this.median(returns) * 100),
+      positivePercent: this.round(returns.filter(value => value > 0).length / returns.length * 100)
+    };
+  }
+
+  // Annualised internal rate of return of dated cash flows ({ date, amount },
+  // money paid in negative, money received positive). Newton-Raphson from a
+  // 10% guess, falling back to bisection; null without both signs of flow.
+  static xirr(cashFlows) {
+    const flows = cashFlows.filter(flow => flow.amount !== 0);
+    if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+      return null;
+    }
+
+    const first = flows.reduce((earliest, flow) => (new Date(flow.date) < new Date(earliest) ? flow.date : earliest), flows[0].date);
+    const terms = flows.map(flow => ({ amount: flow.amount, years: this.yearsBetween(first, flow.date) }));
+    const npv = rate => terms.reduce((sum, term) => sum + term.amount / Math.pow(1 + rate, term.years), 0);
+    const derivative = rate => terms.reduce((sum, term) => sum - term.years * term.amount / Math.pow(1 + rate, term.years + 1), 0);
+
+    let rate = 0.1;
+    for (let i = 0; i < 100; i++) {
+      const slope = derivative(rate);
+      if (!slope) break;
+      const next = rate - npv(rate) / slope;
+      if (!Number.isFinite(next) || next <= -1) break;
+      if (Math.abs(next - rate) < 1e-9) return next;
+      rate = next;
+    }
+
+    let low = -0.999999;
+    let high = 100;
+    if (npv(low) * npv(high) > 0) return null;
+    for (let i = 0; i < 200; i++) {
+      const mid = (low + high) / 2;
+      if (npv(low) * npv(mid) <= 0) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+      if (high - low < 1e-9) break;
+    }
+    return (low + high) / 2;
+  }
+
+  // Time-weighted return chained from end-of-day valuations ({ value, inflow,
+  // outflow }, date-ascending). Flows deal at the day's closing price, so
+  // each day's growth is its closing value before them over the previous
+  // close; days starting from nothing invested are skipped.
+  static timeWeightedReturn(valuations) {
+    let growth = 1;
+    let previousValue = 0;
+    let periods = 0;
+
+    for (const { value, inflow, outflow } of valuations) {
+      if (previousValue > 0) {
+        growth *= (value - inflow + outflow) / previousValue;
+        periods++;
+      }
+      previousValue = value;
+    }
+
+    return periods > 0 ? growth - 1 : null;
+  }
+
+  static round(value, decimals = 4) {
+    if (value === null || value === undefined || Number.isNaN(value)) return null;
+    return parseFloat(value.toFixed(decimals));
+  }
+
+  static toPercent(value) {
+    return value === null ? null : this.round(value * 100);
+  }
+}
+
+module.exports = Analytics;
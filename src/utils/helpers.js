@@ -1,6 +1,46 @@
 const crypto = require('crypto');
+const SeededRandom = require('./random');
+
+// Shared random stream for every simulation generator; reseeded per simulation run
+let randomSource = new SeededRandom();
+
+// Zero-padded random serial for identifiers. These come from crypto, not the
+// seeded stream: IDs must not repeat when a seed is replayed, and API requests
+// must not shift the draws of a simulation running alongside them.
+function randomSerial(digits) {
+  return crypto.randomInt(10 ** digits).toString().padStart(digits, '0');
+}
 
 class Utils {
+  // Seed the shared random stream so a run can be replayed
+  static setSeed(seed) {
+    randomSource = new SeededRandom(seed);
+    return randomSource.seed;
+  }
+
+  static getSeed() {
+    return randomSource.seed;
+  }
+
+  static getRandomSource() {
+    return randomSource;
+  }
+
+  // Uniform float in [0, 1) from the shared seeded stream
+  static random() {
+    return randomSource.next();
+  }
+
+  // Random integer between min and max (inclusive)
+  static randomInt(min, max) {
+    return Math.floor(this.random() * (max - min + 1)) + min;
+  }
+
+  // Salt for deterministic pseudo-random ordering in SQL (ORDER BY md5(id || salt))
+  static randomSalt() {
+    return Math.floor(this.random() * 0xffffffff).toString(16).padStart(8, '0');
+  }
+
   // Generate PAN number (format: ABCDE1234F)
   static generatePAN() {
     const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
@@ -9,60 +49,83 @@ class Utils {
     let pan = '';
     // First 5 letters
     for (let i = 0; i < 5; i++) {
-      pan += letters.charAt(Math.floor(Math.random() * letters.length));
+      pan += letters.charAt(Math.floor(this.random() * letters.length));
     }
     // 4 digits
     for (let i = 0; i < 4; i++) {
-      pan += digits.charAt(Math.floor(Math.random() * digits.length));
+      pan += digits.charAt(Math.floor(this.random() * digits.length));
     }
     // Last letter
-    pan += letters.charAt(Math.floor(Math.random() * letters.length));
+    pan += letters.charAt(Math.floor(this.random() * letters.length));
     
     return pan;
   }
 
   // Generate folio number (format: 12345678/01)
   static generateFolioNumber(customerId) {
-    const timestamp = Date.now().toString().slice(-8);
+    const serial = randomSerial(8);
     const customerPart = customerId.toString().padStart(2, '0');
-    return `${timestamp}/${customerPart}`;
+    return `${serial}/${customerPart}`;
   }
 
   // Generate transaction ID (format: TXN202505241234567890)
-  static generateTransactionId() {
-    const date = new Date();
+  static generateTransactionId(date = new Date()) {
     const dateStr = date.getFullYear().toString() + 
                    (date.getMonth() + 1).toString().padStart(2, '0') + 
                    date.getDate().toString().padStart(2, '0');
-    const randomNum = Math.floor(Math.random() * 1000000000).toString().padStart(10, '0');
+    const randomNum = randomSerial(10);
     return `TXN${dateStr}${randomNum}`;
   }
 
   // Generate SIP ID (format: SIP202505241234567)
-  static generateSipId() {
-    const date = new Date();
+  static generateSipId(date = new Date()) {
     const dateStr = date.getFullYear().toString() + 
                    (date.getMonth() + 1).toString().padStart(2, '0') + 
                    date.getDate().toString().padStart(2, '0');
-    const randomNum = Math.floor(Math.random() * 10000000).toString().padStart(7, '0');
+    const randomNum = randomSerial(7);
     return `SIP${dateStr}${randomNum}`;
   }
 
+  // Generate STP ID (format: STP202505241234567)
+  static generateStpId(date = new Date()) {
+    const dateStr = date.getFullYear().toString() + 
+                   (date.getMonth() + 1).toString().padStart(2, '0') + 
+                   date.getDate().toString().padStart(2, '0');
+    const randomNum = randomSerial(7);
+    return `STP${dateStr}${randomNum}`;
+  }
+
+  // Generate SWP ID (format: SWP202505241234567)
+  static generateSwpId(date = new Date()) {
+    const dateStr = date.getFullYear().toString() + 
+                   (date.getMonth() + 1).toString().padStart(2, '0') + 
+                   date.getDate().toString().padStart(2, '0');
+    const randomNum = randomSerial(7);
+    return `SWP${dateStr}${randomNum}`;
+  }
+
   // Generate scheme code (format: ABC001)
   static generateSchemeCode(category) {
     const categoryCode = category.substring(0, 3).toUpperCase();
-    const randomNum = Math.floor(Math.random() * 999) + 1;
+    const randomNum = Math.floor(this.random() * 999) + 1;
     return `${categoryCode}${randomNum.toString().padStart(3, '0')}`;
   }
 
   // Generate CAMS reference number
-  static generateCamsReference() {
-    const timestamp = Date.now().toString();
-    const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
+  static generateCamsReference(date = new Date()) {
+    const timestamp = date.getTime().toString();
+    const random = randomSerial(3);
     return `CAMS${timestamp}${random}`;
   }
 
-  // Validate PAN format
+  // Generate KRA acknowledgement reference
+  static generateKraReference(date = new Date()) {
+    const timestamp = date.getTime().toString();
+    const random = randomSerial(3);
+    return `KRA${timestamp}${random}`;
+  }
+
+    // Validate PAN format
   static isValidPAN(pan) {
     const panRegex = /^[A-Z]{5}[0-9]{4}[A-Z]{1}$/;
     return panRegex.test(pan);
@@ -84,7 +147,7 @@ class Utils {
 
   // Generate random amount within range
   static generateRandomAmount(min, max) {
-    return parseFloat((Math.random() * (max - min) + min).toFixed(2));
+    return parseFloat((this.random() * (max - min) + min).toFixed(2));
   }
 
   // Calculate units based on amount and NAV
@@ -97,43 +160,29 @@ class Utils {
     return parseFloat((units * nav).toFixed(2));
   }
 
-  // Add business days to a date
-  static addBusinessDays(date, days) {
-    const result = new Date(date);
-    let addedDays = 0;
-    
-    while (addedDays < days) {
-      result.setDate(result.getDate() + 1);
-      const dayOfWeek = result.getDay();
-      
-      // Skip weekends (0 = Sunday, 6 = Saturday)
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        addedDays++;
-      }
-    }
-    
-    return result;
+  // Round to a number of decimal places, as amounts and units are stored
+  static round(value, places) {
+    return parseFloat(value.toFixed(places));
   }
 
-  // Get next SIP execution date
-  static getNextSipExecutionDate(frequency, currentDate = new Date()) {
-    const date = new Date(currentDate);
-    
-    switch (frequency) {
-      case 'MONTHLY':
-        date.setMonth(date.getMonth() + 1);
-        break;
-      case 'QUARTERLY':
-        date.setMonth(date.getMonth() + 3);
-        break;
-      case 'YEARLY':
-        date.setFullYear(date.getFullYear() + 1);
-        break;
+  // STP/SWP instalment from a holding valued at nav: { amount } or { units },
+  // or null when its free units cannot cover it. Capital-appreciation plans
+  // move only the gain over the invested amount.
+  static getPlanInstalment(plan, holdings, nav) {
+    const freeUnits = holdings.freeUnits !== undefined ? holdings.freeUnits : holdings.totalUnits;
+    const freeValue = this.calculateCurrentValue(freeUnits, nav);
+
+    switch (plan.planType) {
+      case 'FIXED_UNITS':
+        return freeUnits >= plan.units ? { units: plan.units } : null;
+      case 'CAPITAL_APPRECIATION': {
+        const value = this.calculateCurrentValue(holdings.totalUnits, nav);
+        const gain = parseFloat((value - holdings.investedAmount).toFixed(2));
+        return gain > 0 && freeValue >= gain ? { amount: gain } : null;
+      }
       default:
-        date.setMonth(date.getMonth() + 1); // Default to monthly
+        return freeValue >= plan.amount ? { amount: plan.amount } : null;
     }
-    
-    return date;
   }
 
   // Generate random Indian name
@@ -150,8 +199,8 @@ class Utils {
       'Sinha', 'Joshi', 'Mishra', 'Pandey', 'Rao', 'Bhatt', 'Kulkarni', 'Desai'
     ];
     
-    const firstName = firstNames[Math.floor(Math.random() * firstNames.length)];
-    const lastName = lastNames[Math.floor(Math.random() * lastNames.length)];
+    const firstName = firstNames[Math.floor(this.random() * firstNames.length)];
+    const lastName = lastNames[Math.floor(this.random() * lastNames.length)];
     
     return { firstName, lastName };
   }
@@ -159,8 +208,8 @@ class Utils {
   // Generate random email
   static generateEmail(firstName, lastName) {
     const domains = ['gmail.com', 'yahoo.com', 'hotmail.com', 'outlook.com'];
-    const domain = domains[Math.floor(Math.random() * domains.length)];
-    const randomNum = Math.floor(Math.random() * 1000);
+    const domain = domains[Math.floor(this.random() * domains.length)];
+    const randomNum = Math.floor(this.random() * 1000);
     
     return `${firstName.toLowerCase()}.${lastName.toLowerCase()}${randomNum}@${domain}`;
   }
@@ -168,11 +217,11 @@ class Utils {
   // Generate random phone number
   static generatePhoneNumber() {
     const prefixes = ['9', '8', '7', '6'];
-    const prefix = prefixes[Math.floor(Math.random() * prefixes.length)];
+    const prefix = prefixes[Math.floor(this.random() * prefixes.length)];
     let number = prefix;
     
     for (let i = 0; i < 9; i++) {
-      number += Math.floor(Math.random() * 10);
+      number += Math.floor(this.random() * 10);
     }
     
     return number;
@@ -181,15 +230,21 @@ class Utils {
   // Get random risk profile
   static getRandomRiskProfile() {
     const profiles = ['CONSERVATIVE', 'MODERATE', 'AGGRESSIVE'];
-    return profiles[Math.floor(Math.random() * profiles.length)];
+    return profiles[Math.floor(this.random() * profiles.length)];
   }
 
-  // Get random transaction type
-  static getRandomTransactionType() {
-    const types = ['SIP', 'LUMPSUM', 'STP', 'REDEMPTION'];
-    const weights = [0.4, 0.3, 0.2, 0.1]; // SIP most common
+  // Get random transaction type. STPs come from STP registrations instead.
+  // redemptionRatio is redemptions per purchase; the default gives a 51/39/10 mix
+  static getRandomTransactionType(redemptionRatio = 0.1 / 0.9) {
+    const types = ['SIP', 'LUMPSUM', 'REDEMPTION'];
+    const purchaseMix = [0.4, 0.3]; // SIP most common
+    const purchaseTotal = purchaseMix.reduce((sum, weight) => sum + weight, 0);
+    const weights = [
+      ...purchaseMix.map(weight => weight / purchaseTotal / (1 + redemptionRatio)),
+      redemptionRatio / (1 + redemptionRatio)
+    ];
     
-    const random = Math.random();
+    const random = this.random();
     let sum = 0;
     
     for (let i = 0; i < weights.length; i++) {
@@ -231,29 +286,41 @@ class Utils {
 
   // Random delay between min and max ms
   static randomDelay(min = 1000, max = 5000) {
-    const delay = Math.floor(Math.random() * (max - min + 1)) + min;
+    const delay = Math.floor(this.random() * (max - min + 1)) + min;
     return this.sleep(delay);
   }
 
   // Generate random boolean with probability
   static randomBoolean(probability = 0.5) {
-    return Math.random() < probability;
+    return this.random() < probability;
   }
 
   // Get random element from array
   static getRandomElement(array) {
-    return array[Math.floor(Math.random() * array.length)];
+    return array[Math.floor(this.random() * array.length)];
   }
 
   // Shuffle array
   static shuffleArray(array) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(this.random() * (i + 1));
       [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
   }
+
+  // Error the error handler answers with 400 and its message
+  static validationError(message) {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+  }
+
+  // Request body as logged, with any password masked
+  static redactBody(body) {
+    return body && body.password ? { ...body, password: '[REDACTED]' } : body;
+  }
 }
 
 module.exports = Utils;
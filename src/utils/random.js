@@ -0,0 +1,71 @@
+// Seedable pseudo-random number generator (mulberry32) so simulated paths can be reproduced
+class SeededRandom {
+  constructor(seed = SeededRandom.generateSeed()) {
+    this.seed = SeededRandom.normaliseSeed(seed);
+    this.state = this.seed;
+    this.spareNormal = null;
+  }
+
+  static generateSeed() {
+    return Math.floor(Math.random() * 0xffffffff) >>> 0;
+  }
+
+  // Accept numeric or string seeds and reduce them to an unsigned 32-bit integer
+  static normaliseSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+      return Math.floor(seed) >>> 0;
+    }
+
+    const text = String(seed);
+    if (/^\d+$/.test(text)) {
+      return Number(text) >>> 0;
+    }
+
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  // Uniform float in [0, 1)
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Standard normal via Box-Muller, caching the second draw
+  normal(mean = 0, standardDeviation = 1) {
+    if (this.spareNormal !== null) {
+      const spare = this.spareNormal;
+      this.spareNormal = null;
+      return mean + standardDeviation * spare;
+    }
+
+    let u = 0;
+    while (u === 0) u = this.next();
+    const v = this.next();
+    const magnitude = Math.sqrt(-2 * Math.log(u));
+    this.spareNormal = magnitude * Math.sin(2 * Math.PI * v);
+    return mean + standardDeviation * magnitude * Math.cos(2 * Math.PI * v);
+  }
+
+  // Poisson draw (Knuth) - adequate for the small per-step intensities used here
+  poisson(lambda) {
+    if (lambda <= 0) return 0;
+    const limit = Math.exp(-lambda);
+    let count = 0;
+    let product = this.next();
+    while (product > limit) {
+      count++;
+      product *= this.next();
+    }
+    return count;
+  }
+}
+
+module.exports = SeededRandom;